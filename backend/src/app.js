@@ -9,17 +9,33 @@ import usersRouter from './routes/users.js';
 import ordersRouter from './routes/orders.js';
 import paymentsRouter from './routes/payments.js';
 import transactionsRouter from './routes/transactions.js';
+import schoolsRouter from './routes/schools.js';
+import webhooksRouter from './routes/webhooks.js';
+import reconciliationRouter from './routes/reconciliation.js';
+import studentsRouter from './routes/students.js';
 
 const app = express();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['Idempotent-Replayed'] }));
+// Keep the raw body of webhook requests so their signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
+
+// Body fields that are never written to the log: credentials, tokens and email
+// addresses (sign-in attempts would otherwise log who tried to sign in)
+const REDACTED_FIELDS = ['password', 'refresh_token', 'token', 'email'];
 
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  console.log('Request body:', JSON.stringify(req.body));
+  console.log('Request body:', JSON.stringify(req.body, (key, value) =>
+    (REDACTED_FIELDS.includes(key) ? '[redacted]' : value)));
   next();
 });
 
@@ -30,9 +46,13 @@ connectDB();
 app.use('/', indexRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/users', usersRouter);
-//app.use('/api/orders', ordersRouter);
+app.use('/api/orders', ordersRouter);
 app.use('/api/payments', paymentsRouter);
 app.use('/api/transactions', transactionsRouter);
+app.use('/api/schools', schoolsRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/reconciliation', reconciliationRouter);
+app.use('/api/students', studentsRouter);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -55,6 +75,14 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // Application errors (see errors/index.js) carry their own HTTP status
+  if (err.statusCode) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  
   // Default error response
   res.status(500).json({ 
     message: 'Server Error', 
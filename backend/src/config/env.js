@@ -0,0 +1,20 @@
+/**
+ * Numeric settings read from the environment
+ *
+ * Settings are read when they are used, not at startup, so tests and
+ * long-running processes see changes to process.env.
+ */
+
+/**
+ * Read a number from an environment variable.
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or not a valid value
+ * @param {Object} [options]
+ * @param {boolean} [options.allowZero] - Accept 0, e.g. for intervals where 0 disables a job
+ * @returns {number}
+ */
+export const readNumber = (name, fallback, { allowZero = false } = {}) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && (value > 0 || (allowZero && value === 0)) ? value : fallback;
+};
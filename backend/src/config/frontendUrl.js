@@ -0,0 +1,11 @@
+// Get the frontend URL from environment variables with robust fallbacks
+// 1. Use explicit FRONTEND_URL if provided
+// 2. In local development (NODE_ENV !== 'production'), default to React dev server
+// 3. Otherwise use APP_URL (e.g., Vercel site) or the production fallback
+export const FRONTEND_URL =
+  process.env.FRONTEND_URL ||
+  (process.env.NODE_ENV !== 'production' ? 'http://localhost:3000' : null) ||
+  process.env.APP_URL ||
+  'https://school-payment-microservice-v1.vercel.app';
+
+console.log('Resolved FRONTEND_URL:', FRONTEND_URL);
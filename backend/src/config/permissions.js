@@ -0,0 +1,60 @@
+/**
+ * Permissions Matrix
+ *
+ * Every authenticated route in routes/ names the permission it needs with
+ * requirePermission (middleware/auth.js); this table says which roles hold it.
+ *
+ * - admin: runs the platform; sees every school
+ * - school: staff of the schools in User.school_ids; manages their fees and students
+ * - trustee: collects payments for the schools in User.school_ids
+ *
+ * School and trustee users only see data of their own schools (see
+ * services/accessService.js). Public routes - login, registration, the gateway
+ * callback and webhooks, and transaction-status - need no permission.
+ */
+
+export const ROLES = ['admin', 'school', 'trustee'];
+
+const ALL_ROLES = ROLES;
+const SCHOOL_STAFF = ['admin', 'school'];
+const ADMIN = ['admin'];
+
+export const PERMISSIONS = {
+  // /api/users
+  'users:read': ADMIN,
+  'users:manage': ADMIN,
+  // /api/schools
+  'schools:read': ALL_ROLES,
+  'schools:manage': ADMIN,
+  // /api/schools/:schoolId/fee-heads, fee-structures and adjustment-rules
+  'fees:read': ALL_ROLES,
+  'fees:manage': SCHOOL_STAFF,
+  // /api/students
+  'students:read': ALL_ROLES,
+  'students:manage': SCHOOL_STAFF,
+  // /api/orders
+  'orders:read': ALL_ROLES,
+  'orders:manage': ALL_ROLES,
+  // /api/payments: create-payment, bulk uploads, status checks, receipts
+  'payments:read': ALL_ROLES,
+  'payments:create': ALL_ROLES,
+  // /api/payments/:collect_id/payment-link and reminders
+  'payments:notify': ALL_ROLES,
+  // /api/payments/:collect_id/refunds
+  'refunds:manage': ADMIN,
+  // /api/transactions
+  'transactions:read': ALL_ROLES,
+  // /api/webhooks
+  'webhooks:manage': ADMIN,
+  // /api/reconciliation
+  'reconciliation:manage': ADMIN
+};
+
+/**
+ * Whether a role holds a permission.
+ *
+ * @param {string} role - User role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => Boolean(PERMISSIONS[permission]?.includes(role));
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { AdjustmentRule } from '../models/AdjustmentRule.js';
+import { School } from '../models/School.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Adjustment Rule Controllers - /api/schools/:schoolId/adjustment-rules
+ */
+
+// Fields that may be set through the API
+const RULE_FIELDS = [
+  'name', 'type', 'calculation', 'value', 'max_amount', 'fee_head_codes',
+  'student_tags', 'valid_from', 'valid_until', 'grace_days', 'priority', 'active'
+];
+
+const pickFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => RULE_FIELDS.includes(key))
+);
+
+// Resolve :schoolId, failing with 404 for unknown schools
+const findSchool = async (schoolId) => {
+  if (!mongoose.Types.ObjectId.isValid(schoolId)) {
+    throw new ValidationError('Invalid school ID');
+  }
+  const school = await School.findById(schoolId);
+  if (!school) {
+    throw new NotFoundError('School not found');
+  }
+  return school;
+};
+
+// Create a late fee or discount rule
+export const createAdjustmentRule = async (req, res, next) => {
+  try {
+    const school = await findSchool(req.params.schoolId);
+    const rule = await AdjustmentRule.create({ ...pickFields(req.body), school_id: school._id });
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a school's rules in the order they are applied, filtered by type and active
+export const getAdjustmentRules = async (req, res, next) => {
+  try {
+    const { type, active } = req.query;
+
+    const filter = { school_id: req.params.schoolId };
+    if (type) filter.type = type;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const rules = await AdjustmentRule.find(filter).sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single rule
+export const getAdjustmentRuleById = async (req, res, next) => {
+  try {
+    const rule = await AdjustmentRule.findOne({ _id: req.params.id, school_id: req.params.schoolId });
+    if (!rule) {
+      throw new NotFoundError('Adjustment rule not found');
+    }
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a rule; orders already created keep the adjustments they were charged
+export const updateAdjustmentRule = async (req, res, next) => {
+  try {
+    const rule = await AdjustmentRule.findOne({ _id: req.params.id, school_id: req.params.schoolId });
+    if (!rule) {
+      throw new NotFoundError('Adjustment rule not found');
+    }
+    // Saved rather than updated in place so the percentage cap sees both fields
+    rule.set(pickFields(req.body));
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a rule so it no longer applies to new payments
+export const deleteAdjustmentRule = async (req, res, next) => {
+  try {
+    const rule = await AdjustmentRule.findOneAndUpdate(
+      { _id: req.params.id, school_id: req.params.schoolId },
+      { active: false },
+      { new: true }
+    );
+    if (!rule) {
+      throw new NotFoundError('Adjustment rule not found');
+    }
+    res.json({ message: 'Adjustment rule deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
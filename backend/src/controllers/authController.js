@@ -1,44 +1,188 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  revokeUserSession,
+  getClientInfo
+} from '../services/sessionService.js';
+import {
+  requestPasswordReset,
+  resetPassword as resetUserPassword,
+  verifyEmail as verifyUserEmail,
+  resendVerificationEmail
+} from '../services/accountService.js';
+import {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  normalizeLoginEmail
+} from '../services/loginThrottleService.js';
 
-export const login = async function(req, res) {
-  console.log('Login attempt with data:', JSON.stringify(req.body));
+/**
+ * Sign in with email and password
+ *
+ * Failed attempts are throttled per account and per IP address (see
+ * services/loginThrottleService.js); throttled attempts get 429 with Retry-After.
+ */
+export const login = async (req, res, next) => {
   const { email, password } = req.body;
   
   if (!email || !password) {
-    console.log('Missing email or password');
     return res.status(400).json({ message: 'Email and password are required' });
   }
   
   try {
-    console.log('Finding user with email:', email);
+    const attempt = await beginLoginAttempt({ email: normalizeLoginEmail(email), ip: req.ip });
+
     // Explicitly select the password field which is excluded by default
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      console.log('User not found with email:', email);
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-    
-    console.log('User found, comparing password');
-    const isMatch = await user.comparePassword(password);
+    const user = await User.findOne({ email: attempt.email }).select('+password');
+    const isMatch = user ? await user.comparePassword(password) : false;
     
     if (!isMatch) {
-      console.log('Password does not match');
+      await recordLoginFailure({ ...attempt, user });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    await recordLoginSuccess(attempt);
+
+    if (user.email_verified === false) {
+      return res.status(403).json({
+        message: 'Please confirm your email address before signing in',
+        code: 'email_not_verified'
+      });
+    }
     
-    console.log('Password matched, generating token');
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
-    
-    console.log('Login successful for user:', email);
-    res.json({ token });
+    const tokens = await createSession(user, getClientInfo(req));
+    console.log('Login successful for user:', user._id.toString());
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token; the refresh token is rotated
+ *
+ * Body: { refresh_token }
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const tokens = await refreshSession(req.body?.refresh_token);
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out the current session
+ *
+ * Body: { refresh_token }. The session of a Bearer access token is signed out
+ * too, even if that token has expired, so logout works without a valid token.
+ */
+export const logout = async (req, res, next) => {
+  try {
+    let sessionId;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        sessionId = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { ignoreExpiration: true }).sid;
+      } catch (err) {
+        // A forged or malformed token identifies no session
+      }
+    }
+
+    await revokeSession({ refreshToken: req.body?.refresh_token, sessionId });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out every session of the current user ("log out all devices")
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the current user's active sessions
+export const getSessions = async (req, res, next) => {
+  try {
+    res.json(await listSessions(req.user.userId, req.user.sid));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out one of the current user's sessions
+export const deleteSession = async (req, res, next) => {
+  try {
+    await revokeUserSession(req.user.userId, req.params.id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a password reset link
+ *
+ * Body: { email }. Always answers the same way, whether or not the account exists.
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body?.email);
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with the token from a reset link; signs out every session
+ *
+ * Body: { token, password }
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    await resetUserPassword(req.body?.token, req.body?.password);
+    res.json({ message: 'Your password has been reset, please sign in' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email address with the token from a verification link
+ *
+ * Body: { token }
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await verifyUserEmail(req.body?.token);
+    res.json({ message: 'Your email address has been confirmed', email: user.email });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send the verification email again
+ *
+ * Body: { email }. Always answers the same way, whether or not the account exists.
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    await resendVerificationEmail(req.body?.email);
+    res.json({ message: 'If this email still needs to be confirmed, a new link has been sent' });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    next(error);
   }
 };
@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import { FeeHead } from '../models/FeeHead.js';
+import { FeeStructure } from '../models/FeeStructure.js';
+import { School } from '../models/School.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Fee Controllers - /api/schools/:schoolId/fee-heads and /api/schools/:schoolId/fee-structures
+ */
+
+// Fields that may be set through the API
+const FEE_HEAD_FIELDS = ['code', 'name', 'category', 'description', 'active'];
+const FEE_STRUCTURE_FIELDS = ['name', 'academic_year', 'term', 'class_name', 'items', 'active'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => fields.includes(key))
+);
+
+const FEE_HEAD_SUMMARY = 'code name category';
+
+// Resolve :schoolId, failing with 404 for unknown schools
+const findSchool = async (schoolId) => {
+  if (!mongoose.Types.ObjectId.isValid(schoolId)) {
+    throw new ValidationError('Invalid school ID');
+  }
+  const school = await School.findById(schoolId);
+  if (!school) {
+    throw new NotFoundError('School not found');
+  }
+  return school;
+};
+
+// Every fee head in a structure must be an active fee head of the same school
+const validateItems = async (schoolId, items) => {
+  if (!Array.isArray(items)) return;
+
+  const ids = items.map(item => item.fee_head_id);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ValidationError('Invalid fee_head_id in items');
+  }
+
+  const count = await FeeHead.countDocuments({ _id: { $in: ids }, school_id: schoolId, active: true });
+  if (count !== new Set(ids.map(String)).size) {
+    throw new ValidationError('Fee structure items must reference active fee heads of this school');
+  }
+};
+
+// Create a fee head
+export const createFeeHead = async (req, res, next) => {
+  try {
+    const school = await findSchool(req.params.schoolId);
+    const feeHead = await FeeHead.create({ ...pickFields(req.body, FEE_HEAD_FIELDS), school_id: school._id });
+    res.status(201).json(feeHead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a school's fee heads
+export const getFeeHeads = async (req, res, next) => {
+  try {
+    const filter = { school_id: req.params.schoolId };
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+    const feeHeads = await FeeHead.find(filter).sort({ code: 1 });
+    res.json(feeHeads);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a fee head
+export const updateFeeHead = async (req, res, next) => {
+  try {
+    const feeHead = await FeeHead.findOneAndUpdate(
+      { _id: req.params.id, school_id: req.params.schoolId },
+      pickFields(req.body, FEE_HEAD_FIELDS),
+      { new: true, runValidators: true }
+    );
+    if (!feeHead) {
+      throw new NotFoundError('Fee head not found');
+    }
+    res.json(feeHead);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a fee head; orders keep their copy of it in fee_breakdown
+export const deleteFeeHead = async (req, res, next) => {
+  try {
+    const feeHead = await FeeHead.findOneAndUpdate(
+      { _id: req.params.id, school_id: req.params.schoolId },
+      { active: false },
+      { new: true }
+    );
+    if (!feeHead) {
+      throw new NotFoundError('Fee head not found');
+    }
+    res.json({ message: 'Fee head deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a fee structure for an academic term
+export const createFeeStructure = async (req, res, next) => {
+  try {
+    const school = await findSchool(req.params.schoolId);
+    const fields = pickFields(req.body, FEE_STRUCTURE_FIELDS);
+    await validateItems(school._id, fields.items);
+
+    const feeStructure = await FeeStructure.create({ ...fields, school_id: school._id });
+    await feeStructure.populate('items.fee_head_id', FEE_HEAD_SUMMARY);
+    res.status(201).json(feeStructure);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a school's fee structures, filtered by academic_year, term and active
+export const getFeeStructures = async (req, res, next) => {
+  try {
+    const { academic_year, term, active } = req.query;
+
+    const filter = { school_id: req.params.schoolId };
+    if (academic_year) filter.academic_year = academic_year;
+    if (term) filter.term = term;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const feeStructures = await FeeStructure.find(filter)
+      .populate('items.fee_head_id', FEE_HEAD_SUMMARY)
+      .sort({ academic_year: -1, term: 1, name: 1 });
+    res.json(feeStructures);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single fee structure
+export const getFeeStructureById = async (req, res, next) => {
+  try {
+    const feeStructure = await FeeStructure.findOne({ _id: req.params.id, school_id: req.params.schoolId })
+      .populate('items.fee_head_id', FEE_HEAD_SUMMARY);
+    if (!feeStructure) {
+      throw new NotFoundError('Fee structure not found');
+    }
+    res.json(feeStructure);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a fee structure; orders already created keep their fee_breakdown
+export const updateFeeStructure = async (req, res, next) => {
+  try {
+    const fields = pickFields(req.body, FEE_STRUCTURE_FIELDS);
+    await validateItems(req.params.schoolId, fields.items);
+
+    const feeStructure = await FeeStructure.findOneAndUpdate(
+      { _id: req.params.id, school_id: req.params.schoolId },
+      fields,
+      { new: true, runValidators: true }
+    ).populate('items.fee_head_id', FEE_HEAD_SUMMARY);
+    if (!feeStructure) {
+      throw new NotFoundError('Fee structure not found');
+    }
+    res.json(feeStructure);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a fee structure so it can no longer be paid against
+export const deleteFeeStructure = async (req, res, next) => {
+  try {
+    const feeStructure = await FeeStructure.findOneAndUpdate(
+      { _id: req.params.id, school_id: req.params.schoolId },
+      { active: false },
+      { new: true }
+    );
+    if (!feeStructure) {
+      throw new NotFoundError('Fee structure not found');
+    }
+    res.json({ message: 'Fee structure deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,92 +1,316 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
 import Order from '../models/Order.js';
-import { OrderStatus } from '../models/OrderStatus.js';
-import { NotFoundError } from '../errors/index.js';
+import { OrderStatus, PAYMENT_STATUSES } from '../models/OrderStatus.js';
+import { School } from '../models/School.js';
+import { EMAIL_PATTERN } from '../models/Student.js';
+import { getGateway } from '../services/gateways/index.js';
+import { assertSchoolAccess, scopeFilter } from '../services/accessService.js';
+import { applyStatusUpdate } from '../services/paymentStatus.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors/index.js';
 
-// Create a new order
+/**
+ * Order Controllers - /api/orders
+ *
+ * Orders are scoped to the schools a user is linked to (req.schoolScope); admins
+ * see every school. Orders outside a user's schools are reported as not found.
+ * Orders created here are recorded with a local reference and no payment link;
+ * payment links are created through /api/payments/create-payment.
+ */
+
+// Fields that may be set when creating an order
+const CREATE_FIELDS = ['school_id', 'student_info', 'amount', 'currency', 'academic_year', 'term', 'reminders_opt_out'];
+// Fields that may be changed later; amount and currency only while the order is unpaid
+const UPDATE_FIELDS = ['student_info', 'amount', 'currency', 'academic_year', 'term', 'reminders_opt_out'];
+const AMOUNT_FIELDS = ['amount', 'currency'];
+
+const SORT_FIELDS = { created_at: 'createdAt', amount: 'amount', status: 'status' };
+
+const pickFields = (body, fields) => Object.fromEntries(
+  Object.entries(body || {}).filter(([key]) => fields.includes(key))
+);
+
+/**
+ * Check an order payload; fields that are present must be valid.
+ *
+ * @param {Object} payload - Picked order fields
+ * @param {Object} [options]
+ * @param {boolean} [options.creating] - Require the fields a new order needs
+ */
+const validateOrderPayload = (payload, { creating = false } = {}) => {
+  const errors = [];
+
+  if (creating && (!payload.school_id || !mongoose.Types.ObjectId.isValid(payload.school_id))) {
+    errors.push('A valid school_id is required');
+  }
+
+  if (payload.student_info !== undefined || creating) {
+    const info = payload.student_info;
+    if (!info || typeof info !== 'object' || Array.isArray(info)) {
+      errors.push('student_info is required');
+    } else {
+      if (!info.name || typeof info.name !== 'string' || !info.name.trim()) {
+        errors.push('student_info.name is required');
+      }
+      if (info.email && !EMAIL_PATTERN.test(info.email)) {
+        errors.push('student_info.email is invalid');
+      }
+    }
+  }
+
+  if (payload.amount !== undefined || creating) {
+    const amount = Number(payload.amount);
+    if (payload.amount === null || payload.amount === '' || !Number.isFinite(amount) || amount <= 0) {
+      errors.push('amount must be a positive number');
+    }
+  }
+
+  if (payload.currency !== undefined && !/^[A-Z]{3}$/.test(payload.currency)) {
+    errors.push('currency must be a 3-letter ISO code such as INR');
+  }
+
+  if (payload.reminders_opt_out !== undefined && typeof payload.reminders_opt_out !== 'boolean') {
+    errors.push('reminders_opt_out must be true or false');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '));
+  }
+};
+
+const findScopedOrder = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, ...scopeFilter(req.schoolScope) });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+const withPayment = (order, orderStatus) => ({
+  ...order.toObject(),
+  payment: orderStatus && {
+    collect_id: orderStatus.collect_id,
+    status: orderStatus.status,
+    order_amount: orderStatus.order_amount,
+    transaction_amount: orderStatus.transaction_amount,
+    payment_url: orderStatus.payment_url,
+    payment_time: orderStatus.payment_time
+  }
+});
+
+/**
+ * Create an order for one of the user's schools
+ *
+ * Body: { school_id, student_info: { name, id, email }, amount, currency, academic_year, term }
+ */
 export const createOrder = async (req, res, next) => {
   try {
+    const payload = pickFields(req.body, CREATE_FIELDS);
+    validateOrderPayload(payload, { creating: true });
+
+    assertSchoolAccess(req.schoolScope, payload.school_id);
+    const school = await School.findById(payload.school_id);
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+    if (!school.active) {
+      throw new ValidationError('School is not active');
+    }
+
+    const userId = req.user.userId;
     const order = new Order({
-      ...req.body,
-      created_by: req.user.id
+      ...payload,
+      amount: Number(payload.amount),
+      currency: payload.currency || school.currency,
+      trustee_id: userId,
+      gateway_name: getGateway(school.gateway_name).name,
+      status: 'pending'
     });
-    
-    const savedOrder = await order.save();
-    
-    // Create initial order status
+
+    // Local reference until a payment link is issued for the order
     const orderStatus = new OrderStatus({
-      order_id: savedOrder._id,
+      collect_id: `ref-${uuidv4()}`,
+      order_id: order._id,
+      order_amount: order.amount,
       status: 'pending',
       updated_at: new Date()
     });
-    await orderStatus.save();
-    
-    res.status(201).json(savedOrder);
+
+    // An order is never left without its payment record
+    await runInTransaction(async (session) => {
+      await order.save({ session });
+      await orderStatus.save({ session });
+    });
+
+    res.status(201).json(withPayment(order, orderStatus));
   } catch (error) {
     next(error);
   }
 };
 
-// Get all orders
+/**
+ * Get orders with filtering and pagination
+ *
+ * Query parameters match /api/transactions: status, school_ids, start_date,
+ * end_date (order creation), page, page_size, sort_by (created_at, amount or
+ * status) and sort_direction
+ */
 export const getAllOrders = async (req, res, next) => {
   try {
-    const orders = await Order.find()
-      .populate('created_by', 'name email')
-      .sort({ created_at: -1 });
-    
-    res.json(orders);
+    const {
+      status,
+      school_ids,
+      start_date,
+      end_date,
+      page = 1,
+      page_size = 10,
+      sort_by = 'created_at',
+      sort_direction = 'desc'
+    } = req.query;
+
+    const filter = scopeFilter(req.schoolScope);
+
+    if (status) {
+      const statuses = (Array.isArray(status) ? status : status.split(',')).map(s => s.toLowerCase());
+      const unknown = statuses.filter(s => !PAYMENT_STATUSES.includes(s));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown status: ${unknown.join(', ')}`);
+      }
+      filter.status = { $in: statuses };
+    }
+
+    if (school_ids) {
+      const requested = Array.isArray(school_ids) ? school_ids : school_ids.split(',');
+      if (requested.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ValidationError('school_ids must be valid school IDs');
+      }
+      // Requested schools outside the user's scope simply match nothing
+      const scoped = filter.school_id?.$in;
+      filter.school_id = {
+        $in: scoped ? scoped.filter(id => requested.includes(id.toString())) : requested
+      };
+    }
+
+    if (start_date || end_date) {
+      filter.createdAt = {};
+      if (start_date) filter.createdAt.$gte = new Date(start_date);
+      if (end_date) filter.createdAt.$lte = new Date(end_date);
+    }
+
+    const sortField = SORT_FIELDS[sort_by];
+    if (!sortField) {
+      throw new ValidationError(`sort_by must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    const sortValue = sort_direction.toLowerCase() === 'asc' ? 1 : -1;
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ [sortField]: sortValue, _id: sortValue })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
   } catch (error) {
     next(error);
   }
 };
 
-// Get single order by ID
+// Get single order by ID, with its payment
 export const getOrderById = async (req, res, next) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('created_by', 'name email');
-    
-    if (!order) {
-      throw new NotFoundError('Order not found');
-    }
-    
-    res.json(order);
+    const order = await findScopedOrder(req);
+    const orderStatus = await OrderStatus.findOne({ order_id: order._id });
+    res.json(withPayment(order, orderStatus));
   } catch (error) {
     next(error);
   }
 };
 
-// Update an order
+/**
+ * Update an order
+ *
+ * The school cannot be changed. The amount and currency can only be changed while
+ * the order is pending and before a payment link was issued for it.
+ */
 export const updateOrder = async (req, res, next) => {
   try {
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    
-    if (!order) {
-      throw new NotFoundError('Order not found');
+    const payload = pickFields(req.body, UPDATE_FIELDS);
+    validateOrderPayload(payload);
+
+    const order = await findScopedOrder(req);
+    const orderStatus = await OrderStatus.findOne({ order_id: order._id });
+
+    // Normalize before comparing, so an unchanged amount sent as "2000" is not a change
+    if (payload.amount !== undefined) payload.amount = Number(payload.amount);
+    const changesAmount = AMOUNT_FIELDS.some(field => payload[field] !== undefined && payload[field] !== order[field]);
+    if (changesAmount && (order.status !== 'pending' || orderStatus?.payment_url)) {
+      throw new ConflictError(order.status === 'pending'
+        ? 'The amount cannot be changed once a payment link was issued'
+        : `The amount of a ${order.status} order cannot be changed`);
+    }
+
+    order.set(payload);
+    if (changesAmount && orderStatus) {
+      orderStatus.order_amount = order.amount;
+      orderStatus.updated_at = new Date();
     }
-    
-    res.json(order);
+    await runInTransaction(async (session) => {
+      await order.save({ session });
+      if (changesAmount && orderStatus) {
+        await orderStatus.save({ session });
+      }
+    });
+
+    res.json(withPayment(order, orderStatus));
   } catch (error) {
     next(error);
   }
 };
 
-// Delete an order
-export const deleteOrder = async (req, res, next) => {
+// Cancel a pending order; orders are never deleted
+export const cancelOrder = async (req, res, next) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
-    
-    if (!order) {
-      throw new NotFoundError('Order not found');
+    const order = await findScopedOrder(req);
+    let orderStatus = await OrderStatus.findOne({ order_id: order._id });
+    if (!orderStatus) {
+      throw new NotFoundError('Order has no payment record');
+    }
+    if (orderStatus.status !== 'pending') {
+      throw new ConflictError(`A ${orderStatus.status} order cannot be cancelled`);
     }
-    
-    // Also delete the associated order status
-    await OrderStatus.deleteOne({ order_id: req.params.id });
-    
-    res.json({ message: 'Order deleted successfully' });
+    // The gateway would still take a payment through an issued link
+    if (orderStatus.payment_url) {
+      throw new ConflictError('An order cannot be cancelled once a payment link was issued');
+    }
+
+    orderStatus = await applyStatusUpdate(
+      orderStatus,
+      { status: 'cancelled', error_message: 'Order cancelled' },
+      { source: 'manual', userId: req.user.userId }
+    );
+    if (orderStatus.status !== 'cancelled') {
+      throw new ConflictError(`A ${orderStatus.status} order cannot be cancelled`);
+    }
+
+    const updated = await Order.findById(order._id);
+    res.json(withPayment(updated, orderStatus));
   } catch (error) {
     next(error);
   }
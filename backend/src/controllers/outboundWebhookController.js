@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { School } from '../models/School.js';
+import { generateSecret, redeliver } from '../services/outboundWebhooks.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+// Fields that may be changed after a subscription is created
+const SUBSCRIPTION_FIELDS = ['url', 'events', 'description', 'active'];
+
+const pickSubscriptionFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => SUBSCRIPTION_FIELDS.includes(key))
+);
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${label} ID`);
+  }
+};
+
+// Register an endpoint for a school; the signing secret is only returned here
+export const createSubscription = async (req, res, next) => {
+  try {
+    const { school_id } = req.body;
+    if (!school_id || !mongoose.Types.ObjectId.isValid(school_id)) {
+      throw new ValidationError('A valid school_id is required');
+    }
+    if (!(await School.exists({ _id: school_id }))) {
+      throw new NotFoundError('School not found');
+    }
+
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+      ...pickSubscriptionFields(req.body),
+      school_id,
+      secret,
+      created_by: req.user.userId
+    });
+
+    res.status(201).json({ ...subscription.toObject(), secret });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List subscriptions, optionally for one school
+export const getSubscriptions = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.school_id) {
+      assertObjectId(req.query.school_id, 'school');
+      filter.school_id = req.query.school_id;
+    }
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+    res.json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single subscription
+export const getSubscriptionById = async (req, res, next) => {
+  try {
+    assertObjectId(req.params.id, 'subscription');
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription not found');
+    }
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a subscription's URL, events, description or active flag
+export const updateSubscription = async (req, res, next) => {
+  try {
+    assertObjectId(req.params.id, 'subscription');
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      pickSubscriptionFields(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription not found');
+    }
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a subscription; its delivery log is kept
+export const deleteSubscription = async (req, res, next) => {
+  try {
+    assertObjectId(req.params.id, 'subscription');
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription not found');
+    }
+    res.json({ message: 'Webhook subscription deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get outbound deliveries with pagination and filtering
+ *
+ * Query parameters: subscription_id, school_id, event, status, page, page_size
+ */
+export const getDeliveries = async (req, res, next) => {
+  try {
+    const { subscription_id, school_id, event, status, page = 1, page_size = 10 } = req.query;
+
+    const filter = {};
+    if (subscription_id) {
+      assertObjectId(subscription_id, 'subscription');
+      filter.subscription_id = subscription_id;
+    }
+    if (school_id) {
+      assertObjectId(school_id, 'school');
+      filter.school_id = school_id;
+    }
+    if (event) filter.event = event;
+    if (status) filter.status = { $in: Array.isArray(status) ? status : status.split(',') };
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-attempt_log')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single delivery with its attempt log
+export const getDeliveryById = async (req, res, next) => {
+  try {
+    assertObjectId(req.params.id, 'delivery');
+    const delivery = await WebhookDelivery.findById(req.params.id);
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a delivery's event again as a new delivery
+export const redeliverDelivery = async (req, res, next) => {
+  try {
+    assertObjectId(req.params.id, 'delivery');
+    const original = await WebhookDelivery.findById(req.params.id);
+    if (!original) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+
+    const delivery = await redeliver(original, { userId: req.user.userId });
+    res.status(201).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { PaymentBatch } from '../../models/PaymentBatch.js';
+import { resolveSchool } from '../../services/schoolService.js';
+import { assertSchoolAccess, scopeFilter } from '../../services/accessService.js';
+import { createPaymentBatch, buildBatchLinksCsv } from '../../services/bulkPaymentService.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+/**
+ * Bulk Payment Controllers - /api/payments/bulk
+ *
+ * A CSV upload becomes a PaymentBatch whose payment links are created in the
+ * background by services/bulkPaymentService.js.
+ */
+
+// Find a batch of one of the user's schools
+const findBatch = async (id, scope) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid batch ID');
+  }
+  const batch = await PaymentBatch.findOne({ _id: id, ...scopeFilter(scope) });
+  if (!batch) {
+    throw new NotFoundError('Payment batch not found');
+  }
+  return batch;
+};
+
+/**
+ * Upload a CSV of payments
+ *
+ * The CSV is sent as the text/csv body with school_id (and optionally file_name)
+ * as query parameters, or as JSON: { school_id, file_name, csv }.
+ */
+export const createBulkPayments = async (req, res, next) => {
+  try {
+    const body = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+    const schoolId = req.query.school_id || body.school_id;
+    const fileName = req.query.file_name || body.file_name;
+
+    const school = await resolveSchool(schoolId);
+    assertSchoolAccess(req.schoolScope, school._id);
+    if (!school.active) {
+      throw new ValidationError('School is not active');
+    }
+
+    const batch = await createPaymentBatch(school, { csv: body.csv, fileName }, { userId: req.user?.userId });
+    res.status(202).json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get payment batches with pagination; rows are left out
+ *
+ * Query parameters: school_id, status, page, page_size
+ */
+export const getPaymentBatches = async (req, res, next) => {
+  try {
+    const { school_id, status, page = 1, page_size = 10 } = req.query;
+
+    const filter = scopeFilter(req.schoolScope);
+    if (school_id) {
+      assertSchoolAccess(req.schoolScope, school_id);
+      filter.school_id = school_id;
+    }
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+
+    const [batches, total] = await Promise.all([
+      PaymentBatch.find(filter)
+        .select('-rows')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      PaymentBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      batches,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a batch with the outcome of every row
+export const getPaymentBatchById = async (req, res, next) => {
+  try {
+    const batch = await findBatch(req.params.id, req.schoolScope);
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download a batch's rows with their payment URLs as CSV
+export const downloadPaymentBatchLinks = async (req, res, next) => {
+  try {
+    const batch = await findBatch(req.params.id, req.schoolScope);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="payment-links-${batch._id}.csv"`
+    });
+    res.send(buildBatchLinksCsv(batch));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,26 +1,22 @@
-import jwt from 'jsonwebtoken';
-import axios from 'axios';
-
-const EDVIRON_API_BASE = process.env.EDVIRON_API_BASE || 'https://dev-vanilla.edviron.com/erp';
-const PG_KEY = process.env.PG_KEY;
-const PG_API_KEY = process.env.PG_API_KEY;
+import { getGateway } from '../../services/gateways/index.js';
+import { resolveSchool, getGatewayCredentials } from '../../services/schoolService.js';
+import { assertSchoolAccess } from '../../services/accessService.js';
 
 export const checkPaymentStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { school_id } = req.query;
-    // sign payload
-    const sign = jwt.sign(
-      { school_id, collect_request_id: id },
-      PG_KEY
-    );
-    const url = `${EDVIRON_API_BASE}/collect-request/${id}?school_id=${school_id}&sign=${sign}`;
-    const response = await axios.get(url, {
-      headers: { Authorization: `Bearer ${PG_API_KEY}` }
-    });
-    res.json(response.data);
+    // Sign the status request with the credentials of the requested school
+    const school = await resolveSchool(school_id);
+    assertSchoolAccess(req.schoolScope, school._id);
+    const gateway = getGateway(school.gateway_name);
+    const data = await gateway.fetchStatus(id, getGatewayCredentials(school));
+    res.json(data);
   } catch (error) {
     console.error('Error checking payment status:', error.message);
+    if (error.statusCode && error.name !== 'GatewayError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to check payment status' });
   }
 };
@@ -0,0 +1,48 @@
+import { OrderStatus } from '../../models/OrderStatus.js';
+import { Notification } from '../../models/Notification.js';
+import { sendPaymentLink } from '../../services/notificationService.js';
+import { NotFoundError } from '../../errors/index.js';
+
+/**
+ * Payment Link Controllers - /api/payments/:collect_id/payment-link and /notifications
+ *
+ * Links are sent through the notification outbox (services/notificationService.js).
+ */
+
+/**
+ * Send or resend a pending payment's link
+ *
+ * Body: { channels: ['email', 'sms'], email, phone } - all optional; by default the
+ * link goes to the email and phone number captured when the payment was created.
+ */
+export const sendPaymentLinkNotification = async (req, res, next) => {
+  try {
+    const { channels, email, phone } = req.body || {};
+    const notifications = await sendPaymentLink(req.params.collect_id, {
+      channels: typeof channels === 'string' ? channels.split(',') : channels,
+      email,
+      phone,
+      userId: req.user?.userId
+    });
+    res.status(201).json({ notifications });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the emails and SMS sent about a payment
+export const listPaymentNotifications = async (req, res, next) => {
+  try {
+    const orderStatus = await OrderStatus.findOne({ collect_id: req.params.collect_id }).select('order_id');
+    if (!orderStatus) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    const notifications = await Notification.find({ order_id: orderStatus.order_id })
+      .select('-html')
+      .sort({ createdAt: -1 });
+    res.json({ collect_id: req.params.collect_id, notifications });
+  } catch (error) {
+    next(error);
+  }
+};
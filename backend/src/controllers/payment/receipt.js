@@ -0,0 +1,22 @@
+import { getReceipt, renderReceiptPdf } from '../../services/receiptService.js';
+
+/**
+ * Receipt Controller - GET /api/payments/:collect_id/receipt.pdf
+ *
+ * Streams the numbered PDF receipt of a successful payment.
+ */
+export const downloadReceipt = async (req, res, next) => {
+  try {
+    const receipt = await getReceipt(req.params.collect_id);
+    const pdf = await renderReceiptPdf(receipt);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${receipt.receipt_number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
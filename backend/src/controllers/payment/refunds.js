@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { Refund } from '../../models/Refund.js';
+import { OrderStatus } from '../../models/OrderStatus.js';
+import { issueRefund, refreshRefund, resolveRefund, getRefundSummary } from '../../services/refundService.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+/**
+ * Refund Controllers - /api/payments/:collect_id/refunds
+ *
+ * Refunds are issued through the payment's gateway by services/refundService.js.
+ */
+
+// Issue a full (no amount) or partial refund for a successful payment
+export const createRefund = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    const refund = await issueRefund(req.params.collect_id, { amount, reason }, { userId: req.user.userId });
+    res.status(201).json(refund);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the refunds of a payment together with the refunded and refundable totals
+export const listRefunds = async (req, res, next) => {
+  try {
+    const orderStatus = await OrderStatus.findOne({ collect_id: req.params.collect_id });
+    if (!orderStatus) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    const [refunds, summary] = await Promise.all([
+      Refund.find({ order_status_id: orderStatus._id }).sort({ createdAt: -1 }),
+      getRefundSummary(orderStatus)
+    ]);
+
+    res.json({
+      collect_id: orderStatus.collect_id,
+      status: orderStatus.status,
+      ...summary,
+      refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findRefund = async ({ collect_id, refund_id }) => {
+  if (!mongoose.Types.ObjectId.isValid(refund_id)) {
+    throw new ValidationError('Invalid refund ID');
+  }
+
+  const refund = await Refund.findOne({ _id: refund_id, collect_id });
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+  return refund;
+};
+
+// Get a single refund, polling the gateway first if it is still pending
+export const getRefund = async (req, res, next) => {
+  try {
+    const refund = await findRefund(req.params);
+
+    try {
+      await refreshRefund(refund);
+    } catch (refreshError) {
+      // Return what we have; the reconciliation job will poll again
+      console.error('Failed to refresh refund status:', refreshError.message);
+    }
+
+    res.json(refund);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve a refund the gateway never confirmed, after checking the gateway dashboard
+export const resolveRefundReview = async (req, res, next) => {
+  try {
+    const refund = await findRefund(req.params);
+    const { gateway_refund_id, status } = req.body;
+    await resolveRefund(refund, { gatewayRefundId: gateway_refund_id, status }, { userId: req.user.userId });
+    res.json(refund);
+  } catch (error) {
+    next(error);
+  }
+};
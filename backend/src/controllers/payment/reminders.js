@@ -0,0 +1,29 @@
+import { getReminderHistory, setReminderOptOut } from '../../services/reminderService.js';
+
+/**
+ * Payment Reminder Controllers - /api/payments/:collect_id/reminders
+ *
+ * Reminders are sent by the reminder scheduler (jobs/sendPaymentReminders.js).
+ */
+
+// Reminder state of a payment and the reminders sent so far
+export const getPaymentReminders = async (req, res, next) => {
+  try {
+    res.json(await getReminderHistory(req.params.collect_id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop or resume automatic reminders for a payment
+ *
+ * Body: { opt_out: true|false }
+ */
+export const updatePaymentReminders = async (req, res, next) => {
+  try {
+    res.json(await setReminderOptOut(req.params.collect_id, req.body?.opt_out));
+  } catch (error) {
+    next(error);
+  }
+};
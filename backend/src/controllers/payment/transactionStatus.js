@@ -1,11 +1,8 @@
-import jwt from 'jsonwebtoken';
-import axios from 'axios';
+import mongoose from 'mongoose';
 import { OrderStatus } from '../../models/OrderStatus.js';
-import Order from '../../models/Order.js';
-
-const EDVIRON_API_BASE = process.env.EDVIRON_API_BASE || 'https://dev-vanilla.edviron.com/erp';
-const PG_KEY = process.env.PG_KEY;
-const PG_API_KEY = process.env.PG_API_KEY;
+import { getGateway } from '../../services/gateways/index.js';
+import { resolveOrderContext, getGatewayCredentials } from '../../services/schoolService.js';
+import { applyStatusUpdate } from '../../services/paymentStatus.js';
 
 export const transactionStatus = async (req, res) => {
   try {
@@ -15,6 +12,9 @@ export const transactionStatus = async (req, res) => {
     let orderStatus = await OrderStatus.findOne({ collect_id: custom_order_id }).lean();
     if (!orderStatus) {
       // Maybe the user passed the Order _id instead of collect_id
+      if (!mongoose.Types.ObjectId.isValid(custom_order_id)) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
       orderStatus = await OrderStatus.findOne({ order_id: custom_order_id }).lean();
     }
 
@@ -25,71 +25,57 @@ export const transactionStatus = async (req, res) => {
       }
     }
 
-    // 2. If DB record is missing or still pending, call Edviron API to fetch latest status
-    const payload = {
-      school_id: process.env.SCHOOL_ID,
-      collect_request_id: custom_order_id
-    };
-    const sign = jwt.sign(payload, PG_KEY, { algorithm: 'HS256' });
-    const url = `${EDVIRON_API_BASE}/collect-request/${custom_order_id}?school_id=${process.env.SCHOOL_ID}&sign=${sign}`;
+    // 2. If DB record is missing or still pending, ask the order's gateway for the latest status
+    //    using the credentials of the school the order belongs to
+    const { order, school } = await resolveOrderContext({
+      orderId: orderStatus?.order_id?.toString() || custom_order_id,
+      collectId: custom_order_id
+    });
+
+    if (!school) {
+      if (orderStatus) {
+        return res.json(formatOrderStatus(orderStatus));
+      }
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const gateway = getGateway(order.gateway_name);
 
     let apiData;
     try {
-      const apiResp = await axios.get(url, {
-        headers: { Authorization: `Bearer ${PG_API_KEY}` }
-      });
-      apiData = apiResp.data;
+      apiData = await gateway.fetchStatus(orderStatus?.collect_id || custom_order_id, getGatewayCredentials(school));
     } catch (apiErr) {
-      console.error('Edviron API error while checking transaction status:', apiErr.response?.data || apiErr.message);
+      console.error('Gateway error while checking transaction status:', apiErr.details || apiErr.message);
       // If we still have something from the DB, return that instead of failing completely
       if (orderStatus) {
         return res.json(formatOrderStatus(orderStatus));
       }
-      return res.status(500).json({ error: 'Failed to check transaction status', details: apiErr.response?.data || apiErr.message });
+      return res.status(500).json({ error: 'Failed to check transaction status', details: apiErr.details || apiErr.message });
     }
 
-    // 3. Update / insert into DB for future look-ups
-    const {
-      collect_request_id: collectId,
-      order_amount,
-      transaction_amount,
-      status,
-      payment_mode,
-      bank_reference,
-      payment_message,
-      payment_time,
-      error_message
-    } = apiData || {};
-
-    let dbRecord = await OrderStatus.findOne({ collect_id: collectId });
-    if (!dbRecord && orderStatus) {
-      // Use previously fetched orderStatus document for update
-      dbRecord = await OrderStatus.findById(orderStatus._id);
+    // 3. Update the DB for future look-ups
+    const result = gateway.parseStatusResponse(apiData);
+    if (!result) {
+      if (orderStatus) {
+        return res.json(formatOrderStatus(orderStatus));
+      }
+      return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (dbRecord) {
-      dbRecord.status = status?.toLowerCase() || dbRecord.status;
-      if (transaction_amount !== undefined) dbRecord.transaction_amount = transaction_amount;
-      if (payment_mode) dbRecord.payment_mode = payment_mode;
-      if (bank_reference) dbRecord.bank_reference = bank_reference;
-      if (payment_message) dbRecord.payment_message = payment_message;
-      if (payment_time) dbRecord.payment_time = new Date(payment_time);
-      if (error_message) dbRecord.error_message = error_message;
-      await dbRecord.save();
+    if (orderStatus) {
+      // Updates the parent Order as well
+      const dbRecord = await applyStatusUpdate(await OrderStatus.findById(orderStatus._id), {
+        status: gateway.normalizeStatus(result.status),
+        ...result.fields
+      }, { source: 'poll', payload: apiData });
       return res.json(formatOrderStatus(dbRecord.toObject()));
     }
 
-    // If for some reason we still don't have a record, just return the API data as-is
+    // The order has no payment record yet, so just return what the gateway reported
     return res.json({
-      collect_id: collectId,
-      status: status?.toLowerCase() || 'unknown',
-      order_amount,
-      transaction_amount,
-      payment_mode,
-      bank_reference,
-      payment_message,
-      payment_time,
-      error_message
+      collect_id: custom_order_id,
+      status: gateway.normalizeStatus(result.status),
+      ...result.fields
     });
   } catch (error) {
     console.error('Error checking transaction status (controller):', error);
@@ -109,6 +95,9 @@ function formatOrderStatus(os) {
     bank_reference: os.bank_reference,
     payment_message: os.payment_message,
     payment_time: os.payment_time,
-    error_message: os.error_message
+    error_message: os.error_message,
+    receipt_number: os.receipt_number,
+    reminder_count: os.reminder_count,
+    last_reminder_at: os.last_reminder_at
   };
 }
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { ReconciliationRun } from '../models/ReconciliationRun.js';
+import { runReconciliation } from '../jobs/reconcilePendingPayments.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Get reconciliation run history with pagination
+ *
+ * Query parameters: status, trigger, page, page_size
+ */
+export const getReconciliationRuns = async (req, res, next) => {
+  try {
+    const { status, trigger, page = 1, page_size = 10 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (trigger) filter.trigger = trigger;
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+
+    const [runs, total] = await Promise.all([
+      ReconciliationRun.find(filter)
+        .select('-failures')
+        .sort({ started_at: -1 })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      ReconciliationRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      runs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single reconciliation run including its per-transaction failures
+export const getReconciliationRunById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid reconciliation run ID');
+    }
+
+    const run = await ReconciliationRun.findById(req.params.id);
+    if (!run) {
+      throw new NotFoundError('Reconciliation run not found');
+    }
+
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run the reconciliation job now and return the finished run
+export const triggerReconciliation = async (req, res, next) => {
+  try {
+    const run = await runReconciliation({ trigger: 'manual', userId: req.user.userId });
+    res.status(201).json(run);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,89 @@
+import { School } from '../models/School.js';
+import { NotFoundError } from '../errors/index.js';
+import { scopeFilter } from '../services/accessService.js';
+
+// Fields that may be set through the API
+const SCHOOL_FIELDS = ['name', 'edviron_school_id', 'gateway_name', 'pg_key', 'pg_api_key', 'currency', 'callback', 'active'];
+
+const pickSchoolFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => SCHOOL_FIELDS.includes(key))
+);
+
+// Credentials are write-only; report whether they are configured instead
+const toSchoolResponse = (school) => {
+  const { pg_key, pg_api_key, ...rest } = school.toObject();
+  return {
+    ...rest,
+    has_gateway_credentials: Boolean(pg_key && pg_api_key)
+  };
+};
+
+// Create a new school
+export const createSchool = async (req, res, next) => {
+  try {
+    const school = await School.create(pickSchoolFields(req.body));
+    res.status(201).json(toSchoolResponse(school));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the schools the user may see
+export const getSchools = async (req, res, next) => {
+  try {
+    const filter = scopeFilter(req.schoolScope, '_id');
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+    const schools = await School.find(filter)
+      .select('+pg_key +pg_api_key')
+      .sort({ name: 1 });
+    res.json(schools.map(toSchoolResponse));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get single school by ID
+export const getSchoolById = async (req, res, next) => {
+  try {
+    const school = await School.findById(req.params.id).select('+pg_key +pg_api_key');
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+    res.json(toSchoolResponse(school));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a school
+export const updateSchool = async (req, res, next) => {
+  try {
+    const school = await School.findByIdAndUpdate(
+      req.params.id,
+      pickSchoolFields(req.body),
+      { new: true, runValidators: true }
+    ).select('+pg_key +pg_api_key');
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+    res.json(toSchoolResponse(school));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a school; orders keep referencing it
+export const deleteSchool = async (req, res, next) => {
+  try {
+    const school = await School.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+    res.json({ message: 'School deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
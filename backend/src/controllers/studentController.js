@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import { Student } from '../models/Student.js';
+import { StudentDue } from '../models/StudentDue.js';
+import { School } from '../models/School.js';
+import { assignDue, buildStudentLedger } from '../services/studentService.js';
+import { setInstallmentPlan } from '../services/dueService.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { assertSchoolAccess, scopeFilter } from '../services/accessService.js';
+
+// Fields that may be set through the API
+const STUDENT_FIELDS = ['admission_number', 'name', 'email', 'class_name', 'section', 'guardians', 'tags', 'reminders_opt_out', 'active'];
+
+const pickStudentFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => STUDENT_FIELDS.includes(key))
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find a student of one of the user's schools by :id, failing with 400/404
+const findStudent = async (id, scope) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid student ID');
+  }
+  const student = await Student.findOne({ _id: id, ...scopeFilter(scope) });
+  if (!student) {
+    throw new NotFoundError('Student not found');
+  }
+  return student;
+};
+
+// Register a student with a school
+export const createStudent = async (req, res, next) => {
+  try {
+    const { school_id } = req.body;
+    if (!school_id || !mongoose.Types.ObjectId.isValid(school_id)) {
+      throw new ValidationError('A valid school_id is required');
+    }
+    assertSchoolAccess(req.schoolScope, school_id);
+    if (!(await School.exists({ _id: school_id }))) {
+      throw new NotFoundError('School not found');
+    }
+
+    const student = await Student.create({ ...pickStudentFields(req.body), school_id });
+    res.status(201).json(student);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get students with pagination and filtering
+ *
+ * Query parameters: school_id, class_name, section, tag, active, q (name or
+ * admission number), page, page_size
+ */
+export const getStudents = async (req, res, next) => {
+  try {
+    const { school_id, class_name, section, tag, active, q, page = 1, page_size = 20 } = req.query;
+
+    const filter = scopeFilter(req.schoolScope);
+    if (school_id) {
+      assertSchoolAccess(req.schoolScope, school_id);
+      filter.school_id = school_id;
+    }
+    if (class_name) filter.class_name = class_name;
+    if (section) filter.section = section;
+    if (tag) filter.tags = tag.toLowerCase();
+    if (active !== undefined) filter.active = active === 'true';
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { admission_number: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+
+    const [students, total] = await Promise.all([
+      Student.find(filter)
+        .sort({ class_name: 1, section: 1, name: 1 })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      Student.countDocuments(filter)
+    ]);
+
+    res.json({
+      students,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get single student by ID
+export const getStudentById = async (req, res, next) => {
+  try {
+    res.json(await findStudent(req.params.id, req.schoolScope));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a student
+export const updateStudent = async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id, req.schoolScope);
+    student.set(pickStudentFields(req.body));
+    await student.save();
+    res.json(student);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a student; their ledger is kept
+export const deleteStudent = async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id, req.schoolScope);
+    student.active = false;
+    await student.save();
+    res.json({ message: 'Student deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Assign a due from a fee structure or a one-off charge
+export const createStudentDue = async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id, req.schoolScope);
+    const due = await assignDue(student, req.body, { userId: req.user.userId });
+    res.status(201).json(due);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a student's dues
+export const getStudentDues = async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id, req.schoolScope);
+    const dues = await StudentDue.find({ student_id: student._id }).sort({ due_date: 1, createdAt: 1 });
+    res.json(dues);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a due; it stays in the history but is no longer owed
+export const cancelStudentDue = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.dueId)) {
+      throw new ValidationError('Invalid due ID');
+    }
+    await findStudent(req.params.id, req.schoolScope);
+    const due = await StudentDue.findOneAndUpdate(
+      { _id: req.params.dueId, student_id: req.params.id },
+      { cancelled: true },
+      { new: true }
+    );
+    if (!due) {
+      throw new NotFoundError('Due not found');
+    }
+    res.json({ message: 'Due cancelled successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or replace a due's installment plan
+ *
+ * Body: { installments: [{ amount, due_date }] } or
+ * { count, first_due_date, interval_months } to split the due evenly.
+ * An empty installments array removes the plan.
+ */
+export const setStudentDueInstallments = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.dueId)) {
+      throw new ValidationError('Invalid due ID');
+    }
+    await findStudent(req.params.id, req.schoolScope);
+    const due = await StudentDue.findOne({ _id: req.params.dueId, student_id: req.params.id });
+    if (!due) {
+      throw new NotFoundError('Due not found');
+    }
+    res.json(await setInstallmentPlan(due, req.body));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a student's ledger of dues, payments and refunds with the running balance
+export const getStudentLedger = async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id, req.schoolScope);
+    const ledger = await buildStudentLedger(student);
+    res.json({ student, ...ledger });
+  } catch (error) {
+    next(error);
+  }
+};
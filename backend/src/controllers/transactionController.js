@@ -1,5 +1,8 @@
+import mongoose from 'mongoose';
 import Order from '../models/Order.js';
 import { OrderStatus } from '../models/OrderStatus.js';
+import { StatusHistory } from '../models/StatusHistory.js';
+import { canAccessSchool } from '../services/accessService.js';
 
 /**
  * Get all transactions with pagination, filtering, and sorting
@@ -10,6 +13,7 @@ export const getAllTransactions = async (req, res) => {
     const {
       status,
       school_ids,
+      fee_head,
       start_date,
       end_date,
       page = 1,
@@ -28,11 +32,20 @@ export const getAllTransactions = async (req, res) => {
       match['orderStatus.status'] = { $in: statusValues };
     }
     
-    // Filter by school_ids if provided
-    if (school_ids && Array.isArray(school_ids) && school_ids.length > 0) {
-      match['school_id'] = { $in: school_ids };
+    // Filter by school_ids if provided, limited to the schools the user may see
+    const requestedSchools = school_ids && Array.isArray(school_ids) && school_ids.length > 0
+      ? school_ids.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(id))
+      : null;
+    if (requestedSchools || req.schoolScope) {
+      const schools = requestedSchools || req.schoolScope;
+      match['school_id'] = { $in: schools.filter(id => canAccessSchool(req.schoolScope, id)) };
     }
     
+    // Filter by fee head code if provided
+    if (fee_head) {
+      match['fee_breakdown.code'] = fee_head.toUpperCase();
+    }
+
     // Date range filtering
     if (start_date || end_date) {
       match['orderStatus.payment_time'] = {};
@@ -65,11 +78,23 @@ export const getAllTransactions = async (req, res) => {
       { $unwind: { path: '$orderStatus', preserveNullAndEmptyArrays: true } },
       // Stage 3: Match documents based on filters
       { $match: match },
-      // Stage 4: Project only the required fields
+      // Stage 4: Lookup the refunds issued against the payment
+      {
+        $lookup: {
+          from: 'refunds',
+          localField: 'orderStatus._id',
+          foreignField: 'order_status_id',
+          as: 'refunds'
+        }
+      },
+      // Stage 5: Project only the required fields
       {
         $project: {
           _id: 0,
           collect_id: { $ifNull: ['$orderStatus.collect_id', ''] },
+          receipt_number: '$orderStatus.receipt_number',
+          reminder_count: { $ifNull: ['$orderStatus.reminder_count', 0] },
+          last_reminder_at: '$orderStatus.last_reminder_at',
           school_id: '$school_id',
           gateway: '$gateway_name',
           order_amount: { $ifNull: ['$orderStatus.order_amount', '$amount'] },
@@ -84,22 +109,50 @@ export const getAllTransactions = async (req, res) => {
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'success'] }, then: 'Success' },
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'pending'] }, then: 'Pending' },
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'failed'] }, then: 'Failed' },
-                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'cancelled'] }, then: 'Cancelled' }
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'cancelled'] }, then: 'Cancelled' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'expired'] }, then: 'Expired' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'partially_refunded'] }, then: 'Partially Refunded' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'refunded'] }, then: 'Refunded' }
                   ],
                   default: { $ifNull: [{ $toUpper: { $substr: ['$orderStatus.status', 0, 1] } }, ''] }
                 }
               }
             }
           },
+          refunded_amount: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$refunds', as: 'refund', cond: { $eq: ['$$refund.status', 'success'] } } },
+                as: 'refund',
+                in: '$$refund.amount'
+              }
+            }
+          },
+          refunds: {
+            $map: {
+              input: '$refunds',
+              as: 'refund',
+              in: {
+                refund_id: { $toString: '$$refund._id' },
+                amount: '$$refund.amount',
+                status: '$$refund.status',
+                reason: '$$refund.reason',
+                created_at: '$$refund.createdAt'
+              }
+            }
+          },
+          academic_year: '$academic_year',
+          term: '$term',
+          fee_breakdown: { $ifNull: ['$fee_breakdown', []] },
           custom_order_id: { $toString: '$_id' },
           created_at: { $ifNull: ['$orderStatus.payment_time', '$createdAt'] }
         }
       },
-      // Stage 5: Sort the results
+      // Stage 6: Sort the results
       { $sort: { [sort_by]: sortValue } },
-      // Stage 6: Skip for pagination
+      // Stage 7: Skip for pagination
       { $skip: skip },
-      // Stage 7: Limit the results
+      // Stage 8: Limit the results
       { $limit: parseInt(page_size) }
     ];
 
@@ -149,6 +202,9 @@ export const getTransactionsBySchool = async (req, res) => {
     if (!schoolId) {
       return res.status(400).json({ error: 'School ID is required' });
     }
+    if (!mongoose.Types.ObjectId.isValid(schoolId) || !canAccessSchool(req.schoolScope, schoolId)) {
+      return res.status(404).json({ error: 'School not found' });
+    }
 
     // Calculate skip value for pagination
     const skip = (parseInt(page) - 1) * parseInt(page_size);
@@ -159,7 +215,7 @@ export const getTransactionsBySchool = async (req, res) => {
     // Pipeline for MongoDB aggregation
     const pipeline = [
       // Stage 1: Match documents with the specified school_id
-      { $match: { school_id: schoolId } },
+      { $match: { school_id: new mongoose.Types.ObjectId(schoolId) } },
       // Stage 2: Lookup to join Order and OrderStatus
       {
         $lookup: {
@@ -171,11 +227,23 @@ export const getTransactionsBySchool = async (req, res) => {
       },
       // Stage 3: Unwind the orderStatus array
       { $unwind: { path: '$orderStatus', preserveNullAndEmptyArrays: true } },
-      // Stage 4: Project only the required fields
+      // Stage 4: Lookup the refunds issued against the payment
+      {
+        $lookup: {
+          from: 'refunds',
+          localField: 'orderStatus._id',
+          foreignField: 'order_status_id',
+          as: 'refunds'
+        }
+      },
+      // Stage 5: Project only the required fields
       {
         $project: {
           _id: 0,
           collect_id: { $ifNull: ['$orderStatus.collect_id', ''] },
+          receipt_number: '$orderStatus.receipt_number',
+          reminder_count: { $ifNull: ['$orderStatus.reminder_count', 0] },
+          last_reminder_at: '$orderStatus.last_reminder_at',
           school_id: '$school_id',
           gateway: '$gateway_name',
           order_amount: { $ifNull: ['$orderStatus.order_amount', '$amount'] },
@@ -190,22 +258,50 @@ export const getTransactionsBySchool = async (req, res) => {
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'success'] }, then: 'Success' },
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'pending'] }, then: 'Pending' },
                     { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'failed'] }, then: 'Failed' },
-                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'cancelled'] }, then: 'Cancelled' }
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'cancelled'] }, then: 'Cancelled' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'expired'] }, then: 'Expired' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'partially_refunded'] }, then: 'Partially Refunded' },
+                    { case: { $eq: [{ $toLower: '$orderStatus.status' }, 'refunded'] }, then: 'Refunded' }
                   ],
                   default: { $ifNull: [{ $toUpper: { $substr: ['$orderStatus.status', 0, 1] } }, ''] }
                 }
               }
             }
           },
+          refunded_amount: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$refunds', as: 'refund', cond: { $eq: ['$$refund.status', 'success'] } } },
+                as: 'refund',
+                in: '$$refund.amount'
+              }
+            }
+          },
+          refunds: {
+            $map: {
+              input: '$refunds',
+              as: 'refund',
+              in: {
+                refund_id: { $toString: '$$refund._id' },
+                amount: '$$refund.amount',
+                status: '$$refund.status',
+                reason: '$$refund.reason',
+                created_at: '$$refund.createdAt'
+              }
+            }
+          },
+          academic_year: '$academic_year',
+          term: '$term',
+          fee_breakdown: { $ifNull: ['$fee_breakdown', []] },
           custom_order_id: { $toString: '$_id' },
           created_at: { $ifNull: ['$orderStatus.payment_time', '$createdAt'] }
         }
       },
-      // Stage 5: Sort the results
+      // Stage 6: Sort the results
       { $sort: { [sort_by]: sortValue } },
-      // Stage 6: Skip for pagination
+      // Stage 7: Skip for pagination
       { $skip: skip },
-      // Stage 7: Limit the results
+      // Stage 8: Limit the results
       { $limit: parseInt(page_size) }
     ];
 
@@ -214,7 +310,7 @@ export const getTransactionsBySchool = async (req, res) => {
 
     // Count total documents for pagination info
     const countPipeline = [
-      { $match: { school_id: schoolId } },
+      { $match: { school_id: new mongoose.Types.ObjectId(schoolId) } },
       { $lookup: { from: 'order_statuses', localField: '_id', foreignField: 'order_id', as: 'orderStatus' } },
       { $unwind: { path: '$orderStatus', preserveNullAndEmptyArrays: true } },
       { $count: 'total' }
@@ -237,3 +333,96 @@ export const getTransactionsBySchool = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch transactions', details: error.message });
   }
 };
+
+/**
+ * Get collected amounts per fee head
+ *
+ * Only successful (or partly refunded) payments created against a fee structure
+ * are counted. Query parameters: school_id, academic_year, term, start_date,
+ * end_date (on payment time)
+ */
+export const getFeeHeadSummary = async (req, res) => {
+  try {
+    const { school_id, academic_year, term, start_date, end_date } = req.query;
+
+    const match = {
+      'fee_breakdown.0': { $exists: true },
+      'orderStatus.status': { $in: ['success', 'partially_refunded'] }
+    };
+    if (school_id) {
+      if (!mongoose.Types.ObjectId.isValid(school_id)) {
+        return res.status(400).json({ error: 'Invalid school_id' });
+      }
+      if (!canAccessSchool(req.schoolScope, school_id)) {
+        return res.status(404).json({ error: 'School not found' });
+      }
+      match.school_id = new mongoose.Types.ObjectId(school_id);
+    } else if (req.schoolScope) {
+      match.school_id = { $in: req.schoolScope };
+    }
+    if (academic_year) match.academic_year = academic_year;
+    if (term) match.term = term;
+    if (start_date || end_date) {
+      match['orderStatus.payment_time'] = {};
+      if (start_date) match['orderStatus.payment_time'].$gte = new Date(start_date);
+      if (end_date) match['orderStatus.payment_time'].$lte = new Date(end_date);
+    }
+
+    const fee_heads = await Order.aggregate([
+      { $lookup: { from: 'order_statuses', localField: '_id', foreignField: 'order_id', as: 'orderStatus' } },
+      { $unwind: '$orderStatus' },
+      { $match: match },
+      { $unwind: '$fee_breakdown' },
+      {
+        $group: {
+          _id: '$fee_breakdown.fee_head_id',
+          code: { $first: '$fee_breakdown.code' },
+          name: { $first: '$fee_breakdown.name' },
+          category: { $first: '$fee_breakdown.category' },
+          total_amount: { $sum: '$fee_breakdown.amount' },
+          transactions: { $sum: 1 }
+        }
+      },
+      { $project: { _id: 0, fee_head_id: '$_id', code: 1, name: 1, category: 1, total_amount: 1, transactions: 1 } },
+      { $sort: { code: 1 } }
+    ]);
+
+    res.json({
+      fee_heads,
+      total_amount: fee_heads.reduce((total, head) => total + head.total_amount, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching fee head summary:', error);
+    res.status(500).json({ error: 'Failed to fetch fee head summary', details: error.message });
+  }
+};
+
+/**
+ * Get the status history of a transaction, oldest first
+ *
+ * Includes rejected transitions (applied: false), such as a late pending poll after success.
+ */
+export const getTransactionHistory = async (req, res) => {
+  try {
+    const { collect_id } = req.params;
+
+    const orderStatus = await OrderStatus.findOne({ collect_id }).select('collect_id order_id status').lean();
+    if (!orderStatus) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const history = await StatusHistory.find({ order_status_id: orderStatus._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    res.json({
+      collect_id: orderStatus.collect_id,
+      custom_order_id: orderStatus.order_id,
+      status: orderStatus.status,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching transaction history:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction history', details: error.message });
+  }
+};
@@ -1,22 +1,33 @@
+import mongoose from 'mongoose';
 import { User } from '../models/User.js';
-import jwt from 'jsonwebtoken';
+import { School } from '../models/School.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { sendVerificationEmail, validatePassword } from '../services/accountService.js';
+import { unlockAccount } from '../services/loginThrottleService.js';
+import { ValidationError } from '../errors/index.js';
 
-// Create new user
+// Fields admins may change; passwords are never set through this API
+const USER_FIELDS = ['email', 'role', 'school_ids'];
+
+const pickUserFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => USER_FIELDS.includes(key))
+);
+
+// Register a new trustee; roles and schools are assigned by admins.
+// The user can sign in once they confirm their email address.
 export const createUser = async (req, res, next) => {
   try {
-    const user = await User.create(req.body);
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const { email, password } = req.body;
+    validatePassword(password);
+    const user = await User.create({ email, password, role: 'trustee', email_verified: false });
+    await sendVerificationEmail(user);
     // Respond without exposing password
     res.status(201).json({
       _id: user._id,
       email: user.email,
       role: user.role,
-      token
+      email_verified: false,
+      message: 'Check your email to confirm your address, then sign in'
     });
   } catch (err) {
     next(err);
@@ -44,11 +55,27 @@ export const getUserById = async (req, res, next) => {
   }
 };
 
-// Update user
+// Update a user's email, role or schools
 export const updateUser = async (req, res, next) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const fields = pickUserFields(req.body);
+    if (fields.school_ids !== undefined) {
+      const schoolIds = Array.isArray(fields.school_ids) ? fields.school_ids : [fields.school_ids];
+      const valid = schoolIds.every(id => mongoose.Types.ObjectId.isValid(id));
+      if (!valid || await School.countDocuments({ _id: { $in: schoolIds } }) !== new Set(schoolIds.map(String)).size) {
+        throw new ValidationError('school_ids must be existing school IDs');
+      }
+      fields.school_ids = schoolIds;
+    }
+
+    const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
+    user.set(fields);
+    // Access tokens carry the role and schools; make the user's current tokens refresh
+    if (user.isModified('role') || user.isModified('school_ids')) {
+      user.token_version += 1;
+    }
+    await user.save();
     res.json(user);
   } catch (err) {
     next(err);
@@ -60,8 +87,21 @@ export const deleteUser = async (req, res, next) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
+    await revokeAllSessions(user._id, 'user_deleted');
     res.json({ message: 'User deleted' });
   } catch (err) {
     next(err);
   }
 };
+
+// Lift a user's sign-in lockout
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const wasLocked = await unlockAccount(user.email);
+    res.json({ message: wasLocked ? 'User unlocked' : 'User was not locked' });
+  } catch (err) {
+    next(err);
+  }
+};
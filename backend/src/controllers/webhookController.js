@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { WebhookLog } from '../models/WebhookLog.js';
+import { replayWebhook } from '../services/webhookProcessor.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Get webhook logs with pagination and filtering
+ *
+ * Query parameters: status, collect_id, start_date, end_date (on receivedAt),
+ * page, page_size, sort_direction
+ */
+export const getWebhookLogs = async (req, res, next) => {
+  try {
+    const {
+      status,
+      collect_id,
+      start_date,
+      end_date,
+      page = 1,
+      page_size = 10,
+      sort_direction = 'desc'
+    } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = { $in: Array.isArray(status) ? status : status.split(',') };
+    }
+
+    if (collect_id) {
+      filter.collect_id = collect_id;
+    }
+
+    if (start_date || end_date) {
+      filter.receivedAt = {};
+      if (start_date) filter.receivedAt.$gte = new Date(start_date);
+      if (end_date) filter.receivedAt.$lte = new Date(end_date);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(page_size);
+    const sortValue = sort_direction.toLowerCase() === 'asc' ? 1 : -1;
+
+    const [logs, total] = await Promise.all([
+      WebhookLog.find(filter)
+        .select('-raw_body')
+        .sort({ receivedAt: sortValue })
+        .skip(skip)
+        .limit(parseInt(page_size)),
+      WebhookLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        page_size: parseInt(page_size),
+        total_pages: Math.ceil(total / parseInt(page_size))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single webhook log with its replay attempts
+export const getWebhookLogById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid webhook log ID');
+    }
+
+    const log = await WebhookLog.findById(req.params.id);
+    if (!log) {
+      throw new NotFoundError('Webhook log not found');
+    }
+
+    const rootId = log.replay_of || log._id;
+    const attempts = await WebhookLog.find({ $or: [{ _id: rootId }, { replay_of: rootId }] })
+      .select('status http_status errorDetails attempt receivedAt replayed_by')
+      .sort({ attempt: 1 });
+
+    res.json({ log, attempts });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-run a stored webhook payload through the webhook handler
+export const replayWebhookLog = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid webhook log ID');
+    }
+
+    const original = await WebhookLog.findById(req.params.id);
+    if (!original) {
+      throw new NotFoundError('Webhook log not found');
+    }
+
+    const { httpStatus, response, log } = await replayWebhook(original, {
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Webhook replayed',
+      replay_of: log.replay_of,
+      attempt: log.attempt,
+      outcome: {
+        status: log.status,
+        http_status: httpStatus,
+        response
+      },
+      log_id: log._id
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -37,3 +37,24 @@ export class ConflictError extends Error {
     this.statusCode = 409;
   }
 }
+
+export class TooManyRequestsError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter; // Seconds until the request may be retried
+  }
+}
+
+export class GatewayError extends Error {
+  constructor(message, { gateway, reason = 'upstream_error', upstreamStatus, details } = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.statusCode = 502;
+    this.gateway = gateway;
+    this.reason = reason;
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+  }
+}
@@ -0,0 +1,30 @@
+import { deliverDueNotifications } from '../services/notificationService.js';
+import { readNumber } from '../config/env.js';
+import { startWorker } from '../utils/worker.js';
+
+/**
+ * Notification Worker
+ *
+ * Retries emails and SMS whose first send failed. Every NOTIFICATION_POLL_SECONDS
+ * it attempts the pending notifications that are due; services/notificationService.js
+ * decides the backoff and when to give up.
+ */
+
+const DEFAULT_POLL_SECONDS = 30;
+
+/**
+ * Start the notification worker.
+ * Set NOTIFICATION_POLL_SECONDS=0 to disable it.
+ *
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+export const startNotificationWorker = () => startWorker({
+  name: 'Notification worker',
+  intervalMs: readNumber('NOTIFICATION_POLL_SECONDS', DEFAULT_POLL_SECONDS, { allowZero: true }) * 1000,
+  run: async () => {
+    const { attempted, sent } = await deliverDueNotifications();
+    if (attempted > 0) {
+      console.log(`Notifications: ${sent}/${attempted} retried sends succeeded`);
+    }
+  }
+});
@@ -0,0 +1,30 @@
+import { deliverDueWebhooks } from '../services/outboundWebhooks.js';
+import { readNumber } from '../config/env.js';
+import { startWorker } from '../utils/worker.js';
+
+/**
+ * Outbound Webhook Delivery Worker
+ *
+ * Retries outbound webhook deliveries whose first attempt failed. Every
+ * OUTBOUND_WEBHOOK_POLL_SECONDS it attempts the pending deliveries that are due;
+ * services/outboundWebhooks.js decides the backoff and when to give up.
+ */
+
+const DEFAULT_POLL_SECONDS = 30;
+
+/**
+ * Start the delivery worker.
+ * Set OUTBOUND_WEBHOOK_POLL_SECONDS=0 to disable it.
+ *
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+export const startWebhookDeliveryWorker = () => startWorker({
+  name: 'Outbound webhook delivery worker',
+  intervalMs: readNumber('OUTBOUND_WEBHOOK_POLL_SECONDS', DEFAULT_POLL_SECONDS, { allowZero: true }) * 1000,
+  run: async () => {
+    const { attempted, delivered } = await deliverDueWebhooks();
+    if (attempted > 0) {
+      console.log(`Outbound webhooks: ${delivered}/${attempted} retried deliveries succeeded`);
+    }
+  }
+});
@@ -0,0 +1,247 @@
+import { OrderStatus } from '../models/OrderStatus.js';
+import { ReconciliationRun } from '../models/ReconciliationRun.js';
+import { getGateway } from '../services/gateways/index.js';
+import { resolveOrderContext, getGatewayCredentials } from '../services/schoolService.js';
+import { applyStatusUpdate } from '../services/paymentStatus.js';
+import { refreshPendingRefunds } from '../services/refundService.js';
+import { ConflictError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Pending Payment Reconciliation Job
+ *
+ * Orders only leave `pending` through the callback, a webhook or a status poll.
+ * This job finds OrderStatus records that have been pending for longer than
+ * RECONCILE_PENDING_AFTER_MINUTES, asks the gateway for their status and applies it.
+ * Payments that are still pending once their link is older than
+ * GATEWAY_LINK_EXPIRY_MINUTES are marked `expired`.
+ *
+ * Gateway failures are retried with exponential backoff, both within a run and
+ * across runs through OrderStatus.next_reconcile_at; so are payments whose order
+ * or school cannot be found. Only one run can be in progress at a time: a unique
+ * index on running runs turns away a second one.
+ *
+ * Each run also polls the gateway for refunds that have not settled yet.
+ */
+
+const getSettings = () => ({
+  intervalMinutes: readNumber('RECONCILE_INTERVAL_MINUTES', 15, { allowZero: true }),
+  pendingAfterMinutes: readNumber('RECONCILE_PENDING_AFTER_MINUTES', 30, { allowZero: true }),
+  expiryMinutes: readNumber('GATEWAY_LINK_EXPIRY_MINUTES', 24 * 60, { allowZero: true }),
+  batchSize: readNumber('RECONCILE_BATCH_SIZE', 100, { allowZero: true }),
+  maxAttempts: readNumber('RECONCILE_MAX_ATTEMPTS', 6, { allowZero: true })
+});
+
+// Backoff between runs for a record whose gateway lookup failed: 5, 10, 20... minutes, max 6 hours
+const RETRY_BASE_MINUTES = 5;
+const RETRY_MAX_MINUTES = 6 * 60;
+
+// Retries within a run for transient gateway errors
+const CALL_RETRIES = 2;
+const CALL_RETRY_BASE_MS = 500;
+
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MINUTES = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isTransient = (error) => error.name === 'GatewayError' &&
+  (error.reason === 'timeout' || error.upstreamStatus >= 500);
+
+/**
+ * Call fn, retrying transient gateway errors with exponential backoff
+ */
+const withBackoff = async (fn) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= CALL_RETRIES || !isTransient(error)) throw error;
+      await sleep(CALL_RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
+};
+
+/**
+ * Record a failed attempt and put off the next one with exponential backoff.
+ */
+const scheduleRetry = async (orderStatus, now) => {
+  const delayMinutes = Math.min(RETRY_BASE_MINUTES * 2 ** (orderStatus.reconcile_attempts - 1), RETRY_MAX_MINUTES);
+  orderStatus.next_reconcile_at = new Date(now.getTime() + delayMinutes * 60000);
+  await orderStatus.save();
+};
+
+/**
+ * Reconcile a single pending OrderStatus.
+ *
+ * @returns {Promise<'updated'|'expired'|'unchanged'|'rejected'>}
+ */
+const reconcileOne = async (orderStatus, settings, now) => {
+  const ageMinutes = (now - orderStatus.createdAt) / 60000;
+  const isExpired = ageMinutes >= settings.expiryMinutes;
+
+  const expire = async () => {
+    const updated = await applyStatusUpdate(orderStatus, {
+      status: 'expired',
+      error_message: 'Payment link expired before the payment was completed'
+    }, { source: 'system' });
+    return updated.status === 'expired' ? 'expired' : 'rejected';
+  };
+
+  const { order, school } = await resolveOrderContext({
+    orderId: orderStatus.order_id.toString(),
+    collectId: orderStatus.collect_id
+  });
+  if (!order || !school) {
+    // Nothing to ask the gateway with; expire once the link is too old
+    if (isExpired) return expire();
+    orderStatus.reconcile_attempts += 1;
+    orderStatus.last_reconciled_at = now;
+    await scheduleRetry(orderStatus, now);
+    throw new Error('Order or school not found');
+  }
+
+  const gateway = getGateway(order.gateway_name);
+
+  let data;
+  let result;
+  try {
+    data = await withBackoff(() => gateway.fetchStatus(orderStatus.collect_id, getGatewayCredentials(school)));
+    result = gateway.parseStatusResponse(data);
+  } catch (error) {
+    orderStatus.reconcile_attempts += 1;
+    orderStatus.last_reconciled_at = now;
+
+    // Give up on the gateway for links that are already past their expiry
+    if (isExpired && orderStatus.reconcile_attempts >= settings.maxAttempts) {
+      return expire();
+    }
+
+    await scheduleRetry(orderStatus, now);
+    throw error;
+  }
+
+  orderStatus.reconcile_attempts = 0;
+  orderStatus.last_reconciled_at = now;
+  orderStatus.next_reconcile_at = undefined;
+
+  const status = result ? gateway.normalizeStatus(result.status) : 'pending';
+  if (status !== 'pending') {
+    const updated = await applyStatusUpdate(orderStatus, { status, ...result.fields }, { source: 'poll', payload: data });
+    // The transition check turned the gateway's status down (see the status history)
+    if (updated.status !== status) return 'rejected';
+    return status === 'expired' ? 'expired' : 'updated';
+  }
+
+  if (isExpired) return expire();
+
+  await orderStatus.save();
+  return 'unchanged';
+};
+
+/**
+ * Run the reconciliation job once and record the run.
+ *
+ * @param {Object} [options]
+ * @param {'scheduled'|'manual'} [options.trigger]
+ * @param {string} [options.userId] - User who triggered a manual run
+ * @returns {Promise<Object>} The ReconciliationRun document
+ */
+export const runReconciliation = async ({ trigger = 'scheduled', userId } = {}) => {
+  const settings = getSettings();
+  const now = new Date();
+
+  // Only one run at a time; runs stuck in running state are considered crashed
+  await ReconciliationRun.updateMany(
+    { status: 'running', started_at: { $lt: new Date(now.getTime() - STALE_RUN_MINUTES * 60000) } },
+    { status: 'failed', finished_at: now, error_message: 'Run did not finish' }
+  );
+  let run;
+  try {
+    run = await ReconciliationRun.create({
+      trigger,
+      triggered_by: userId,
+      started_at: now,
+      settings: {
+        pending_after_minutes: settings.pendingAfterMinutes,
+        expiry_minutes: settings.expiryMinutes,
+        batch_size: settings.batchSize
+      }
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const active = await ReconciliationRun.findOne({ status: 'running' }).select('_id');
+    throw new ConflictError(active
+      ? `Reconciliation run ${active._id} is already running`
+      : 'A reconciliation run is already running');
+  }
+
+  try {
+    // Orders created through the orders API have a local ref-... collect ID and
+    // no payment link until create-payment; the gateway does not know them
+    const stalePending = await OrderStatus.find({
+      status: 'pending',
+      payment_url: { $exists: true, $ne: null },
+      createdAt: { $lte: new Date(now.getTime() - settings.pendingAfterMinutes * 60000) },
+      $or: [
+        { next_reconcile_at: { $exists: false } },
+        { next_reconcile_at: null },
+        { next_reconcile_at: { $lte: now } }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(settings.batchSize);
+
+    for (const orderStatus of stalePending) {
+      run.stats.checked += 1;
+      try {
+        const outcome = await reconcileOne(orderStatus, settings, now);
+        run.stats[outcome] += 1;
+      } catch (error) {
+        console.error(`Reconciliation failed for ${orderStatus.collect_id}:`, error.message);
+        run.stats.errors += 1;
+        run.failures.push({ collect_id: orderStatus.collect_id, message: error.message });
+      }
+    }
+
+    const refunds = await refreshPendingRefunds({ limit: settings.batchSize });
+    run.stats.refunds_checked = refunds.checked;
+    run.stats.refunds_settled = refunds.settled;
+    run.stats.errors += refunds.failures.length;
+    run.failures.push(...refunds.failures);
+
+    run.status = 'completed';
+  } catch (error) {
+    console.error('Reconciliation run failed:', error);
+    run.status = 'failed';
+    run.error_message = error.message;
+  }
+
+  run.finished_at = new Date();
+  await run.save();
+  console.log(`Reconciliation run ${run._id} ${run.status}:`, run.stats.toObject());
+  return run;
+};
+
+/**
+ * Start running the reconciliation job every RECONCILE_INTERVAL_MINUTES.
+ * Set RECONCILE_INTERVAL_MINUTES=0 to disable the schedule.
+ *
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+export const startReconciliationScheduler = () => {
+  const { intervalMinutes } = getSettings();
+  if (!intervalMinutes) {
+    console.log('Reconciliation scheduler disabled');
+    return null;
+  }
+
+  console.log(`Reconciliation scheduler running every ${intervalMinutes} minutes`);
+  const timer = setInterval(() => {
+    runReconciliation({ trigger: 'scheduled' }).catch(error => {
+      console.error('Scheduled reconciliation skipped:', error.message);
+    });
+  }, intervalMinutes * 60000);
+  timer.unref();
+  return timer;
+};
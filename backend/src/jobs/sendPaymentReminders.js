@@ -0,0 +1,34 @@
+import { runReminders, getReminderSettings } from '../services/reminderService.js';
+import { startWorker } from '../utils/worker.js';
+
+/**
+ * Payment Reminder Scheduler
+ *
+ * Every REMINDER_INTERVAL_MINUTES it sends the reminders and "link expiring"
+ * notices that are due for unpaid payment links; services/reminderService.js
+ * decides the cadence and who gets them.
+ */
+
+/**
+ * Start the reminder scheduler.
+ * Set REMINDER_INTERVAL_MINUTES=0 to disable it.
+ *
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+export const startReminderScheduler = () => {
+  const { intervalMinutes } = getReminderSettings();
+  if (intervalMinutes) {
+    console.log(`Reminder scheduler running every ${intervalMinutes} minutes`);
+  }
+
+  return startWorker({
+    name: 'Reminder scheduler',
+    intervalMs: intervalMinutes * 60000,
+    run: async () => {
+      const { reminders, expiry_notices: expiryNotices, errors } = await runReminders();
+      if (reminders > 0 || expiryNotices > 0 || errors > 0) {
+        console.log(`Reminders: ${reminders} reminders and ${expiryNotices} expiry notices sent, ${errors} failed`);
+      }
+    }
+  });
+};
@@ -1,16 +1,60 @@
-import jwt from 'jsonwebtoken';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { getUserSchoolIds } from '../services/accessService.js';
+import { assertTokenCurrent, assertLegacyTokenCurrent } from '../services/sessionService.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+import { UnauthorizedError } from '../errors/index.js';
 
-export const authenticate = (req, res, next) => {
+/**
+ * Verify the Bearer access token and put the signed-in user (a Principal from
+ * services/tokenService.js) on req.user. Tokens of a signed-out session, or
+ * issued before the user's role or schools changed, are rejected; so are legacy
+ * tokens of locked accounts.
+ */
+export const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ message: 'Unauthorized' });
   }
   const token = authHeader.split(' ')[1];
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    const principal = verifyAccessToken(token);
+    if (principal.legacy) {
+      await assertLegacyTokenCurrent(principal);
+    } else {
+      await assertTokenCurrent(principal);
+    }
+    req.user = principal;
   } catch (err) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+    if (err instanceof UnauthorizedError) {
+      return res.status(401).json({ message: err.message });
+    }
+    throw err;
   }
+  next();
+};
+
+// Restrict a route to users with one of the given roles; use after authenticate
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+  next();
+};
+
+/**
+ * Require a permission from the matrix in config/permissions.js; use after authenticate.
+ * Also loads the schools the user may see into req.schoolScope (null for admins).
+ */
+export const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    req.schoolScope = await getUserSchoolIds(req.user);
+    next();
+  };
 };
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { IdempotencyKey } from '../models/IdempotencyKey.js';
+import { readNumber } from '../config/env.js';
+
+// How long stored keys are honoured, configurable through IDEMPOTENCY_KEY_TTL_HOURS
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// A request still in progress after this long is assumed to have died, configurable
+// through IDEMPOTENCY_LOCK_TIMEOUT_SECONDS
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 120;
+
+const getLockTimeoutMs = () => readNumber('IDEMPOTENCY_LOCK_TIMEOUT_SECONDS', DEFAULT_LOCK_TIMEOUT_SECONDS) * 1000;
+
+const getTtlMs = () => readNumber('IDEMPOTENCY_KEY_TTL_HOURS', DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+// Serialize with sorted keys so that property order does not change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequestBody = (body) => crypto
+  .createHash('sha256')
+  .update(stableStringify(body || {}))
+  .digest('hex');
+
+/**
+ * Idempotency Middleware
+ *
+ * Honours the Idempotency-Key header on non-idempotent routes (e.g. create-payment):
+ * - The first request with a key runs normally and its response is stored
+ * - Repeats with the same key and body get the stored response replayed
+ * - Repeats with the same key and a different body get 409 Conflict
+ * - Repeats while the first request is still running get 409 Conflict, unless it
+ *   has been running for longer than IDEMPOTENCY_LOCK_TIMEOUT_SECONDS; the repeat
+ *   then takes over the key
+ *
+ * Requests without the header are passed through untouched. The response is
+ * stored once it has been sent, whether it went through res.json, res.send or
+ * res.end. Server errors (5xx) and requests that end without a response are not
+ * stored so that the client can retry with the same key.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const scope = req.user?.userId || 'anonymous';
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequestBody(req.body);
+  const lockToken = crypto.randomUUID();
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      scope: scope.toString(),
+      endpoint,
+      request_hash: requestHash,
+      lock_token: lockToken,
+      expires_at: new Date(Date.now() + getTtlMs())
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, scope: scope.toString(), endpoint });
+
+    // The TTL monitor only runs periodically, so treat expired keys as new
+    if (!existing || existing.expires_at < new Date()) {
+      if (existing) await existing.deleteOne();
+      return idempotency(req, res, next);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      return res.status(409).json({
+        error: 'Idempotency-Key conflict',
+        details: 'This Idempotency-Key was already used with a different request body'
+      });
+    }
+
+    if (existing.state !== 'completed') {
+      // Take over a key whose request has been running for too long
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, state: 'in_progress', updatedAt: { $lte: new Date(Date.now() - getLockTimeoutMs()) } },
+        { lock_token: lockToken },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({
+          error: 'Idempotency-Key conflict',
+          details: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      console.warn(`Taking over stale Idempotency-Key ${key}`);
+    } else {
+      console.log(`Replaying stored response for Idempotency-Key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      res.status(existing.response_status);
+      // Responses stored before raw bodies were kept hold the JSON value itself
+      if (typeof existing.response_body !== 'string') {
+        return res.json(existing.response_body);
+      }
+      if (existing.response_content_type) {
+        res.type(existing.response_content_type);
+      }
+      return res.send(existing.response_body);
+    }
+  }
+
+  captureResponse(res, record, key);
+  next();
+};
+
+/**
+ * Store the response once it has been sent, or release the key when the
+ * request ends without one. Nothing is written once another request has taken
+ * the key over.
+ */
+const captureResponse = (res, record, key) => {
+  // res.json and res.send(object) end up in res.send with the serialized body
+  let body;
+  const originalSend = res.send.bind(res);
+  res.send = (chunk) => {
+    body = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : chunk;
+    return originalSend(chunk);
+  };
+
+  const owned = { _id: record._id, lock_token: record.lock_token };
+  const release = () => IdempotencyKey.deleteOne(owned);
+  const logFailure = (error) => {
+    console.error(`Failed to store response for Idempotency-Key ${key}:`, error.message);
+  };
+
+  res.on('finish', () => {
+    const storeResponse = res.statusCode >= 500
+      ? release()
+      : IdempotencyKey.updateOne(
+        owned,
+        {
+          state: 'completed',
+          response_status: res.statusCode,
+          response_body: typeof body === 'string' ? body : '',
+          response_content_type: res.get('Content-Type')
+        }
+      );
+    storeResponse.catch(logFailure);
+  });
+
+  // The connection closed before a response was sent
+  res.on('close', () => {
+    if (!res.writableFinished) release().catch(logFailure);
+  });
+};
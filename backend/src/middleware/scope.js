@@ -0,0 +1,26 @@
+import { OrderStatus } from '../models/OrderStatus.js';
+import Order from '../models/Order.js';
+import { assertSchoolAccess } from '../services/accessService.js';
+
+/**
+ * Scope Middleware - Limits school and trustee users to their own schools
+ *
+ * Use after requirePermission, which loads req.schoolScope. Resources outside
+ * the scope answer 404 through the error handler.
+ */
+
+// Require access to the school named by a route parameter, e.g. /api/schools/:schoolId/fee-heads
+export const requireSchoolAccess = (param = 'schoolId') => (req, res, next) => {
+  assertSchoolAccess(req.schoolScope, req.params[param]);
+  next();
+};
+
+// Require access to the school of the payment named by :collect_id
+export const requirePaymentAccess = async (req, res, next) => {
+  if (!req.schoolScope) return next();
+
+  const orderStatus = await OrderStatus.findOne({ collect_id: req.params.collect_id }).select('order_id').lean();
+  const order = orderStatus && await Order.findById(orderStatus.order_id).select('school_id').lean();
+  assertSchoolAccess(req.schoolScope, order?.school_id, 'Payment not found');
+  next();
+};
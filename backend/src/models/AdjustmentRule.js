@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Adjustment Rule Schema - Late fees and discounts/scholarships applied when a
+ * payment's amount is computed
+ *
+ * - school_id: School the rule belongs to
+ * - type: late_fee adds to the amount, discount takes off it
+ * - calculation / value: percentage of the base amount, or a flat amount
+ * - max_amount: Optional cap on the adjustment
+ * - fee_head_codes: Only these fee heads form the base amount (all when empty)
+ * - student_tags: Only students with one of these tags qualify (everyone when empty)
+ * - valid_from / valid_until: Window in which the rule applies
+ * - grace_days: Late fees apply once the due date is more than this many days past
+ * - priority: Rules are applied in ascending priority
+ */
+const adjustmentRuleSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['late_fee', 'discount'],
+      required: true
+    },
+    calculation: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    max_amount: {
+      type: Number,
+      min: 0
+    },
+    fee_head_codes: {
+      type: [{ type: String, uppercase: true, trim: true }],
+      default: []
+    },
+    student_tags: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: []
+    },
+    valid_from: {
+      type: Date
+    },
+    valid_until: {
+      type: Date
+    },
+    grace_days: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    priority: {
+      type: Number,
+      default: 100
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'adjustment_rules'
+  }
+);
+
+adjustmentRuleSchema.path('value').validate(function (value) {
+  return this.calculation !== 'percentage' || value <= 100;
+}, 'Percentage rules cannot exceed 100');
+
+adjustmentRuleSchema.index({ school_id: 1, active: 1, priority: 1 });
+
+export const AdjustmentRule = model('AdjustmentRule', adjustmentRuleSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Auth Token Schema - Single-use tokens emailed to users
+ *
+ * Issued for password resets and email verification (see services/accountService.js).
+ *
+ * - user_id: User the token was issued for
+ * - purpose: password_reset or email_verification
+ * - token_hash: SHA-256 of the token; the token itself only exists in the email
+ * - expires_at: When the token stops working; MongoDB removes expired tokens via a TTL index
+ * - used_at: Set once the token was used, or when a newer token replaced it
+ */
+export const AUTH_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+const authTokenSchema = new Schema(
+  {
+    user_id: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: AUTH_TOKEN_PURPOSES,
+      required: true
+    },
+    token_hash: {
+      type: String,
+      required: true
+    },
+    expires_at: {
+      type: Date,
+      required: true
+    },
+    used_at: {
+      type: Date
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'auth_tokens'
+  }
+);
+
+authTokenSchema.index({ token_hash: 1 }, { unique: true });
+authTokenSchema.index({ user_id: 1, purpose: 1, createdAt: -1 }); // For replacing and throttling tokens
+// TTL index: tokens are removed once expires_at has passed
+authTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = model('AuthToken', authTokenSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const FEE_HEAD_CATEGORIES = ['tuition', 'transport', 'exam', 'hostel', 'other'];
+
+/**
+ * Fee Head Schema - The kinds of fees a school charges (tuition, transport, exam...)
+ *
+ * Fee heads are defined once per school and priced per term by FeeStructure:
+ * - school_id: School the fee head belongs to
+ * - code: Short unique code within the school, e.g. TUITION (used in reports)
+ * - name: Display name
+ * - category: Broad category used to group fee heads
+ * - active: Inactive fee heads cannot be added to new fee structures
+ */
+const feeHeadSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    category: {
+      type: String,
+      enum: FEE_HEAD_CATEGORIES,
+      default: 'other'
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'fee_heads'
+  }
+);
+
+feeHeadSchema.index({ school_id: 1, code: 1 }, { unique: true });
+
+export const FeeHead = model('FeeHead', feeHeadSchema);
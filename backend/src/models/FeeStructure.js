@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Fee Structure Item Schema - The amount charged for one fee head
+ */
+const feeStructureItemSchema = new Schema(
+  {
+    fee_head_id: {
+      type: Types.ObjectId,
+      ref: 'FeeHead',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    due_date: {
+      type: Date
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Fee Structure Schema - What a school charges for an academic term
+ *
+ * - school_id: School the structure belongs to
+ * - name: Display name, e.g. "Class 5 - Term 1"
+ * - academic_year / term: Period the fees apply to, e.g. 2025-26 / Term 1
+ * - class_name: Optional class or grade the structure applies to
+ * - items: Fee heads and their amounts; payments are created against these
+ * - active: Inactive structures cannot be paid against
+ */
+const feeStructureSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    academic_year: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    term: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    class_name: {
+      type: String,
+      trim: true
+    },
+    items: {
+      type: [feeStructureItemSchema],
+      validate: [
+        {
+          validator: (items) => items.length > 0,
+          message: 'A fee structure needs at least one fee head'
+        },
+        {
+          validator: (items) => new Set(items.map(item => item.fee_head_id.toString())).size === items.length,
+          message: 'A fee head can only appear once in a fee structure'
+        }
+      ]
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'fee_structures'
+  }
+);
+
+feeStructureSchema.index({ school_id: 1, academic_year: 1, term: 1 });
+feeStructureSchema.index({ school_id: 1, academic_year: 1, term: 1, name: 1 }, { unique: true });
+
+export const FeeStructure = model('FeeStructure', feeStructureSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+/**
+ * Idempotency Key Schema - Stores responses of requests sent with an Idempotency-Key header
+ *
+ * - key: Value of the Idempotency-Key header
+ * - scope: Who sent the request (user ID, or 'anonymous') so keys cannot collide across users
+ * - endpoint: HTTP method and path the key was used for
+ * - request_hash: SHA-256 of the request body, used to detect key reuse with a different body
+ * - state: 'in_progress' while the first request runs, 'completed' once its response is stored
+ * - lock_token: Identifies the request holding the key; a request that has run for too long
+ *   loses the key to a retry and can no longer store its response
+ * - response_status / response_body / response_content_type: The stored response
+ *   replayed for repeats; the body is kept as it was sent
+ * - expires_at: When the key may be reused; MongoDB removes expired keys via a TTL index
+ */
+const idempotencyKeySchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    scope: {
+      type: String,
+      required: true
+    },
+    endpoint: {
+      type: String,
+      required: true
+    },
+    request_hash: {
+      type: String,
+      required: true
+    },
+    lock_token: {
+      type: String
+    },
+    state: {
+      type: String,
+      enum: ['in_progress', 'completed'],
+      default: 'in_progress'
+    },
+    response_status: {
+      type: Number
+    },
+    response_body: {
+      type: Schema.Types.Mixed
+    },
+    response_content_type: {
+      type: String
+    },
+    expires_at: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'idempotency_keys'
+  }
+);
+
+// One record per key, user and endpoint
+idempotencyKeySchema.index({ key: 1, scope: 1, endpoint: 1 }, { unique: true });
+// TTL index: documents are removed once expires_at has passed
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const IdempotencyKey = model('IdempotencyKey', idempotencyKeySchema);
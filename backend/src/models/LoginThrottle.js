@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+/**
+ * Login Throttle Schema - Failed sign-in attempts per account and per IP address
+ *
+ * Kept in MongoDB so every instance of the API sees the same counters
+ * (see services/loginThrottleService.js).
+ *
+ * - key: 'account:<email>' or 'ip:<address>'; accounts are tracked by the email
+ *   that was tried, whether or not a user has it
+ * - kind: account or ip
+ * - failures: Failed attempts since the last success, lockout or quiet period
+ * - last_failure_at: Time of the latest failed attempt
+ * - locked_until: No sign-in is accepted before this time
+ * - lock_count: Lockouts so far; each one lasts longer than the one before
+ * - expires_at: MongoDB removes the record via a TTL index once it is stale
+ */
+const loginThrottleSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    last_failure_at: {
+      type: Date
+    },
+    locked_until: {
+      type: Date
+    },
+    lock_count: {
+      type: Number,
+      default: 0
+    },
+    expires_at: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'login_throttles'
+  }
+);
+
+loginThrottleSchema.index({ key: 1 }, { unique: true });
+// TTL index: records are removed once expires_at has passed
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginThrottle = model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Notification Schema - Outbox of emails and SMS sent to students and guardians,
+ * and of account emails (email verification, password resets) sent to users
+ *
+ * Messages are rendered when queued and sent by the configured transport
+ * (see services/notifications). Failed sends are retried by the notification
+ * worker with exponential backoff until max attempts are reached.
+ *
+ * - school_id / order_id / student_id / user_id: What the message is about
+ * - channel: email or sms
+ * - template: Template the message was rendered from, e.g. payment_link
+ * - to / subject / text / html: The rendered message
+ * - sensitive: The message held a single-use link (password reset, email
+ *   verification); its body is not stored and it is only attempted once
+ * - status: pending until sent, then sent; failed once retries are exhausted
+ * - attempts / next_attempt_at / last_error: Retry bookkeeping
+ * - transport / provider_message_id: Who sent it and the provider's message ID
+ * - requested_by: User who asked for the message, if any
+ * - resend_of: Earlier notification this one repeats
+ */
+const notificationSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School'
+    },
+    order_id: {
+      type: Types.ObjectId,
+      ref: 'Order'
+    },
+    student_id: {
+      type: Types.ObjectId,
+      ref: 'Student'
+    },
+    user_id: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms'],
+      required: true
+    },
+    template: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subject: {
+      type: String
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    html: {
+      type: String
+    },
+    sensitive: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    next_attempt_at: {
+      type: Date,
+      default: Date.now
+    },
+    last_error: {
+      type: String
+    },
+    sent_at: {
+      type: Date
+    },
+    transport: {
+      type: String
+    },
+    provider_message_id: {
+      type: String
+    },
+    requested_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    resend_of: {
+      type: Types.ObjectId,
+      ref: 'Notification'
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'notifications'
+  }
+);
+
+notificationSchema.index({ status: 1, next_attempt_at: 1 });
+notificationSchema.index({ order_id: 1, createdAt: -1 });
+
+export const Notification = model('Notification', notificationSchema);
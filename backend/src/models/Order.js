@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PAYMENT_STATUSES, LEGACY_ORDER_STATUSES } from './OrderStatus.js';
 const { Schema, model, Types } = mongoose;
 
 /**
@@ -6,16 +7,18 @@ const { Schema, model, Types } = mongoose;
  * 
  * This schema stores student details as per the requirements:
  * - name: Student name
- * - id: Student identifier
+ * - id: Student identifier (admission number for registered students)
  * - email: Student email address
+ *
+ * The details are a snapshot taken when the order is created; registered
+ * students are referenced through Order.student_id.
  */
 const studentInfoSchema = new Schema(
   {
     name: { type: String, required: true },
-    id: { type: String, required: true },
+    id: { type: String },
     email: {
       type: String,
-      required: true,
       match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
     }
   },
@@ -24,26 +27,75 @@ const studentInfoSchema = new Schema(
   }
 );
 
+/**
+ * Fee Breakdown Item Schema - One fee head paid for by an order
+ *
+ * Code, name and amount are copied from the fee head and fee structure when the
+ * order is created, so later price changes do not rewrite past payments.
+ */
+const feeBreakdownItemSchema = new Schema(
+  {
+    fee_head_id: { type: Types.ObjectId, ref: 'FeeHead', required: true },
+    code: { type: String, required: true },
+    name: { type: String, required: true },
+    category: { type: String },
+    amount: { type: Number, required: true }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Adjustment Line Schema - A late fee or discount applied to an order
+ *
+ * amount is positive for late fees and negative for discounts.
+ */
+const adjustmentLineSchema = new Schema(
+  {
+    rule_id: { type: Types.ObjectId, ref: 'AdjustmentRule' },
+    name: { type: String, required: true },
+    type: { type: String, enum: ['late_fee', 'discount'], required: true },
+    calculation: { type: String, enum: ['percentage', 'flat'] },
+    value: { type: Number },
+    base_amount: { type: Number },
+    amount: { type: Number, required: true }
+  },
+  {
+    _id: false
+  }
+);
+
 /**
  * Order Schema - Implements the Order Schema as specified in the assessment document
  * 
  * This schema stores order-related information as per the requirements:
  * - _id: Automatically generated by MongoDB (Object_id)
- * - school_id: Identifier for the school (String/Object_id)
+ * - school_id: Reference to the School (_id)
  * - trustee_id: Identifier for the trustee (String/Object_id)
+ * - student_id: Reference to the Student, when the payment is for a registered student
+ * - due_id: Reference to the StudentDue the payment is (partly) paying
  * - student_info: Object containing student details (name, id, email)
  * - gateway_name: Name of the payment gateway used
  * 
  * Additional fields for comprehensive order management:
  * - amount: Payment amount
  * - currency: Currency code (default: INR)
- * - status: Current order status
+ * - status: Copy of the OrderStatus status, kept in step by applyStatusUpdate; orders
+ *   still holding an old status (e.g. completed) get the current one when saved, and
+ *   `npm run check:status -- --repair` converts them all
  * - created_at: Timestamp of order creation
+ * - fee_structure_id / academic_year / term: Fee structure the order was created against
+ * - fee_breakdown: Fee heads and amounts the order pays for (empty for ad-hoc amounts)
+ * - base_amount / adjustments: Amount before late fees and discounts, and each
+ *   adjustment applied to reach `amount`
+ * - reminders_opt_out: No automatic payment reminders for this order
  */
 const orderSchema = new Schema(
   {
     school_id: {
       type: Types.ObjectId,
+      ref: 'School', // References the School model
       required: true,
       index: true, // Indexed for faster queries as mentioned in assessment
     },
@@ -51,6 +103,14 @@ const orderSchema = new Schema(
       type: Types.ObjectId,
       required: true,
     },
+    student_id: {
+      type: Types.ObjectId,
+      ref: 'Student',
+    },
+    due_id: {
+      type: Types.ObjectId,
+      ref: 'StudentDue',
+    },
     student_info: {
       type: studentInfoSchema,
       required: true,
@@ -69,9 +129,34 @@ const orderSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'success', 'failed', 'cancelled'],
+      enum: PAYMENT_STATUSES,
       default: 'pending',
     },
+    fee_structure_id: {
+      type: Types.ObjectId,
+      ref: 'FeeStructure',
+    },
+    academic_year: {
+      type: String,
+    },
+    term: {
+      type: String,
+    },
+    fee_breakdown: {
+      type: [feeBreakdownItemSchema],
+      default: undefined,
+    },
+    base_amount: {
+      type: Number,
+    },
+    adjustments: {
+      type: [adjustmentLineSchema],
+      default: undefined,
+    },
+    reminders_opt_out: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields automatically
@@ -79,11 +164,20 @@ const orderSchema = new Schema(
   }
 );
 
+// Old statuses are not in PAYMENT_STATUSES, so convert them before they fail validation
+orderSchema.pre('validate', function () {
+  if (LEGACY_ORDER_STATUSES[this.status]) {
+    this.status = LEGACY_ORDER_STATUSES[this.status];
+  }
+});
+
 // Create indexes for fields that will be frequently queried
 // This implements the indexing requirement from the assessment
-orderSchema.index({ school_id: 1 });
 orderSchema.index({ trustee_id: 1 });
 orderSchema.index({ 'student_info.id': 1 });
+orderSchema.index({ student_id: 1 });
+orderSchema.index({ due_id: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'fee_breakdown.fee_head_id': 1 }); // For per fee head reports
 
 export default model('Order', orderSchema);
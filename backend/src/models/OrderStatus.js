@@ -1,6 +1,12 @@
 import mongoose from 'mongoose';
 const { Schema, model, Types } = mongoose;
 
+// Payment statuses shared by OrderStatus and Order (see services/paymentStatus.js for the allowed moves)
+export const PAYMENT_STATUSES = ['pending', 'success', 'failed', 'cancelled', 'expired', 'partially_refunded', 'refunded'];
+
+// Order statuses written by older versions, and the status each one now stands for
+export const LEGACY_ORDER_STATUSES = { completed: 'success' };
+
 /**
  * Order Status Schema - Implements the Order Status Schema as specified in the assessment document
  * 
@@ -11,11 +17,23 @@ const { Schema, model, Types } = mongoose;
  * - transaction_amount: Final transaction amount (may include fees)
  * - payment_mode: Method of payment (UPI, card, etc.)
  * - payment_details: Additional payment information
+ * - payment_url: Gateway page where the payment can be made, sent to students by
+ *   email or SMS (see services/notificationService.js)
  * - bank_reference: Reference number from the bank
  * - payment_message: Message about the payment status
- * - status: Current status of the payment
+ * - status: Current status of the payment; successful payments move to partially_refunded
+ *   or refunded as refunds settle (see models/Refund.js)
  * - error_message: Error details if payment failed
  * - payment_time: Timestamp of the payment
+ * - reconcile_attempts / last_reconciled_at / next_reconcile_at: Bookkeeping for the
+ *   reconciliation job that polls the gateway for stale pending payments
+ * - reminder_count / last_reminder_at / next_reminder_at / expiry_notice_at: Bookkeeping
+ *   for the reminder job that follows up on unpaid links (next_reminder_at is null once
+ *   no more reminders will be sent)
+ * - receipt_number / receipt_issued_at: Sequential per-school receipt number, issued
+ *   once the payment succeeds (see services/receiptService.js)
+ * - refund_locked_until: Set while a refund is being reserved, so two refunds of the
+ *   same payment cannot both pass the refundable-amount check (see services/refundService.js)
  *
  * This model is critical for tracking payment status updates from the payment gateway
  * and is updated via the webhook integration as specified in the assessment.
@@ -46,6 +64,9 @@ const orderStatusSchema = new Schema(
     payment_details: { 
       type: String 
     },
+    payment_url: {
+      type: String
+    },
     bank_reference: { 
       type: String 
     },
@@ -54,7 +75,7 @@ const orderStatusSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'success', 'failed', 'cancelled'], // Standardized status values
+      enum: PAYMENT_STATUSES, // Standardized status values
       default: 'pending'
     },
     error_message: { 
@@ -68,6 +89,38 @@ const orderStatusSchema = new Schema(
     updated_at: {
       type: Date,
       default: Date.now
+    },
+    reconcile_attempts: {
+      type: Number,
+      default: 0
+    },
+    last_reconciled_at: {
+      type: Date
+    },
+    next_reconcile_at: {
+      type: Date
+    },
+    reminder_count: {
+      type: Number,
+      default: 0
+    },
+    last_reminder_at: {
+      type: Date
+    },
+    next_reminder_at: {
+      type: Date
+    },
+    expiry_notice_at: {
+      type: Date
+    },
+    receipt_number: {
+      type: String
+    },
+    receipt_issued_at: {
+      type: Date
+    },
+    refund_locked_until: {
+      type: Date
     }
   },
   {
@@ -78,9 +131,10 @@ const orderStatusSchema = new Schema(
 
 // Create indexes for frequently queried fields
 // This implements the indexing requirement from the assessment
-orderStatusSchema.index({ collect_id: 1 });
-orderStatusSchema.index({ order_id: 1 });
 orderStatusSchema.index({ status: 1 });
 orderStatusSchema.index({ payment_time: -1 }); // For sorting by payment time
+orderStatusSchema.index({ status: 1, createdAt: 1 }); // For finding stale pending payments
+orderStatusSchema.index({ receipt_number: 1 }, { sparse: true });
+orderStatusSchema.index({ status: 1, next_reminder_at: 1 }); // For finding payments due a reminder
 
 export const OrderStatus = model('OrderStatus', orderStatusSchema);
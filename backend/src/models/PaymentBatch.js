@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Payment Batch Row Schema - One CSV row of a bulk upload
+ *
+ * - row_number: Line in the uploaded CSV (the header is line 1)
+ * - student_id / name / email / phone / amount / fee_structure_id / fee_heads / due_id:
+ *   What the row asked for
+ * - status: invalid (failed validation), pending, creating (its payment link is being
+ *   created), created or failed (gateway error)
+ * - row_errors: Why the row is invalid or failed
+ * - order_id / collect_id / payment_url / charged_amount: The payment link created for it;
+ *   order_id is chosen before the gateway is called, so an interrupted row can be checked
+ */
+const paymentBatchRowSchema = new Schema(
+  {
+    row_number: { type: Number, required: true },
+    student_id: { type: String },
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    amount: { type: String },
+    fee_structure_id: { type: String },
+    fee_heads: { type: [String], default: undefined },
+    due_id: { type: String },
+    status: {
+      type: String,
+      enum: ['invalid', 'pending', 'creating', 'created', 'failed'],
+      default: 'pending'
+    },
+    row_errors: { type: [String], default: [] },
+    order_id: { type: Types.ObjectId, ref: 'Order' },
+    collect_id: { type: String },
+    payment_url: { type: String },
+    charged_amount: { type: Number }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Payment Batch Schema - A bulk upload of payment links, processed in the background
+ *
+ * - school_id: School the links are created for
+ * - file_name: Name of the uploaded file, if sent
+ * - status: processing while links are being created, then completed; failed when
+ *   the batch could not be processed at all (see error_message)
+ * - stats: Row counts by outcome
+ * - rows: Every CSV row with its outcome
+ * - created_by: User who uploaded the file
+ * - lease_owner / lease_expires_at: The API instance processing the batch; another
+ *   instance may only take it over once the lease has expired
+ */
+const paymentBatchSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    file_name: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing'
+    },
+    stats: {
+      total: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+    rows: {
+      type: [paymentBatchRowSchema],
+      default: []
+    },
+    error_message: {
+      type: String
+    },
+    started_at: {
+      type: Date
+    },
+    finished_at: {
+      type: Date
+    },
+    created_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    lease_owner: {
+      type: String
+    },
+    lease_expires_at: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'payment_batches'
+  }
+);
+
+paymentBatchSchema.index({ school_id: 1, createdAt: -1 });
+paymentBatchSchema.index({ status: 1 });
+
+export const PaymentBatch = model('PaymentBatch', paymentBatchSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Receipt Counter Schema - Last receipt number issued by each school
+ *
+ * - school_id: School the counter belongs to (one counter per school)
+ * - seq: Last sequence number handed out; incremented atomically
+ */
+const receiptCounterSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true,
+      unique: true
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'receipt_counters'
+  }
+);
+
+export const ReceiptCounter = model('ReceiptCounter', receiptCounterSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Reconciliation Run Schema - History of the pending payment reconciliation job
+ *
+ * Each run of the job (scheduled or triggered manually) records:
+ * - trigger / triggered_by: How the run was started and by whom
+ * - status: running, completed or failed
+ * - settings: The thresholds the run used
+ * - stats: How many pending payments were checked, updated, expired, left unchanged or errored,
+ *   how many gateway statuses were rejected by the status transition check, and how many
+ *   pending refunds were polled and settled
+ * - failures: Per-transaction errors (e.g. gateway unavailable)
+ */
+const reconciliationRunSchema = new Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      required: true
+    },
+    triggered_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running'
+    },
+    started_at: {
+      type: Date,
+      default: Date.now
+    },
+    finished_at: {
+      type: Date
+    },
+    settings: {
+      pending_after_minutes: Number,
+      expiry_minutes: Number,
+      batch_size: Number
+    },
+    stats: {
+      checked: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+      refunds_checked: { type: Number, default: 0 },
+      refunds_settled: { type: Number, default: 0 }
+    },
+    failures: [
+      {
+        _id: false,
+        collect_id: String,
+        message: String
+      }
+    ],
+    error_message: {
+      type: String
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'reconciliation_runs'
+  }
+);
+
+reconciliationRunSchema.index({ started_at: -1 });
+// Only one run can be running at a time, across every instance of the API
+reconciliationRunSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' }, name: 'one_running_run' }
+);
+
+export const ReconciliationRun = model('ReconciliationRun', reconciliationRunSchema);
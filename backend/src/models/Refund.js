@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Refund Schema - Full and partial refunds of successful payments
+ *
+ * Each refund belongs to one OrderStatus (the payment being refunded):
+ * - order_status_id / order_id / collect_id: The payment being refunded
+ * - school_id / gateway: Copied from the order so the gateway can be called without joins
+ * - amount: Amount refunded (at most the amount still refundable on the payment)
+ * - reason: Why the refund was issued
+ * - status: pending until the gateway settles it, then success or failed; review when
+ *   the gateway never confirmed it and an admin must check it (still reserves its amount)
+ * - gateway_refund_id: Refund reference returned by the gateway
+ * - gateway_response: Last raw response from the gateway
+ * - requested_by: Admin who issued the refund
+ * - resolved_by: Admin who resolved the refund after review
+ */
+const refundSchema = new Schema(
+  {
+    order_status_id: {
+      type: Types.ObjectId,
+      ref: 'OrderStatus',
+      required: true,
+      index: true
+    },
+    order_id: {
+      type: Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    collect_id: {
+      type: String,
+      required: true,
+      index: true
+    },
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    gateway: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'review', 'success', 'failed'],
+      default: 'pending'
+    },
+    gateway_refund_id: {
+      type: String
+    },
+    gateway_response: {
+      type: Schema.Types.Mixed
+    },
+    error_message: {
+      type: String
+    },
+    requested_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    resolved_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    },
+    processed_at: {
+      type: Date
+    },
+    last_polled_at: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'refunds'
+  }
+);
+
+refundSchema.index({ status: 1, createdAt: 1 }); // For polling pending refunds
+
+export const Refund = model('Refund', refundSchema);
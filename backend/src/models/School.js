@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+/**
+ * Callback Settings Schema - Where the payment gateway and users are sent back to
+ *
+ * - app_url: Public backend URL used to build the gateway callback URL
+ * - frontend_url: Frontend URL users are redirected to after the callback
+ */
+const callbackSettingsSchema = new Schema(
+  {
+    app_url: { type: String, trim: true },
+    frontend_url: { type: String, trim: true }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * School Schema - Stores the schools served by this deployment
+ *
+ * Each school carries its own payment gateway credentials so that a single
+ * deployment can collect fees for several schools:
+ * - name: Display name of the school
+ * - edviron_school_id: School ID issued by Edviron (sent as school_id to the gateway)
+ * - gateway_name: Gateway adapter used for this school's orders
+ * - pg_key: PG secret key used to sign gateway payloads (never returned by queries)
+ * - pg_api_key: Bearer API key for the gateway (never returned by queries)
+ * - currency: Currency used for this school's orders
+ * - callback: Callback and redirect URL overrides
+ */
+const schoolSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    edviron_school_id: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    gateway_name: {
+      type: String,
+      default: 'Edviron'
+    },
+    pg_key: {
+      type: String,
+      select: false // Secrets are excluded from query results
+    },
+    pg_api_key: {
+      type: String,
+      select: false
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+      uppercase: true
+    },
+    callback: {
+      type: callbackSettingsSchema,
+      default: () => ({})
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'schools'
+  }
+);
+
+schoolSchema.index({ active: 1 });
+
+export const School = model('School', schoolSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Session Schema - One signed-in device of a user
+ *
+ * Created at login; the session's refresh token is exchanged for new access
+ * tokens through POST /api/auth/refresh (see services/sessionService.js).
+ *
+ * - user_id: The signed-in user
+ * - token_hash: SHA-256 of the current refresh token; the token itself is never stored
+ * - previous_token_hashes: Hashes of the last 50 refresh tokens rotated out. Presenting
+ *   one of them again means the token was copied, so the session is revoked (except
+ *   for the latest one, just after rotated_at; see services/sessionService.js).
+ * - rotated_at: When the refresh token was last rotated
+ * - expires_at: When the refresh token stops working; MongoDB removes expired
+ *   sessions via a TTL index
+ * - revoked_at / revoked_reason: Set on logout ('logout', 'logout_all', 'token_reuse', ...)
+ * - user_agent / ip: Where the session was created, shown in the session list
+ * - last_used_at: Last time the session was refreshed
+ */
+const sessionSchema = new Schema(
+  {
+    user_id: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    token_hash: {
+      type: String,
+      required: true
+    },
+    previous_token_hashes: {
+      type: [String],
+      default: []
+    },
+    rotated_at: {
+      type: Date
+    },
+    expires_at: {
+      type: Date,
+      required: true
+    },
+    revoked_at: {
+      type: Date
+    },
+    revoked_reason: {
+      type: String
+    },
+    user_agent: {
+      type: String
+    },
+    ip: {
+      type: String
+    },
+    last_used_at: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'sessions'
+  }
+);
+
+sessionSchema.index({ token_hash: 1 }, { unique: true });
+sessionSchema.index({ previous_token_hashes: 1 }); // For refresh token reuse detection
+sessionSchema.index({ user_id: 1, revoked_at: 1 }); // For a user's active sessions
+// TTL index: sessions are removed once their refresh token has expired
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = model('Session', sessionSchema);
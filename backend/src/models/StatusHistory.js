@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Status History Schema - Every status transition of a payment
+ *
+ * Written by applyStatusUpdate (services/paymentStatus.js) whenever a payment
+ * changes status, and when a status update is rejected because the transition
+ * is not allowed (e.g. a late `pending` poll after `success`).
+ *
+ * - order_status_id / order_id / collect_id: The payment
+ * - from_status / to_status: The transition
+ * - applied: false when the transition was rejected; reason says why
+ * - source: What reported the status - callback, webhook, poll (status checks and
+ *   reconciliation), refund, system (e.g. link expiry) or manual
+ * - payload: Raw gateway data the status came from, if any
+ * - changed_by: User who made a manual change or triggered the update, if any
+ */
+const statusHistorySchema = new Schema(
+  {
+    order_status_id: {
+      type: Types.ObjectId,
+      ref: 'OrderStatus',
+      required: true
+    },
+    order_id: {
+      type: Types.ObjectId,
+      ref: 'Order'
+    },
+    collect_id: {
+      type: String
+    },
+    from_status: {
+      type: String
+    },
+    to_status: {
+      type: String,
+      required: true
+    },
+    applied: {
+      type: Boolean,
+      default: true
+    },
+    reason: {
+      type: String
+    },
+    source: {
+      type: String,
+      enum: ['callback', 'webhook', 'poll', 'refund', 'system', 'manual'],
+      required: true
+    },
+    payload: {
+      type: Schema.Types.Mixed
+    },
+    changed_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'status_history'
+  }
+);
+
+statusHistorySchema.index({ collect_id: 1, createdAt: 1 }); // For a payment's history
+statusHistorySchema.index({ order_status_id: 1, createdAt: 1 });
+
+export const StatusHistory = model('StatusHistory', statusHistorySchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Guardian Schema - A parent or guardian who can be contacted about fees
+ */
+const guardianSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    relation: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true, match: EMAIL_PATTERN }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Student Schema - The students fees are collected from
+ *
+ * - school_id: School the student is enrolled in
+ * - admission_number: School issued ID, unique within the school (sent as student_info.id)
+ * - name / email: Student details copied onto orders
+ * - class_name / section: Current class, used to assign fee structures
+ * - guardians: Parent and guardian contacts
+ * - tags: Labels such as sibling or merit that adjustment rules can target
+ * - reminders_opt_out: No automatic payment reminders for this student
+ * - active: Inactive students (e.g. alumni) keep their ledger but no new dues
+ */
+const studentSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    admission_number: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: EMAIL_PATTERN
+    },
+    class_name: {
+      type: String,
+      trim: true
+    },
+    section: {
+      type: String,
+      trim: true
+    },
+    guardians: {
+      type: [guardianSchema],
+      default: []
+    },
+    tags: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: []
+    },
+    reminders_opt_out: {
+      type: Boolean,
+      default: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'students'
+  }
+);
+
+studentSchema.index({ school_id: 1, admission_number: 1 }, { unique: true });
+studentSchema.index({ school_id: 1, class_name: 1, section: 1 });
+
+/**
+ * Contact email for fee communication: the student's own, else the first guardian's
+ */
+studentSchema.methods.getContactEmail = function () {
+  return this.email || this.guardians.find(guardian => guardian.email)?.email;
+};
+
+export const Student = model('Student', studentSchema);
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Due Line Schema - One fee head charged by a due
+ */
+const dueLineSchema = new Schema(
+  {
+    fee_head_id: { type: Types.ObjectId, ref: 'FeeHead' },
+    code: { type: String },
+    name: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Installment Schema - One part of a due's installment plan
+ *
+ * paid_amount and status are derived from the due's successful payments,
+ * which are allocated to installments in order.
+ */
+const installmentSchema = new Schema(
+  {
+    number: { type: Number, required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    due_date: { type: Date, required: true },
+    paid_amount: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['unpaid', 'partially_paid', 'paid'],
+      default: 'unpaid'
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Student Due Schema - An amount a student has been asked to pay
+ *
+ * Dues are usually assigned from a fee structure (its fee heads are copied into
+ * fee_breakdown) but can also be one-off charges with a description:
+ * - student_id / school_id: Who owes the due
+ * - fee_structure_id / academic_year / term: Fee structure the due was assigned from
+ * - description: What the due is for
+ * - fee_breakdown: Fee heads and amounts making up the due
+ * - amount: Total amount due
+ * - due_date: When the due should be paid by
+ * - installments: Optional plan splitting the amount into parts with their own due dates
+ * - paid_amount / status: Derived from successful payments (net of refunds) of orders
+ *   created against the due; unpaid, then partially_paid, then paid
+ * - late_fees_charged / discounts_charged: Flat late fee and discount rules a
+ *   successful payment of the due has already applied; they are not applied
+ *   again on later payments
+ * - cancelled: Cancelled dues are kept for history but no longer owed
+ */
+const studentDueSchema = new Schema(
+  {
+    student_id: {
+      type: Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true
+    },
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    fee_structure_id: {
+      type: Types.ObjectId,
+      ref: 'FeeStructure'
+    },
+    academic_year: {
+      type: String
+    },
+    term: {
+      type: String
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    fee_breakdown: {
+      type: [dueLineSchema],
+      default: []
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    due_date: {
+      type: Date
+    },
+    installments: {
+      type: [installmentSchema],
+      default: []
+    },
+    paid_amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['unpaid', 'partially_paid', 'paid'],
+      default: 'unpaid'
+    },
+    late_fees_charged: {
+      type: [{ type: Types.ObjectId, ref: 'AdjustmentRule' }],
+      default: []
+    },
+    discounts_charged: {
+      type: [{ type: Types.ObjectId, ref: 'AdjustmentRule' }],
+      default: []
+    },
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    assigned_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'student_dues',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+studentDueSchema.virtual('outstanding_amount').get(function () {
+  return Math.max(Math.round((this.amount - this.paid_amount) * 100) / 100, 0);
+});
+
+studentDueSchema.index({ school_id: 1, due_date: 1 });
+studentDueSchema.index({ school_id: 1, status: 1 });
+
+export const StudentDue = model('StudentDue', studentDueSchema);
@@ -1,7 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
-const { Schema, model } = mongoose;
+const { Schema, model, Types } = mongoose;
 
 /**
  * User Schema - Implements the User Authentication requirements from the assessment document
@@ -14,6 +14,12 @@ const { Schema, model } = mongoose;
  * - email: User's email address (unique identifier)
  * - password: Securely hashed password using bcrypt
  * - role: User's role in the system (admin, school, trustee)
+ * - school_ids: Schools a school or trustee user works for; admins see every school
+ * - email_verified / email_verified_at: Whether the user confirmed their email address.
+ *   Registration sets it to false and login is refused until it is confirmed; users
+ *   created before email verification existed have no value and can sign in.
+ * - token_version: Goes up when the role or schools change; access tokens issued
+ *   for an older version are rejected (see services/tokenService.js)
  * - createdAt: Timestamp of user creation
  * 
  * Security features implemented:
@@ -40,6 +46,20 @@ const userSchema = new Schema({
     enum: ['admin', 'school', 'trustee'],
     default: 'trustee'
   },
+  school_ids: {
+    type: [{ type: Types.ObjectId, ref: 'School' }],
+    default: []
+  },
+  email_verified: {
+    type: Boolean
+  },
+  email_verified_at: {
+    type: Date
+  },
+  token_version: {
+    type: Number,
+    default: 0
+  },
   createdAt: { type: Date, default: Date.now }
 }, { collection: 'users' });
 
@@ -76,7 +96,6 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
 };
 
 // Create indexes for efficient querying
-userSchema.index({ email: 1 }); // For faster email lookups during authentication
 userSchema.index({ role: 1 }); // For role-based queries
 
 export const User = model(
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+/**
+ * Webhook Delivery Schema - One outbound event sent to one subscription
+ *
+ * - event / event_id / payload: The event as it is POSTed (payload.id is event_id)
+ * - status: pending until the endpoint answers 2xx (delivered) or the attempts run out (failed)
+ * - attempts / next_attempt_at: Retry bookkeeping; retries back off exponentially
+ * - attempt_log: Response status, error and duration of every attempt
+ * - redelivery_of: Original delivery when an admin redelivers an event
+ */
+const attemptSchema = new Schema(
+  {
+    attempted_at: { type: Date, default: Date.now },
+    response_status: Number,
+    error: String,
+    duration_ms: Number
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new Schema(
+  {
+    subscription_id: {
+      type: Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+      index: true
+    },
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    event_id: {
+      type: String,
+      required: true
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    next_attempt_at: {
+      type: Date,
+      default: Date.now
+    },
+    last_response_status: {
+      type: Number
+    },
+    last_error: {
+      type: String
+    },
+    delivered_at: {
+      type: Date
+    },
+    attempt_log: [attemptSchema],
+    redelivery_of: {
+      type: Types.ObjectId,
+      ref: 'WebhookDelivery'
+    },
+    redelivered_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_deliveries'
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 }); // For the retry worker
+webhookDeliverySchema.index({ event_id: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+export const WebhookDelivery = model('WebhookDelivery', webhookDeliverySchema);
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-const { Schema, model } = mongoose;
+const { Schema, model, Types } = mongoose;
 
 /**
  * Webhook Log Schema - Implements the Webhook Logs Schema as specified in the assessment document
@@ -12,7 +12,13 @@ const { Schema, model } = mongoose;
  * 
  * The schema stores:
  * - payload: The complete webhook payload received from the payment gateway
+ * - raw_body / signature_headers: The body and signature headers exactly as received, for re-verification
+ * - gateway / collect_id: Which gateway sent it and which collect request it is about
+ * - event_key: Hash of the status update, used to detect duplicate deliveries
  * - receivedAt: Timestamp when the webhook was received
+ * - status: processed, duplicate (already applied), failed (could not be applied) or invalid
+ * - errorDetails / http_status: Why processing failed and what the gateway was answered
+ * - replay_of / attempt / replayed_by: Links replays to the original delivery and numbers the attempts
  * 
  * This implements the "Robust Logging" requirement from the assessment document,
  * which specifies to "Log incoming webhook events and failed transactions for audit and debugging."
@@ -23,17 +29,51 @@ const webhookLogSchema = new Schema(
       type: Schema.Types.Mixed, 
       required: true 
     },
+    raw_body: {
+      type: String
+    },
+    signature_headers: {
+      type: Schema.Types.Mixed
+    },
+    gateway: {
+      type: String
+    },
+    collect_id: {
+      type: String
+    },
+    event_key: {
+      type: String
+    },
     receivedAt: { 
       type: Date, 
       default: Date.now 
     },
     status: {
       type: String,
-      enum: ['processed', 'failed', 'invalid'],
+      enum: ['processed', 'duplicate', 'failed', 'invalid'],
       default: 'processed'
     },
     errorDetails: {
       type: String
+    },
+    http_status: {
+      type: Number
+    },
+    duplicate_of: {
+      type: Types.ObjectId,
+      ref: 'WebhookLog'
+    },
+    replay_of: {
+      type: Types.ObjectId,
+      ref: 'WebhookLog'
+    },
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    replayed_by: {
+      type: Types.ObjectId,
+      ref: 'User'
     }
   },
   {
@@ -45,5 +85,12 @@ const webhookLogSchema = new Schema(
 // Create indexes for efficient querying
 webhookLogSchema.index({ receivedAt: -1 }); // For sorting by time received
 webhookLogSchema.index({ status: 1 }); // For filtering by processing status
+webhookLogSchema.index({ collect_id: 1 }); // For finding all webhooks of a transaction
+webhookLogSchema.index({ replay_of: 1 }); // For listing the replays of a delivery
+// A status update can only be processed once; repeats are stored as duplicates
+webhookLogSchema.index(
+  { event_key: 1 },
+  { unique: true, partialFilterExpression: { status: 'processed' } }
+);
 
 export const WebhookLog = model('WebhookLog', webhookLogSchema);
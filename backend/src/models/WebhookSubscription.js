@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+const { Schema, model, Types } = mongoose;
+
+export const WEBHOOK_EVENTS = ['payment.success', 'payment.failed', 'refund.created'];
+
+/**
+ * Webhook Subscription Schema - Endpoints a school's ERP registers to be
+ * notified of payment events instead of polling transaction-status
+ *
+ * - school_id: School whose events are sent
+ * - url: HTTP(S) endpoint the events are POSTed to
+ * - events: Event types the endpoint receives
+ * - secret: Key used to sign deliveries (X-Webhook-Signature); only returned on creation
+ * - active: Inactive subscriptions receive no new deliveries
+ */
+const webhookSubscriptionSchema = new Schema(
+  {
+    school_id: {
+      type: Types.ObjectId,
+      ref: 'School',
+      required: true,
+      index: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^https?:\/\/\S+$/
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'At least one event type is required'
+      }
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    created_by: {
+      type: Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_subscriptions'
+  }
+);
+
+webhookSubscriptionSchema.index({ school_id: 1, events: 1, active: 1 });
+
+export const WebhookSubscription = model('WebhookSubscription', webhookSubscriptionSchema);
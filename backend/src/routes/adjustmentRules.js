@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requireSchoolAccess } from '../middleware/scope.js';
+import {
+  createAdjustmentRule,
+  getAdjustmentRules,
+  getAdjustmentRuleById,
+  updateAdjustmentRule,
+  deleteAdjustmentRule
+} from '../controllers/adjustmentRuleController.js';
+
+// Mounted under /api/schools/:schoolId
+const router = express.Router({ mergeParams: true });
+
+router.post('/adjustment-rules', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), createAdjustmentRule);
+router.get('/adjustment-rules', authenticate, requirePermission('fees:read'), requireSchoolAccess(), getAdjustmentRules);
+router.get('/adjustment-rules/:id', authenticate, requirePermission('fees:read'), requireSchoolAccess(), getAdjustmentRuleById);
+router.put('/adjustment-rules/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), updateAdjustmentRule);
+router.delete('/adjustment-rules/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), deleteAdjustmentRule);
+
+export default router;
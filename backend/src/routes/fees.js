@@ -0,0 +1,30 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requireSchoolAccess } from '../middleware/scope.js';
+import {
+  createFeeHead,
+  getFeeHeads,
+  updateFeeHead,
+  deleteFeeHead,
+  createFeeStructure,
+  getFeeStructures,
+  getFeeStructureById,
+  updateFeeStructure,
+  deleteFeeStructure
+} from '../controllers/feeController.js';
+
+// Mounted under /api/schools/:schoolId
+const router = express.Router({ mergeParams: true });
+
+router.post('/fee-heads', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), createFeeHead);
+router.get('/fee-heads', authenticate, requirePermission('fees:read'), requireSchoolAccess(), getFeeHeads);
+router.put('/fee-heads/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), updateFeeHead);
+router.delete('/fee-heads/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), deleteFeeHead);
+
+router.post('/fee-structures', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), createFeeStructure);
+router.get('/fee-structures', authenticate, requirePermission('fees:read'), requireSchoolAccess(), getFeeStructures);
+router.get('/fee-structures/:id', authenticate, requirePermission('fees:read'), requireSchoolAccess(), getFeeStructureById);
+router.put('/fee-structures/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), updateFeeStructure);
+router.delete('/fee-structures/:id', authenticate, requirePermission('fees:manage'), requireSchoolAccess(), deleteFeeStructure);
+
+export default router;
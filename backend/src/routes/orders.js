@@ -1,19 +1,21 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import {
   createOrder,
   getAllOrders,
   getOrderById,
   updateOrder,
-  deleteOrder
+  cancelOrder
 } from '../controllers/orderController.js';
 
 const router = express.Router();
 
-router.post('/', authenticate, createOrder);
-router.get('/', authenticate, getAllOrders);
-router.get('/:id', authenticate, getOrderById);
-router.put('/:id', authenticate, updateOrder);
-router.delete('/:id', authenticate, deleteOrder);
+// Orders are limited to the schools the user is linked to
+router.post('/', authenticate, requirePermission('orders:manage'), createOrder);
+router.get('/', authenticate, requirePermission('orders:read'), getAllOrders);
+router.get('/:id', authenticate, requirePermission('orders:read'), getOrderById);
+router.put('/:id', authenticate, requirePermission('orders:manage'), updateOrder);
+// Orders are cancelled, never deleted
+router.delete('/:id', authenticate, requirePermission('orders:manage'), cancelOrder);
 
 export default router;
@@ -1,22 +1,57 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requirePaymentAccess } from '../middleware/scope.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { createPayment } from '../controllers/payment/createPayment.js';
 import { paymentCallback } from '../controllers/payment/paymentCallback.js';
-import { paymentWebhook, verifyWebhookSignature } from '../controllers/payment/paymentWebhook.js';
+import { paymentWebhook } from '../controllers/payment/paymentWebhook.js';
 import { transactionStatus } from '../controllers/payment/transactionStatus.js';
 import { checkPaymentStatus } from '../controllers/payment/checkPaymentStatus.js';
+import { createRefund, listRefunds, getRefund, resolveRefundReview } from '../controllers/payment/refunds.js';
+import { downloadReceipt } from '../controllers/payment/receipt.js';
+import { sendPaymentLinkNotification, listPaymentNotifications } from '../controllers/payment/paymentLinks.js';
+import { getPaymentReminders, updatePaymentReminders } from '../controllers/payment/reminders.js';
+import {
+  createBulkPayments,
+  getPaymentBatches,
+  getPaymentBatchById,
+  downloadPaymentBatchLinks
+} from '../controllers/payment/bulkPayments.js';
 
 const router = express.Router();
 
-// Only trustees can initiate payments
-router.post('/create-payment', authenticate, createPayment);
+// Bulk uploads may be sent as a text/csv body
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: process.env.BULK_PAYMENT_MAX_UPLOAD || '2mb' });
+
+// Payments can only be created for the user's schools
+router.post('/create-payment', authenticate, requirePermission('payments:create'), idempotency, createPayment);
+// Bulk payment links from a CSV upload
+router.post('/bulk', authenticate, requirePermission('payments:create'), csvBody, idempotency, createBulkPayments);
+router.get('/bulk', authenticate, requirePermission('payments:read'), getPaymentBatches);
+router.get('/bulk/:id', authenticate, requirePermission('payments:read'), getPaymentBatchById);
+router.get('/bulk/:id/links.csv', authenticate, requirePermission('payments:read'), downloadPaymentBatchLinks);
 // Check status
-router.get('/status/:id', authenticate, checkPaymentStatus);
+router.get('/status/:id', authenticate, requirePermission('payments:read'), checkPaymentStatus);
 // Payment callback endpoint (redirect from Edviron)
 router.get('/callback', paymentCallback);
-// Webhook endpoint with optional signature verification
-router.post('/webhook', verifyWebhookSignature, paymentWebhook);
+// Webhook endpoint; signatures are verified and every delivery is logged by the handler
+router.post('/webhook', paymentWebhook);
+// Gateway specific webhook endpoint, e.g. /webhook/edviron
+router.post('/webhook/:gateway', paymentWebhook);
 // Add transaction status endpoints
 router.get('/transaction-status/:custom_order_id', transactionStatus);
+// Refunds are restricted to admins
+router.post('/:collect_id/refunds', authenticate, requirePermission('refunds:manage'), idempotency, createRefund);
+router.get('/:collect_id/refunds', authenticate, requirePermission('refunds:manage'), listRefunds);
+router.get('/:collect_id/refunds/:refund_id', authenticate, requirePermission('refunds:manage'), getRefund);
+router.post('/:collect_id/refunds/:refund_id/resolve', authenticate, requirePermission('refunds:manage'), resolveRefundReview);
+// Numbered PDF receipt of a successful payment
+router.get('/:collect_id/receipt.pdf', authenticate, requirePermission('payments:read'), requirePaymentAccess, downloadReceipt);
+// Email/SMS the payment link to the student and list what was sent
+router.post('/:collect_id/payment-link', authenticate, requirePermission('payments:notify'), requirePaymentAccess, idempotency, sendPaymentLinkNotification);
+router.get('/:collect_id/notifications', authenticate, requirePermission('payments:read'), requirePaymentAccess, listPaymentNotifications);
+// Automatic reminders: history and per-payment opt-out
+router.get('/:collect_id/reminders', authenticate, requirePermission('payments:read'), requirePaymentAccess, getPaymentReminders);
+router.put('/:collect_id/reminders', authenticate, requirePermission('payments:notify'), requirePaymentAccess, updatePaymentReminders);
 
 export default router;
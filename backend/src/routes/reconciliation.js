@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  getReconciliationRuns,
+  getReconciliationRunById,
+  triggerReconciliation
+} from '../controllers/reconciliationController.js';
+
+const router = express.Router();
+
+// Reconciliation runs are restricted to admins
+router.get('/runs', authenticate, requirePermission('reconciliation:manage'), getReconciliationRuns);
+router.get('/runs/:id', authenticate, requirePermission('reconciliation:manage'), getReconciliationRunById);
+router.post('/runs', authenticate, requirePermission('reconciliation:manage'), triggerReconciliation);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requireSchoolAccess } from '../middleware/scope.js';
+import {
+  createSchool,
+  getSchools,
+  getSchoolById,
+  updateSchool,
+  deleteSchool
+} from '../controllers/schoolController.js';
+import feesRouter from './fees.js';
+import adjustmentRulesRouter from './adjustmentRules.js';
+
+const router = express.Router();
+
+router.post('/', authenticate, requirePermission('schools:manage'), createSchool);
+router.get('/', authenticate, requirePermission('schools:read'), getSchools);
+router.get('/:id', authenticate, requirePermission('schools:read'), requireSchoolAccess('id'), getSchoolById);
+router.put('/:id', authenticate, requirePermission('schools:manage'), updateSchool);
+router.delete('/:id', authenticate, requirePermission('schools:manage'), deleteSchool);
+
+// Fee heads and fee structures of a school
+router.use('/:schoolId', feesRouter);
+
+// Late fee and discount rules of a school
+router.use('/:schoolId', adjustmentRulesRouter);
+
+export default router;
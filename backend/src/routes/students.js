@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  createStudent,
+  getStudents,
+  getStudentById,
+  updateStudent,
+  deleteStudent,
+  createStudentDue,
+  getStudentDues,
+  cancelStudentDue,
+  setStudentDueInstallments,
+  getStudentLedger
+} from '../controllers/studentController.js';
+
+const router = express.Router();
+
+router.post('/', authenticate, requirePermission('students:manage'), createStudent);
+router.get('/', authenticate, requirePermission('students:read'), getStudents);
+router.get('/:id', authenticate, requirePermission('students:read'), getStudentById);
+router.put('/:id', authenticate, requirePermission('students:manage'), updateStudent);
+router.delete('/:id', authenticate, requirePermission('students:manage'), deleteStudent);
+
+// Dues and ledger
+router.post('/:id/dues', authenticate, requirePermission('students:manage'), createStudentDue);
+router.get('/:id/dues', authenticate, requirePermission('students:read'), getStudentDues);
+router.delete('/:id/dues/:dueId', authenticate, requirePermission('students:manage'), cancelStudentDue);
+router.put('/:id/dues/:dueId/installments', authenticate, requirePermission('students:manage'), setStudentDueInstallments);
+router.get('/:id/ledger', authenticate, requirePermission('students:read'), getStudentLedger);
+
+export default router;
@@ -1,13 +1,20 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
-import { getAllTransactions, getTransactionsBySchool } from '../controllers/transactionController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requirePaymentAccess } from '../middleware/scope.js';
+import { getAllTransactions, getTransactionsBySchool, getFeeHeadSummary, getTransactionHistory } from '../controllers/transactionController.js';
 
 const router = express.Router();
 
 // Get all transactions with filtering, pagination, and sorting
-router.get('/', authenticate, getAllTransactions);
+router.get('/', authenticate, requirePermission('transactions:read'), getAllTransactions);
+
+// Get collected amounts per fee head
+router.get('/fee-heads', authenticate, requirePermission('transactions:read'), getFeeHeadSummary);
 
 // Get transactions by school ID
-router.get('/school/:schoolId', authenticate, getTransactionsBySchool);
+router.get('/school/:schoolId', authenticate, requirePermission('transactions:read'), getTransactionsBySchool);
+
+// Get every status transition of a transaction
+router.get('/:collect_id/history', authenticate, requirePermission('transactions:read'), requirePaymentAccess, getTransactionHistory);
 
 export default router;
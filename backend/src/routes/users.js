@@ -4,17 +4,19 @@ import {
   getUsers,
   getUserById,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser
 } from '../controllers/userController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Apply auth middleware as needed (e.g., admin only)
+// Public registration creates trustees; roles and schools are assigned by admins
 router.post('/register', createUser);
-router.get('/', authenticate, getUsers);
-router.get('/:id', authenticate, getUserById);
-router.put('/:id', authenticate, updateUser);
-router.delete('/:id', authenticate, deleteUser);
+router.get('/', authenticate, requirePermission('users:read'), getUsers);
+router.get('/:id', authenticate, requirePermission('users:read'), getUserById);
+router.put('/:id', authenticate, requirePermission('users:manage'), updateUser);
+router.delete('/:id', authenticate, requirePermission('users:manage'), deleteUser);
+router.post('/:id/unlock', authenticate, requirePermission('users:manage'), unlockUser);
 
 export default router;
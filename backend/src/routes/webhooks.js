@@ -0,0 +1,36 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  getWebhookLogs,
+  getWebhookLogById,
+  replayWebhookLog
+} from '../controllers/webhookController.js';
+import {
+  createSubscription,
+  getSubscriptions,
+  getSubscriptionById,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  getDeliveryById,
+  redeliverDelivery
+} from '../controllers/outboundWebhookController.js';
+
+const router = express.Router();
+
+// Webhook administration is restricted to admins
+router.get('/logs', authenticate, requirePermission('webhooks:manage'), getWebhookLogs);
+router.get('/logs/:id', authenticate, requirePermission('webhooks:manage'), getWebhookLogById);
+router.post('/logs/:id/replay', authenticate, requirePermission('webhooks:manage'), replayWebhookLog);
+
+// Outbound webhooks sent to school ERPs
+router.post('/subscriptions', authenticate, requirePermission('webhooks:manage'), createSubscription);
+router.get('/subscriptions', authenticate, requirePermission('webhooks:manage'), getSubscriptions);
+router.get('/subscriptions/:id', authenticate, requirePermission('webhooks:manage'), getSubscriptionById);
+router.put('/subscriptions/:id', authenticate, requirePermission('webhooks:manage'), updateSubscription);
+router.delete('/subscriptions/:id', authenticate, requirePermission('webhooks:manage'), deleteSubscription);
+router.get('/deliveries', authenticate, requirePermission('webhooks:manage'), getDeliveries);
+router.get('/deliveries/:id', authenticate, requirePermission('webhooks:manage'), getDeliveryById);
+router.post('/deliveries/:id/redeliver', authenticate, requirePermission('webhooks:manage'), redeliverDelivery);
+
+export default router;
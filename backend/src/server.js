@@ -2,6 +2,18 @@ import dotenv from 'dotenv';
 dotenv.config();
 import http from 'http';
 import app from './app.js';
+import { startReconciliationScheduler } from './jobs/reconcilePendingPayments.js';
+import { startWebhookDeliveryWorker } from './jobs/deliverOutboundWebhooks.js';
+import { startNotificationWorker } from './jobs/deliverNotifications.js';
+import { startReminderScheduler } from './jobs/sendPaymentReminders.js';
+import { resumePaymentBatches } from './services/bulkPaymentService.js';
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one proxy hop) makes req.ip the
+// client's address, which login throttling and sessions rely on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 const PORT = process.env.PORT || 5000;
 const server = http.createServer(app);
@@ -11,4 +23,12 @@ server.on('error', err => {
     process.exit(1);
   }
 });
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startReconciliationScheduler();
+  startWebhookDeliveryWorker();
+  startNotificationWorker();
+  startReminderScheduler();
+  // Bulk uploads interrupted by a restart carry on where they stopped
+  resumePaymentBatches().catch(error => console.error('Failed to resume payment batches:', error.message));
+});
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { NotFoundError } from '../errors/index.js';
+
+/**
+ * Access Service - Tenant scoping of school and trustee users
+ *
+ * A user's scope is the list of schools they may see (User.school_ids), or null
+ * for admins, who see every school. requirePermission puts it on req.schoolScope.
+ * Data of schools outside the scope is reported as not found, so its existence
+ * is not revealed.
+ */
+
+/**
+ * Schools a user may see data for.
+ *
+ * @param {Object} user - Signed-in user (req.user)
+ * @returns {Promise<Array|null>} School _ids, or null for admins (every school)
+ */
+export const getUserSchoolIds = async (user) => {
+  if (user?.role === 'admin') return null;
+
+  // Current tokens carry the schools; authenticate has checked they are up to date
+  if (Array.isArray(user?.schoolIds)) {
+    return user.schoolIds.map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  const account = await User.findById(user?.userId).select('school_ids').lean();
+  return account?.school_ids || [];
+};
+
+/**
+ * Query filter limiting documents to the scope.
+ *
+ * @param {Array|null} scope - From getUserSchoolIds
+ * @param {string} [field] - Path holding the school _id
+ * @returns {Object}
+ */
+export const scopeFilter = (scope, field = 'school_id') => (scope ? { [field]: { $in: scope } } : {});
+
+/**
+ * Whether the scope includes a school.
+ *
+ * @param {Array|null} scope - From getUserSchoolIds
+ * @param {*} schoolId - School _id (ObjectId or string)
+ * @returns {boolean}
+ */
+export const canAccessSchool = (scope, schoolId) =>
+  !scope || (schoolId != null && scope.some(id => id.toString() === schoolId.toString()));
+
+/**
+ * Fail with 404 unless the scope includes the school.
+ *
+ * @param {Array|null} scope - From getUserSchoolIds
+ * @param {*} schoolId - School _id
+ * @param {string} [message] - Not found message
+ */
+export const assertSchoolAccess = (scope, schoolId, message = 'School not found') => {
+  if (!canAccessSchool(scope, schoolId)) {
+    throw new NotFoundError(message);
+  }
+};
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { AuthToken } from '../models/AuthToken.js';
+import { queueNotification } from './notificationService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { FRONTEND_URL } from '../config/frontendUrl.js';
+import { ValidationError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Account Service - Email verification and password resets
+ *
+ * Both flows email the user a link to the frontend holding a single-use token.
+ * Tokens expire after EMAIL_VERIFICATION_EXPIRES_MINUTES (24 hours by default)
+ * and PASSWORD_RESET_EXPIRES_MINUTES (1 hour by default); issuing a new token
+ * invalidates the user's earlier ones. Emails go through the notification
+ * outbox as sensitive messages: the link is sent once and never stored in the
+ * outbox or written by the file and console transports, so follow links locally
+ * through SMTP (e.g. a mail catcher).
+ *
+ * Requests naming an unknown email address succeed silently, so they cannot be
+ * used to find out who has an account.
+ */
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+// At most one email per user and purpose in this period
+const MIN_EMAIL_INTERVAL_MS = 60 * 1000;
+
+const FLOWS = {
+  email_verification: {
+    template: 'email_verification',
+    path: '/verify-email',
+    urlField: 'verify_url',
+    expiresEnv: 'EMAIL_VERIFICATION_EXPIRES_MINUTES',
+    expiresDefault: 24 * 60
+  },
+  password_reset: {
+    template: 'password_reset',
+    path: '/reset-password',
+    urlField: 'reset_url',
+    expiresEnv: 'PASSWORD_RESET_EXPIRES_MINUTES',
+    expiresDefault: 60
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getExpiresMinutes = ({ expiresEnv, expiresDefault }) => readNumber(expiresEnv, expiresDefault);
+
+const describeMinutes = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+/**
+ * Fail unless a password is acceptable for a new account or a reset.
+ *
+ * @param {*} password - Password from the request
+ */
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new ValidationError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+};
+
+/**
+ * Issue a token and email it to the user.
+ *
+ * @returns {Promise<boolean>} false when an email was sent too recently
+ */
+const sendTokenEmail = async (user, purpose) => {
+  const flow = FLOWS[purpose];
+
+  const recent = await AuthToken.exists({
+    user_id: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - MIN_EMAIL_INTERVAL_MS) }
+  });
+  if (recent) return false;
+
+  // Only the newest link works
+  await AuthToken.updateMany({ user_id: user._id, purpose, used_at: null }, { used_at: new Date() });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const minutes = getExpiresMinutes(flow);
+  await AuthToken.create({
+    user_id: user._id,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + minutes * 60000)
+  });
+
+  await queueNotification({
+    channel: 'email',
+    to: user.email,
+    template: flow.template,
+    data: {
+      email: user.email,
+      [flow.urlField]: `${FRONTEND_URL.replace(/\/$/, '')}${flow.path}?token=${encodeURIComponent(token)}`,
+      expires_in: describeMinutes(minutes)
+    },
+    userId: user._id,
+    sensitive: true
+  });
+  return true;
+};
+
+/**
+ * Use up a token.
+ *
+ * @returns {Promise<string>} The user ID the token was issued for
+ */
+const consumeToken = async (token, purpose) => {
+  const invalid = new ValidationError('This link is invalid or has expired');
+  if (!token || typeof token !== 'string') throw invalid;
+
+  const now = new Date();
+  const authToken = await AuthToken.findOneAndUpdate(
+    { token_hash: hashToken(token), purpose, used_at: null, expires_at: { $gt: now } },
+    { used_at: now },
+    { new: true }
+  );
+  if (!authToken) throw invalid;
+  return authToken.user_id;
+};
+
+/**
+ * Email a newly registered user the link that confirms their address.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} false when an email was sent too recently
+ */
+export const sendVerificationEmail = (user) => sendTokenEmail(user, 'email_verification');
+
+/**
+ * Send the verification email again, for users who have not confirmed their address.
+ *
+ * @param {string} email - Email address the user registered with
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (user && user.email_verified === false) {
+    await sendVerificationEmail(user);
+  }
+};
+
+/**
+ * Confirm a user's email address.
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} The user
+ * @throws {ValidationError} When the token is invalid, used or expired
+ */
+export const verifyEmail = async (token) => {
+  const userId = await consumeToken(token, 'email_verification');
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ValidationError('This link is invalid or has expired');
+  }
+
+  if (!user.email_verified) {
+    user.email_verified = true;
+    user.email_verified_at = new Date();
+    await user.save();
+  }
+  return user;
+};
+
+/**
+ * Email a password reset link.
+ *
+ * @param {string} email - Email address of the account
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (user) {
+    await sendTokenEmail(user, 'password_reset');
+  }
+};
+
+/**
+ * Set a new password with a reset token. Every session of the user is signed
+ * out, and the address counts as verified since the link reached its mailbox.
+ *
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Promise<void>}
+ * @throws {ValidationError} When the password is too short or the token is invalid, used or expired
+ */
+export const resetPassword = async (token, password) => {
+  validatePassword(password);
+  const userId = await consumeToken(token, 'password_reset');
+
+  const user = await User.findById(userId).select('+password');
+  if (!user) {
+    throw new ValidationError('This link is invalid or has expired');
+  }
+
+  user.password = password;
+  user.token_version += 1;
+  if (!user.email_verified) {
+    user.email_verified = true;
+    user.email_verified_at = new Date();
+  }
+  await user.save();
+
+  await revokeAllSessions(user._id, 'password_reset');
+};
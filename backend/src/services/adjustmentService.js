@@ -0,0 +1,128 @@
+import { AdjustmentRule } from '../models/AdjustmentRule.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Adjustment Service - Applies a school's late fee and discount rules to the
+ * amount of a new payment
+ *
+ * Rules are evaluated in priority order against the amount before adjustments
+ * (or, for rules limited to some fee heads, against those fee heads only).
+ * Every rule that applies is returned as a line to be stored on the Order.
+ * A flat late fee or discount applies once per due: partial and installment
+ * payments after the one that paid it do not get it again.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isWithinWindow = (rule, at) =>
+  (!rule.valid_from || rule.valid_from <= at) && (!rule.valid_until || rule.valid_until >= at);
+
+const matchesStudent = (rule, studentTags) =>
+  rule.student_tags.length === 0 || rule.student_tags.some(tag => studentTags.includes(tag));
+
+const isLate = (rule, dueDate, at) =>
+  Boolean(dueDate) && at.getTime() > new Date(dueDate).getTime() + rule.grace_days * DAY_MS;
+
+// Amount a rule is calculated on: the whole payment, or only its matching fee
+// heads (never more than the payment itself, for partial payments of a due)
+const ruleBaseAmount = (rule, baseAmount, breakdown) => {
+  if (rule.fee_head_codes.length === 0) return baseAmount;
+  const matching = breakdown
+    .filter(line => rule.fee_head_codes.includes(line.code))
+    .reduce((total, line) => total + line.amount, 0);
+  return roundAmount(Math.min(matching, baseAmount));
+};
+
+/**
+ * Work out which rules apply and the resulting amount.
+ *
+ * @param {Object} params
+ * @param {Array} params.rules - Active AdjustmentRule documents, in priority order
+ * @param {number} params.baseAmount - Amount before adjustments
+ * @param {Array} [params.breakdown] - Fee breakdown lines ({ code, amount })
+ * @param {Array<string>} [params.studentTags] - Tags of the paying student
+ * @param {Date|string} [params.dueDate] - When the payment was due; late fees need one
+ * @param {Array} [params.chargedLateFees] - Flat late fee rule IDs the due was already charged
+ * @param {Array} [params.chargedDiscounts] - Flat discount rule IDs the due was already given
+ * @param {Date} [params.at] - When the payment is made
+ * @returns {{adjustments: Array, amount: number}}
+ */
+export const computeAdjustments = ({
+  rules,
+  baseAmount,
+  breakdown = [],
+  studentTags = [],
+  dueDate,
+  chargedLateFees = [],
+  chargedDiscounts = [],
+  at = new Date()
+}) => {
+  const charged = new Set([...chargedLateFees, ...chargedDiscounts].map(id => id.toString()));
+
+  const adjustments = [];
+  let amount = baseAmount;
+
+  rules.forEach(rule => {
+    if (!isWithinWindow(rule, at) || !matchesStudent(rule, studentTags)) return;
+    if (rule.type === 'late_fee' && !isLate(rule, dueDate, at)) return;
+    if (rule.calculation === 'flat' && charged.has(rule._id.toString())) return;
+
+    const base = ruleBaseAmount(rule, baseAmount, breakdown);
+    if (base <= 0) return;
+
+    let value = rule.calculation === 'percentage' ? base * rule.value / 100 : rule.value;
+    if (rule.max_amount !== undefined && rule.max_amount !== null) {
+      value = Math.min(value, rule.max_amount);
+    }
+    // Discounts never take the payment below zero
+    value = roundAmount(rule.type === 'discount' ? Math.min(value, amount) : value);
+    if (value <= 0) return;
+
+    const signed = rule.type === 'discount' ? -value : value;
+    amount = roundAmount(amount + signed);
+    adjustments.push({
+      rule_id: rule._id,
+      name: rule.name,
+      type: rule.type,
+      calculation: rule.calculation,
+      value: rule.value,
+      base_amount: base,
+      amount: signed
+    });
+  });
+
+  return { adjustments, amount };
+};
+
+/**
+ * Apply a school's active rules to a new payment.
+ *
+ * @param {Object} params
+ * @param {Object} params.school - School the payment is for
+ * @param {Object} [params.student] - Paying Student document
+ * @param {number} params.baseAmount - Amount before adjustments
+ * @param {Array} [params.breakdown] - Fee breakdown lines
+ * @param {Date|string} [params.dueDate] - When the payment was due
+ * @param {Array} [params.chargedLateFees] - Flat late fee rule IDs the due was already charged
+ * @param {Array} [params.chargedDiscounts] - Flat discount rule IDs the due was already given
+ * @returns {Promise<{adjustments: Array, amount: number}>}
+ */
+export const applyAdjustmentRules = async ({ school, student, baseAmount, breakdown, dueDate, chargedLateFees, chargedDiscounts }) => {
+  const rules = await AdjustmentRule.find({ school_id: school._id, active: true }).sort({ priority: 1, createdAt: 1 });
+  const result = computeAdjustments({
+    rules,
+    baseAmount,
+    breakdown: breakdown || [],
+    studentTags: student?.tags || [],
+    dueDate,
+    chargedLateFees: chargedLateFees || [],
+    chargedDiscounts: chargedDiscounts || []
+  });
+
+  if (result.amount <= 0) {
+    throw new ValidationError('Nothing to pay after discounts');
+  }
+  return result;
+};
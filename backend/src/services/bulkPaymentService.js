@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import os from 'os';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { PaymentBatch } from '../models/PaymentBatch.js';
+import { School } from '../models/School.js';
+import { Student, EMAIL_PATTERN } from '../models/Student.js';
+import { getGatewayCredentials } from './schoolService.js';
+import { preparePayment, createPaymentLink } from './paymentService.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { ValidationError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Bulk Payment Service - Payment links for many students from one CSV upload
+ *
+ * Every row is validated up front (including pricing it, so unknown fee heads or
+ * students are reported straight away). Valid rows are then turned into payment
+ * links one by one in the background; the batch records the outcome of each row
+ * and can be downloaded as a CSV of payment URLs.
+ *
+ * Only one API instance processes a batch at a time: it holds a lease on the
+ * batch, renewed with every row, and another instance takes the batch over only
+ * once the lease has expired. Before a row's gateway call the row is marked
+ * creating together with the _id its Order will get, so a row interrupted by a
+ * crash is checked rather than sent to the gateway again.
+ */
+
+const getMaxRows = () => readNumber('BULK_PAYMENT_MAX_ROWS', 1000);
+
+// CSV header names (lowercased) and the row field they fill
+const COLUMNS = {
+  student_id: 'student_id',
+  admission_number: 'student_id',
+  name: 'name',
+  student_name: 'name',
+  email: 'email',
+  phone: 'phone',
+  phone_number: 'phone',
+  amount: 'amount',
+  fee_structure_id: 'fee_structure_id',
+  fee_heads: 'fee_heads',
+  fee_head: 'fee_heads',
+  due_id: 'due_id'
+};
+
+const PHONE_PATTERN = /^\+?[0-9][0-9 -]{6,18}[0-9]$/;
+
+// How long a batch stays claimed without progress before another instance may take it over
+const LEASE_MS = 2 * 60 * 1000;
+
+// Identifies this process as a lease owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Parse an uploaded CSV into batch rows.
+ *
+ * @param {string} text - CSV with a header row (the first non-blank line)
+ * @returns {Array<Object>} Rows with row_number and the recognised columns
+ */
+export const parseBatchCsv = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError('CSV file is empty');
+  }
+
+  // Keep the line number of each row for the error report, skipping blank lines
+  const [{ values: header }, ...lines] = parseCsv(text)
+    .map((values, index) => ({ values, rowNumber: index + 1 }))
+    .filter(({ values }) => values.some(value => value.trim() !== ''));
+  const fields = header.map(name => COLUMNS[name.trim().toLowerCase()]);
+  if (!fields.includes('name') && !fields.includes('student_id')) {
+    throw new ValidationError('CSV needs a student_id or name column');
+  }
+  if (!fields.includes('amount') && !fields.includes('fee_structure_id') && !fields.includes('due_id')) {
+    throw new ValidationError('CSV needs an amount, fee_structure_id or due_id column');
+  }
+  if (lines.length === 0) {
+    throw new ValidationError('CSV has no rows');
+  }
+  const maxRows = getMaxRows();
+  if (lines.length > maxRows) {
+    throw new ValidationError(`CSV has ${lines.length} rows; at most ${maxRows} are allowed per upload`);
+  }
+
+  return lines.map(({ values, rowNumber }) => {
+    const row = { row_number: rowNumber };
+    fields.forEach((field, column) => {
+      const value = (values[column] || '').trim();
+      if (!field || value === '') return;
+      row[field] = field === 'fee_heads'
+        ? value.split(/[;|]/).map(code => code.trim()).filter(Boolean)
+        : value;
+    });
+    return row;
+  });
+};
+
+// Registered students can be referenced by _id or admission number
+const findStudent = async (school, reference) => {
+  if (!reference) return null;
+  const conditions = [{ admission_number: reference }];
+  if (mongoose.Types.ObjectId.isValid(reference)) {
+    conditions.push({ _id: reference });
+  }
+  return Student.findOne({ school_id: school._id, $or: conditions });
+};
+
+// Turn a row into the parameters of createPaymentLink
+const toPaymentParams = async (school, row) => {
+  const student = await findStudent(school, row.student_id);
+  if (row.student_id && !student && !row.name) {
+    throw new ValidationError(`Student ${row.student_id} not found for this school`);
+  }
+
+  return {
+    amount: row.amount,
+    student_id: student?._id.toString(),
+    // Unregistered students are identified by what the row says
+    student_info: student ? undefined : { name: row.name, id: row.student_id, email: row.email },
+    phone_number: row.phone,
+    fee_structure_id: row.fee_structure_id,
+    fee_heads: row.fee_heads,
+    due_id: row.due_id
+  };
+};
+
+/**
+ * Validate a row, including pricing it, without creating anything.
+ *
+ * @param {Object} school - School the batch is for
+ * @param {Object} row - Parsed row
+ * @returns {Promise<Array<string>>} Errors; empty when the row is valid
+ */
+export const validateBatchRow = async (school, row) => {
+  const errors = [];
+  if (row.email && !EMAIL_PATTERN.test(row.email)) {
+    errors.push(`Invalid email ${row.email}`);
+  }
+  if (row.phone && !PHONE_PATTERN.test(row.phone)) {
+    errors.push(`Invalid phone number ${row.phone}`);
+  }
+  if (row.fee_structure_id && !mongoose.Types.ObjectId.isValid(row.fee_structure_id)) {
+    errors.push('Invalid fee_structure_id');
+  }
+  if (errors.length > 0) return errors;
+
+  try {
+    await preparePayment(school, await toPaymentParams(school, row));
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) throw error;
+    errors.push(error.message);
+  }
+  return errors;
+};
+
+const countRows = (batch) => {
+  const count = (status) => batch.rows.filter(row => row.status === status).length;
+  batch.stats = {
+    total: batch.rows.length,
+    invalid: count('invalid'),
+    pending: count('pending') + count('creating'),
+    created: count('created'),
+    failed: count('failed')
+  };
+};
+
+/**
+ * Validate an uploaded CSV and start creating its payment links.
+ *
+ * @param {Object} school - School the links are for
+ * @param {Object} upload
+ * @param {string} upload.csv - CSV text
+ * @param {string} [upload.fileName] - Name of the uploaded file
+ * @param {Object} [context]
+ * @param {string} [context.userId] - User uploading the file
+ * @returns {Promise<Object>} The PaymentBatch, with every row's validation result
+ */
+export const createPaymentBatch = async (school, { csv, fileName }, { userId } = {}) => {
+  // Fail before validating hundreds of rows if nothing can be sent to the gateway
+  getGatewayCredentials(school);
+
+  const rows = parseBatchCsv(csv);
+  for (const row of rows) {
+    row.row_errors = await validateBatchRow(school, row);
+    row.status = row.row_errors.length > 0 ? 'invalid' : 'pending';
+  }
+
+  const batch = new PaymentBatch({
+    school_id: school._id,
+    file_name: fileName,
+    rows,
+    created_by: userId,
+    started_at: new Date()
+  });
+  countRows(batch);
+  if (batch.stats.pending === 0) {
+    batch.status = 'completed';
+    batch.finished_at = new Date();
+  }
+  await batch.save();
+
+  if (batch.status === 'processing') {
+    processPaymentBatch(batch._id, { userId })
+      .catch(error => console.error(`Payment batch ${batch._id} failed:`, error.message));
+  }
+  return batch;
+};
+
+/**
+ * Claim a batch for this instance unless another one holds a live lease on it.
+ */
+const claimBatch = (batchId) => {
+  const now = new Date();
+  return PaymentBatch.findOneAndUpdate(
+    {
+      _id: batchId,
+      status: 'processing',
+      $or: [
+        { lease_expires_at: { $exists: false } },
+        { lease_expires_at: null },
+        { lease_expires_at: { $lte: now } },
+        { lease_owner: INSTANCE_ID }
+      ]
+    },
+    { lease_owner: INSTANCE_ID, lease_expires_at: new Date(now.getTime() + LEASE_MS) },
+    { new: true }
+  );
+};
+
+/**
+ * Save a batch's progress and renew its lease, only while this instance still
+ * holds the lease; fails with DocumentNotFoundError once it was taken over.
+ */
+const saveLeased = async (batch) => {
+  if (batch.status === 'processing') {
+    batch.lease_expires_at = new Date(Date.now() + LEASE_MS);
+  } else {
+    batch.lease_owner = undefined;
+    batch.lease_expires_at = undefined;
+  }
+  batch.$where = { lease_owner: INSTANCE_ID };
+  try {
+    return await batch.save();
+  } finally {
+    batch.$where = undefined;
+  }
+};
+
+/**
+ * Work out what happened to a row left creating by an interrupted run.
+ *
+ * @returns {Promise<boolean>} true when nothing was created and the row can be retried
+ */
+const recoverRow = async (row) => {
+  const orderStatus = await OrderStatus.findOne({ order_id: row.order_id });
+  if (orderStatus) {
+    row.status = 'created';
+    row.collect_id = orderStatus.collect_id;
+    row.payment_url = orderStatus.payment_url;
+    row.charged_amount = orderStatus.order_amount;
+    return false;
+  }
+
+  // The order is saved just before the gateway call, which may or may not have gone through
+  if (await Order.exists({ _id: row.order_id })) {
+    row.status = 'failed';
+    row.row_errors = ['Interrupted while the payment link was being created; check the order before uploading this row again'];
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Create the payment links of a batch's pending rows.
+ *
+ * Progress is saved after every row, so an interrupted batch carries on where
+ * it stopped when processed again.
+ *
+ * @param {string} batchId - PaymentBatch _id
+ * @param {Object} [context]
+ * @param {string} [context.userId] - User the orders are created for
+ * @returns {Promise<Object|null>} The processed PaymentBatch, or null when another instance holds it
+ */
+export const processPaymentBatch = async (batchId, { userId } = {}) => {
+  const batch = await claimBatch(batchId);
+  if (!batch) return null;
+
+  const school = await School.findById(batch.school_id).select('+pg_key +pg_api_key');
+  let credentials;
+  try {
+    if (!school) throw new ValidationError('School not found');
+    credentials = getGatewayCredentials(school);
+  } catch (error) {
+    batch.status = 'failed';
+    batch.error_message = error.message;
+    batch.finished_at = new Date();
+    return saveLeased(batch);
+  }
+
+  for (const row of batch.rows.filter(item => ['pending', 'creating'].includes(item.status))) {
+    const retry = row.status === 'pending' || await recoverRow(row);
+
+    if (retry) {
+      // Claim the row, with the _id of its order, before calling the gateway
+      row.status = 'creating';
+      row.order_id = row.order_id || new mongoose.Types.ObjectId();
+      await saveLeased(batch);
+
+      try {
+        const params = await toPaymentParams(school, row);
+        const payment = await createPaymentLink(school, credentials, params, {
+          userId: userId || batch.created_by?.toString(),
+          orderId: row.order_id
+        });
+        row.status = 'created';
+        row.collect_id = payment.collectRequestId;
+        row.payment_url = payment.paymentUrl;
+        row.charged_amount = payment.amount;
+      } catch (error) {
+        row.status = 'failed';
+        row.row_errors = [error.message];
+      }
+    }
+    countRows(batch);
+    await saveLeased(batch);
+  }
+
+  batch.status = 'completed';
+  batch.finished_at = new Date();
+  return saveLeased(batch);
+};
+
+/**
+ * Carry on with batches left processing by a restart. Batches another instance
+ * is still working on are left to it.
+ *
+ * @returns {Promise<number>} Number of batches resumed
+ */
+export const resumePaymentBatches = async () => {
+  const batches = await PaymentBatch.find({ status: 'processing' }).select('_id').lean();
+  for (const batch of batches) {
+    try {
+      await processPaymentBatch(batch._id);
+    } catch (error) {
+      console.error(`Payment batch ${batch._id} failed:`, error.message);
+    }
+  }
+  return batches.length;
+};
+
+/**
+ * Build the downloadable CSV of a batch: every row with its payment URL or errors.
+ *
+ * @param {Object} batch - PaymentBatch document
+ * @returns {string} CSV text
+ */
+export const buildBatchLinksCsv = (batch) => toCsv([
+  ['row_number', 'student_id', 'name', 'email', 'phone', 'amount', 'status', 'collect_id', 'payment_url', 'errors'],
+  ...batch.rows.map(row => [
+    row.row_number,
+    row.student_id,
+    row.name,
+    row.email,
+    row.phone,
+    row.charged_amount ?? row.amount,
+    row.status,
+    row.collect_id,
+    row.payment_url,
+    row.row_errors.join('; ')
+  ])
+]);
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import { StudentDue } from '../models/StudentDue.js';
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { Refund } from '../models/Refund.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Due Service - Installment plans and partial payments against student dues
+ *
+ * A due can be paid by several orders. Whenever one of those orders changes
+ * status (or one of its refunds settles) syncDueForOrder recomputes how much of
+ * the due has been paid, allocates it to the installments in order and moves
+ * the due from unpaid to partially_paid to paid. It also records which flat late
+ * fees and discounts those payments applied, so they apply only once per due.
+ */
+
+// Payment statuses in which money was received; settled refunds are subtracted
+const PAID_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toStatus = (paid, amount) => {
+  if (paid >= amount) return 'paid';
+  if (paid > 0) return 'partially_paid';
+  return 'unpaid';
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Amount of a due that is still owed.
+ *
+ * @param {Object} due - StudentDue document
+ * @returns {number}
+ */
+export const getOutstandingAmount = (due) => Math.max(roundAmount(due.amount - due.paid_amount), 0);
+
+/**
+ * Build an installment plan for a due.
+ *
+ * Either pass the installments explicitly, or a count, the first due date and
+ * the number of months between installments to split the amount evenly (the
+ * last installment absorbs rounding).
+ *
+ * @param {Object} due - StudentDue document
+ * @param {Object} plan
+ * @param {Array<{amount: number, due_date: string}>} [plan.installments]
+ * @param {number} [plan.count]
+ * @param {string} [plan.first_due_date]
+ * @param {number} [plan.interval_months] - Defaults to 1
+ * @returns {Array} Installments numbered in due date order
+ */
+export const buildInstallmentPlan = (due, { installments, count, first_due_date, interval_months = 1 }) => {
+  let parts;
+
+  if (Array.isArray(installments)) {
+    parts = installments.map(({ amount, due_date }) => ({
+      amount: roundAmount(parseFloat(amount)),
+      due_date: new Date(due_date)
+    }));
+  } else {
+    const total = parseInt(count);
+    const firstDueDate = new Date(first_due_date);
+    if (!Number.isInteger(total) || total < 2 || Number.isNaN(firstDueDate.getTime())) {
+      throw new ValidationError('installments, or a count of at least 2 and a first_due_date, is required');
+    }
+
+    const share = Math.floor((due.amount / total) * 100) / 100;
+    parts = Array.from({ length: total }, (_, index) => ({
+      amount: index === total - 1 ? roundAmount(due.amount - share * (total - 1)) : share,
+      due_date: addMonths(firstDueDate, index * parseInt(interval_months))
+    }));
+  }
+
+  if (parts.some(part => !Number.isFinite(part.amount) || part.amount <= 0 || Number.isNaN(part.due_date.getTime()))) {
+    throw new ValidationError('Every installment needs a positive amount and a valid due_date');
+  }
+
+  const sum = roundAmount(parts.reduce((total, part) => total + part.amount, 0));
+  if (parts.length > 0 && Math.abs(sum - due.amount) > 0.001) {
+    throw new ValidationError(`Installments add up to ${sum} but the due is ${due.amount}`);
+  }
+
+  return parts
+    .sort((a, b) => a.due_date - b.due_date)
+    .map((part, index) => ({ number: index + 1, ...part, paid_amount: 0, status: 'unpaid' }));
+};
+
+/**
+ * Spread the paid amount over the installments in order.
+ */
+const allocateToInstallments = (due) => {
+  let remaining = due.paid_amount;
+  due.installments.forEach(installment => {
+    installment.paid_amount = roundAmount(Math.min(installment.amount, remaining));
+    installment.status = toStatus(installment.paid_amount, installment.amount);
+    remaining = roundAmount(remaining - installment.paid_amount);
+  });
+};
+
+/**
+ * Replace a due's installment plan; an empty plan removes it.
+ *
+ * @param {Object} due - StudentDue document
+ * @param {Object} plan - See buildInstallmentPlan
+ * @returns {Promise<Object>} The saved StudentDue
+ */
+export const setInstallmentPlan = async (due, plan) => {
+  if (due.cancelled) {
+    throw new ValidationError('Cannot plan installments for a cancelled due');
+  }
+
+  due.installments = buildInstallmentPlan(due, plan);
+  allocateToInstallments(due);
+  return due.save();
+};
+
+/**
+ * Recompute how much of a due has been paid and update its status.
+ *
+ * @param {string} dueId - StudentDue _id
+ * @returns {Promise<Object|null>} The updated StudentDue, or null if it does not exist
+ */
+export const syncDuePayments = async (dueId) => {
+  const due = await StudentDue.findById(dueId);
+  if (!due) return null;
+
+  const orders = await Order.find({ due_id: due._id }).select('_id base_amount amount adjustments').lean();
+  const orderIds = orders.map(order => order._id);
+  const [payments, refunds] = await Promise.all([
+    OrderStatus.find({ order_id: { $in: orderIds }, status: { $in: PAID_STATUSES } })
+      .select('order_id order_amount').lean(),
+    Refund.find({ order_id: { $in: orderIds }, status: 'success' }).select('order_id amount').lean()
+  ]);
+
+  // Late fees and discounts change what was charged, not how much of the due
+  // it settles: each order is credited with its amount before adjustments.
+  // Gateway fees in transaction_amount never count towards the due.
+  const baseAmounts = new Map(orders.map(order => [order._id.toString(), order.base_amount ?? order.amount]));
+  const refundedByOrder = refunds.reduce((totals, refund) => {
+    const key = refund.order_id.toString();
+    totals.set(key, (totals.get(key) || 0) + refund.amount);
+    return totals;
+  }, new Map());
+
+  const paid = payments.reduce((total, payment) => {
+    const key = payment.order_id.toString();
+    const credited = baseAmounts.get(key) ?? payment.order_amount;
+    return total + Math.max(credited - (refundedByOrder.get(key) || 0), 0);
+  }, 0);
+
+  const paidOrderIds = new Set(payments.map(payment => payment.order_id.toString()));
+  const flatLines = orders
+    .filter(order => paidOrderIds.has(order._id.toString()))
+    .flatMap(order => order.adjustments || [])
+    .filter(line => line.calculation === 'flat' && line.rule_id);
+  const flatRuleIds = (type) => [...new Set(
+    flatLines.filter(line => line.type === type).map(line => line.rule_id.toString())
+  )];
+
+  due.paid_amount = roundAmount(paid);
+  due.status = toStatus(due.paid_amount, due.amount);
+  due.late_fees_charged = flatRuleIds('late_fee');
+  due.discounts_charged = flatRuleIds('discount');
+  allocateToInstallments(due);
+  return due.save();
+};
+
+/**
+ * Recompute the due an order was paying, if any.
+ *
+ * @param {string} orderId - Order _id
+ * @returns {Promise<Object|null>} The updated StudentDue, or null
+ */
+export const syncDueForOrder = async (orderId) => {
+  const order = await Order.findById(orderId).select('due_id').lean();
+  return order?.due_id ? syncDuePayments(order.due_id) : null;
+};
+
+/**
+ * Work out how much a payment against a due collects.
+ *
+ * Without an amount the rest of the next unpaid installment is collected, or
+ * the whole outstanding amount when the due has no installment plan.
+ *
+ * @param {Object} school - School the payment is for
+ * @param {Object} params
+ * @param {string} params.dueId - StudentDue _id
+ * @param {number|string} [params.amount] - Partial amount to pay
+ * @returns {Promise<{due: Object, amount: number, installment: Object|undefined}>}
+ */
+export const resolveDuePayment = async (school, { dueId, amount }) => {
+  if (!mongoose.Types.ObjectId.isValid(dueId)) {
+    throw new ValidationError('Invalid due_id');
+  }
+
+  const due = await StudentDue.findOne({ _id: dueId, school_id: school._id });
+  if (!due) {
+    throw new NotFoundError('Due not found for this school');
+  }
+  if (due.cancelled) {
+    throw new ValidationError('Due has been cancelled');
+  }
+
+  const outstanding = getOutstandingAmount(due);
+  if (outstanding <= 0) {
+    throw new ValidationError('Due has already been paid');
+  }
+
+  const installment = due.installments.find(item => item.status !== 'paid');
+  const amountSent = amount !== undefined && amount !== null && amount !== '';
+  const paymentAmount = amountSent
+    ? roundAmount(parseFloat(amount))
+    : roundAmount(installment ? installment.amount - installment.paid_amount : outstanding);
+
+  if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
+    throw new ValidationError('Valid positive amount is required');
+  }
+  if (paymentAmount > outstanding) {
+    throw new ValidationError(`Amount exceeds the outstanding amount of ${outstanding}`);
+  }
+
+  return { due, amount: paymentAmount, installment };
+};
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { FeeStructure } from '../models/FeeStructure.js';
+import { FeeHead } from '../models/FeeHead.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Fee Service - Works out what a payment is for
+ *
+ * create-payment references a fee structure (and optionally some of its fee
+ * heads); the amount is computed here instead of being taken from the client.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the fee heads being paid for and the total amount.
+ *
+ * @param {Object} school - School the payment is for
+ * @param {Object} selection
+ * @param {string} selection.feeStructureId - FeeStructure _id
+ * @param {Array<string>} [selection.feeHeads] - Fee head IDs or codes to pay; defaults to every fee head in the structure
+ * @returns {Promise<{feeStructure: Object, breakdown: Array, amount: number, dueDate: (Date|undefined)}>}
+ */
+export const resolveFeeBreakdown = async (school, { feeStructureId, feeHeads }) => {
+  if (!mongoose.Types.ObjectId.isValid(feeStructureId)) {
+    throw new ValidationError('Invalid fee_structure_id');
+  }
+
+  const feeStructure = await FeeStructure.findOne({ _id: feeStructureId, school_id: school._id });
+  if (!feeStructure) {
+    throw new NotFoundError('Fee structure not found for this school');
+  }
+  if (!feeStructure.active) {
+    throw new ValidationError('Fee structure is not active');
+  }
+
+  const heads = await FeeHead.find({ _id: { $in: feeStructure.items.map(item => item.fee_head_id) } });
+  const headsById = new Map(heads.map(head => [head._id.toString(), head]));
+
+  const items = feeStructure.items
+    .map(item => ({ item, head: headsById.get(item.fee_head_id.toString()) }))
+    .filter(({ head }) => head);
+
+  let selected = items;
+  if (Array.isArray(feeHeads) && feeHeads.length > 0) {
+    selected = feeHeads.map(ref => {
+      const key = ref.toString();
+      const match = items.find(({ head }) => head._id.toString() === key || head.code === key.toUpperCase());
+      if (!match) {
+        throw new ValidationError(`Fee head ${key} is not part of this fee structure`);
+      }
+      return match;
+    });
+
+    if (new Set(selected.map(({ head }) => head._id.toString())).size !== selected.length) {
+      throw new ValidationError('Each fee head can only be paid once per payment');
+    }
+  }
+
+  const breakdown = selected.map(({ item, head }) => ({
+    fee_head_id: head._id,
+    code: head.code,
+    name: head.name,
+    category: head.category,
+    amount: item.amount
+  }));
+
+  const amount = roundAmount(breakdown.reduce((total, line) => total + line.amount, 0));
+  if (amount <= 0) {
+    throw new ValidationError('Selected fee heads have nothing to pay');
+  }
+
+  // The earliest due date among the selected items decides whether late fees apply
+  const dueDate = selected
+    .map(({ item }) => item.due_date)
+    .filter(Boolean)
+    .sort((a, b) => a - b)[0];
+
+  return { feeStructure, breakdown, amount, dueDate };
+};
@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import axios from 'axios';
+import { GatewayError } from '../../errors/index.js';
+
+/**
+ * Edviron Gateway Adapter
+ *
+ * Wraps the Edviron ERP payment APIs behind the common gateway interface:
+ * - createCollectRequest: POST /create-collect-request
+ * - fetchStatus: GET /collect-request/:id
+ * - verifyWebhook: validates the raw-body HMAC header and the JWT `sign` of webhooks
+ * - parseWebhook: extracts the collect ID and status fields from a webhook payload
+ * - parseStatusResponse: extracts the status fields from a fetchStatus response
+ * - normalizeStatus: maps Edviron status strings onto OrderStatus enum values
+ * - initiateRefund: POST /initiate-refund
+ * - fetchRefundStatus: GET /refund-status/:id
+ *
+ * Credentials (schoolId, pgKey, apiKey) belong to a school and are passed in
+ * by the caller; see services/schoolService.js. Only the API base URL comes
+ * from the environment.
+ */
+
+export const GATEWAY_NAME = 'Edviron';
+
+// Header carrying the hex HMAC-SHA256 of the raw webhook body, keyed with the PG key
+export const SIGNATURE_HEADER = 'x-edviron-signature';
+
+/**
+ * Build the adapter config from the school credentials.
+ *
+ * @throws {GatewayError} With reason 'misconfigured' when the API base URL is not an http(s) URL
+ */
+const getConfig = (overrides = {}) => {
+  const apiBase = overrides.apiBase || process.env.EDVIRON_API_BASE || 'https://dev-vanilla.edviron.com/erp';
+  if (!/^https?:\/\/[^/\s]+/.test(apiBase)) {
+    throw new GatewayError(`EDVIRON_API_BASE is not a valid URL: ${apiBase}`, {
+      gateway: GATEWAY_NAME,
+      reason: 'misconfigured'
+    });
+  }
+
+  return {
+    apiBase,
+    pgKey: overrides.pgKey,
+    apiKey: overrides.apiKey,
+    schoolId: overrides.schoolId
+  };
+};
+
+/**
+ * Convert an axios error into a GatewayError so controllers do not need to
+ * know about the HTTP client used by the adapter.
+ */
+const toGatewayError = (apiError) => {
+  if (apiError.response) {
+    const { status, data } = apiError.response;
+    const reasons = { 400: 'bad_request', 401: 'unauthorized', 404: 'not_found' };
+    return new GatewayError(data?.message || apiError.message, {
+      gateway: GATEWAY_NAME,
+      reason: reasons[status] || 'upstream_error',
+      upstreamStatus: status,
+      details: data
+    });
+  }
+
+  // No response means timeout or network failure
+  return new GatewayError(apiError.message, {
+    gateway: GATEWAY_NAME,
+    reason: 'timeout'
+  });
+};
+
+/**
+ * Create a collect request (payment link) with Edviron.
+ *
+ * The JWT payload only contains school_id, amount and callback_url as
+ * required by the Edviron documentation.
+ *
+ * @param {Object} params
+ * @param {number|string} params.amount - Amount to collect
+ * @param {string} params.callbackUrl - URL Edviron redirects to after payment
+ * @param {Object} credentials - School credentials: schoolId, pgKey, apiKey (and optional apiBase)
+ * @returns {Promise<{collectRequestId: string, paymentUrl: string, raw: Object}>}
+ */
+export const createCollectRequest = async ({ amount, callbackUrl }, credentials) => {
+  const config = getConfig(credentials);
+  const formattedAmount = parseFloat(amount).toFixed(2);
+
+  const sign = jwt.sign(
+    {
+      school_id: config.schoolId,
+      amount: formattedAmount,
+      callback_url: callbackUrl
+    },
+    config.pgKey,
+    { algorithm: 'HS256' }
+  );
+
+  const requestBody = {
+    school_id: config.schoolId,
+    amount: formattedAmount,
+    callback_url: callbackUrl,
+    sign
+  };
+
+  console.log('Edviron API Request:', {
+    url: `${config.apiBase}/create-collect-request`,
+    body: requestBody
+  });
+
+  let response;
+  try {
+    response = await axios.post(`${config.apiBase}/create-collect-request`, requestBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Accept': 'application/json'
+      },
+      timeout: 10000 // 10 second timeout
+    });
+  } catch (apiError) {
+    console.error('Edviron create-collect-request error:', apiError.message, apiError.response?.data);
+    throw toGatewayError(apiError);
+  }
+
+  console.log('Edviron API Full Response:', response.data);
+
+  // Edviron has returned the URL under different keys over time
+  const paymentUrl = response.data.collect_request_url ||
+                     response.data.Collect_request_url ||
+                     response.data.payment_url ||
+                     response.data.redirect_url;
+
+  if (!paymentUrl) {
+    throw new GatewayError('Payment URL not found in response', {
+      gateway: GATEWAY_NAME,
+      reason: 'invalid_response',
+      details: response.data
+    });
+  }
+
+  return {
+    collectRequestId: response.data.collect_request_id || response.data.id,
+    paymentUrl,
+    raw: response.data
+  };
+};
+
+/**
+ * Fetch the latest status of a collect request from Edviron.
+ *
+ * @param {string} collectRequestId - Edviron collect request ID
+ * @param {Object} credentials - School credentials: schoolId, pgKey, apiKey (and optional apiBase)
+ * @returns {Promise<Object>} Raw status payload as returned by Edviron
+ */
+export const fetchStatus = async (collectRequestId, credentials) => {
+  const config = getConfig(credentials);
+
+  const sign = jwt.sign(
+    { school_id: config.schoolId, collect_request_id: collectRequestId },
+    config.pgKey,
+    { algorithm: 'HS256', expiresIn: '1h' }
+  );
+
+  try {
+    const response = await axios.get(
+      `${config.apiBase}/collect-request/${collectRequestId}?school_id=${config.schoolId}&sign=${sign}`,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Accept': 'application/json'
+        },
+        timeout: 5000
+      }
+    );
+    return response.data;
+  } catch (apiError) {
+    console.error('Edviron collect-request status error:', apiError.message, apiError.response?.data);
+    throw toGatewayError(apiError);
+  }
+};
+
+// Maps Edviron refund statuses onto Refund status values
+const normalizeRefundStatus = (status) => {
+  const normalizedStatus = (status || '').toString().toLowerCase();
+  if (['success', 'successful', 'completed', 'refunded', 'processed'].includes(normalizedStatus)) return 'success';
+  if (['failed', 'failure', 'rejected', 'declined', 'error'].includes(normalizedStatus)) return 'failed';
+  return 'pending';
+};
+
+/**
+ * Ask Edviron to refund (part of) a collect request.
+ *
+ * @param {Object} params
+ * @param {string} params.collectRequestId - Edviron collect request ID of the payment
+ * @param {string} params.refundId - Our Refund ID, sent as the merchant reference
+ * @param {number} params.amount - Amount to refund
+ * @param {string} [params.reason] - Reason shown in the gateway dashboard
+ * @param {Object} credentials - School credentials: schoolId, pgKey, apiKey (and optional apiBase)
+ * @returns {Promise<{refundId: string, status: string, raw: Object}>} status is pending, success or failed
+ */
+export const initiateRefund = async ({ collectRequestId, refundId, amount, reason }, credentials) => {
+  const config = getConfig(credentials);
+  const refundAmount = parseFloat(amount).toFixed(2);
+
+  const sign = jwt.sign(
+    {
+      school_id: config.schoolId,
+      collect_request_id: collectRequestId,
+      refund_amount: refundAmount
+    },
+    config.pgKey,
+    { algorithm: 'HS256' }
+  );
+
+  let response;
+  try {
+    response = await axios.post(`${config.apiBase}/initiate-refund`, {
+      school_id: config.schoolId,
+      collect_request_id: collectRequestId,
+      refund_amount: refundAmount,
+      refund_reason: reason || '',
+      custom_refund_id: refundId,
+      sign
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    });
+  } catch (apiError) {
+    console.error('Edviron initiate-refund error:', apiError.message, apiError.response?.data);
+    throw toGatewayError(apiError);
+  }
+
+  const gatewayRefundId = response.data.refund_id || response.data.id;
+  if (!gatewayRefundId) {
+    throw new GatewayError('Refund ID not found in response', {
+      gateway: GATEWAY_NAME,
+      reason: 'invalid_response',
+      details: response.data
+    });
+  }
+
+  return {
+    refundId: gatewayRefundId.toString(),
+    status: normalizeRefundStatus(response.data.status),
+    raw: response.data
+  };
+};
+
+/**
+ * Fetch the latest status of a refund from Edviron.
+ *
+ * @param {string} refundId - Edviron refund ID returned by initiateRefund
+ * @param {Object} credentials - School credentials: schoolId, pgKey, apiKey (and optional apiBase)
+ * @returns {Promise<{refundId: string, status: string, raw: Object}>} status is pending, success or failed
+ */
+export const fetchRefundStatus = async (refundId, credentials) => {
+  const config = getConfig(credentials);
+
+  const sign = jwt.sign(
+    { school_id: config.schoolId, refund_id: refundId },
+    config.pgKey,
+    { algorithm: 'HS256', expiresIn: '1h' }
+  );
+
+  try {
+    const response = await axios.get(
+      `${config.apiBase}/refund-status/${refundId}?school_id=${config.schoolId}&sign=${sign}`,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Accept': 'application/json'
+        },
+        timeout: 5000
+      }
+    );
+    return {
+      refundId,
+      status: normalizeRefundStatus(response.data.status),
+      raw: response.data
+    };
+  } catch (apiError) {
+    console.error('Edviron refund status error:', apiError.message, apiError.response?.data);
+    throw toGatewayError(apiError);
+  }
+};
+
+/**
+ * Verify that a webhook was signed by Edviron.
+ *
+ * The signature header is required: the HMAC of the raw request body must
+ * match, so the payload cannot have been altered after signing. The JWT `sign`
+ * in the body must verify too, and when it names an order_id that must be the
+ * order the webhook is about.
+ *
+ * @param {Object} webhook
+ * @param {Object} webhook.body - Parsed webhook body containing `sign`
+ * @param {string} [webhook.rawBody] - Raw request body as received
+ * @param {Object} [webhook.headers] - Request headers (lower-case names)
+ * @param {Object} credentials - School credentials; only pgKey is used
+ * @returns {boolean} true when the signature is valid
+ */
+export const verifyWebhook = ({ body, rawBody, headers = {} }, credentials) => {
+  const pgKey = credentials?.pgKey;
+  if (!body || !body.sign || !pgKey) return false;
+
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature || !rawBody) {
+    console.error(`Edviron webhook without ${SIGNATURE_HEADER} header or raw body`);
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', pgKey).update(rawBody).digest('hex');
+  const received = Buffer.from(signature.toString(), 'utf8');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'))) {
+    console.error('Edviron webhook HMAC signature mismatch');
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(body.sign, pgKey);
+    if (decoded.order_id && decoded.order_id !== body.order_info?.order_id) {
+      console.error('Edviron webhook sign does not match order_info.order_id');
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Edviron webhook signature verification failed:', error.message);
+    return false;
+  }
+};
+
+// Edviron sends 'NA' for fields that do not apply
+const valueOrUndefined = (value) => (value === undefined || value === null || value === 'NA' ? undefined : value);
+
+/**
+ * Extract the collect ID and status fields from an Edviron webhook payload.
+ *
+ * The payload format (including Edviron's field spellings) is:
+ * { status, order_info: { order_id, order_amount, transaction_amount, gateway, bank_reference,
+ *   status, payment_mode, payemnt_details, Payment_message, payment_time, error_message } }
+ *
+ * @param {Object} body - Parsed webhook body
+ * @returns {{collectId: string, status: string, fields: Object}|null} null when the payload is malformed
+ */
+export const parseWebhook = (body) => {
+  const info = body?.order_info;
+  if (!info || !info.order_id || !info.status) return null;
+
+  const paymentTime = valueOrUndefined(info.payment_time);
+  const transactionAmount = valueOrUndefined(info.transaction_amount);
+  const orderAmount = valueOrUndefined(info.order_amount);
+
+  return {
+    collectId: info.order_id.toString(),
+    status: info.status,
+    fields: {
+      order_amount: orderAmount !== undefined ? parseFloat(orderAmount) : undefined,
+      transaction_amount: transactionAmount !== undefined ? parseFloat(transactionAmount) : undefined,
+      payment_mode: valueOrUndefined(info.payment_mode),
+      payment_details: valueOrUndefined(info.payemnt_details ?? info.payment_details),
+      bank_reference: valueOrUndefined(info.bank_reference),
+      payment_message: valueOrUndefined(info.Payment_message ?? info.payment_message),
+      payment_time: paymentTime ? new Date(paymentTime) : undefined,
+      error_message: valueOrUndefined(info.error_message) ?? ''
+    }
+  };
+};
+
+/**
+ * Extract the status fields from an Edviron collect-request status response.
+ *
+ * @param {Object} data - Response returned by fetchStatus
+ * @returns {{status: string, fields: Object}|null} null when the response carries no status
+ */
+export const parseStatusResponse = (data) => {
+  if (!data || !data.status) return null;
+
+  const paymentTime = valueOrUndefined(data.payment_time);
+  // `amount` is what was asked for; it only became a transaction once the payment succeeded
+  const amount = valueOrUndefined(data.transaction_amount)
+    ?? (normalizeStatus(data.status) === 'success' ? valueOrUndefined(data.amount) : undefined);
+
+  return {
+    status: data.status,
+    fields: {
+      transaction_amount: amount !== undefined ? parseFloat(amount) : undefined,
+      payment_mode: valueOrUndefined(data.payment_mode ?? data.details?.payment_methods),
+      bank_reference: valueOrUndefined(data.bank_reference),
+      payment_message: valueOrUndefined(data.payment_message),
+      payment_time: paymentTime ? new Date(paymentTime) : undefined,
+      error_message: valueOrUndefined(data.error_message)
+    }
+  };
+};
+
+/**
+ * Status Normalization Function
+ *
+ * Normalizes the status strings returned by Edviron into the values
+ * accepted by the OrderStatus model's enum.
+ *
+ * @param {string} status - The status string from the payment gateway
+ * @returns {string} - Normalized status value ('pending', 'success', 'failed', 'cancelled' or 'expired')
+ */
+export const normalizeStatus = (status) => {
+  if (!status) return 'pending';
+
+  const normalizedStatus = status.toString().toLowerCase();
+
+  if (['success', 'successful', 'completed', 'paid', 'captured', 'authorized'].includes(normalizedStatus)) {
+    return 'success';
+  }
+
+  if (['failed', 'failure', 'declined', 'rejected', 'error'].includes(normalizedStatus)) {
+    return 'failed';
+  }
+
+  if (['cancelled', 'canceled', 'abandoned', 'aborted'].includes(normalizedStatus)) {
+    return 'cancelled';
+  }
+
+  if (['expired', 'link_expired', 'timed_out'].includes(normalizedStatus)) {
+    return 'expired';
+  }
+
+  // Default to pending for any other status
+  return 'pending';
+};
+
+export default {
+  name: GATEWAY_NAME,
+  createCollectRequest,
+  fetchStatus,
+  verifyWebhook,
+  parseWebhook,
+  parseStatusResponse,
+  normalizeStatus,
+  initiateRefund,
+  fetchRefundStatus
+};
@@ -0,0 +1,68 @@
+import edvironGateway from './edvironGateway.js';
+import { ValidationError } from '../../errors/index.js';
+
+/**
+ * Payment Gateway Registry
+ *
+ * Every gateway adapter exposes the same interface:
+ * - name: value stored in Order.gateway_name
+ * - createCollectRequest({ amount, callbackUrl }, credentials)
+ * - fetchStatus(collectRequestId, credentials)
+ * - verifyWebhook({ body, rawBody, headers }, credentials)
+ * - parseWebhook(body) -> { collectId, status, fields } or null
+ * - parseStatusResponse(data) -> { status, fields } or null
+ * - normalizeStatus(status)
+ *
+ * Adapters that support refunds also expose (see supportsRefunds):
+ * - initiateRefund({ collectRequestId, refundId, amount, reason }, credentials) -> { refundId, status, raw }
+ * - fetchRefundStatus(refundId, credentials) -> { refundId, status, raw }
+ *
+ * Adapters are looked up by Order.gateway_name so that controllers never
+ * reference a specific provider directly.
+ */
+
+export const DEFAULT_GATEWAY = process.env.PAYMENT_GATEWAY || edvironGateway.name;
+
+const gateways = new Map();
+
+const REQUIRED_METHODS = ['createCollectRequest', 'fetchStatus', 'verifyWebhook', 'parseWebhook', 'parseStatusResponse', 'normalizeStatus'];
+
+/**
+ * Register a gateway adapter under its name (case-insensitive).
+ *
+ * @param {Object} adapter - Gateway adapter implementing the interface above
+ */
+export const registerGateway = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (!adapter.name || missing.length > 0) {
+    throw new Error(`Invalid gateway adapter ${adapter.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+  }
+  gateways.set(adapter.name.toLowerCase(), adapter);
+};
+
+const REFUND_METHODS = ['initiateRefund', 'fetchRefundStatus'];
+
+/**
+ * Check whether a gateway adapter implements the refund methods.
+ *
+ * @param {Object} adapter - Gateway adapter
+ * @returns {boolean}
+ */
+export const supportsRefunds = (adapter) =>
+  REFUND_METHODS.every(method => typeof adapter[method] === 'function');
+
+/**
+ * Resolve a gateway adapter by name, falling back to the default gateway.
+ *
+ * @param {string} [name] - Gateway name, usually Order.gateway_name
+ * @returns {Object} Gateway adapter
+ */
+export const getGateway = (name = DEFAULT_GATEWAY) => {
+  const adapter = gateways.get((name || DEFAULT_GATEWAY).toLowerCase());
+  if (!adapter) {
+    throw new ValidationError(`Unsupported payment gateway: ${name}`);
+  }
+  return adapter;
+};
+
+registerGateway(edvironGateway);
@@ -0,0 +1,291 @@
+import { LoginThrottle } from '../models/LoginThrottle.js';
+import { queueNotification } from './notificationService.js';
+import { FRONTEND_URL } from '../config/frontendUrl.js';
+import { TooManyRequestsError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Login Throttle Service - Brute-force protection for POST /api/auth/login
+ *
+ * Failed sign-ins are counted per account (the email that was tried) and per
+ * IP address. From the second failure on, the next attempt has to wait 1, 2,
+ * 4... seconds (at most 30). After LOGIN_MAX_ACCOUNT_FAILURES failures on an
+ * account, or LOGIN_MAX_IP_FAILURES from an address, within
+ * LOGIN_FAILURE_WINDOW_MINUTES, sign-ins are refused for LOGIN_LOCKOUT_MINUTES;
+ * every further lockout within a day lasts twice as long, up to 24 hours.
+ * Attempts that are refused are answered with 429 and a Retry-After header
+ * without the password being checked. Every other attempt is counted as a
+ * failure, atomically, before the password is checked, so a burst of parallel
+ * attempts is throttled too; a successful sign-in takes its attempt back.
+ *
+ * A successful sign-in clears the account's counter but not the IP address's,
+ * so one valid account cannot be used to keep guessing others. It does not
+ * reset the account's lockout count, so repeated lockouts keep growing longer.
+ * Admins unlock accounts through POST /api/users/:id/unlock.
+ *
+ * Lockouts of existing accounts are passed to the hooks registered with
+ * onAccountLocked; by default the user is emailed.
+ */
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const MAX_DELAY_MS = 30 * SECOND_MS;
+const MAX_LOCKOUT_MS = DAY_MS;
+
+// Records are kept this long after the last failure so repeated lockouts grow longer
+const RETAIN_MS = DAY_MS;
+
+export const getLoginThrottleSettings = () => ({
+  maxAccountFailures: readNumber('LOGIN_MAX_ACCOUNT_FAILURES', 5),
+  maxIpFailures: readNumber('LOGIN_MAX_IP_FAILURES', 20),
+  windowMinutes: readNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+  lockoutMinutes: readNumber('LOGIN_LOCKOUT_MINUTES', 15)
+});
+
+export const normalizeLoginEmail = (email) => String(email).trim().toLowerCase();
+
+const accountKey = (email) => `account:${normalizeLoginEmail(email)}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * How long to wait after a number of consecutive failures.
+ *
+ * @param {number} failures - Failures so far
+ * @returns {number} Milliseconds
+ */
+export const getFailureDelayMs = (failures) =>
+  (failures < 2 ? 0 : Math.min(SECOND_MS * 2 ** (failures - 2), MAX_DELAY_MS));
+
+/**
+ * How long a lockout lasts.
+ *
+ * @param {number} lockCount - Lockouts before this one
+ * @param {Object} settings - From getLoginThrottleSettings
+ * @returns {number} Milliseconds
+ */
+export const getLockoutMs = (lockCount, settings) =>
+  Math.min(settings.lockoutMinutes * MINUTE_MS * 2 ** lockCount, MAX_LOCKOUT_MS);
+
+const lockoutHooks = [];
+
+/**
+ * Register a function called whenever an existing account gets locked.
+ *
+ * @param {Function} hook - async ({ user, email, ip, lockedUntil }) => void
+ */
+export const onAccountLocked = (hook) => {
+  lockoutHooks.push(hook);
+};
+
+const notifyLockout = async (event) => {
+  for (const hook of lockoutHooks) {
+    try {
+      await hook(event);
+    } catch (error) {
+      console.error('Account lockout hook failed:', error.message);
+    }
+  }
+};
+
+const getWaitMs = (throttle, now) => {
+  if (!throttle) return 0;
+  if (throttle.locked_until && throttle.locked_until > now) {
+    return throttle.locked_until - now;
+  }
+  if (!throttle.last_failure_at) return 0;
+  return Math.max(throttle.last_failure_at.getTime() + getFailureDelayMs(throttle.failures) - now.getTime(), 0);
+};
+
+const describeWait = (ms) => {
+  const seconds = Math.ceil(ms / SECOND_MS);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Atomically count an attempt as a failure for a key, unless the key is locked
+ * or still has to wait (the same checks as getWaitMs, run by MongoDB).
+ *
+ * @returns {Promise<Object|null>} The record as it was before this attempt
+ */
+const countAttempt = (key, kind, settings, now) => {
+  const windowStart = new Date(now.getTime() - settings.windowMinutes * MINUTE_MS);
+  const failures = { $ifNull: ['$failures', 0] };
+  const delayMs = {
+    $cond: [
+      { $lt: [failures, 2] },
+      0,
+      { $min: [{ $multiply: [SECOND_MS, { $pow: [2, { $subtract: [failures, 2] }] }] }, MAX_DELAY_MS] }
+    ]
+  };
+  const blocked = {
+    $or: [
+      { $gt: [{ $ifNull: ['$locked_until', new Date(0)] }, now] },
+      { $gt: [{ $add: [{ $ifNull: ['$last_failure_at', new Date(0)] }, delayMs] }, now] }
+    ]
+  };
+
+  return LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        kind,
+        // Failures older than the window no longer count
+        failures: {
+          $cond: [
+            blocked,
+            failures,
+            { $cond: [{ $gt: [{ $ifNull: ['$last_failure_at', new Date(0)] }, windowStart] }, { $add: [failures, 1] }, 1] }
+          ]
+        },
+        last_failure_at: { $cond: [blocked, '$last_failure_at', now] },
+        lock_count: { $ifNull: ['$lock_count', 0] },
+        expires_at: { $max: [{ $ifNull: ['$expires_at', new Date(0)] }, new Date(now.getTime() + RETAIN_MS)] }
+      }
+    }],
+    { upsert: true, new: false }
+  );
+};
+
+/**
+ * Start a sign-in attempt: fail when the account or the IP address has to wait,
+ * otherwise count the attempt as a failure before the password is checked, so
+ * parallel attempts cannot get past the limits. recordLoginSuccess takes the
+ * attempt back.
+ *
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email being signed in
+ * @param {string} attempt.ip - Client IP address
+ * @returns {Promise<Object>} The attempt, passed on to recordLoginFailure or recordLoginSuccess
+ * @throws {TooManyRequestsError}
+ */
+export const beginLoginAttempt = async ({ email, ip }) => {
+  const settings = getLoginThrottleSettings();
+  const now = new Date();
+
+  const [account, address] = await Promise.all([
+    countAttempt(accountKey(email), 'account', settings, now),
+    countAttempt(ipKey(ip), 'ip', settings, now)
+  ]);
+  const waitMs = Math.max(getWaitMs(account, now), getWaitMs(address, now));
+
+  if (waitMs > 0) {
+    throw new TooManyRequestsError(
+      `Too many failed sign-in attempts. Try again in ${describeWait(waitMs)}.`,
+      Math.ceil(waitMs / SECOND_MS)
+    );
+  }
+  return { email, ip, startedAt: now, previous: { account, address } };
+};
+
+/**
+ * Lock a key whose counted failures reached the limit.
+ *
+ * @returns {Promise<Date|null>} When the lockout ends, if this failure started one
+ */
+const lockIfLimitReached = async (key, maxFailures, settings) => {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOne({ key });
+  if (!throttle || throttle.failures < maxFailures) return null;
+
+  const lockedUntil = new Date(now.getTime() + getLockoutMs(throttle.lock_count, settings));
+  // Only the failure that reached the limit starts the lockout
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, failures: throttle.failures },
+    {
+      failures: 0,
+      locked_until: lockedUntil,
+      $inc: { lock_count: 1 },
+      expires_at: new Date(Math.max(lockedUntil.getTime(), now.getTime() + RETAIN_MS))
+    },
+    { new: true }
+  );
+  return locked ? lockedUntil : null;
+};
+
+/**
+ * Record a failed sign-in (unknown email or wrong password).
+ *
+ * @param {Object} attempt - From beginLoginAttempt
+ * @param {Object} [attempt.user] - The account, when the email belongs to one
+ * @returns {Promise<void>}
+ */
+export const recordLoginFailure = async ({ email, ip, user }) => {
+  const settings = getLoginThrottleSettings();
+
+  const [accountLockedUntil, ipLockedUntil] = await Promise.all([
+    lockIfLimitReached(accountKey(email), settings.maxAccountFailures, settings),
+    lockIfLimitReached(ipKey(ip), settings.maxIpFailures, settings)
+  ]);
+
+  if (ipLockedUntil) {
+    console.warn(`Sign-ins from ${ip} locked until ${ipLockedUntil.toISOString()}`);
+  }
+  if (accountLockedUntil && user) {
+    console.warn(`Account ${user._id} locked until ${accountLockedUntil.toISOString()}`);
+    await notifyLockout({ user, email: user.email, ip, lockedUntil: accountLockedUntil });
+  }
+};
+
+/**
+ * Take back the failure counted for a successful sign-in. The account's
+ * failures are cleared but its lock_count is kept, so lockouts within the
+ * retention period keep growing longer; the IP address only loses this attempt.
+ *
+ * @param {Object} attempt - From beginLoginAttempt
+ * @returns {Promise<void>}
+ */
+export const recordLoginSuccess = async ({ email, ip, startedAt, previous }) => {
+  await Promise.all([
+    LoginThrottle.updateOne(
+      { key: accountKey(email) },
+      { failures: 0, $unset: { last_failure_at: 1 } }
+    ),
+    // Unless another attempt from the address has been counted since
+    LoginThrottle.updateOne(
+      { key: ipKey(ip), last_failure_at: startedAt, failures: { $gt: 0 } },
+      previous.address?.last_failure_at
+        ? { $inc: { failures: -1 }, last_failure_at: previous.address.last_failure_at }
+        : { $inc: { failures: -1 }, $unset: { last_failure_at: 1 } }
+    )
+  ]);
+};
+
+/**
+ * Whether sign-ins to an account are locked out right now.
+ *
+ * @param {string} email - Email of the account
+ * @returns {Promise<boolean>}
+ */
+export const isAccountLocked = async (email) => Boolean(
+  await LoginThrottle.exists({ key: accountKey(email), locked_until: { $gt: new Date() } })
+);
+
+/**
+ * Lift an account's lockout and clear its failures.
+ *
+ * @param {string} email - Email of the account
+ * @returns {Promise<boolean>} Whether the account had failures or a lockout
+ */
+export const unlockAccount = async (email) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
+
+// Default hook: tell the user their account was locked
+onAccountLocked(async ({ user, lockedUntil }) => {
+  await queueNotification({
+    channel: 'email',
+    to: user.email,
+    template: 'account_locked',
+    data: {
+      email: user.email,
+      locked_until: lockedUntil.toUTCString(),
+      reset_url: `${FRONTEND_URL.replace(/\/$/, '')}/forgot-password`
+    },
+    userId: user._id
+  });
+});
@@ -0,0 +1,234 @@
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { Notification } from '../models/Notification.js';
+import { School } from '../models/School.js';
+import { Student, EMAIL_PATTERN } from '../models/Student.js';
+import { getTransport, CHANNELS } from './notifications/index.js';
+import { renderTemplate } from './notifications/templates.js';
+import { redactMessage } from './notifications/redact.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+import { claimDue, scheduleRetry, attemptDue } from '../utils/worker.js';
+
+/**
+ * Notification Service - Outbox of emails and SMS to students and guardians
+ *
+ * queueNotification renders a template into a Notification and tries to send
+ * it straight away through the channel's transport. Failed sends are retried by
+ * the notification worker (jobs/deliverNotifications.js) with exponential backoff.
+ *
+ * Sensitive messages (account emails holding single-use links) are stored
+ * without their body: they are sent once from memory and, if that fails, marked
+ * failed so the user asks for a new link instead.
+ */
+
+const getMaxAttempts = () => readNumber('NOTIFICATION_MAX_ATTEMPTS', 5);
+
+/**
+ * Make one send attempt and record its outcome.
+ *
+ * @param {string} notificationId - Notification _id
+ * @param {Object} [content] - Rendered { text, html } of a sensitive message, which is not stored
+ * @returns {Promise<Object|null>} The updated notification, or null when it was not due or already claimed
+ */
+export const attemptNotification = async (notificationId, content) => {
+  // Claimed so the worker and an immediate send never send the same message twice at the same time
+  const notification = await claimDue(Notification, notificationId);
+  if (!notification) return null;
+
+  notification.attempts += 1;
+  try {
+    const transport = getTransport(notification.channel);
+    const { providerMessageId } = await transport.send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      text: content ? content.text : notification.text,
+      html: content ? content.html : notification.html,
+      sensitive: notification.sensitive
+    });
+    notification.status = 'sent';
+    notification.sent_at = new Date();
+    notification.transport = transport.name;
+    notification.provider_message_id = providerMessageId;
+    notification.last_error = undefined;
+    notification.next_attempt_at = undefined;
+  } catch (error) {
+    notification.last_error = error.message;
+    // Sensitive messages cannot be retried: their body was never stored
+    scheduleRetry(notification, { maxAttempts: getMaxAttempts(), giveUp: notification.sensitive });
+  }
+
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Render a template and queue it for a recipient, sending it straight away.
+ *
+ * @param {Object} params
+ * @param {string} params.channel - 'email' or 'sms'
+ * @param {string} params.to - Email address or phone number
+ * @param {string} params.template - Template name, e.g. payment_link
+ * @param {Object} params.data - Template placeholder values
+ * @param {string} [params.schoolId] - School the message is about
+ * @param {string} [params.orderId] - Order the message is about
+ * @param {string} [params.studentId] - Student the message is about
+ * @param {string} [params.userId] - User the message is about (account emails)
+ * @param {string} [params.requestedBy] - User asking for the message
+ * @param {string} [params.resendOf] - Earlier notification this one repeats
+ * @param {boolean} [params.sensitive] - The message holds a single-use link; its body is not stored
+ * @returns {Promise<Object>} The notification after its first attempt
+ */
+export const queueNotification = async ({ channel, to, template, data, schoolId, orderId, studentId, userId, requestedBy, resendOf, sensitive = false }) => {
+  const message = renderTemplate(template, channel, data);
+  const notification = await Notification.create({
+    school_id: schoolId,
+    order_id: orderId,
+    student_id: studentId,
+    user_id: userId,
+    channel,
+    template,
+    to,
+    ...redactMessage({ ...message, sensitive }),
+    requested_by: requestedBy,
+    resend_of: resendOf
+  });
+
+  return (await attemptNotification(notification._id, sensitive ? message : undefined)) || notification;
+};
+
+/**
+ * Attempt every pending notification that is due; used by the notification worker.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of notifications to attempt
+ * @returns {Promise<{attempted: number, sent: number}>}
+ */
+export const deliverDueNotifications = async ({ limit = 100 } = {}) => {
+  const { attempted, succeeded } = await attemptDue(Notification, (id) => attemptNotification(id), { successStatus: 'sent', limit });
+  return { attempted, sent: succeeded };
+};
+
+const parsePaymentDetails = (orderStatus) => {
+  try {
+    return JSON.parse(orderStatus.payment_details || '{}');
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Work out where a payment's messages go: the email captured on the order (or
+ * the registered student's contact email) and the phone number captured at
+ * create-payment (or the first guardian's phone).
+ *
+ * @param {Object} orderStatus - OrderStatus document
+ * @param {Object} order - Its Order
+ * @param {Object} [student] - Registered Student, if any
+ * @returns {{email: (string|undefined), sms: (string|undefined)}}
+ */
+export const getPaymentRecipients = (orderStatus, order, student) => ({
+  email: order.student_info?.email || student?.getContactEmail() || undefined,
+  sms: parsePaymentDetails(orderStatus).phone || student?.guardians.find(guardian => guardian.phone)?.phone || undefined
+});
+
+/**
+ * Load a payment with everything needed to message the payer.
+ *
+ * @param {string} collectId - Gateway collect request ID
+ * @returns {Promise<{orderStatus: Object, order: Object, school: Object, student: (Object|null)}>}
+ */
+export const resolvePaymentContact = async (collectId) => {
+  const orderStatus = await OrderStatus.findOne({ collect_id: collectId });
+  if (!orderStatus) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const order = await Order.findById(orderStatus.order_id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const [school, student] = await Promise.all([
+    School.findById(order.school_id),
+    order.student_id ? Student.findById(order.student_id) : null
+  ]);
+  return { orderStatus, order, school, student };
+};
+
+/**
+ * Template data describing a payment.
+ *
+ * @param {Object} context - From resolvePaymentContact
+ * @returns {Object}
+ */
+export const buildPaymentTemplateData = ({ orderStatus, order, school }) => ({
+  school_name: school?.name || 'Your school',
+  student_name: order.student_info?.name,
+  amount: `${school?.currency || order.currency || 'INR'} ${Number(orderStatus.order_amount).toFixed(2)}`,
+  payment_url: orderStatus.payment_url,
+  collect_id: orderStatus.collect_id
+});
+
+/**
+ * Send (or send again) a pending payment's link by email and/or SMS.
+ *
+ * @param {string} collectId - Gateway collect request ID
+ * @param {Object} [options]
+ * @param {Array<string>} [options.channels] - Channels to use; defaults to every channel with a recipient
+ * @param {string} [options.email] - Email address to use instead of the captured one
+ * @param {string} [options.phone] - Phone number to use instead of the captured one
+ * @param {string} [options.userId] - User asking for the link to be sent
+ * @returns {Promise<Array>} The notifications after their first attempt
+ */
+export const sendPaymentLink = async (collectId, { channels, email, phone, userId } = {}) => {
+  const context = await resolvePaymentContact(collectId);
+  const { orderStatus, order, student } = context;
+
+  if (orderStatus.status !== 'pending') {
+    throw new ValidationError(`Payment is ${orderStatus.status}; links can only be sent for pending payments`);
+  }
+  if (!orderStatus.payment_url) {
+    throw new ValidationError('No payment link was stored for this payment');
+  }
+
+  const requested = channels && channels.length > 0 ? channels : CHANNELS;
+  const unknown = requested.filter(channel => !CHANNELS.includes(channel));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown channel: ${unknown.join(', ')}`);
+  }
+
+  if (email && !EMAIL_PATTERN.test(email)) {
+    throw new ValidationError(`Invalid email ${email}`);
+  }
+
+  const captured = getPaymentRecipients(orderStatus, order, student);
+  const recipients = { email: email || captured.email, sms: phone || captured.sms };
+  const targets = requested.filter(channel => recipients[channel]);
+  if (targets.length === 0 || (channels?.length > 0 && targets.length < requested.length)) {
+    const missing = requested.filter(channel => !recipients[channel]).map(channel => (channel === 'sms' ? 'phone number' : 'email'));
+    throw new ValidationError(`No ${missing.join(' or ')} to send the payment link to`);
+  }
+
+  const data = buildPaymentTemplateData(context);
+
+  const notifications = [];
+  for (const channel of targets) {
+    // Resends point at the first link sent on the channel
+    const previous = await Notification.findOne({ order_id: order._id, template: 'payment_link', channel })
+      .sort({ createdAt: 1 });
+    notifications.push(await queueNotification({
+      channel,
+      to: recipients[channel],
+      template: 'payment_link',
+      data,
+      schoolId: order.school_id,
+      orderId: order._id,
+      studentId: order.student_id,
+      requestedBy: userId,
+      resendOf: previous?._id
+    }));
+  }
+  return notifications;
+};
@@ -0,0 +1,21 @@
+import { v4 as uuidv4 } from 'uuid';
+import { redactLocalOutput } from './redact.js';
+
+/**
+ * Console Transport - Logs every message instead of sending it
+ *
+ * For local runs where nothing should leave the machine. Works for both email and SMS.
+ * In production, sensitive messages are logged without their body.
+ */
+const consoleTransport = {
+  name: 'console',
+  channels: ['email', 'sms'],
+
+  async send(message) {
+    const id = `console_${uuidv4()}`;
+    console.log(`[notification] ${message.channel} to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${redactLocalOutput(message).text}`);
+    return { providerMessageId: id };
+  }
+};
+
+export default consoleTransport;
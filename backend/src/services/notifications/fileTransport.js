@@ -0,0 +1,29 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { redactLocalOutput } from './redact.js';
+
+/**
+ * File Transport - Appends every message to a local file instead of sending it
+ *
+ * For local runs and tests: each message is written as one JSON line to
+ * NOTIFICATION_FILE_PATH (default notifications.log in the working directory).
+ * Works for both email and SMS. In production, sensitive messages (password
+ * reset and email verification links) are written without their body.
+ */
+
+const getFilePath = () => path.resolve(process.env.NOTIFICATION_FILE_PATH || 'notifications.log');
+
+const fileTransport = {
+  name: 'file',
+  channels: ['email', 'sms'],
+
+  async send(message) {
+    const id = `file_${uuidv4()}`;
+    const line = JSON.stringify({ id, sent_at: new Date().toISOString(), ...redactLocalOutput(message) });
+    await fs.appendFile(getFilePath(), `${line}\n`, 'utf8');
+    return { providerMessageId: id };
+  }
+};
+
+export default fileTransport;
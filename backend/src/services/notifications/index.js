@@ -0,0 +1,56 @@
+import fileTransport from './fileTransport.js';
+import consoleTransport from './consoleTransport.js';
+import smtpTransport from './smtpTransport.js';
+import twilioTransport from './twilioTransport.js';
+
+/**
+ * Notification Transport Registry
+ *
+ * Every transport exposes the same interface:
+ * - name: value stored in Notification.transport
+ * - channels: the channels it can send ('email', 'sms')
+ * - send({ channel, to, subject, text, html, sensitive }) -> { providerMessageId };
+ *   sensitive messages hold single-use links and must not be logged or kept
+ *
+ * The transport used for each channel is chosen with NOTIFICATION_EMAIL_TRANSPORT
+ * (smtp, file or console) and NOTIFICATION_SMS_TRANSPORT (twilio, file or console);
+ * both default to file so that local runs never send anything.
+ */
+
+export const CHANNELS = ['email', 'sms'];
+
+const DEFAULT_TRANSPORT = 'file';
+
+const transports = new Map();
+
+/**
+ * Register a transport under its name (case-insensitive).
+ *
+ * @param {Object} transport - Transport implementing the interface above
+ */
+export const registerTransport = (transport) => {
+  if (!transport.name || typeof transport.send !== 'function' || !Array.isArray(transport.channels)) {
+    throw new Error(`Invalid notification transport ${transport.name || '(unnamed)'}`);
+  }
+  transports.set(transport.name.toLowerCase(), transport);
+};
+
+/**
+ * Resolve the transport configured for a channel.
+ *
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} Transport
+ */
+export const getTransport = (channel) => {
+  const name = (process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] || DEFAULT_TRANSPORT).toLowerCase();
+  const transport = transports.get(name);
+  if (!transport || !transport.channels.includes(channel)) {
+    throw new Error(`Notification transport ${name} cannot send ${channel}`);
+  }
+  return transport;
+};
+
+registerTransport(fileTransport);
+registerTransport(consoleTransport);
+registerTransport(smtpTransport);
+registerTransport(twilioTransport);
@@ -0,0 +1,27 @@
+/**
+ * Bodies of sensitive messages (account emails holding single-use links) are
+ * replaced with this text wherever a message would be kept or logged.
+ */
+export const REDACTED_TEXT = '[redacted: this message contained a single-use link]';
+
+/**
+ * The message as it may be stored or logged: sensitive messages lose their body.
+ *
+ * @param {Object} message - { channel, to, subject, text, html, sensitive }
+ * @returns {Object}
+ */
+export const redactMessage = (message) => {
+  if (!message.sensitive) return message;
+  return { ...message, text: REDACTED_TEXT, html: undefined };
+};
+
+/**
+ * The message as the local file and console transports write it. In production
+ * sensitive messages lose their body; elsewhere it is kept, so that password
+ * reset and email verification links can be followed on a development machine.
+ *
+ * @param {Object} message - { channel, to, subject, text, html, sensitive }
+ * @returns {Object}
+ */
+export const redactLocalOutput = (message) =>
+  (process.env.NODE_ENV === 'production' ? redactMessage(message) : message);
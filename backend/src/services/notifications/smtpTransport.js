@@ -0,0 +1,43 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Transport - Sends email through an SMTP server
+ *
+ * Configured with SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for
+ * implicit TLS), SMTP_USER / SMTP_PASS and NOTIFICATION_EMAIL_FROM.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: 'smtp',
+  channels: ['email'],
+
+  async send({ to, subject, text, html }) {
+    const info = await getTransporter().sendMail({
+      from: process.env.NOTIFICATION_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html
+    });
+    return { providerMessageId: info.messageId };
+  }
+};
+
+export default smtpTransport;
@@ -0,0 +1,184 @@
+import { ValidationError } from '../../errors/index.js';
+
+/**
+ * Notification Templates
+ *
+ * Each template has an email version (subject, text and html) and an SMS
+ * version (text). Placeholders are written {{name}} and filled from the data
+ * passed to renderTemplate; values are HTML-escaped in the html body.
+ */
+
+const TEMPLATES = {
+  payment_link: {
+    email: {
+      subject: '{{school_name}}: fee payment of {{amount}} for {{student_name}}',
+      text: [
+        'Dear Parent/Guardian,',
+        '',
+        'A fee payment of {{amount}} is due for {{student_name}} at {{school_name}}.',
+        'You can pay online using this link:',
+        '{{payment_url}}',
+        '',
+        'Payment reference: {{collect_id}}',
+        '',
+        'Thank you,',
+        '{{school_name}}'
+      ].join('\n'),
+      html: [
+        '<p>Dear Parent/Guardian,</p>',
+        '<p>A fee payment of <strong>{{amount}}</strong> is due for {{student_name}} at {{school_name}}.</p>',
+        '<p><a href="{{payment_url}}">Pay now</a></p>',
+        '<p>Payment reference: {{collect_id}}</p>',
+        '<p>Thank you,<br>{{school_name}}</p>'
+      ].join('\n')
+    },
+    sms: {
+      text: '{{school_name}}: fee of {{amount}} due for {{student_name}}. Pay at {{payment_url}}'
+    }
+  },
+  payment_reminder: {
+    email: {
+      subject: 'Reminder: {{school_name}} fee payment of {{amount}} for {{student_name}}',
+      text: [
+        'Dear Parent/Guardian,',
+        '',
+        'This is a reminder that the fee payment of {{amount}} for {{student_name}} at {{school_name}} has not been made yet.',
+        'You can pay online using this link:',
+        '{{payment_url}}',
+        '',
+        'Payment reference: {{collect_id}}',
+        'If you have already paid, please ignore this message.',
+        '',
+        'Thank you,',
+        '{{school_name}}'
+      ].join('\n'),
+      html: [
+        '<p>Dear Parent/Guardian,</p>',
+        '<p>This is a reminder that the fee payment of <strong>{{amount}}</strong> for {{student_name}} at {{school_name}} has not been made yet.</p>',
+        '<p><a href="{{payment_url}}">Pay now</a></p>',
+        '<p>Payment reference: {{collect_id}}<br>If you have already paid, please ignore this message.</p>',
+        '<p>Thank you,<br>{{school_name}}</p>'
+      ].join('\n')
+    },
+    sms: {
+      text: '{{school_name}}: reminder, fee of {{amount}} for {{student_name}} is unpaid. Pay at {{payment_url}}'
+    }
+  },
+  payment_link_expiring: {
+    email: {
+      subject: '{{school_name}}: payment link for {{student_name}} expires soon',
+      text: [
+        'Dear Parent/Guardian,',
+        '',
+        'The payment link for the fee of {{amount}} for {{student_name}} at {{school_name}} expires on {{expires_at}}.',
+        'Please complete the payment before then using this link:',
+        '{{payment_url}}',
+        '',
+        'Payment reference: {{collect_id}}',
+        '',
+        'Thank you,',
+        '{{school_name}}'
+      ].join('\n'),
+      html: [
+        '<p>Dear Parent/Guardian,</p>',
+        '<p>The payment link for the fee of <strong>{{amount}}</strong> for {{student_name}} at {{school_name}} expires on {{expires_at}}.</p>',
+        '<p><a href="{{payment_url}}">Pay now</a></p>',
+        '<p>Payment reference: {{collect_id}}</p>',
+        '<p>Thank you,<br>{{school_name}}</p>'
+      ].join('\n')
+    },
+    sms: {
+      text: '{{school_name}}: the link to pay {{amount}} for {{student_name}} expires {{expires_at}}. Pay at {{payment_url}}'
+    }
+  },
+  // Account emails to users of the dashboard; these have no SMS version
+  email_verification: {
+    email: {
+      subject: 'Confirm your School Payments email address',
+      text: [
+        'Hello,',
+        '',
+        'Please confirm that {{email}} is your email address by opening this link:',
+        '{{verify_url}}',
+        '',
+        'The link expires in {{expires_in}}. If you did not create an account, you can ignore this email.'
+      ].join('\n'),
+      html: [
+        '<p>Hello,</p>',
+        '<p>Please confirm that {{email}} is your email address.</p>',
+        '<p><a href="{{verify_url}}">Confirm email address</a></p>',
+        '<p>The link expires in {{expires_in}}. If you did not create an account, you can ignore this email.</p>'
+      ].join('\n')
+    }
+  },
+  password_reset: {
+    email: {
+      subject: 'Reset your School Payments password',
+      text: [
+        'Hello,',
+        '',
+        'Someone asked to reset the password of the School Payments account for {{email}}.',
+        'You can choose a new password using this link:',
+        '{{reset_url}}',
+        '',
+        'The link works once and expires in {{expires_in}}. If you did not ask for this, you can ignore this email.'
+      ].join('\n'),
+      html: [
+        '<p>Hello,</p>',
+        '<p>Someone asked to reset the password of the School Payments account for {{email}}.</p>',
+        '<p><a href="{{reset_url}}">Choose a new password</a></p>',
+        '<p>The link works once and expires in {{expires_in}}. If you did not ask for this, you can ignore this email.</p>'
+      ].join('\n')
+    }
+  },
+  account_locked: {
+    email: {
+      subject: 'Your School Payments account has been locked',
+      text: [
+        'Hello,',
+        '',
+        'After several failed sign-in attempts, sign-ins to the School Payments account for {{email}} are blocked until {{locked_until}}.',
+        'If this was not you, someone may be trying to guess your password. You can choose a new one here:',
+        '{{reset_url}}'
+      ].join('\n'),
+      html: [
+        '<p>Hello,</p>',
+        '<p>After several failed sign-in attempts, sign-ins to the School Payments account for {{email}} are blocked until {{locked_until}}.</p>',
+        '<p>If this was not you, someone may be trying to guess your password. <a href="{{reset_url}}">Choose a new password</a></p>'
+      ].join('\n')
+    }
+  }
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fill = (text, data, escape = (value) => value) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, key) => escape(data[key] === undefined || data[key] === null ? '' : String(data[key])));
+
+/**
+ * Render a template for a channel.
+ *
+ * @param {string} name - Template name, e.g. payment_link
+ * @param {string} channel - 'email' or 'sms'
+ * @param {Object} data - Placeholder values
+ * @returns {{subject: (string|undefined), text: string, html: (string|undefined)}}
+ */
+export const renderTemplate = (name, channel, data) => {
+  const template = TEMPLATES[name]?.[channel];
+  if (!template) {
+    throw new ValidationError(`No ${channel} template named ${name}`);
+  }
+
+  return {
+    subject: template.subject && fill(template.subject, data),
+    text: fill(template.text, data),
+    html: template.html && fill(template.html, data, escapeHtml)
+  };
+};
@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+/**
+ * Twilio Transport - Sends SMS through the Twilio Messages API
+ *
+ * Configured with TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER.
+ */
+
+const TWILIO_API_BASE = process.env.TWILIO_API_BASE || 'https://api.twilio.com/2010-04-01';
+const REQUEST_TIMEOUT_MS = 10000;
+
+const twilioTransport = {
+  name: 'twilio',
+  channels: ['sms'],
+
+  async send({ to, text }) {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+      throw new Error('Twilio credentials are not configured');
+    }
+
+    const response = await axios.post(
+      `${TWILIO_API_BASE}/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      new URLSearchParams({ From: TWILIO_FROM_NUMBER, To: to, Body: text }).toString(),
+      {
+        auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+    return { providerMessageId: response.data.sid };
+  }
+};
+
+export default twilioTransport;
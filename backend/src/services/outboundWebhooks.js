@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { readNumber } from '../config/env.js';
+import { claimDue, scheduleRetry, attemptDue } from '../utils/worker.js';
+
+/**
+ * Outbound Webhook Service - Notifies school ERPs of payment events
+ *
+ * emitEvent creates one WebhookDelivery per active subscription of the school
+ * and tries to send it straight away. Failed sends are retried by the delivery
+ * worker (jobs/deliverOutboundWebhooks.js) with exponential backoff.
+ *
+ * Every POST carries:
+ * - X-Webhook-Event: event type, e.g. payment.success
+ * - X-Webhook-Delivery: delivery ID
+ * - X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the subscription secret>
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Payment statuses that produce a payment event
+const PAYMENT_STATUS_EVENTS = {
+  success: 'payment.success',
+  failed: 'payment.failed',
+  cancelled: 'payment.failed',
+  expired: 'payment.failed'
+};
+
+const getMaxAttempts = () => readNumber('OUTBOUND_WEBHOOK_MAX_ATTEMPTS', 8);
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Generate a signing secret for a new subscription
+ */
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a raw body the way subscribers are expected to verify it.
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Make one delivery attempt and record its outcome.
+ *
+ * @param {string} deliveryId - WebhookDelivery _id
+ * @returns {Promise<Object|null>} The updated delivery, or null when it was not due or already claimed
+ */
+export const attemptDelivery = async (deliveryId) => {
+  // Claimed so the worker and an immediate send never POST the same delivery at the same time
+  const delivery = await claimDue(WebhookDelivery, deliveryId);
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription_id).select('+secret');
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.last_error = 'Subscription is inactive or has been removed';
+    delivery.next_attempt_at = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt = { attempted_at: new Date(startedAt) };
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'school-payment-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    attempt.response_status = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.duration_ms = Date.now() - startedAt;
+
+  delivery.attempts += 1;
+  delivery.attempt_log.push(attempt);
+  delivery.last_response_status = attempt.response_status;
+  delivery.last_error = attempt.error;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.delivered_at = new Date();
+    delivery.next_attempt_at = undefined;
+  } else {
+    scheduleRetry(delivery, { maxAttempts: getMaxAttempts() });
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Send without holding up the caller; failures are left to the retry worker
+const sendInBackground = (deliveries) => {
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery._id).catch(error => {
+      console.error(`Outbound webhook delivery ${delivery._id} failed:`, error.message);
+    });
+  });
+};
+
+/**
+ * Queue an event for every active subscription of a school that listens to it.
+ *
+ * @param {string} event - Event type, e.g. payment.success
+ * @param {Object} params
+ * @param {string} params.schoolId - School the event belongs to
+ * @param {Object} params.data - Event data
+ * @returns {Promise<Array>} The created WebhookDelivery documents
+ */
+export const emitEvent = async (event, { schoolId, data }) => {
+  const subscriptions = await WebhookSubscription.find({ school_id: schoolId, events: event, active: true });
+  if (subscriptions.length === 0) return [];
+
+  const eventId = `evt_${uuidv4()}`;
+  const payload = {
+    id: eventId,
+    type: event,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription_id: subscription._id,
+    school_id: schoolId,
+    event,
+    event_id: eventId,
+    payload
+  })));
+
+  sendInBackground(deliveries);
+  return deliveries;
+};
+
+/**
+ * Emit the payment event for an OrderStatus that changed status, if any.
+ *
+ * @param {Object} orderStatus - OrderStatus document after the update
+ * @param {Object} order - The parent Order (needs school_id)
+ * @returns {Promise<Array>} The created WebhookDelivery documents
+ */
+export const emitPaymentEvent = (orderStatus, order) => {
+  const event = PAYMENT_STATUS_EVENTS[orderStatus.status];
+  if (!event || !order) return Promise.resolve([]);
+
+  return emitEvent(event, {
+    schoolId: order.school_id,
+    data: {
+      collect_id: orderStatus.collect_id,
+      custom_order_id: orderStatus.order_id.toString(),
+      school_id: order.school_id.toString(),
+      status: orderStatus.status,
+      order_amount: orderStatus.order_amount,
+      transaction_amount: orderStatus.transaction_amount,
+      payment_mode: orderStatus.payment_mode,
+      bank_reference: orderStatus.bank_reference,
+      payment_message: orderStatus.payment_message,
+      error_message: orderStatus.error_message || undefined,
+      payment_time: orderStatus.payment_time
+    }
+  });
+};
+
+/**
+ * Emit refund.created for a newly issued refund.
+ *
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Array>} The created WebhookDelivery documents
+ */
+export const emitRefundCreated = (refund) => emitEvent('refund.created', {
+  schoolId: refund.school_id,
+  data: {
+    refund_id: refund._id.toString(),
+    collect_id: refund.collect_id,
+    custom_order_id: refund.order_id.toString(),
+    school_id: refund.school_id.toString(),
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status
+  }
+});
+
+/**
+ * Send an event again as a new delivery to the same subscription.
+ *
+ * @param {Object} original - WebhookDelivery to redeliver
+ * @param {Object} [context]
+ * @param {string} [context.userId] - Admin requesting the redelivery
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+export const redeliver = async (original, { userId } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    subscription_id: original.subscription_id,
+    school_id: original.school_id,
+    event: original.event,
+    event_id: original.event_id,
+    payload: original.payload,
+    redelivery_of: original.redelivery_of || original._id,
+    redelivered_by: userId
+  });
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+/**
+ * Attempt every pending delivery that is due; used by the delivery worker.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of deliveries to attempt
+ * @returns {Promise<{attempted: number, delivered: number}>}
+ */
+export const deliverDueWebhooks = async ({ limit = 100 } = {}) => {
+  const { attempted, succeeded } = await attemptDue(WebhookDelivery, attemptDelivery, { successStatus: 'delivered', limit });
+  return { attempted, delivered: succeeded };
+};
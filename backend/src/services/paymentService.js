@@ -0,0 +1,202 @@
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { getGateway } from './gateways/index.js';
+import { resolveFeeBreakdown } from './feeService.js';
+import { resolveStudent, toStudentInfo } from './studentService.js';
+import { resolveDuePayment } from './dueService.js';
+import { applyAdjustmentRules } from './adjustmentService.js';
+import { recordStatusHistory } from './paymentStatus.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Payment Service - Creates payment links (an Order, its gateway collect request
+ * and the OrderStatus tracking it)
+ *
+ * Used by create-payment for single payments and by bulk uploads for many.
+ */
+
+const APP_URL = process.env.APP_URL || 'http://localhost:4574/';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check that a payment request names what is paid for and who pays it.
+ *
+ * @param {Object} params - Payment request, see createPaymentLink
+ * @throws {ValidationError}
+ */
+export const validatePaymentRequest = ({ amount, student_id, student_info, fee_structure_id, due_id }) => {
+  if (!fee_structure_id && !due_id && (isBlank(amount) || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+    throw new ValidationError('Valid positive amount is required');
+  }
+  if (fee_structure_id && due_id) {
+    throw new ValidationError('Send either fee_structure_id or due_id, not both');
+  }
+  if (!student_id && !due_id && (!student_info || !student_info.name)) {
+    throw new ValidationError('student_id or student information with at least a name is required');
+  }
+};
+
+/**
+ * Work out who pays what, without creating anything.
+ *
+ * Payments against a fee structure are priced from its fee heads, payments
+ * against a due may be partial, and the school's late fee and discount rules
+ * are applied last.
+ *
+ * @param {Object} school - School the payment is for
+ * @param {Object} params - Payment request, see createPaymentLink
+ * @returns {Promise<Object>} { baseAmount, amount, adjustments, fees, duePayment, student, studentInfo }
+ */
+export const preparePayment = async (school, params) => {
+  const { amount, student_id, student_info, fee_structure_id, fee_heads, due_id } = params;
+  validatePaymentRequest(params);
+
+  let baseAmount = parseFloat(amount);
+  let fees = null;
+  if (fee_structure_id) {
+    fees = await resolveFeeBreakdown(school, { feeStructureId: fee_structure_id, feeHeads: fee_heads });
+    if (!isBlank(amount) && Math.abs(parseFloat(amount) - fees.amount) > 0.001) {
+      throw new ValidationError(`Amount does not match the selected fee heads. Expected ${fees.amount}`);
+    }
+    baseAmount = fees.amount;
+  }
+
+  let duePayment = null;
+  if (due_id) {
+    duePayment = await resolveDuePayment(school, { dueId: due_id, amount });
+    if (student_id && student_id.toString() !== duePayment.due.student_id.toString()) {
+      throw new ValidationError('Due does not belong to this student');
+    }
+    baseAmount = duePayment.amount;
+  }
+
+  // Registered students supply their own details; otherwise only what was sent is stored
+  const studentRef = duePayment ? duePayment.due.student_id : student_id;
+  const student = studentRef ? await resolveStudent(studentRef, school._id) : null;
+  const studentInfo = student
+    ? toStudentInfo(student)
+    : {
+      name: student_info.name,
+      id: student_info.id || undefined,
+      email: student_info.email || undefined
+    };
+
+  // Late fees run from the installment (or due, or fee structure item) being paid
+  const adjusted = await applyAdjustmentRules({
+    school,
+    student,
+    baseAmount,
+    breakdown: fees ? fees.breakdown : duePayment?.due.fee_breakdown,
+    dueDate: duePayment ? (duePayment.installment?.due_date || duePayment.due.due_date) : fees?.dueDate,
+    chargedLateFees: duePayment?.due.late_fees_charged,
+    chargedDiscounts: duePayment?.due.discounts_charged
+  });
+
+  return {
+    baseAmount,
+    amount: adjusted.amount,
+    adjustments: adjusted.adjustments,
+    fees,
+    duePayment,
+    student,
+    studentInfo
+  };
+};
+
+/**
+ * Create a payment link: the Order, the gateway collect request and its OrderStatus.
+ *
+ * @param {Object} school - School the payment is for
+ * @param {Object} credentials - Gateway credentials of the school
+ * @param {Object} params
+ * @param {number|string} [params.amount] - Amount; optional with fee_structure_id or due_id
+ * @param {string} [params.student_id] - Registered Student _id
+ * @param {Object} [params.student_info] - { name, id, email } for unregistered students
+ * @param {string} [params.phone_number] - Payer's phone number
+ * @param {string} [params.fee_structure_id] - FeeStructure to pay against
+ * @param {Array<string>} [params.fee_heads] - Fee head IDs or codes of the structure
+ * @param {string} [params.due_id] - StudentDue to pay (partially) against
+ * @param {Object} context
+ * @param {string} context.userId - User creating the payment, recorded as the order's trustee_id
+ * @param {string} [context.orderId] - _id to give the Order, chosen by callers that need to
+ *   find out later whether it was created (see services/bulkPaymentService.js)
+ * @returns {Promise<Object>} { order, orderStatus, paymentUrl, collectRequestId, amount, baseAmount, adjustments }
+ * @throws {GatewayError} When the gateway rejects the collect request
+ */
+export const createPaymentLink = async (school, credentials, params, { userId, orderId }) => {
+  const payment = await preparePayment(school, params);
+  const gateway = getGateway(school.gateway_name);
+  const { fees, duePayment } = payment;
+
+  const order = new Order({
+    ...(orderId && { _id: orderId }),
+    school_id: school._id,
+    trustee_id: userId,
+    student_id: payment.student?._id,
+    student_info: payment.studentInfo,
+    gateway_name: gateway.name,
+    amount: payment.amount,
+    currency: school.currency,
+    status: 'pending',
+    created_at: new Date(),
+    ...(fees && {
+      fee_structure_id: fees.feeStructure._id,
+      academic_year: fees.feeStructure.academic_year,
+      term: fees.feeStructure.term,
+      fee_breakdown: fees.breakdown
+    }),
+    ...(duePayment && {
+      due_id: duePayment.due._id,
+      fee_structure_id: duePayment.due.fee_structure_id,
+      academic_year: duePayment.due.academic_year,
+      term: duePayment.due.term
+    }),
+    ...(payment.adjustments.length > 0 && {
+      base_amount: payment.baseAmount,
+      adjustments: payment.adjustments
+    })
+  });
+  await order.save();
+
+  // Generate a unique reference ID for this transaction
+  const reference_id = `ref-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  // Ensure callback URL ends with a slash if needed; schools may override the backend URL
+  const appUrl = school.callback?.app_url || APP_URL;
+  const baseCallbackUrl = appUrl.endsWith('/') ? appUrl : `${appUrl}/`;
+  const callbackUrl = `${baseCallbackUrl}api/payments/callback?orderId=${order._id}`;
+
+  // The adapter generates the JWT-signed payload and calls create-collect-request
+  const collectRequest = await gateway.createCollectRequest({ amount: payment.amount, callbackUrl }, credentials);
+
+  // Fall back to our own reference if the gateway did not return an ID
+  const collectRequestId = collectRequest.collectRequestId || reference_id;
+
+  const orderStatus = new OrderStatus({
+    collect_id: collectRequestId,
+    order_id: order._id,
+    order_amount: payment.amount,
+    status: 'pending',
+    payment_url: collectRequest.paymentUrl,
+    payment_details: JSON.stringify({
+      reference_id,
+      phone: params.phone_number || '',
+      preferred_mode: params.phone_number ? 'UPI' : 'QR',
+      created_at: new Date().toISOString()
+    }),
+    updated_at: new Date()
+  });
+  await orderStatus.save();
+  await recordStatusHistory(orderStatus, { to: 'pending', source: 'manual', payload: collectRequest.raw, userId });
+
+  return {
+    order,
+    orderStatus,
+    paymentUrl: collectRequest.paymentUrl,
+    collectRequestId,
+    amount: payment.amount,
+    baseAmount: payment.baseAmount,
+    adjustments: payment.adjustments
+  };
+};
@@ -0,0 +1,202 @@
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { StatusHistory } from '../models/StatusHistory.js';
+import { emitPaymentEvent } from './outboundWebhooks.js';
+import { syncDueForOrder } from './dueService.js';
+import { issueReceiptNumber } from './receiptService.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+/**
+ * Payment Status Service - The single place where payment status updates are applied
+ *
+ * Callback, webhook and status-poll handlers all normalize the gateway status with
+ * the gateway adapter and then call applyStatusUpdate, so OrderStatus and Order are
+ * always updated the same way, in one transaction together with the status history.
+ * OrderStatus is the source of truth; Order.status is a copy. Only the moves in PAYMENT_TRANSITIONS are applied;
+ * anything else (e.g. a late `pending` poll after `success`) is rejected. Every
+ * transition, applied or rejected, is recorded in the status history.
+ *
+ * Status changes are published to the school's outbound webhook subscriptions and
+ * update the student due the order pays, if any. Payments that succeed are given
+ * their school's next receipt number.
+ */
+
+/**
+ * Allowed status moves. A payment we expired ourselves can still succeed, since the
+ * gateway may have taken the payment after our expiry check.
+ */
+export const PAYMENT_TRANSITIONS = {
+  pending: ['success', 'failed', 'cancelled', 'expired'],
+  expired: ['success'],
+  success: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+/**
+ * Whether a payment may move from one status to another.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Reported status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => from === to || (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+const buildHistoryEntry = (orderStatus, { from, to, source, payload, userId, applied = true, reason }) => ({
+  order_status_id: orderStatus._id,
+  order_id: orderStatus.order_id,
+  collect_id: orderStatus.collect_id,
+  from_status: from,
+  to_status: to,
+  applied,
+  reason,
+  source,
+  payload,
+  changed_by: userId
+});
+
+/**
+ * Append an entry to a payment's status history.
+ *
+ * @param {Object} orderStatus - OrderStatus document
+ * @param {Object} entry
+ * @param {string} [entry.from] - Status before the transition; omitted for a new payment
+ * @param {string} entry.to - Status after the transition
+ * @param {string} entry.source - callback, webhook, poll, refund, system or manual
+ * @param {Object} [entry.payload] - Raw data the status came from
+ * @param {string} [entry.userId] - User behind the change
+ * @param {boolean} [entry.applied] - false for a rejected transition
+ * @param {string} [entry.reason] - Why the transition was rejected
+ * @returns {Promise<Object|null>} The history entry, or null when it could not be written
+ */
+export const recordStatusHistory = async (orderStatus, entry) => {
+  try {
+    return await StatusHistory.create(buildHistoryEntry(orderStatus, entry));
+  } catch (error) {
+    // The history is an audit trail; losing an entry must not undo the update
+    console.error(`Failed to record status history for ${orderStatus.collect_id}:`, error.message);
+    return null;
+  }
+};
+
+// OrderStatus fields that gateway updates may set
+const UPDATABLE_FIELDS = [
+  'order_amount',
+  'transaction_amount',
+  'payment_mode',
+  'payment_details',
+  'bank_reference',
+  'payment_message',
+  'error_message',
+  'payment_time'
+];
+
+/**
+ * Apply a normalized status update to an OrderStatus and its parent Order.
+ *
+ * Fields that are undefined are left untouched. Updates that would make a
+ * transition not allowed by PAYMENT_TRANSITIONS are rejected as a whole and
+ * only recorded in the status history. A status change only applies if the
+ * stored status is still the one this document was loaded with; otherwise the
+ * payment is reloaded and the update is checked again.
+ *
+ * @param {Object} orderStatus - OrderStatus document
+ * @param {Object} update - Normalized status plus any of the UPDATABLE_FIELDS
+ * @param {Object} [context]
+ * @param {string} [context.source] - callback, webhook, poll, refund, system or manual
+ * @param {Object} [context.payload] - Raw gateway data the update came from
+ * @param {string} [context.userId] - User behind the update
+ * @returns {Promise<Object>} The saved OrderStatus document; a reloaded one if the status changed meanwhile
+ */
+export const applyStatusUpdate = (orderStatus, update, context = {}) => applyUpdate(orderStatus, update, context, false);
+
+const applyUpdate = async (orderStatus, update, context, retried) => {
+  const { status, ...fields } = update;
+  const { source = 'system', payload, userId } = context;
+  const previousStatus = orderStatus.status;
+  const changesStatus = Boolean(status) && status !== previousStatus;
+
+  if (changesStatus && !canTransition(previousStatus, status)) {
+    console.warn(`Rejected ${source} status update for ${orderStatus.collect_id}: ${previousStatus} -> ${status}`);
+    await recordStatusHistory(orderStatus, {
+      from: previousStatus,
+      to: status,
+      source,
+      payload,
+      userId,
+      applied: false,
+      reason: `A ${previousStatus} payment cannot become ${status}`
+    });
+    return orderStatus;
+  }
+
+  if (changesStatus) {
+    orderStatus.status = status;
+  }
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      orderStatus[field] = fields[field];
+    }
+  });
+  orderStatus.updated_at = new Date();
+
+  // OrderStatus, the Order copy of the status and the history entry are written together
+  try {
+    await runInTransaction(async (session) => {
+      // Another update may have changed the status since this document was loaded
+      if (changesStatus) {
+        orderStatus.$where = { status: previousStatus };
+      }
+      await orderStatus.save({ session });
+
+      if (status && orderStatus.order_id) {
+        await Order.updateOne({ _id: orderStatus.order_id }, { status: orderStatus.status }, { session });
+      }
+
+      if (changesStatus) {
+        await StatusHistory.create(
+          [buildHistoryEntry(orderStatus, { from: previousStatus, to: status, source, payload, userId })],
+          { session }
+        );
+      }
+    });
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError' || retried) throw error;
+    const current = await OrderStatus.findById(orderStatus._id);
+    if (!current) throw error;
+    return applyUpdate(current, update, context, true);
+  } finally {
+    orderStatus.$where = undefined;
+  }
+
+  if (changesStatus && orderStatus.order_id) {
+    try {
+      await syncDueForOrder(orderStatus.order_id);
+    } catch (error) {
+      // The due is recomputed from scratch on the next update, so do not fail this one
+      console.error('Failed to update student due:', error.message);
+    }
+  }
+
+  if (status === 'success' && !orderStatus.receipt_number && orderStatus.order_id) {
+    try {
+      const order = await Order.findById(orderStatus.order_id).select('school_id').lean();
+      await issueReceiptNumber(orderStatus, order);
+    } catch (error) {
+      // The number is issued when the receipt is first downloaded instead
+      console.error('Failed to issue receipt number:', error.message);
+    }
+  }
+
+  if (changesStatus) {
+    // Notifying subscribers must never fail the status update itself
+    Order.findById(orderStatus.order_id).select('school_id').lean()
+      .then(order => emitPaymentEvent(orderStatus, order))
+      .catch(error => console.error('Failed to emit payment event:', error.message));
+  }
+
+  return orderStatus;
+};
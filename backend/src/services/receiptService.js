@@ -0,0 +1,213 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { ReceiptCounter } from '../models/ReceiptCounter.js';
+import { Refund } from '../models/Refund.js';
+import { School } from '../models/School.js';
+import { Student } from '../models/Student.js';
+import { getGatewayFee } from './studentService.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+/**
+ * Receipt Service - Numbered PDF receipts for successful payments
+ *
+ * Every school has its own receipt sequence (models/ReceiptCounter.js). A payment
+ * gets its number when it first succeeds, or when its receipt is first requested
+ * for payments that succeeded before receipts existed, and keeps it afterwards.
+ */
+
+// Payment statuses in which money was received and a receipt can be issued
+export const RECEIPT_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const RECEIPT_NUMBER_DIGITS = 6;
+
+const formatReceiptNumber = (seq) => `RCP-${String(seq).padStart(RECEIPT_NUMBER_DIGITS, '0')}`;
+
+const formatAmount = (currency, amount) => `${currency} ${Number(amount).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toUTCString().replace('GMT', 'UTC') : '-');
+
+/**
+ * Give a successful payment the next receipt number of its school.
+ *
+ * Payments that already have a number keep it. A number is only taken from the
+ * counter for a payment without one, in the same transaction that sets it, so
+ * concurrent calls leave no gaps in the sequence.
+ *
+ * @param {Object} orderStatus - OrderStatus document
+ * @param {Object} order - Its Order (needs school_id)
+ * @returns {Promise<string>} The receipt number
+ */
+export const issueReceiptNumber = async (orderStatus, order) => {
+  if (orderStatus.receipt_number) return orderStatus.receipt_number;
+  if (!order?.school_id) {
+    throw new ValidationError('Payment is not linked to a school');
+  }
+
+  const issued = await runInTransaction(async (session) => {
+    // A concurrent request may have numbered the payment in the meantime
+    const current = await OrderStatus.findById(orderStatus._id)
+      .select('receipt_number receipt_issued_at')
+      .session(session);
+    if (!current || current.receipt_number) return current;
+
+    const counter = await ReceiptCounter.findOneAndUpdate(
+      { school_id: order.school_id },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+    );
+
+    return await OrderStatus.findOneAndUpdate(
+      { _id: orderStatus._id, receipt_number: { $exists: false } },
+      { receipt_number: formatReceiptNumber(counter.seq), receipt_issued_at: new Date() },
+      { new: true, session }
+    ) || OrderStatus.findById(orderStatus._id).session(session);
+  });
+  if (!issued) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  orderStatus.receipt_number = issued.receipt_number;
+  orderStatus.receipt_issued_at = issued.receipt_issued_at;
+  return issued.receipt_number;
+};
+
+/**
+ * Collect everything printed on a payment's receipt.
+ *
+ * As in the student ledger, amount_paid is the order amount and any gateway
+ * fee the payer paid on top of it is listed separately.
+ *
+ * @param {string} collectId - Gateway collect request ID
+ * @returns {Promise<Object>} Receipt data
+ */
+export const getReceipt = async (collectId) => {
+  const orderStatus = await OrderStatus.findOne({ collect_id: collectId });
+  if (!orderStatus) {
+    throw new NotFoundError('Payment not found');
+  }
+  if (!RECEIPT_STATUSES.includes(orderStatus.status)) {
+    throw new ValidationError('Receipts are only available for successful payments');
+  }
+
+  const order = await Order.findById(orderStatus.order_id).lean();
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const [school, student, refunds] = await Promise.all([
+    School.findById(order.school_id).lean(),
+    order.student_id ? Student.findById(order.student_id).lean() : null,
+    Refund.find({ order_status_id: orderStatus._id, status: 'success' }).select('amount').lean()
+  ]);
+  const receiptNumber = await issueReceiptNumber(orderStatus, order);
+
+  return {
+    receipt_number: receiptNumber,
+    issued_at: orderStatus.receipt_issued_at,
+    school: { name: school?.name || 'School', currency: school?.currency || order.currency || 'INR' },
+    student: {
+      name: order.student_info?.name,
+      admission_number: student?.admission_number || order.student_info?.id,
+      class_name: student?.class_name,
+      section: student?.section,
+      email: order.student_info?.email
+    },
+    payment: {
+      collect_id: orderStatus.collect_id,
+      order_id: order._id.toString(),
+      status: orderStatus.status,
+      payment_mode: orderStatus.payment_mode,
+      bank_reference: orderStatus.bank_reference,
+      payment_time: orderStatus.payment_time,
+      academic_year: order.academic_year,
+      term: order.term
+    },
+    fee_breakdown: order.fee_breakdown || [],
+    base_amount: order.base_amount ?? order.amount,
+    adjustments: order.adjustments || [],
+    amount_paid: orderStatus.order_amount,
+    gateway_fee: getGatewayFee(orderStatus),
+    refunded_amount: refunds.reduce((total, refund) => total + refund.amount, 0)
+  };
+};
+
+/**
+ * Render a receipt as a PDF.
+ *
+ * @param {Object} receipt - Receipt data from getReceipt
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receipt_number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { currency } = receipt.school;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  const row = (label, value, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, left, y, { width: width * 0.6 });
+    doc.text(value ?? '-', left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.moveDown(0.4);
+  };
+
+  const section = (title) => {
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(12).text(title, left);
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).stroke('#999999');
+    doc.moveDown(0.6);
+  };
+
+  // School header
+  doc.font('Helvetica-Bold').fontSize(18).text(receipt.school.name, { align: 'center' });
+  doc.font('Helvetica').fontSize(12).text('Payment Receipt', { align: 'center' });
+  doc.moveDown();
+  row('Receipt No.', receipt.receipt_number, { bold: true });
+  row('Date', formatDate(receipt.issued_at));
+
+  section('Student');
+  row('Name', receipt.student.name);
+  row('Admission No.', receipt.student.admission_number);
+  if (receipt.student.class_name) {
+    row('Class', [receipt.student.class_name, receipt.student.section].filter(Boolean).join(' - '));
+  }
+  if (receipt.payment.academic_year || receipt.payment.term) {
+    row('Period', [receipt.payment.academic_year, receipt.payment.term].filter(Boolean).join(', '));
+  }
+
+  section('Payment');
+  row('Collect ID', receipt.payment.collect_id);
+  row('Order ID', receipt.payment.order_id);
+  row('Payment Mode', receipt.payment.payment_mode);
+  row('Bank Reference', receipt.payment.bank_reference);
+  row('Payment Time', formatDate(receipt.payment.payment_time));
+
+  section('Fee Breakdown');
+  if (receipt.fee_breakdown.length > 0) {
+    receipt.fee_breakdown.forEach(line => row(`${line.name} (${line.code})`, formatAmount(currency, line.amount)));
+  } else {
+    row('Fee payment', formatAmount(currency, receipt.base_amount));
+  }
+  receipt.adjustments.forEach(adjustment => row(adjustment.name, formatAmount(currency, adjustment.amount)));
+  doc.moveDown(0.2);
+  row('Total Paid', formatAmount(currency, receipt.amount_paid), { bold: true });
+  if (receipt.gateway_fee > 0) {
+    row('Gateway Fee', formatAmount(currency, receipt.gateway_fee));
+  }
+  if (receipt.refunded_amount > 0) {
+    row('Refunded', formatAmount(currency, receipt.refunded_amount));
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text('This is a computer generated receipt and does not require a signature.', left, doc.y, { width, align: 'center' });
+
+  doc.end();
+});
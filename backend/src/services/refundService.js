@@ -0,0 +1,346 @@
+import { Refund } from '../models/Refund.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { getGateway, supportsRefunds } from './gateways/index.js';
+import { resolveOrderContext, getGatewayCredentials } from './schoolService.js';
+import { applyStatusUpdate } from './paymentStatus.js';
+import { emitRefundCreated } from './outboundWebhooks.js';
+import { syncDueForOrder } from './dueService.js';
+import { NotFoundError, ValidationError, ConflictError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Refund Service - Issues refunds through the gateway adapters and keeps the
+ * refunded payment's status in step with its settled refunds.
+ *
+ * Pending and successful refunds both count against the refundable amount so
+ * a payment can never be refunded twice while a refund is still settling. The
+ * amount is checked and the pending refund created while holding a lock on the
+ * payment, before the gateway is called, so concurrent requests cannot both
+ * pass the check.
+ *
+ * A refund whose initiation timed out has no gateway refund ID and cannot be
+ * polled. The gateway may still have accepted it, so it is never failed
+ * automatically: once REFUND_CONFIRM_TIMEOUT_MINUTES have passed it moves to
+ * review, still reserving its amount, until an admin resolves it from the
+ * gateway dashboard.
+ */
+
+// Payments in these states can still be refunded
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded'];
+
+// Refunds in these states count against the refundable amount
+const RESERVED_REFUND_STATUSES = ['pending', 'review', 'success'];
+
+// A refund lock left behind by a crashed request is ignored after this long
+const REFUND_LOCK_MS = 30 * 1000;
+
+const getConfirmTimeoutMinutes = () => readNumber('REFUND_CONFIRM_TIMEOUT_MINUTES', 24 * 60);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const paidAmount = (orderStatus) => orderStatus.transaction_amount ?? orderStatus.order_amount;
+
+const sumRefunds = async (orderStatusId, statuses) => {
+  const [totals] = await Refund.aggregate([
+    { $match: { order_status_id: orderStatusId, status: { $in: statuses } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return roundAmount(totals?.amount || 0);
+};
+
+/**
+ * Summarize how much of a payment has been refunded.
+ *
+ * @param {Object} orderStatus - OrderStatus document
+ * @returns {Promise<{paid_amount: number, refunded_amount: number, pending_amount: number, refundable_amount: number}>}
+ */
+export const getRefundSummary = async (orderStatus) => {
+  const paid = paidAmount(orderStatus);
+  const [refunded, reserved] = await Promise.all([
+    sumRefunds(orderStatus._id, ['success']),
+    sumRefunds(orderStatus._id, RESERVED_REFUND_STATUSES)
+  ]);
+
+  return {
+    paid_amount: paid,
+    refunded_amount: refunded,
+    pending_amount: roundAmount(reserved - refunded),
+    refundable_amount: REFUNDABLE_STATUSES.includes(orderStatus.status) ? roundAmount(paid - reserved) : 0
+  };
+};
+
+/**
+ * Move a payment to partially_refunded or refunded once its refunds settle.
+ */
+const syncPaymentStatus = async (orderStatus) => {
+  const refunded = await sumRefunds(orderStatus._id, ['success']);
+  if (refunded <= 0) return orderStatus;
+
+  const status = refunded >= paidAmount(orderStatus) ? 'refunded' : 'partially_refunded';
+  if (status !== orderStatus.status) {
+    await applyStatusUpdate(orderStatus, { status }, { source: 'refund' });
+  } else {
+    // Further partial refunds do not change the status but still reduce what the due has received
+    await syncDueForOrder(orderStatus.order_id);
+  }
+  return orderStatus;
+};
+
+/**
+ * Resolve the gateway adapter and credentials used to refund a payment.
+ */
+const resolveRefundGateway = async (orderStatus) => {
+  const { order, school } = await resolveOrderContext({ orderId: orderStatus.order_id.toString() });
+  if (!order || !school) {
+    throw new NotFoundError('Order or school not found for this payment');
+  }
+
+  const gateway = getGateway(order.gateway_name);
+  if (!supportsRefunds(gateway)) {
+    throw new ValidationError(`Payment gateway ${gateway.name} does not support refunds`);
+  }
+
+  return { order, school, gateway, credentials: getGatewayCredentials(school) };
+};
+
+// Notifying subscribers must never fail the refund itself
+const notifyRefundCreated = (refund) => {
+  emitRefundCreated(refund).catch(error => console.error('Failed to emit refund event:', error.message));
+};
+
+/**
+ * Record the outcome returned by the gateway on a refund.
+ */
+const applyGatewayResult = (refund, result) => {
+  refund.gateway_refund_id = result.refundId;
+  refund.gateway_response = result.raw;
+  refund.status = result.status;
+  if (result.status !== 'pending') {
+    refund.processed_at = new Date();
+  }
+};
+
+/**
+ * Run work while holding the payment's refund lock.
+ *
+ * @throws {ConflictError} When another refund of the payment is being reserved
+ */
+const withRefundLock = async (orderStatus, work) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + REFUND_LOCK_MS);
+  const locked = await OrderStatus.findOneAndUpdate(
+    {
+      _id: orderStatus._id,
+      $or: [{ refund_locked_until: { $exists: false } }, { refund_locked_until: null }, { refund_locked_until: { $lte: now } }]
+    },
+    { refund_locked_until: lockedUntil }
+  );
+  if (!locked) {
+    throw new ConflictError('Another refund of this payment is being issued; try again shortly');
+  }
+
+  try {
+    return await work();
+  } finally {
+    await OrderStatus.updateOne(
+      { _id: orderStatus._id, refund_locked_until: lockedUntil },
+      { $unset: { refund_locked_until: 1 } }
+    );
+  }
+};
+
+/**
+ * Issue a full or partial refund for a payment.
+ *
+ * @param {string} collectId - Gateway collect ID of the payment
+ * @param {Object} params
+ * @param {number|string} [params.amount] - Amount to refund; defaults to everything still refundable
+ * @param {string} [params.reason] - Why the refund is issued
+ * @param {Object} [context]
+ * @param {string} [context.userId] - Admin issuing the refund
+ * @returns {Promise<Object>} The Refund document
+ */
+export const issueRefund = async (collectId, { amount, reason } = {}, { userId } = {}) => {
+  const orderStatus = await OrderStatus.findOne({ collect_id: collectId });
+  if (!orderStatus) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(orderStatus.status)) {
+    throw new ValidationError(`Only successful payments can be refunded (payment is ${orderStatus.status})`);
+  }
+
+  const { order, gateway, credentials } = await resolveRefundGateway(orderStatus);
+
+  const refund = await withRefundLock(orderStatus, async () => {
+    const { refundable_amount } = await getRefundSummary(orderStatus);
+    const refundAmount = amount === undefined || amount === null || amount === ''
+      ? refundable_amount
+      : roundAmount(parseFloat(amount));
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      throw new ValidationError('Refund amount must be a positive number');
+    }
+    if (refundAmount > refundable_amount) {
+      throw new ValidationError(`Refund amount exceeds the refundable amount of ${refundable_amount}`);
+    }
+
+    // The pending refund reserves the amount before the gateway is called
+    return Refund.create({
+      order_status_id: orderStatus._id,
+      order_id: orderStatus.order_id,
+      collect_id: collectId,
+      school_id: order.school_id,
+      gateway: gateway.name,
+      amount: refundAmount,
+      reason,
+      requested_by: userId
+    });
+  });
+
+  try {
+    const result = await gateway.initiateRefund({
+      collectRequestId: collectId,
+      refundId: refund._id.toString(),
+      amount: refund.amount,
+      reason
+    }, credentials);
+    applyGatewayResult(refund, result);
+  } catch (error) {
+    if (error.name !== 'GatewayError') throw error;
+
+    if (error.reason === 'timeout') {
+      // The gateway may still have accepted the refund, so keep the amount reserved
+      refund.error_message = 'Payment gateway did not respond; check the refund in the gateway dashboard';
+      await refund.save();
+      notifyRefundCreated(refund);
+      return refund;
+    }
+
+    refund.status = 'failed';
+    refund.error_message = error.message;
+    refund.gateway_response = error.details;
+    refund.processed_at = new Date();
+    await refund.save();
+    throw error;
+  }
+
+  await refund.save();
+  notifyRefundCreated(refund);
+  if (refund.status === 'success') {
+    await syncPaymentStatus(orderStatus);
+  }
+  return refund;
+};
+
+/**
+ * Poll the gateway for a pending refund and apply the result.
+ *
+ * Refunds without a gateway refund ID (the gateway never answered) cannot be
+ * polled; they are returned unchanged until REFUND_CONFIRM_TIMEOUT_MINUTES have
+ * passed, then moved to review with their amount still reserved.
+ *
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object>} The updated Refund document
+ */
+export const refreshRefund = async (refund) => {
+  if (refund.status !== 'pending') {
+    return refund;
+  }
+
+  if (!refund.gateway_refund_id) {
+    const confirmBy = refund.createdAt.getTime() + getConfirmTimeoutMinutes() * 60000;
+    if (Date.now() < confirmBy) return refund;
+
+    refund.status = 'review';
+    refund.error_message = 'Payment gateway never confirmed the refund; check the gateway dashboard and resolve it';
+    await refund.save();
+    return refund;
+  }
+
+  const orderStatus = await OrderStatus.findById(refund.order_status_id);
+  if (!orderStatus) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const { gateway, credentials } = await resolveRefundGateway(orderStatus);
+  const result = await gateway.fetchRefundStatus(refund.gateway_refund_id, credentials);
+
+  applyGatewayResult(refund, result);
+  refund.last_polled_at = new Date();
+  await refund.save();
+
+  if (refund.status === 'success') {
+    await syncPaymentStatus(orderStatus);
+  }
+  return refund;
+};
+
+/**
+ * Resolve a refund in review once an admin has checked it in the gateway
+ * dashboard.
+ *
+ * With the gateway refund ID found there, the refund goes back to pending and
+ * is polled right away. Without one, the gateway never received the refund and
+ * it is marked failed, releasing its amount.
+ *
+ * @param {Object} refund - Refund document
+ * @param {Object} params
+ * @param {string} [params.gatewayRefundId] - Refund reference shown in the gateway dashboard
+ * @param {string} [params.status] - 'failed' when the gateway has no such refund
+ * @param {Object} [context]
+ * @param {string} [context.userId] - Admin resolving the refund
+ * @returns {Promise<Object>} The updated Refund document
+ * @throws {ConflictError} When the refund is not in review
+ */
+export const resolveRefund = async (refund, { gatewayRefundId, status } = {}, { userId } = {}) => {
+  if (refund.status !== 'review') {
+    throw new ConflictError(`Only refunds in review can be resolved (refund is ${refund.status})`);
+  }
+
+  const hasRefundId = typeof gatewayRefundId === 'string' && gatewayRefundId.trim() !== '';
+  if (hasRefundId === (status === 'failed')) {
+    throw new ValidationError("Provide either the gateway refund ID or a status of 'failed'");
+  }
+
+  refund.resolved_by = userId;
+  if (status === 'failed') {
+    refund.status = 'failed';
+    refund.error_message = 'Refund not found in the gateway dashboard';
+    refund.processed_at = new Date();
+    await refund.save();
+    return refund;
+  }
+
+  refund.status = 'pending';
+  refund.gateway_refund_id = gatewayRefundId.trim();
+  refund.error_message = undefined;
+  await refund.save();
+  return refreshRefund(refund);
+};
+
+/**
+ * Poll the gateway for every pending refund; used by the reconciliation job.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of refunds to poll
+ * @returns {Promise<{checked: number, settled: number, failures: Array}>}
+ */
+export const refreshPendingRefunds = async ({ limit = 100 } = {}) => {
+  const pending = await Refund.find({ status: 'pending' })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const result = { checked: 0, settled: 0, failures: [] };
+  for (const refund of pending) {
+    result.checked += 1;
+    try {
+      await refreshRefund(refund);
+      if (refund.status !== 'pending') result.settled += 1;
+    } catch (error) {
+      console.error(`Refund refresh failed for ${refund._id}:`, error.message);
+      result.failures.push({ collect_id: refund.collect_id, message: `Refund ${refund._id}: ${error.message}` });
+    }
+  }
+  return result;
+};
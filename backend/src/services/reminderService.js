@@ -0,0 +1,286 @@
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { Notification } from '../models/Notification.js';
+import {
+  queueNotification,
+  getPaymentRecipients,
+  resolvePaymentContact,
+  buildPaymentTemplateData
+} from './notificationService.js';
+import { ValidationError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Reminder Service - Follows up on payment links that have not been paid
+ *
+ * Pending payments get a reminder REMINDER_SCHEDULE_DAYS after their link was
+ * created (e.g. 1, 3 and 7 days), then every REMINDER_REPEAT_DAYS, up to
+ * REMINDER_MAX_COUNT reminders. Once a link is within REMINDER_EXPIRY_NOTICE_HOURS
+ * of GATEWAY_LINK_EXPIRY_MINUTES it gets a single "link expiring" notice instead.
+ * No reminders are sent once the link has expired.
+ *
+ * Reminders go through the notification outbox to the email and phone captured
+ * at create-payment, so they show up in the payment's notification history.
+ * Students and individual orders can opt out.
+ */
+
+export const REMINDER_TEMPLATES = ['payment_reminder', 'payment_link_expiring'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Never send two scheduled reminders closer together than this, e.g. after the job was down
+const MIN_GAP_MS = 12 * 60 * 60 * 1000;
+
+// Opted-out payments are looked at again after this long, in case the opt-out is lifted
+const OPT_OUT_RECHECK_MS = DAY_MS;
+
+const readSchedule = () => {
+  const days = (process.env.REMINDER_SCHEDULE_DAYS || '1,3,7')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value > 0)
+    .sort((a, b) => a - b);
+  return days.length > 0 ? days : [1, 3, 7];
+};
+
+export const getReminderSettings = () => ({
+  intervalMinutes: readNumber('REMINDER_INTERVAL_MINUTES', 60, { allowZero: true }),
+  scheduleDays: readSchedule(),
+  repeatDays: readNumber('REMINDER_REPEAT_DAYS', 7, { allowZero: true }),
+  maxCount: readNumber('REMINDER_MAX_COUNT', 5, { allowZero: true }),
+  expiryMinutes: readNumber('GATEWAY_LINK_EXPIRY_MINUTES', 24 * 60, { allowZero: true }),
+  expiryNoticeHours: readNumber('REMINDER_EXPIRY_NOTICE_HOURS', 6, { allowZero: true }),
+  batchSize: readNumber('REMINDER_BATCH_SIZE', 100, { allowZero: true })
+});
+
+const getExpiresAt = (createdAt, settings) => new Date(createdAt.getTime() + settings.expiryMinutes * 60000);
+
+/**
+ * When a payment's next scheduled reminder is due.
+ *
+ * @param {Date} createdAt - When the payment link was created
+ * @param {number} count - Reminders already sent
+ * @param {Object} settings - From getReminderSettings
+ * @returns {Date|null} null when no more reminders will be sent
+ */
+export const getReminderDueAt = (createdAt, count, settings) => {
+  if (count >= settings.maxCount) return null;
+
+  const { scheduleDays, repeatDays } = settings;
+  let days;
+  if (count < scheduleDays.length) {
+    days = scheduleDays[count];
+  } else if (repeatDays > 0) {
+    days = scheduleDays[scheduleDays.length - 1] + repeatDays * (count - scheduleDays.length + 1);
+  } else {
+    return null;
+  }
+
+  const dueAt = new Date(createdAt.getTime() + days * DAY_MS);
+  return dueAt < getExpiresAt(createdAt, settings) ? dueAt : null;
+};
+
+const isOptedOut = ({ order, student }) => Boolean(order.reminders_opt_out || student?.reminders_opt_out);
+
+const sendToRecipients = async (context, template, data) => {
+  const { orderStatus, order, student } = context;
+  const recipients = getPaymentRecipients(orderStatus, order, student);
+
+  const notifications = [];
+  for (const [channel, to] of Object.entries(recipients)) {
+    if (!to) continue;
+    notifications.push(await queueNotification({
+      channel,
+      to,
+      template,
+      data,
+      schoolId: order.school_id,
+      orderId: order._id,
+      studentId: order.student_id
+    }));
+  }
+  return notifications;
+};
+
+/**
+ * Send the next scheduled reminder for a pending payment, if it is due.
+ *
+ * @returns {Promise<'sent'|'scheduled'|'opted_out'|'no_contact'|'done'|'skipped'>}
+ */
+const remindOne = async (orderStatus, settings, now) => {
+  const dueAt = getReminderDueAt(orderStatus.createdAt, orderStatus.reminder_count, settings);
+  if (!dueAt || dueAt > now) {
+    await OrderStatus.updateOne({ _id: orderStatus._id }, { next_reminder_at: dueAt });
+    return dueAt ? 'scheduled' : 'done';
+  }
+
+  const context = await resolvePaymentContact(orderStatus.collect_id);
+  if (isOptedOut(context)) {
+    await OrderStatus.updateOne({ _id: orderStatus._id }, { next_reminder_at: new Date(now.getTime() + OPT_OUT_RECHECK_MS) });
+    return 'opted_out';
+  }
+
+  const recipients = getPaymentRecipients(context.orderStatus, context.order, context.student);
+  if (!recipients.email && !recipients.sms) {
+    await OrderStatus.updateOne({ _id: orderStatus._id }, { next_reminder_at: null });
+    return 'no_contact';
+  }
+
+  // Claim the reminder so overlapping runs never send it twice
+  const count = orderStatus.reminder_count + 1;
+  const nextDueAt = getReminderDueAt(orderStatus.createdAt, count, settings);
+  const claimed = await OrderStatus.findOneAndUpdate(
+    { _id: orderStatus._id, status: 'pending', reminder_count: orderStatus.reminder_count },
+    {
+      reminder_count: count,
+      last_reminder_at: now,
+      next_reminder_at: nextDueAt && new Date(Math.max(nextDueAt.getTime(), now.getTime() + MIN_GAP_MS))
+    },
+    { new: true }
+  );
+  if (!claimed) return 'skipped';
+
+  await sendToRecipients(context, 'payment_reminder', {
+    ...buildPaymentTemplateData(context),
+    reminder_number: count
+  });
+  return 'sent';
+};
+
+/**
+ * Send the one-off notice for a pending payment whose link expires soon.
+ *
+ * @returns {Promise<'sent'|'opted_out'|'no_contact'|'skipped'>}
+ */
+const noticeOne = async (orderStatus, settings) => {
+  const context = await resolvePaymentContact(orderStatus.collect_id);
+  // Opted-out payments are simply left alone; the notice window is short
+  if (isOptedOut(context)) return 'opted_out';
+
+  const recipients = getPaymentRecipients(context.orderStatus, context.order, context.student);
+  if (!recipients.email && !recipients.sms) return 'no_contact';
+
+  const claimed = await OrderStatus.findOneAndUpdate(
+    { _id: orderStatus._id, status: 'pending', expiry_notice_at: { $exists: false } },
+    { expiry_notice_at: new Date() },
+    { new: true }
+  );
+  if (!claimed) return 'skipped';
+
+  await sendToRecipients(context, 'payment_link_expiring', {
+    ...buildPaymentTemplateData(context),
+    expires_at: getExpiresAt(orderStatus.createdAt, settings).toUTCString()
+  });
+  return 'sent';
+};
+
+/**
+ * Send every reminder and expiry notice that is due; used by the reminder scheduler.
+ *
+ * @returns {Promise<{checked: number, reminders: number, expiry_notices: number, errors: number}>}
+ */
+export const runReminders = async () => {
+  const settings = getReminderSettings();
+  const now = new Date();
+  const linkCreatedAfter = new Date(now.getTime() - settings.expiryMinutes * 60000);
+  const result = { checked: 0, reminders: 0, expiry_notices: 0, errors: 0 };
+
+  const live = {
+    status: 'pending',
+    payment_url: { $exists: true, $ne: null },
+    createdAt: { $gt: linkCreatedAfter }
+  };
+
+  // Links never looked at have no next_reminder_at until their first reminder is due
+  const firstDueBefore = new Date(now.getTime() - settings.scheduleDays[0] * DAY_MS);
+  const dueReminders = await OrderStatus.find({
+    ...live,
+    $or: [
+      { next_reminder_at: { $lte: now } },
+      { next_reminder_at: { $exists: false }, createdAt: { $gt: linkCreatedAfter, $lte: firstDueBefore } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(settings.batchSize);
+
+  for (const orderStatus of dueReminders) {
+    result.checked += 1;
+    try {
+      if (await remindOne(orderStatus, settings, now) === 'sent') result.reminders += 1;
+    } catch (error) {
+      console.error(`Reminder failed for ${orderStatus.collect_id}:`, error.message);
+      result.errors += 1;
+    }
+  }
+
+  if (settings.expiryNoticeHours > 0) {
+    const expiring = await OrderStatus.find({
+      ...live,
+      expiry_notice_at: { $exists: false },
+      createdAt: { $gt: linkCreatedAfter, $lte: new Date(linkCreatedAfter.getTime() + settings.expiryNoticeHours * 3600000) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(settings.batchSize);
+
+    for (const orderStatus of expiring) {
+      result.checked += 1;
+      try {
+        if (await noticeOne(orderStatus, settings) === 'sent') result.expiry_notices += 1;
+      } catch (error) {
+        console.error(`Expiry notice failed for ${orderStatus.collect_id}:`, error.message);
+        result.errors += 1;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * A payment's reminder state and the reminders sent for it.
+ *
+ * @param {string} collectId - Gateway collect request ID
+ * @returns {Promise<Object>}
+ */
+export const getReminderHistory = async (collectId) => {
+  const { orderStatus, order, student } = await resolvePaymentContact(collectId);
+
+  const reminders = await Notification.find({ order_id: order._id, template: { $in: REMINDER_TEMPLATES } })
+    .select('-html')
+    .sort({ createdAt: -1 });
+
+  return {
+    collect_id: orderStatus.collect_id,
+    status: orderStatus.status,
+    reminder_count: orderStatus.reminder_count,
+    last_reminder_at: orderStatus.last_reminder_at,
+    next_reminder_at: orderStatus.next_reminder_at,
+    expiry_notice_at: orderStatus.expiry_notice_at,
+    opted_out: isOptedOut({ order, student }),
+    order_opt_out: order.reminders_opt_out,
+    student_opt_out: Boolean(student?.reminders_opt_out),
+    reminders
+  };
+};
+
+/**
+ * Stop or resume automatic reminders for one payment.
+ * Students opt out of reminders for all their payments through Student.reminders_opt_out.
+ *
+ * @param {string} collectId - Gateway collect request ID
+ * @param {boolean} optOut - true to stop reminders
+ * @returns {Promise<Object>} The payment's reminder history
+ */
+export const setReminderOptOut = async (collectId, optOut) => {
+  if (typeof optOut !== 'boolean') {
+    throw new ValidationError('opt_out must be true or false');
+  }
+
+  const { orderStatus, order } = await resolvePaymentContact(collectId);
+  await Order.updateOne({ _id: order._id }, { reminders_opt_out: optOut });
+  if (!optOut) {
+    // Work out the next reminder again on the next run
+    await OrderStatus.updateOne({ _id: orderStatus._id }, { $unset: { next_reminder_at: 1 } });
+  }
+  return getReminderHistory(collectId);
+};
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { School } from '../models/School.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import Order from '../models/Order.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * School Service - Resolves schools and their gateway credentials
+ *
+ * Payment controllers use these helpers instead of reading SCHOOL_ID,
+ * PG_KEY and PG_API_KEY from the environment.
+ */
+
+/**
+ * Find a school by its _id or its Edviron school ID, including credentials.
+ *
+ * @param {string} id - School _id or edviron_school_id
+ * @returns {Promise<Object>} School document with pg_key and pg_api_key selected
+ */
+export const resolveSchool = async (id) => {
+  if (!id) {
+    throw new ValidationError('school_id is required');
+  }
+
+  const conditions = [{ edviron_school_id: id.toString() }];
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    conditions.push({ _id: id });
+  }
+
+  const school = await School.findOne({ $or: conditions }).select('+pg_key +pg_api_key');
+  if (!school) {
+    throw new NotFoundError('School not found');
+  }
+  return school;
+};
+
+/**
+ * Find the school an order belongs to.
+ *
+ * @param {Object} order - Order document or lean object with school_id
+ * @returns {Promise<Object>} School document with credentials
+ */
+export const resolveSchoolForOrder = (order) => resolveSchool(order.school_id);
+
+/**
+ * Find an order and its school from either the Order _id or the gateway collect ID.
+ *
+ * @param {Object} ids
+ * @param {string} [ids.orderId] - Order _id
+ * @param {string} [ids.collectId] - Gateway collect request ID
+ * @returns {Promise<{order: Object|null, school: Object|null}>}
+ */
+export const resolveOrderContext = async ({ orderId, collectId }) => {
+  let order = null;
+
+  if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+    order = await Order.findById(orderId).lean();
+  }
+
+  if (!order && collectId) {
+    const orderStatus = await OrderStatus.findOne({ collect_id: collectId }).select('order_id').lean();
+    if (orderStatus) {
+      order = await Order.findById(orderStatus.order_id).lean();
+    }
+  }
+
+  if (!order) {
+    return { order: null, school: null };
+  }
+
+  const school = await School.findById(order.school_id).select('+pg_key +pg_api_key');
+  return { order, school };
+};
+
+/**
+ * Build the credentials object understood by the gateway adapters.
+ *
+ * @param {Object} school - School document with credentials selected
+ * @returns {{schoolId: string, pgKey: string, apiKey: string}}
+ */
+export const getGatewayCredentials = (school) => {
+  if (!school.pg_key || !school.pg_api_key) {
+    throw new ValidationError(`Payment gateway credentials are not configured for school ${school.name}`);
+  }
+
+  return {
+    schoolId: school.edviron_school_id,
+    pgKey: school.pg_key,
+    apiKey: school.pg_api_key
+  };
+};
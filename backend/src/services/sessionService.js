@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Session } from '../models/Session.js';
+import { User } from '../models/User.js';
+import { issueAccessToken } from './tokenService.js';
+import { isAccountLocked } from './loginThrottleService.js';
+import { NotFoundError, UnauthorizedError } from '../errors/index.js';
+import { readNumber } from '../config/env.js';
+
+/**
+ * Session Service - Access and refresh tokens of signed-in users
+ *
+ * Signing in creates a Session and returns a short-lived access token (a JWT
+ * lasting JWT_ACCESS_EXPIRES_IN, 15 minutes by default) and an opaque refresh
+ * token (lasting REFRESH_TOKEN_EXPIRES_DAYS). Every refresh rotates the refresh
+ * token; a rotated-out token that shows up again revokes the whole session,
+ * except for the token rotated out last within REFRESH_REUSE_GRACE_SECONDS
+ * (10 by default): two tabs refreshing with the same token at once get a new
+ * access token each, and the second keeps the refresh token the first one saved.
+ * Access tokens are issued by services/tokenService.js and carry the session ID
+ * (`sid`), so authenticate rejects them as soon as their session is revoked.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rotated-out token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const getReuseGraceMs = () => readNumber('REFRESH_REUSE_GRACE_SECONDS', 10, { allowZero: true }) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const getRefreshExpiresAt = () => new Date(Date.now() + readNumber('REFRESH_TOKEN_EXPIRES_DAYS', 30) * DAY_MS);
+
+const buildTokens = (user, session, refreshToken) => ({
+  ...issueAccessToken(user, session),
+  refresh_token: refreshToken,
+  refresh_expires_at: session.expires_at
+});
+
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  user_agent: session.user_agent,
+  ip: session.ip,
+  created_at: session.createdAt,
+  last_used_at: session.last_used_at,
+  expires_at: session.expires_at,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+});
+
+/**
+ * Device details stored with a new session.
+ *
+ * @param {import('express').Request} req - Sign-in request
+ * @returns {{userAgent: string, ip: string}}
+ */
+export const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+const revokeSessionById = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revoked_at: null },
+  { revoked_at: new Date(), revoked_reason: reason }
+);
+
+/**
+ * Start a session for a user who just signed in.
+ *
+ * @param {Object} user - User document
+ * @param {Object} [client]
+ * @param {string} [client.userAgent] - User-Agent of the signing-in device
+ * @param {string} [client.ip] - IP address of the signing-in device
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number, refresh_expires_at: Date}>}
+ */
+export const createSession = async (user, { userAgent, ip } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user_id: user._id,
+    token_hash: hashToken(refreshToken),
+    expires_at: getRefreshExpiresAt(),
+    user_agent: userAgent,
+    ip,
+    last_used_at: new Date()
+  });
+  return buildTokens(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ *
+ * @param {string} refreshToken - Refresh token from createSession or an earlier refresh
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number, refresh_expires_at: Date}>}
+ *   refresh_token is left out for a concurrent refresh within the reuse grace window
+ */
+export const refreshSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new UnauthorizedError('Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  // Rotate atomically so a token can only be exchanged once
+  const session = await Session.findOneAndUpdate(
+    { token_hash: tokenHash, revoked_at: null, expires_at: { $gt: now } },
+    {
+      token_hash: hashToken(nextToken),
+      $push: { previous_token_hashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } },
+      rotated_at: now,
+      last_used_at: now
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const rotated = await Session.findOne({ previous_token_hashes: tokenHash, revoked_at: null, expires_at: { $gt: now } });
+    if (rotated && isWithinReuseGrace(rotated, tokenHash, now)) {
+      // A concurrent refresh with the same token: access token only, the refresh token stays with the first caller
+      const user = await loadSessionUser(rotated);
+      return { ...issueAccessToken(user, rotated), refresh_expires_at: rotated.expires_at };
+    }
+
+    // A token that was already rotated out is being replayed: end that session
+    if (rotated) {
+      await revokeSessionById(rotated._id, 'token_reuse');
+    }
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const user = await loadSessionUser(session);
+  return buildTokens(user, session, nextToken);
+};
+
+// Only the token rotated out last, and only just after its rotation
+const isWithinReuseGrace = (session, tokenHash, now) =>
+  session.previous_token_hashes[session.previous_token_hashes.length - 1] === tokenHash &&
+  Boolean(session.rotated_at) && now - session.rotated_at <= getReuseGraceMs();
+
+const loadSessionUser = async (session) => {
+  const user = await User.findById(session.user_id);
+  if (!user) {
+    await revokeSessionById(session._id, 'user_deleted');
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+  return user;
+};
+
+/**
+ * Fail unless an access token's session is still active and the token was
+ * issued for the user's current token version.
+ *
+ * @param {Object} principal - From verifyAccessToken (services/tokenService.js)
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError}
+ */
+export const assertTokenCurrent = async ({ userId, sid, tokenVersion }) => {
+  const [active, user] = await Promise.all([
+    Session.exists({ _id: sid, user_id: userId, revoked_at: null, expires_at: { $gt: new Date() } }),
+    User.findById(userId).select('token_version').lean()
+  ]);
+  if (!active || !user) {
+    throw new UnauthorizedError('Session has been signed out');
+  }
+  if ((user.token_version || 0) !== tokenVersion) {
+    throw new UnauthorizedError('Token is out of date, please refresh it');
+  }
+};
+
+/**
+ * Fail unless a legacy access token (one without a session, see
+ * services/tokenService.js) still matches its user: the user exists with the
+ * role the token names, has never had their role or schools changed, is not
+ * locked out, and has not had a session signed out since the token was issued.
+ *
+ * @param {Object} principal - From verifyAccessToken, with legacy set
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError}
+ */
+export const assertLegacyTokenCurrent = async ({ userId, role, issuedAt }) => {
+  const user = await User.findById(userId).select('email role token_version').lean();
+  if (!user) {
+    throw new UnauthorizedError('Session has been signed out');
+  }
+  if (user.role !== role || (user.token_version || 0) !== 0) {
+    throw new UnauthorizedError('Token is no longer valid, please sign in again');
+  }
+
+  const [signedOut, locked] = await Promise.all([
+    Session.exists({ user_id: userId, revoked_at: { $gte: issuedAt } }),
+    isAccountLocked(user.email)
+  ]);
+  if (signedOut) {
+    throw new UnauthorizedError('Session has been signed out');
+  }
+  if (locked) {
+    throw new UnauthorizedError('Account is locked, please try again later');
+  }
+};
+
+/**
+ * Sign out one session, identified by its refresh token or its ID.
+ * Unknown or already revoked sessions are ignored so logout always succeeds.
+ *
+ * @param {Object} options
+ * @param {string} [options.refreshToken] - The session's current refresh token
+ * @param {string} [options.sessionId] - `sid` claim of the session's access token
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async ({ refreshToken, sessionId }) => {
+  if (refreshToken && typeof refreshToken === 'string') {
+    await Session.updateOne(
+      { token_hash: hashToken(refreshToken), revoked_at: null },
+      { revoked_at: new Date(), revoked_reason: 'logout' }
+    );
+  }
+  if (sessionId) {
+    await revokeSessionById(sessionId, 'logout');
+  }
+};
+
+/**
+ * Sign a user out everywhere.
+ *
+ * @param {string} userId - User ID
+ * @param {string} [reason] - Stored as revoked_reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await Session.updateMany(
+    { user_id: userId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * A user's active sessions, newest first.
+ *
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request, marked `current`
+ * @returns {Promise<Object[]>}
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user_id: userId, revoked_at: null, expires_at: { $gt: new Date() } })
+    .sort({ last_used_at: -1 });
+  return sessions.map(session => formatSession(session, currentSessionId));
+};
+
+/**
+ * Sign out one of a user's own sessions, e.g. a lost device.
+ *
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to end
+ * @returns {Promise<void>}
+ */
+export const revokeUserSession = async (userId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new NotFoundError('Session not found');
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user_id: userId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: 'logout' }
+  );
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Session not found');
+  }
+};
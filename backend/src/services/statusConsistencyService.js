@@ -0,0 +1,104 @@
+import Order from '../models/Order.js';
+import { OrderStatus, LEGACY_ORDER_STATUSES } from '../models/OrderStatus.js';
+
+/**
+ * Status Consistency Service - Finds and repairs Orders whose status drifted
+ * from their OrderStatus
+ *
+ * OrderStatus is the source of truth for a payment's status and Order.status is a
+ * copy written in the same transaction by applyStatusUpdate. Without transaction
+ * support (standalone MongoDB), or for data written before that, the two can
+ * disagree. Drift is reported as one of:
+ * - status_mismatch: Order.status differs from OrderStatus.status (repairable)
+ * - legacy_status: the Order holds a status from an older version (e.g. completed)
+ *   and has no single OrderStatus to copy from; repaired to the status it stands for
+ * - missing_order_status: the Order has no OrderStatus
+ * - multiple_order_statuses: the Order has more than one OrderStatus
+ * - orphaned_order_status: the OrderStatus points at an Order that does not exist
+ */
+
+/**
+ * Find Orders and OrderStatuses that are out of step.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of drifted orders to return
+ * @returns {Promise<Array<Object>>} One entry per problem: { type, order_id, collect_id, order_status, payment_status }
+ */
+export const findStatusDrift = async ({ limit } = {}) => {
+  const drifted = await Order.aggregate([
+    { $lookup: { from: 'order_statuses', localField: '_id', foreignField: 'order_id', as: 'statuses' } },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $ne: [{ $size: '$statuses' }, 1] },
+            { $ne: ['$status', { $arrayElemAt: ['$statuses.status', 0] }] }
+          ]
+        }
+      }
+    },
+    { $project: { status: 1, 'statuses.collect_id': 1, 'statuses.status': 1 } },
+    ...(limit ? [{ $limit: limit }] : [])
+  ]);
+
+  const orphans = await OrderStatus.aggregate([
+    { $lookup: { from: 'orders', localField: 'order_id', foreignField: '_id', as: 'orders' } },
+    { $match: { orders: { $size: 0 } } },
+    { $project: { order_id: 1, collect_id: 1, status: 1 } },
+    ...(limit ? [{ $limit: limit }] : [])
+  ]);
+
+  const typeOf = ({ status, statuses }) => {
+    if (statuses.length !== 1 && LEGACY_ORDER_STATUSES[status]) return 'legacy_status';
+    if (statuses.length === 0) return 'missing_order_status';
+    if (statuses.length > 1) return 'multiple_order_statuses';
+    return 'status_mismatch';
+  };
+
+  return [
+    ...drifted.map(order => ({
+      type: typeOf(order),
+      order_id: order._id,
+      collect_id: order.statuses.map(status => status.collect_id).join(',') || undefined,
+      order_status: order.status,
+      payment_status: order.statuses.length === 1 ? order.statuses[0].status : LEGACY_ORDER_STATUSES[order.status]
+    })),
+    ...orphans.map(orderStatus => ({
+      type: 'orphaned_order_status',
+      order_id: orderStatus.order_id,
+      collect_id: orderStatus.collect_id,
+      payment_status: orderStatus.status
+    }))
+  ];
+};
+
+/**
+ * Copy OrderStatus.status onto every Order whose status drifted from it, and
+ * convert old order statuses. Other kinds of drift need a person to look at
+ * them and are only reported.
+ *
+ * @param {Array<Object>} drift - From findStatusDrift
+ * @returns {Promise<{repaired: number, skipped: number}>}
+ */
+export const repairStatusDrift = async (drift) => {
+  const result = { repaired: 0, skipped: 0 };
+  for (const entry of drift) {
+    if (entry.type !== 'status_mismatch' && entry.type !== 'legacy_status') {
+      result.skipped += 1;
+      continue;
+    }
+
+    // Only repair the order if nothing updated it since it was checked
+    const { modifiedCount } = await Order.updateOne(
+      { _id: entry.order_id, status: entry.order_status },
+      { status: entry.payment_status },
+      { runValidators: true }
+    );
+    if (modifiedCount > 0) {
+      result.repaired += 1;
+    } else {
+      result.skipped += 1;
+    }
+  }
+  return result;
+};
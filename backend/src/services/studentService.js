@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { Student } from '../models/Student.js';
+import { StudentDue } from '../models/StudentDue.js';
+import Order from '../models/Order.js';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { Refund } from '../models/Refund.js';
+import { resolveFeeBreakdown } from './feeService.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * Student Service - Students, their dues and their fee ledger
+ */
+
+// Payment statuses in which money was received (refunds are listed separately)
+const PAID_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find an active student of a school.
+ *
+ * @param {string} id - Student _id
+ * @param {string} schoolId - School the student must belong to
+ * @returns {Promise<Object>} Student document
+ */
+export const resolveStudent = async (id, schoolId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid student_id');
+  }
+
+  const student = await Student.findOne({ _id: id, school_id: schoolId });
+  if (!student) {
+    throw new NotFoundError('Student not found for this school');
+  }
+  if (!student.active) {
+    throw new ValidationError('Student is not active');
+  }
+  return student;
+};
+
+/**
+ * Build the Order.student_info snapshot for a registered student.
+ *
+ * @param {Object} student - Student document
+ * @returns {{name: string, id: string, email: string|undefined}}
+ */
+export const toStudentInfo = (student) => ({
+  name: student.name,
+  id: student.admission_number,
+  email: student.getContactEmail()
+});
+
+/**
+ * Assign a due to a student, either from a fee structure or as a one-off charge.
+ *
+ * @param {Object} student - Student document
+ * @param {Object} params
+ * @param {string} [params.fee_structure_id] - Fee structure to charge
+ * @param {Array<string>} [params.fee_heads] - Fee head IDs or codes; defaults to the whole structure
+ * @param {string} [params.description] - Required for one-off charges
+ * @param {number} [params.amount] - Required for one-off charges
+ * @param {string|Date} [params.due_date]
+ * @param {Object} [context]
+ * @param {string} [context.userId] - User assigning the due
+ * @returns {Promise<Object>} The StudentDue document
+ */
+export const assignDue = async (student, { fee_structure_id, fee_heads, description, amount, due_date }, { userId } = {}) => {
+  if (!student.active) {
+    throw new ValidationError('Dues cannot be assigned to an inactive student');
+  }
+
+  const due = {
+    student_id: student._id,
+    school_id: student.school_id,
+    due_date,
+    assigned_by: userId
+  };
+
+  if (fee_structure_id) {
+    const fees = await resolveFeeBreakdown({ _id: student.school_id }, { feeStructureId: fee_structure_id, feeHeads: fee_heads });
+    Object.assign(due, {
+      fee_structure_id: fees.feeStructure._id,
+      academic_year: fees.feeStructure.academic_year,
+      term: fees.feeStructure.term,
+      description: description || `${fees.feeStructure.name} (${fees.feeStructure.academic_year}, ${fees.feeStructure.term})`,
+      fee_breakdown: fees.breakdown.map(({ fee_head_id, code, name, amount: lineAmount }) => ({
+        fee_head_id,
+        code,
+        name,
+        amount: lineAmount
+      })),
+      amount: fees.amount
+    });
+  } else {
+    const dueAmount = roundAmount(parseFloat(amount));
+    if (!description || !Number.isFinite(dueAmount) || dueAmount <= 0) {
+      throw new ValidationError('fee_structure_id, or a description and a positive amount, is required');
+    }
+    Object.assign(due, {
+      description,
+      fee_breakdown: [{ name: description, amount: dueAmount }],
+      amount: dueAmount
+    });
+  }
+
+  return StudentDue.create(due);
+};
+
+// What the payer paid on top of the order amount, e.g. gateway or convenience fees
+export const getGatewayFee = (payment) =>
+  Math.max(roundAmount((payment.transaction_amount ?? payment.order_amount) - payment.order_amount), 0);
+
+/**
+ * Build a student's ledger: dues are debits, successful payments are credits and
+ * settled refunds are debits again, in date order with a running balance.
+ * Payments are credited with the order amount; gateway fees the payer paid on
+ * top of it are shown on the payment but do not reduce the balance.
+ *
+ * @param {Object} student - Student document
+ * @returns {Promise<{summary: Object, entries: Array, dues: Array}>}
+ */
+export const buildStudentLedger = async (student) => {
+  const [dues, orders] = await Promise.all([
+    StudentDue.find({ student_id: student._id }).sort({ createdAt: 1 }).lean(),
+    Order.find({ student_id: student._id }).select('_id due_id adjustments').lean()
+  ]);
+
+  const orderIds = orders.map(order => order._id);
+  const dueByOrder = new Map(orders.map(order => [order._id.toString(), order.due_id]));
+  const adjustmentsByOrder = new Map(orders.map(order => [order._id.toString(), order.adjustments || []]));
+  const [payments, refunds] = await Promise.all([
+    OrderStatus.find({ order_id: { $in: orderIds }, status: { $in: PAID_STATUSES } }).lean(),
+    Refund.find({ order_id: { $in: orderIds }, status: 'success' }).lean()
+  ]);
+
+  const entries = [
+    ...dues.filter(due => !due.cancelled).map(due => ({
+      type: 'due',
+      date: due.createdAt,
+      description: due.description,
+      due_id: due._id,
+      due_date: due.due_date,
+      status: due.status,
+      paid_amount: due.paid_amount,
+      debit: due.amount,
+      credit: 0
+    })),
+    // Late fees and discounts charged with a payment, listed just before it
+    ...payments.flatMap(payment => adjustmentsByOrder.get(payment.order_id.toString()).map(adjustment => ({
+      type: 'adjustment',
+      date: payment.payment_time || payment.updatedAt,
+      description: adjustment.name,
+      adjustment_type: adjustment.type,
+      collect_id: payment.collect_id,
+      order_id: payment.order_id,
+      debit: adjustment.amount > 0 ? adjustment.amount : 0,
+      credit: adjustment.amount < 0 ? -adjustment.amount : 0
+    }))),
+    ...payments.map(payment => ({
+      type: 'payment',
+      date: payment.payment_time || payment.updatedAt,
+      description: `Payment ${payment.collect_id}`,
+      collect_id: payment.collect_id,
+      order_id: payment.order_id,
+      due_id: dueByOrder.get(payment.order_id.toString()),
+      payment_mode: payment.payment_mode,
+      bank_reference: payment.bank_reference,
+      transaction_amount: payment.transaction_amount ?? payment.order_amount,
+      gateway_fee: getGatewayFee(payment),
+      debit: 0,
+      credit: payment.order_amount
+    })),
+    ...refunds.map(refund => ({
+      type: 'refund',
+      date: refund.processed_at || refund.createdAt,
+      description: `Refund of payment ${refund.collect_id}`,
+      refund_id: refund._id,
+      collect_id: refund.collect_id,
+      debit: refund.amount,
+      credit: 0
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  entries.forEach(entry => {
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+  });
+
+  const total = (type, field) => roundAmount(
+    entries.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry[field], 0)
+  );
+
+  return {
+    summary: {
+      total_dues: total('due', 'debit'),
+      total_paid: total('payment', 'credit'),
+      total_refunded: total('refund', 'debit'),
+      total_late_fees: total('adjustment', 'debit'),
+      total_discounts: total('adjustment', 'credit'),
+      total_gateway_fees: total('payment', 'gateway_fee'),
+      // Positive: still owed by the student; negative: paid in advance
+      balance
+    },
+    entries,
+    dues
+  };
+};
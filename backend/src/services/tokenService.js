@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { ROLES } from '../config/permissions.js';
+import { UnauthorizedError } from '../errors/index.js';
+
+/**
+ * Token Service - Issues and validates access tokens
+ *
+ * Every access token carries the same claims, whichever endpoint signed the user in:
+ *
+ * - sub: User ID
+ * - role: User role (admin, school or trustee)
+ * - school_ids: Schools the user may see; omitted for admins, who see every school
+ * - ver: User.token_version when the token was issued. It goes up when an admin
+ *   changes the user's role or schools, which makes older tokens invalid.
+ * - sid: Session the token belongs to (see services/sessionService.js)
+ *
+ * Tokens issued before these claims existed ({ userId, role } from login,
+ * { id, role } from register) are accepted until LEGACY_TOKEN_ACCEPT_UNTIL
+ * (an ISO date) and rejected afterwards, or right away when it is not set.
+ * Until then they are checked against the user on every request (see
+ * assertLegacyTokenCurrent in services/sessionService.js).
+ */
+
+/**
+ * @typedef {Object} AccessClaims
+ * @property {string} sub - User ID
+ * @property {string} role - User role
+ * @property {string[]} [school_ids] - School IDs; absent for admins
+ * @property {number} ver - User.token_version
+ * @property {string} sid - Session ID
+ */
+
+/**
+ * @typedef {Object} Principal - The signed-in user, as put on req.user by authenticate
+ * @property {string} userId - User ID (the `sub` claim)
+ * @property {string} role - User role
+ * @property {string[]|null} schoolIds - School IDs, or null for admins and legacy tokens
+ * @property {number|null} tokenVersion - `ver` claim; null for legacy tokens
+ * @property {string|null} sid - Session ID; null for legacy tokens
+ * @property {boolean} legacy - Whether the token has the old claims shape
+ * @property {Date|null} issuedAt - When a legacy token was issued; null otherwise
+ */
+
+const isObjectId = (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+
+/**
+ * Claims of a new access token.
+ *
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {AccessClaims}
+ */
+export const buildClaims = (user, session) => ({
+  sub: user._id.toString(),
+  role: user.role,
+  ...(user.role !== 'admin' && { school_ids: (user.school_ids || []).map(id => id.toString()) }),
+  ver: user.token_version || 0,
+  sid: session._id.toString()
+});
+
+/**
+ * Sign an access token for a user's session.
+ *
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {{token: string, expires_in: number}} expires_in in seconds
+ */
+export const issueAccessToken = (user, session) => {
+  const token = jwt.sign(buildClaims(user, session), process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+  });
+  const { exp, iat } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+};
+
+const isLegacyAccepted = () => {
+  const until = process.env.LEGACY_TOKEN_ACCEPT_UNTIL ? new Date(process.env.LEGACY_TOKEN_ACCEPT_UNTIL) : null;
+  return Boolean(until) && !Number.isNaN(until.getTime()) && until > new Date();
+};
+
+/**
+ * Check the claims of a verified token and turn them into a Principal.
+ *
+ * @param {Object} payload - Decoded token
+ * @returns {Principal}
+ * @throws {UnauthorizedError} When the claims do not have the expected shape
+ */
+export const toPrincipal = (payload) => {
+  if (payload?.sub === undefined) {
+    // Old claims shape from before the token service
+    const userId = payload?.userId || payload?.id;
+    if (!isLegacyAccepted() || !isObjectId(userId) || !ROLES.includes(payload.role)) {
+      throw new UnauthorizedError('Token is no longer valid, please sign in again');
+    }
+    return {
+      userId,
+      role: payload.role,
+      schoolIds: null,
+      tokenVersion: null,
+      sid: null,
+      legacy: true,
+      issuedAt: new Date((payload.iat || 0) * 1000)
+    };
+  }
+
+  const { sub, role, school_ids: schoolIds, ver, sid } = payload;
+  const validScope = role === 'admin'
+    ? schoolIds === undefined
+    : Array.isArray(schoolIds) && schoolIds.every(isObjectId);
+  if (!isObjectId(sub) || !ROLES.includes(role) || !validScope || !Number.isInteger(ver) || !isObjectId(sid)) {
+    throw new UnauthorizedError('Invalid token claims');
+  }
+
+  return { userId: sub, role, schoolIds: schoolIds || null, tokenVersion: ver, sid, legacy: false, issuedAt: null };
+};
+
+/**
+ * Verify an access token's signature, expiry and claims.
+ *
+ * @param {string} token - Bearer token
+ * @returns {Principal}
+ * @throws {UnauthorizedError}
+ */
+export const verifyAccessToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new UnauthorizedError('Invalid or expired token');
+  }
+  return toPrincipal(payload);
+};
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { OrderStatus } from '../models/OrderStatus.js';
+import { WebhookLog } from '../models/WebhookLog.js';
+import { getGateway } from './gateways/index.js';
+import { resolveOrderContext } from './schoolService.js';
+import { applyStatusUpdate } from './paymentStatus.js';
+
+/**
+ * Webhook Processor - Validates, deduplicates, applies and logs gateway webhooks
+ *
+ * Every webhook is persisted to WebhookLog with one of these outcomes:
+ * - invalid: malformed payload or bad signature (400/403)
+ * - failed: the update could not be applied, e.g. order not found yet (404/500)
+ * - duplicate: the same status update was already processed; acknowledged with 200
+ * - processed: the update was applied to OrderStatus and Order (200)
+ *
+ * A verified update is logged as processed before it is applied, so the unique
+ * index on processed event keys lets exactly one of several concurrent
+ * deliveries through; the others are stored as duplicates without touching the
+ * payment. If applying the update then fails, the log becomes failed and the
+ * gateway's retry can claim the update again.
+ *
+ * Stored webhooks can be run through the same pipeline again with replayWebhook.
+ */
+
+/**
+ * Hash of the parts of a webhook that describe the status update, so that
+ * gateway retries of the same update map to the same key.
+ */
+const buildEventKey = (gatewayName, { collectId, status, fields }) => crypto
+  .createHash('sha256')
+  .update([
+    gatewayName.toLowerCase(),
+    collectId,
+    status.toString().toLowerCase(),
+    fields.bank_reference || '',
+    fields.payment_time ? fields.payment_time.toISOString() : '',
+    fields.transaction_amount ?? ''
+  ].join('|'))
+  .digest('hex');
+
+/**
+ * Run a webhook through the processing pipeline.
+ *
+ * @param {Object} webhook
+ * @param {Object} webhook.body - Parsed webhook body
+ * @param {string} [webhook.rawBody] - Raw request body as received
+ * @param {Object} [webhook.headers] - Request headers
+ * @param {string} [webhook.gatewayName] - Gateway named in the route, if any
+ * @param {Object} [webhook.replay] - Replay linkage: { replay_of, attempt, replayed_by }
+ * @returns {Promise<{httpStatus: number, response: Object, log: Object}>}
+ */
+export const processWebhook = async ({ body, rawBody, headers = {}, gatewayName, replay = {} }) => {
+  const log = new WebhookLog({
+    payload: body,
+    raw_body: rawBody,
+    receivedAt: new Date(),
+    ...replay
+  });
+
+  const finish = async (status, httpStatus, response, errorDetails) => {
+    log.status = status;
+    log.http_status = httpStatus;
+    if (errorDetails) log.errorDetails = errorDetails;
+
+    try {
+      await log.save();
+    } catch (error) {
+      console.error('Failed to persist webhook log:', error.message);
+    }
+
+    return { httpStatus, response, log };
+  };
+
+  try {
+    // Parse the payload with the gateway named in the route or the default gateway
+    let gateway = getGateway(gatewayName);
+    let event = gateway.parseWebhook(body);
+    if (!event) {
+      log.gateway = gateway.name;
+      return finish('invalid', 400, { error: 'Invalid webhook payload' }, 'Missing order_info, order_id or status');
+    }
+    log.collect_id = event.collectId;
+
+    // Find the order and school; webhooks for unknown orders can be replayed later
+    const { order, school } = await resolveOrderContext({ collectId: event.collectId });
+    if (!order || !school) {
+      log.gateway = gateway.name;
+      return finish('failed', 404, { error: 'Order not found' }, `No order found for collect ID ${event.collectId}`);
+    }
+
+    // Re-parse with the gateway that created the order when no gateway was named
+    if (!gatewayName) {
+      gateway = getGateway(order.gateway_name);
+      event = gateway.parseWebhook(body) || event;
+    }
+    log.gateway = gateway.name;
+
+    const signatureHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const signatures = Object.entries(signatureHeaders).filter(([name]) => name.includes('signature'));
+    if (signatures.length > 0) {
+      log.signature_headers = Object.fromEntries(signatures);
+    }
+
+    if (!gateway.verifyWebhook({ body, rawBody, headers: signatureHeaders }, { pgKey: school.pg_key })) {
+      return finish('invalid', 403, { error: 'Unauthorized webhook' }, 'Signature verification failed');
+    }
+
+    let orderStatus = await OrderStatus.findOne({ collect_id: event.collectId });
+    if (!orderStatus) {
+      return finish('failed', 404, { error: 'Order not found' }, `No order status found for collect ID ${event.collectId}`);
+    }
+
+    // Claim the update; gateway retries and concurrent deliveries of it are acknowledged only
+    log.event_key = buildEventKey(gateway.name, event);
+    log.status = 'processed';
+    try {
+      await log.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const original = await WebhookLog.findOne({ event_key: log.event_key, status: 'processed' }).select('_id');
+      log.duplicate_of = original?._id;
+      console.log(`Duplicate webhook for order: ${event.collectId}, original log: ${original?._id}`);
+      return finish('duplicate', 200, {
+        message: 'Duplicate webhook acknowledged',
+        order_id: event.collectId
+      });
+    }
+
+    orderStatus = await applyStatusUpdate(orderStatus, {
+      status: gateway.normalizeStatus(event.status),
+      ...event.fields
+    }, { source: 'webhook', payload: body });
+
+    console.log(`Webhook processed for order: ${event.collectId}, Status: ${orderStatus.status}`);
+    return finish('processed', 200, {
+      message: 'Webhook processed successfully',
+      order_id: event.collectId
+    });
+  } catch (error) {
+    console.error('Webhook Processing Error:', error);
+    // Unknown gateway in the route or values the OrderStatus schema rejects
+    if (error.name === 'ValidationError') {
+      return finish('invalid', 400, { error: 'Invalid webhook payload', details: error.message }, error.message);
+    }
+    return finish('failed', 500, {
+      error: 'Internal server error during webhook processing',
+      details: error.message
+    }, error.stack || error.message);
+  }
+};
+
+/**
+ * Re-run a stored webhook through the processing pipeline.
+ *
+ * The outcome is stored as a new WebhookLog attempt linked to the first
+ * delivery, so the history of the original webhook is kept intact.
+ *
+ * @param {Object} original - WebhookLog document to replay
+ * @param {Object} [options]
+ * @param {string} [options.userId] - User who triggered the replay
+ * @returns {Promise<{httpStatus: number, response: Object, log: Object}>}
+ */
+export const replayWebhook = async (original, { userId } = {}) => {
+  const rootId = original.replay_of || original._id;
+  const previousAttempts = await WebhookLog.countDocuments({
+    $or: [{ _id: rootId }, { replay_of: rootId }]
+  });
+
+  return processWebhook({
+    body: original.payload,
+    rawBody: original.raw_body,
+    headers: original.signature_headers || {},
+    gatewayName: original.gateway,
+    replay: {
+      replay_of: rootId,
+      attempt: previousAttempts + 1,
+      replayed_by: userId
+    }
+  });
+};
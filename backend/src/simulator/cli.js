@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import http from 'http';
+import { parseArgs } from 'util';
+import { createEdvironSimulator } from './edvironSimulator.js';
+
+/**
+ * Start the Edviron simulator
+ *
+ * Usage:
+ *   npm run simulator -- [--port 4600] [--pg-key key] [--api-key key]
+ *                        [--webhook-url url] [--latency ms]
+ *                        [--fail-auth] [--server-error 503] [--timeout]
+ *
+ * Then run the backend with EDVIRON_API_BASE=http://localhost:4600
+ */
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.SIMULATOR_PORT || '4600' },
+    'public-url': { type: 'string' },
+    'pg-key': { type: 'string', default: process.env.PG_KEY },
+    'api-key': { type: 'string', default: process.env.SIMULATOR_API_KEY },
+    'webhook-url': { type: 'string', default: process.env.SIMULATOR_WEBHOOK_URL },
+    latency: { type: 'string', default: '0' },
+    'fail-auth': { type: 'boolean', default: false },
+    'server-error': { type: 'string' },
+    timeout: { type: 'boolean', default: false },
+    'no-webhook': { type: 'boolean', default: false }
+  }
+});
+
+const port = parseInt(values.port, 10);
+
+const simulator = createEdvironSimulator({
+  pgKey: values['pg-key'],
+  apiKey: values['api-key'],
+  publicUrl: values['public-url'] || `http://localhost:${port}`,
+  webhookUrl: values['webhook-url'],
+  scenario: {
+    latencyMs: parseInt(values.latency, 10) || 0,
+    failAuth: values['fail-auth'],
+    serverError: values['server-error'] ? parseInt(values['server-error'], 10) : null,
+    timeout: values.timeout,
+    webhook: !values['no-webhook']
+  }
+});
+
+const server = http.createServer(simulator.app);
+server.on('error', err => {
+  if (err.code === 'EADDRINUSE') {
+    console.error(`Port ${port} already in use`);
+    process.exit(1);
+  }
+});
+server.listen(port, () => {
+  console.log(`Edviron simulator running on port ${port}`);
+  console.log('Scenario:', simulator.getScenario());
+});
@@ -0,0 +1,443 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import axios from 'axios';
+
+/**
+ * Edviron Simulator - A local stand-in for the Edviron ERP payment APIs
+ *
+ * Lets the payment flow be exercised without the live dev sandbox:
+ * - POST /create-collect-request issues collect request IDs and payment URLs
+ * - GET /collect-request/:id returns the current status of a collect request
+ * - GET /pay/:id serves a fake hosted payment page
+ * - GET /pay/:id/complete?status=success|failed|cancelled finishes the payment,
+ *   fires a signed webhook (JWT sign plus x-edviron-signature HMAC of the raw body)
+ *   and redirects to the callback URL
+ * - POST /initiate-refund and GET /refund-status/:id refund completed payments
+ *
+ * Scenario controls (latency, 401, 5xx, timeouts) can be set when the
+ * simulator is created or changed at runtime through /__simulator/scenario.
+ *
+ * Point the backend at it with EDVIRON_API_BASE=http://localhost:<port>
+ */
+
+const DEFAULT_SCENARIO = {
+  latencyMs: 0, // Delay added before every gateway response
+  failAuth: false, // Respond 401 to every gateway API call
+  serverError: null, // HTTP status (e.g. 500, 503) returned for every gateway API call
+  timeout: false, // Hold gateway API calls for timeoutMs before giving up
+  timeoutMs: 30000,
+  webhook: true, // Fire webhooks when a payment completes
+  refundStatus: 'SUCCESS' // Initial status of new refunds: SUCCESS, PENDING or FAILED
+};
+
+const STATUS_VALUES = {
+  success: 'SUCCESS',
+  failed: 'FAILED',
+  cancelled: 'CANCELLED'
+};
+
+const REFUND_STATUS_VALUES = {
+  success: 'SUCCESS',
+  pending: 'PENDING',
+  failed: 'FAILED'
+};
+
+const PAYMENT_MODES = ['upi', 'card', 'netbanking'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Append query parameters to a URL that may already contain a query string
+ */
+const appendQuery = (url, params) => {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}${new URLSearchParams(params).toString()}`;
+};
+
+/**
+ * Create an Edviron simulator instance.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.pgKey] - PG secret used to verify and create signatures
+ * @param {string} [options.apiKey] - Expected bearer API key (any key is accepted when empty)
+ * @param {string} [options.publicUrl] - Base URL used in generated payment URLs
+ * @param {string} [options.webhookUrl] - Webhook target; defaults to <callback origin>/api/payments/webhook
+ * @param {Object} [options.scenario] - Initial scenario controls
+ * @returns {{app: Object, collectRequests: Map, refunds: Map, getScenario: Function, setScenario: Function, reset: Function}}
+ */
+export const createEdvironSimulator = (options = {}) => {
+  const pgKey = options.pgKey || process.env.PG_KEY || 'simulator-pg-key';
+  const apiKey = options.apiKey || '';
+  const publicUrl = (options.publicUrl || 'http://localhost:4600').replace(/\/$/, '');
+  const webhookUrl = options.webhookUrl || null;
+
+  const collectRequests = new Map();
+  const refunds = new Map();
+  let scenario = { ...DEFAULT_SCENARIO, ...options.scenario };
+
+  const getScenario = () => ({ ...scenario });
+  const setScenario = (changes = {}) => {
+    scenario = { ...scenario, ...changes };
+    return getScenario();
+  };
+  const reset = () => {
+    collectRequests.clear();
+    refunds.clear();
+    scenario = { ...DEFAULT_SCENARIO, ...options.scenario };
+  };
+
+  /**
+   * Build the webhook payload in the format documented by Edviron
+   */
+  const buildWebhookPayload = (request) => {
+    const order_info = {
+      order_id: request.id,
+      order_amount: request.amount,
+      transaction_amount: request.transaction_amount ?? request.amount,
+      gateway: 'PhonePe',
+      bank_reference: request.bank_reference || 'NA',
+      status: request.status.toLowerCase(),
+      payment_mode: request.payment_mode || 'NA',
+      payemnt_details: request.payment_details || 'NA',
+      Payment_message: request.payment_message,
+      payment_time: request.payment_time,
+      error_message: request.error_message || 'NA'
+    };
+    return {
+      status: 200,
+      order_info,
+      sign: jwt.sign({ order_id: request.id, status: order_info.status }, pgKey)
+    };
+  };
+
+  /**
+   * POST the webhook for a collect request. Failures are recorded, never thrown.
+   */
+  const sendWebhook = async (request) => {
+    const target = webhookUrl || `${new URL(request.callback_url).origin}/api/payments/webhook`;
+    const body = JSON.stringify(buildWebhookPayload(request));
+    const attempt = { target, sent_at: new Date().toISOString() };
+
+    try {
+      // Sign the exact bytes sent so the receiver can verify the raw body
+      const response = await axios.post(target, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-edviron-signature': crypto.createHmac('sha256', pgKey).update(body).digest('hex')
+        },
+        timeout: 10000
+      });
+      attempt.response_status = response.status;
+    } catch (error) {
+      attempt.response_status = error.response?.status || null;
+      attempt.error = error.message;
+      console.error(`[edviron-simulator] Webhook to ${target} failed:`, error.message);
+    }
+
+    request.webhooks.push(attempt);
+    return attempt;
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    console.log(`[edviron-simulator] ${new Date().toISOString()} - ${req.method} ${req.url}`);
+    next();
+  });
+
+  /**
+   * Apply scenario controls to the gateway API routes
+   */
+  const applyScenario = async (req, res, next) => {
+    if (scenario.latencyMs > 0) {
+      await sleep(scenario.latencyMs);
+    }
+
+    if (scenario.timeout) {
+      // Hold the request long enough for the client-side timeout to fire
+      await sleep(scenario.timeoutMs);
+      if (!res.headersSent) res.status(504).json({ message: 'Simulated gateway timeout' });
+      return;
+    }
+
+    if (scenario.failAuth) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (scenario.serverError) {
+      return res.status(Number(scenario.serverError)).json({ message: 'Simulated gateway error' });
+    }
+
+    next();
+  };
+
+  const requireApiKey = (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    if (!token || (apiKey && token !== apiKey)) {
+      return res.status(401).json({ message: 'Invalid API key' });
+    }
+    next();
+  };
+
+  const verifySign = (sign, expected) => {
+    try {
+      const payload = jwt.verify(sign, pgKey);
+      return Object.entries(expected).every(([key, value]) => String(payload[key]) === String(value));
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Create a collect request (payment link)
+  app.post('/create-collect-request', applyScenario, requireApiKey, (req, res) => {
+    const { school_id, amount, callback_url, sign } = req.body;
+
+    if (!school_id || !amount || !callback_url || !sign) {
+      return res.status(400).json({ message: 'school_id, amount, callback_url and sign are required' });
+    }
+
+    if (!verifySign(sign, { school_id, amount, callback_url })) {
+      return res.status(400).json({ message: 'Invalid sign' });
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const request = {
+      id,
+      school_id,
+      amount: parseFloat(amount),
+      callback_url,
+      status: 'PENDING',
+      created_at: new Date().toISOString(),
+      webhooks: []
+    };
+    collectRequests.set(id, request);
+
+    res.json({
+      collect_request_id: id,
+      collect_request_url: `${publicUrl}/pay/${id}`,
+      sign: jwt.sign({ collect_request_id: id }, pgKey)
+    });
+  });
+
+  // Check the status of a collect request
+  app.get('/collect-request/:id', applyScenario, requireApiKey, (req, res) => {
+    const { school_id, sign } = req.query;
+    const request = collectRequests.get(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Collect request not found' });
+    }
+
+    if (!sign || !verifySign(sign, { school_id, collect_request_id: request.id })) {
+      return res.status(400).json({ message: 'Invalid sign' });
+    }
+
+    res.json({
+      status: request.status,
+      amount: request.amount,
+      collect_request_id: request.id,
+      order_amount: request.amount,
+      transaction_amount: request.transaction_amount,
+      payment_mode: request.payment_mode,
+      bank_reference: request.bank_reference,
+      payment_message: request.payment_message,
+      payment_time: request.payment_time,
+      error_message: request.error_message,
+      details: {
+        payment_methods: request.payment_mode || null
+      },
+      jwt: jwt.sign({ collect_request_id: request.id, status: request.status }, pgKey)
+    });
+  });
+
+  // Refund (part of) a successful collect request
+  app.post('/initiate-refund', applyScenario, requireApiKey, (req, res) => {
+    const { school_id, collect_request_id, refund_amount, refund_reason, custom_refund_id, sign } = req.body;
+
+    if (!school_id || !collect_request_id || !refund_amount || !sign) {
+      return res.status(400).json({ message: 'school_id, collect_request_id, refund_amount and sign are required' });
+    }
+
+    if (!verifySign(sign, { school_id, collect_request_id, refund_amount })) {
+      return res.status(400).json({ message: 'Invalid sign' });
+    }
+
+    const request = collectRequests.get(collect_request_id);
+    if (!request) {
+      return res.status(404).json({ message: 'Collect request not found' });
+    }
+    if (request.status !== 'SUCCESS') {
+      return res.status(400).json({ message: 'Only successful payments can be refunded' });
+    }
+
+    const alreadyRefunded = [...refunds.values()]
+      .filter(refund => refund.collect_request_id === request.id && refund.status !== 'FAILED')
+      .reduce((total, refund) => total + refund.amount, 0);
+    const amount = parseFloat(refund_amount);
+    if (amount <= 0 || alreadyRefunded + amount > (request.transaction_amount ?? request.amount) + 0.001) {
+      return res.status(400).json({ message: 'Refund amount exceeds the refundable amount' });
+    }
+
+    const id = `rfnd_${crypto.randomBytes(8).toString('hex')}`;
+    const refund = {
+      id,
+      collect_request_id: request.id,
+      custom_refund_id,
+      amount,
+      reason: refund_reason,
+      status: REFUND_STATUS_VALUES[String(scenario.refundStatus).toLowerCase()] || 'SUCCESS',
+      created_at: new Date().toISOString()
+    };
+    refunds.set(id, refund);
+
+    res.json({ refund_id: id, status: refund.status, refund_amount: amount });
+  });
+
+  // Check the status of a refund
+  app.get('/refund-status/:id', applyScenario, requireApiKey, (req, res) => {
+    const { school_id, sign } = req.query;
+    const refund = refunds.get(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    if (!sign || !verifySign(sign, { school_id, refund_id: refund.id })) {
+      return res.status(400).json({ message: 'Invalid sign' });
+    }
+
+    res.json({
+      refund_id: refund.id,
+      collect_request_id: refund.collect_request_id,
+      status: refund.status,
+      refund_amount: refund.amount
+    });
+  });
+
+  // Fake hosted payment page
+  app.get('/pay/:id', (req, res) => {
+    const request = collectRequests.get(req.params.id);
+    if (!request) {
+      return res.status(404).send('Collect request not found');
+    }
+
+    const id = escapeHtml(request.id);
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><title>Edviron Simulator - Pay</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto;">
+  <h1>Edviron Simulator</h1>
+  <p>Collect request: <code>${id}</code></p>
+  <p>Amount: <strong>INR ${escapeHtml(request.amount.toFixed(2))}</strong></p>
+  <p>Status: ${escapeHtml(request.status)}</p>
+  <p>
+    <a href="/pay/${id}/complete?status=success">Pay successfully</a> |
+    <a href="/pay/${id}/complete?status=failed">Fail payment</a> |
+    <a href="/pay/${id}/complete?status=cancelled">Cancel payment</a>
+  </p>
+</body>
+</html>`);
+  });
+
+  // Complete a payment, fire the webhook and redirect back to the merchant
+  app.get('/pay/:id/complete', async (req, res) => {
+    const request = collectRequests.get(req.params.id);
+    if (!request) {
+      return res.status(404).send('Collect request not found');
+    }
+
+    const outcome = (req.query.status || 'success').toString().toLowerCase();
+    if (!STATUS_VALUES[outcome]) {
+      return res.status(400).send(`Unknown status: ${escapeHtml(outcome)}`);
+    }
+
+    request.status = STATUS_VALUES[outcome];
+    request.payment_time = new Date().toISOString();
+    request.payment_mode = req.query.payment_mode || PAYMENT_MODES[Math.floor(Math.random() * PAYMENT_MODES.length)];
+    if (outcome === 'success') {
+      request.transaction_amount = request.amount;
+      request.bank_reference = `SIMBNK${Date.now()}`;
+      request.payment_details = 'success@ybl';
+      request.payment_message = 'payment success';
+      request.error_message = 'NA';
+    } else {
+      request.payment_message = `payment ${outcome}`;
+      request.error_message = outcome === 'failed' ? 'Payment declined by bank' : 'Payment cancelled by user';
+    }
+
+    if (scenario.webhook) {
+      // Do not hold the redirect on the webhook delivery
+      sendWebhook(request);
+    }
+
+    res.redirect(appendQuery(request.callback_url, {
+      EdvironCollectRequestId: request.id,
+      status: request.status
+    }));
+  });
+
+  // Simulator controls
+  app.get('/__simulator/scenario', (req, res) => {
+    res.json(getScenario());
+  });
+
+  app.post('/__simulator/scenario', (req, res) => {
+    const allowed = Object.keys(DEFAULT_SCENARIO);
+    const changes = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([key]) => allowed.includes(key))
+    );
+    res.json(setScenario(changes));
+  });
+
+  app.post('/__simulator/reset', (req, res) => {
+    reset();
+    res.json({ message: 'Simulator reset', scenario: getScenario() });
+  });
+
+  app.get('/__simulator/collect-requests', (req, res) => {
+    res.json([...collectRequests.values()]);
+  });
+
+  // Re-send the webhook for a completed collect request (e.g. to test duplicate deliveries)
+  app.post('/__simulator/collect-requests/:id/webhook', async (req, res) => {
+    const request = collectRequests.get(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Collect request not found' });
+    }
+    res.json(await sendWebhook(request));
+  });
+
+  app.get('/__simulator/refunds', (req, res) => {
+    res.json([...refunds.values()]);
+  });
+
+  // Settle a pending refund, e.g. POST /__simulator/refunds/:id/complete?status=failed
+  app.post('/__simulator/refunds/:id/complete', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    const outcome = (req.query.status || req.body?.status || 'success').toString().toLowerCase();
+    if (!REFUND_STATUS_VALUES[outcome]) {
+      return res.status(400).json({ message: `Unknown status: ${outcome}` });
+    }
+
+    refund.status = REFUND_STATUS_VALUES[outcome];
+    res.json(refund);
+  });
+
+  return { app, collectRequests, refunds, getScenario, setScenario, reset };
+};
+
+export default createEdvironSimulator;
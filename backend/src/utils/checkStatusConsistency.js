@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import { findStatusDrift, repairStatusDrift } from '../services/statusConsistencyService.js';
+
+dotenv.config();
+
+/**
+ * Report (and optionally repair) Orders whose status drifted from their OrderStatus
+ *
+ * Usage: node src/utils/checkStatusConsistency.js [--repair] [--limit 100]
+ *
+ * Exits with status 1 when drift remains, so it can run from cron or CI.
+ */
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const limitIndex = args.indexOf('--limit');
+const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1], 10) || undefined : undefined;
+
+const checkStatusConsistency = async () => {
+  let remaining = 0;
+  try {
+    await connectDB();
+
+    const drift = await findStatusDrift({ limit });
+    if (drift.length === 0) {
+      console.log('Order and OrderStatus statuses are consistent');
+      return;
+    }
+
+    console.log(`Found ${drift.length} inconsistencies:`);
+    drift.forEach(entry => {
+      console.log(`- ${entry.type}: order ${entry.order_id} (${entry.collect_id || 'no collect_id'}) order=${entry.order_status ?? '-'} payment=${entry.payment_status ?? '-'}`);
+    });
+
+    remaining = drift.length;
+    if (repair) {
+      const { repaired, skipped } = await repairStatusDrift(drift);
+      console.log(`Repaired ${repaired}; ${skipped} need manual review`);
+      remaining = skipped;
+    } else {
+      console.log('Run with --repair to copy OrderStatus.status onto the drifted orders');
+    }
+  } catch (error) {
+    console.error('Error checking status consistency:', error);
+    remaining = 1;
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    process.exitCode = remaining > 0 ? 1 : 0;
+  }
+};
+
+checkStatusConsistency();
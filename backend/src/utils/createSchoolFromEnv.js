@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import { School } from '../models/School.js';
+
+dotenv.config();
+
+/**
+ * One-off migration from the single-school setup
+ *
+ * Creates (or updates) a School from the legacy SCHOOL_ID, PG_KEY and PG_API_KEY
+ * environment variables. When SCHOOL_ID is a valid ObjectId it is also used as
+ * the School _id, so existing orders (whose school_id was SCHOOL_ID) resolve to it.
+ *
+ * Usage: node src/utils/createSchoolFromEnv.js "School Name"
+ */
+
+// Connect to MongoDB
+connectDB();
+
+const createSchoolFromEnv = async () => {
+  try {
+    const { SCHOOL_ID, PG_KEY, PG_API_KEY, APP_URL, FRONTEND_URL } = process.env;
+    if (!SCHOOL_ID || !PG_KEY || !PG_API_KEY) {
+      throw new Error('SCHOOL_ID, PG_KEY and PG_API_KEY must be set');
+    }
+
+    const update = {
+      name: process.argv[2] || 'Default School',
+      edviron_school_id: SCHOOL_ID,
+      pg_key: PG_KEY,
+      pg_api_key: PG_API_KEY,
+      callback: {
+        app_url: APP_URL,
+        frontend_url: FRONTEND_URL
+      }
+    };
+
+    const filter = mongoose.Types.ObjectId.isValid(SCHOOL_ID)
+      ? { _id: SCHOOL_ID }
+      : { edviron_school_id: SCHOOL_ID };
+
+    const school = await School.findOneAndUpdate(filter, update, {
+      new: true,
+      upsert: true,
+      setDefaultsOnInsert: true
+    });
+
+    console.log(`School ${school.name} (${school._id}) is ready`);
+  } catch (error) {
+    console.error('Error creating school:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+  }
+};
+
+createSchoolFromEnv();
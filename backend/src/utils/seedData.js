@@ -22,7 +22,7 @@ const orderSamples = [
     gateway_name: 'Edviron',
     amount: 5000,
     currency: 'INR',
-    status: 'completed'
+    status: 'success'
   },
   {
     school_id: '65b0e6293e9f76a9694d84b4',
@@ -74,8 +74,8 @@ const seedData = async () => {
       payment_mode: ['upi', 'card', 'netbanking'][index % 3],
       payment_details: `payment details ${index}`,
       bank_reference: `REF${index}`,
-      payment_message: `Payment ${['Success', 'Pending', 'Failed'][index % 3]}`,
-      status: ['Success', 'Pending', 'Failed'][index % 3],
+      payment_message: `Payment ${order.status}`,
+      status: order.status,
       error_message: index % 3 === 2 ? 'Transaction failed' : '',
       payment_time: new Date(Date.now() - index * 86400000) // Different days
     }));
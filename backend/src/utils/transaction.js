@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * MongoDB transactions with a fallback for standalone servers
+ *
+ * Transactions need a replica set (or mongos). On a standalone server the work
+ * runs without one, and drift between documents is left to the status
+ * consistency check (utils/checkStatusConsistency.js).
+ */
+
+let transactionsSupported = true;
+
+// Standalone servers reject the first operation of a transaction with IllegalOperation
+const isTransactionUnsupported = (error) => error.code === 20 ||
+  /Transaction numbers are only allowed/.test(error.message || '');
+
+/**
+ * Run work in a transaction, retrying transient transaction errors.
+ * Documents saved inside an aborted transaction have their changes restored.
+ *
+ * @param {Function} work - async (session) => result; session is null without transaction support
+ * @returns {Promise<*>} What work returned
+ */
+export const runInTransaction = async (work) => {
+  if (!transactionsSupported) return work(null);
+
+  try {
+    return await mongoose.connection.transaction(session => work(session));
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    console.warn('MongoDB transactions are not supported by this deployment; writing without them');
+    transactionsSupported = false;
+    return work(null);
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Background worker helpers
+ *
+ * Notifications (models/Notification.js) and outbound webhook deliveries
+ * (models/WebhookDelivery.js) are outboxes: documents with a `pending` status,
+ * an `attempts` count and a `next_attempt_at`. They are attempted straight away
+ * and retried by a polling worker with exponential backoff; the helpers here
+ * claim, reschedule and sweep them. startWorker runs any periodic job.
+ */
+
+// Backoff between attempts: 1, 2, 4, 8... minutes, max 6 hours
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// A claimed document is not picked up again for this long, so a crashed attempt is retried
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Delay before the next attempt.
+ *
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Atomically claim a pending document that is due, so the worker and an
+ * immediate attempt never work on it at the same time.
+ *
+ * @param {Object} Model - Mongoose model of the outbox
+ * @param {string} id - Document _id
+ * @returns {Promise<Object|null>} The claimed document, or null when it was not due or already claimed
+ */
+export const claimDue = (Model, id) => Model.findOneAndUpdate(
+  { _id: id, status: 'pending', next_attempt_at: { $lte: new Date() } },
+  { next_attempt_at: new Date(Date.now() + CLAIM_TIMEOUT_MS) },
+  { new: true }
+);
+
+/**
+ * After a failed attempt, schedule the next one or give up. The caller has
+ * already counted the attempt and saves the document.
+ *
+ * @param {Object} doc - Outbox document
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Give up after this many attempts
+ * @param {boolean} [options.giveUp] - Give up now, whatever the attempt count
+ */
+export const scheduleRetry = (doc, { maxAttempts, giveUp = false }) => {
+  if (giveUp || doc.attempts >= maxAttempts) {
+    doc.status = 'failed';
+    doc.next_attempt_at = undefined;
+  } else {
+    doc.next_attempt_at = new Date(Date.now() + getRetryDelayMs(doc.attempts));
+  }
+};
+
+/**
+ * Attempt every pending document that is due, oldest first.
+ *
+ * @param {Object} Model - Mongoose model of the outbox
+ * @param {Function} attempt - async (id) => the document after the attempt, or null when it was claimed elsewhere
+ * @param {Object} options
+ * @param {string} options.successStatus - Status of a document whose attempt succeeded
+ * @param {number} [options.limit] - Maximum number of documents to attempt
+ * @returns {Promise<{attempted: number, succeeded: number}>}
+ */
+export const attemptDue = async (Model, attempt, { successStatus, limit = 100 }) => {
+  const due = await Model.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+    .select('_id')
+    .sort({ next_attempt_at: 1 })
+    .limit(limit);
+
+  const result = { attempted: 0, succeeded: 0 };
+  for (const { _id } of due) {
+    try {
+      const doc = await attempt(_id);
+      if (!doc) continue;
+      result.attempted += 1;
+      if (doc.status === successStatus) result.succeeded += 1;
+    } catch (error) {
+      console.error(`${Model.modelName} ${_id} failed:`, error.message);
+    }
+  }
+  return result;
+};
+
+/**
+ * Run a job every intervalMs, skipping a tick rather than overlapping with a
+ * slow previous run.
+ *
+ * @param {Object} worker
+ * @param {string} worker.name - Used in log messages
+ * @param {number} worker.intervalMs - 0 disables the worker
+ * @param {Function} worker.run - async () => void
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+export const startWorker = ({ name, intervalMs, run }) => {
+  if (!intervalMs) {
+    console.log(`${name} disabled`);
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`${name} run failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
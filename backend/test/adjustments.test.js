@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { computeAdjustments } from '../src/services/adjustmentService.js';
+
+const DUE_DATE = new Date('2026-01-01');
+const AT = new Date('2026-02-01');
+
+const rule = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Late fee',
+  type: 'late_fee',
+  grace_days: 0,
+  fee_head_codes: [],
+  student_tags: [],
+  ...fields
+});
+
+test('a flat late fee already charged on the due is not charged again', () => {
+  const flat = rule({ calculation: 'flat', value: 50 });
+  const percentage = rule({ calculation: 'percentage', value: 10 });
+  const params = { rules: [flat, percentage], baseAmount: 200, dueDate: DUE_DATE, at: AT };
+
+  assert.equal(computeAdjustments(params).amount, 270);
+
+  const later = computeAdjustments({ ...params, chargedLateFees: [flat._id] });
+  assert.equal(later.amount, 220);
+  assert.deepEqual(later.adjustments.map(line => line.rule_id), [percentage._id]);
+});
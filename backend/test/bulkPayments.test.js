@@ -0,0 +1,73 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { PaymentBatch } from '../src/models/PaymentBatch.js';
+import { School } from '../src/models/School.js';
+import edvironGateway from '../src/services/gateways/edvironGateway.js';
+import { parseBatchCsv, processPaymentBatch } from '../src/services/bulkPaymentService.js';
+import { query } from './helpers.js';
+
+const stubBatch = (rows) => {
+  const batch = new PaymentBatch({ school_id: new mongoose.Types.ObjectId(), rows });
+  const saves = [];
+  batch.save = async () => {
+    saves.push({ where: batch.$where, rows: batch.rows.map(row => row.status) });
+    return batch;
+  };
+  mock.method(School, 'findById', () => query({ _id: batch.school_id, name: 'Test School', pg_key: 'pg', pg_api_key: 'api' }));
+  return { batch, saves };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a batch leased by another instance is left alone', async () => {
+  const claims = mock.method(PaymentBatch, 'findOneAndUpdate', async () => null);
+  const gatewayCalls = mock.method(edvironGateway, 'createCollectRequest', async () => ({}));
+
+  assert.equal(await processPaymentBatch(new mongoose.Types.ObjectId()), null);
+
+  const [filter, update] = claims.mock.calls[0].arguments;
+  assert.equal(filter.status, 'processing');
+  assert.ok(filter.$or.some(condition => condition.lease_expires_at?.$lte));
+  assert.ok(update.lease_owner);
+  assert.equal(gatewayCalls.mock.callCount(), 0);
+});
+
+test('rows interrupted during their gateway call are not sent again', async () => {
+  const recordedOrder = new mongoose.Types.ObjectId();
+  const unrecordedOrder = new mongoose.Types.ObjectId();
+  const { batch, saves } = stubBatch([
+    { row_number: 2, name: 'A', amount: '100', status: 'creating', order_id: recordedOrder },
+    { row_number: 3, name: 'B', amount: '100', status: 'creating', order_id: unrecordedOrder }
+  ]);
+  mock.method(PaymentBatch, 'findOneAndUpdate', async () => batch);
+  mock.method(OrderStatus, 'findOne', async ({ order_id }) => (String(order_id) === String(recordedOrder)
+    ? { collect_id: 'collect_a', payment_url: 'https://pay/a', order_amount: 100 }
+    : null));
+  mock.method(Order, 'exists', async () => ({ _id: unrecordedOrder }));
+  const gatewayCalls = mock.method(edvironGateway, 'createCollectRequest', async () => ({}));
+
+  await processPaymentBatch(batch._id);
+
+  assert.equal(gatewayCalls.mock.callCount(), 0);
+  assert.deepEqual(batch.rows.map(row => row.status), ['created', 'failed']);
+  assert.equal(batch.rows[0].collect_id, 'collect_a');
+  assert.equal(batch.status, 'completed');
+  assert.equal(batch.lease_owner, undefined);
+  // Every write is conditional on still holding the lease
+  assert.ok(saves.every(save => save.where?.lease_owner));
+});
+
+test('the row limit is read from BULK_PAYMENT_MAX_ROWS when a CSV is parsed', () => {
+  const csv = 'name,amount\nA,100\nB,200\n';
+  process.env.BULK_PAYMENT_MAX_ROWS = '1';
+  try {
+    assert.throws(() => parseBatchCsv(csv), { name: 'ValidationError' });
+    process.env.BULK_PAYMENT_MAX_ROWS = '2';
+    assert.equal(parseBatchCsv(csv).length, 2);
+  } finally {
+    delete process.env.BULK_PAYMENT_MAX_ROWS;
+  }
+});
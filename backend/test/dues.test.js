@@ -0,0 +1,104 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { Refund } from '../src/models/Refund.js';
+import { StudentDue } from '../src/models/StudentDue.js';
+import { syncDuePayments } from '../src/services/dueService.js';
+import { computeAdjustments } from '../src/services/adjustmentService.js';
+import { query } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const stubDue = ({ orders, payments, refunds = [] }) => {
+  const due = new StudentDue({ amount: 500 });
+  due.save = async () => due;
+  mock.method(StudentDue, 'findById', async () => due);
+  mock.method(Order, 'find', () => query(orders));
+  mock.method(OrderStatus, 'find', () => query(payments));
+  mock.method(Refund, 'find', () => query(refunds));
+  return due;
+};
+
+test('dues are credited with the order amount, not gateway fees', async () => {
+  const orderId = new mongoose.Types.ObjectId();
+  stubDue({
+    orders: [{ _id: orderId, amount: 200 }],
+    payments: [{ order_id: orderId, order_amount: 200, transaction_amount: 204.5 }]
+  });
+
+  const due = await syncDuePayments('due_1');
+
+  assert.equal(due.paid_amount, 200);
+  assert.equal(due.status, 'partially_paid');
+});
+
+test('late fees are not credited to the due, refunds are taken off', async () => {
+  const orderId = new mongoose.Types.ObjectId();
+  stubDue({
+    orders: [{ _id: orderId, base_amount: 500, amount: 550 }],
+    payments: [{ order_id: orderId, order_amount: 550, transaction_amount: 560 }],
+    refunds: [{ order_id: orderId, amount: 100 }]
+  });
+
+  const due = await syncDuePayments('due_1');
+
+  assert.equal(due.paid_amount, 400);
+});
+
+test('a flat late fee is recorded on the due once a payment charging it succeeds', async () => {
+  const paidId = new mongoose.Types.ObjectId();
+  const pendingId = new mongoose.Types.ObjectId();
+  const ruleId = new mongoose.Types.ObjectId();
+  const lateFee = { rule_id: ruleId, name: 'Late fee', type: 'late_fee', calculation: 'flat', amount: 50 };
+  stubDue({
+    orders: [
+      { _id: paidId, base_amount: 200, amount: 250, adjustments: [lateFee] },
+      { _id: pendingId, base_amount: 100, amount: 150, adjustments: [lateFee] }
+    ],
+    payments: [{ order_id: paidId, order_amount: 250 }]
+  });
+
+  const due = await syncDuePayments('due_1');
+
+  assert.deepEqual(due.late_fees_charged.map(String), [ruleId.toString()]);
+});
+
+test('a flat discount is given once when a due is paid in several parts', async () => {
+  const discount = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Sibling discount',
+    type: 'discount',
+    calculation: 'flat',
+    value: 100,
+    fee_head_codes: [],
+    student_tags: []
+  };
+  const pay = (baseAmount, due) => {
+    const { adjustments, amount } = computeAdjustments({
+      rules: [discount],
+      baseAmount,
+      chargedLateFees: due.late_fees_charged,
+      chargedDiscounts: due.discounts_charged
+    });
+    return { _id: new mongoose.Types.ObjectId(), base_amount: baseAmount, amount, adjustments };
+  };
+
+  const first = pay(250, new StudentDue({ amount: 500 }));
+  stubDue({ orders: [first], payments: [{ order_id: first._id, order_amount: first.amount }] });
+  const afterFirst = await syncDuePayments('due_1');
+  mock.restoreAll();
+
+  const second = pay(250, afterFirst);
+  stubDue({
+    orders: [first, second],
+    payments: [first, second].map(order => ({ order_id: order._id, order_amount: order.amount }))
+  });
+  const due = await syncDuePayments('due_1');
+
+  assert.deepEqual([first.amount, second.amount], [150, 250]);
+  assert.equal(due.paid_amount, 500);
+  assert.equal(due.status, 'paid');
+  assert.deepEqual(due.discounts_charged.map(String), [discount._id.toString()]);
+});
@@ -0,0 +1,55 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { verifyWebhook, parseStatusResponse, createCollectRequest, SIGNATURE_HEADER } from '../src/services/gateways/edvironGateway.js';
+import { transactionStatus } from '../src/controllers/payment/transactionStatus.js';
+
+const PG_KEY = 'pg_key';
+
+const signedWebhook = () => {
+  const body = { status: 200, order_info: { order_id: 'collect_123', status: 'success' } };
+  body.sign = jwt.sign({ order_id: 'collect_123' }, PG_KEY);
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, signature: crypto.createHmac('sha256', PG_KEY).update(rawBody).digest('hex') };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('webhooks need the HMAC signature header as well as a valid sign', () => {
+  const { body, rawBody, signature } = signedWebhook();
+
+  assert.equal(verifyWebhook({ body, rawBody, headers: { [SIGNATURE_HEADER]: signature } }, { pgKey: PG_KEY }), true);
+  assert.equal(verifyWebhook({ body, rawBody, headers: {} }, { pgKey: PG_KEY }), false);
+  assert.equal(verifyWebhook({ body, rawBody: `${rawBody} `, headers: { [SIGNATURE_HEADER]: signature } }, { pgKey: PG_KEY }), false);
+});
+
+test('an API base that is not an http(s) URL is rejected before calling the gateway', async () => {
+  const credentials = { schoolId: 'school-1', pgKey: PG_KEY, apiKey: 'api', apiBase: 'your-edviron-api-base' };
+
+  await assert.rejects(
+    createCollectRequest({ amount: 100, callbackUrl: 'http://localhost/callback' }, credentials),
+    { name: 'GatewayError', reason: 'misconfigured' }
+  );
+});
+
+test('the requested amount is not reported as paid while a payment is pending', () => {
+  assert.equal(parseStatusResponse({ status: 'PENDING', amount: 2000 }).fields.transaction_amount, undefined);
+  assert.equal(parseStatusResponse({ status: 'SUCCESS', amount: 2000 }).fields.transaction_amount, 2000);
+  assert.equal(parseStatusResponse({ status: 'SUCCESS', amount: 2000, transaction_amount: '2040' }).fields.transaction_amount, 2040);
+});
+
+test('status checks for an id that is neither a collect ID nor an order id are not found', async () => {
+  mock.method(OrderStatus, 'findOne', () => ({ lean: async () => null }));
+  let response = null;
+  const res = {
+    status(code) { response = { code }; return res; },
+    json(body) { response = { ...response, body }; return res; }
+  };
+
+  await transactionStatus({ params: { custom_order_id: 'not-an-id' } }, res);
+
+  assert.equal(response.code, 404);
+  assert.equal(OrderStatus.findOne.mock.callCount(), 1);
+});
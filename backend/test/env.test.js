@@ -0,0 +1,20 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readNumber } from '../src/config/env.js';
+
+afterEach(() => {
+  delete process.env.TEST_SETTING;
+});
+
+test('numeric settings fall back on missing, invalid and (unless allowed) zero values', () => {
+  assert.equal(readNumber('TEST_SETTING', 5), 5);
+  process.env.TEST_SETTING = 'soon';
+  assert.equal(readNumber('TEST_SETTING', 5), 5);
+  process.env.TEST_SETTING = '-1';
+  assert.equal(readNumber('TEST_SETTING', 5, { allowZero: true }), 5);
+  process.env.TEST_SETTING = '0';
+  assert.equal(readNumber('TEST_SETTING', 5), 5);
+  assert.equal(readNumber('TEST_SETTING', 5, { allowZero: true }), 0);
+  process.env.TEST_SETTING = '2.5';
+  assert.equal(readNumber('TEST_SETTING', 5), 2.5);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NotFoundError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  ConflictError
+} from '../src/errors/index.js';
+
+test('application errors carry the HTTP status the error handler answers with', () => {
+  const statuses = [NotFoundError, ValidationError, UnauthorizedError, ForbiddenError, ConflictError]
+    .map(ErrorClass => new ErrorClass('message'))
+    .map(error => [error.name, error.statusCode]);
+
+  assert.deepEqual(statuses, [
+    ['NotFoundError', 404],
+    ['ValidationError', 400],
+    ['UnauthorizedError', 401],
+    ['ForbiddenError', 403],
+    ['ConflictError', 409]
+  ]);
+});
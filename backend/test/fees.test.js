@@ -0,0 +1,75 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { FeeStructure } from '../src/models/FeeStructure.js';
+import { FeeHead } from '../src/models/FeeHead.js';
+import { resolveFeeBreakdown } from '../src/services/feeService.js';
+import { NotFoundError, ValidationError } from '../src/errors/index.js';
+import { query } from './helpers.js';
+
+const school = { _id: new mongoose.Types.ObjectId() };
+const tuition = { _id: new mongoose.Types.ObjectId(), code: 'TUITION', name: 'Tuition', category: 'academic' };
+const transport = { _id: new mongoose.Types.ObjectId(), code: 'TRANSPORT', name: 'Transport', category: 'transport' };
+
+const stubStructure = (changes = {}) => {
+  const feeStructure = {
+    _id: new mongoose.Types.ObjectId(),
+    active: true,
+    items: [
+      { fee_head_id: tuition._id, amount: 1000.1 },
+      { fee_head_id: transport._id, amount: 250.2 }
+    ],
+    ...changes
+  };
+  mock.method(FeeStructure, 'findOne', () => query(feeStructure));
+  mock.method(FeeHead, 'find', () => query([tuition, transport]));
+  return feeStructure;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('every fee head in the structure is paid when none are selected', async () => {
+  const feeStructure = stubStructure();
+
+  const { breakdown, amount } = await resolveFeeBreakdown(school, { feeStructureId: feeStructure._id.toString() });
+
+  assert.deepEqual(breakdown.map(line => line.code), ['TUITION', 'TRANSPORT']);
+  assert.equal(amount, 1250.3);
+});
+
+test('fee heads can be selected by id or by code', async () => {
+  const feeStructure = stubStructure();
+
+  const { breakdown, amount } = await resolveFeeBreakdown(school, {
+    feeStructureId: feeStructure._id.toString(),
+    feeHeads: ['transport']
+  });
+
+  assert.equal(breakdown.length, 1);
+  assert.equal(breakdown[0].fee_head_id, transport._id);
+  assert.equal(amount, 250.2);
+});
+
+test('fee heads outside the structure or selected twice are rejected', async () => {
+  const feeStructure = stubStructure();
+  const feeStructureId = feeStructure._id.toString();
+
+  await assert.rejects(resolveFeeBreakdown(school, { feeStructureId, feeHeads: ['LIBRARY'] }), ValidationError);
+  await assert.rejects(
+    resolveFeeBreakdown(school, { feeStructureId, feeHeads: ['TUITION', tuition._id.toString()] }),
+    ValidationError
+  );
+});
+
+test('invalid, unknown and inactive fee structures cannot be paid', async () => {
+  await assert.rejects(resolveFeeBreakdown(school, { feeStructureId: 'not-an-id' }), ValidationError);
+
+  const inactive = stubStructure({ active: false });
+  await assert.rejects(resolveFeeBreakdown(school, { feeStructureId: inactive._id.toString() }), ValidationError);
+
+  mock.method(FeeStructure, 'findOne', () => query(null));
+  await assert.rejects(
+    resolveFeeBreakdown(school, { feeStructureId: new mongoose.Types.ObjectId().toString() }),
+    NotFoundError
+  );
+});
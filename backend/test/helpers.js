@@ -0,0 +1,18 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Stub for a Mongoose query: resolves to value, whatever is chained onto it.
+ *
+ * @param {*} value - Result of the query
+ * @returns {Object} Thenable with the chainable query methods
+ */
+export const query = (value) => ({
+  select() { return this; },
+  lean() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  session() { return this; },
+  then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); }
+});
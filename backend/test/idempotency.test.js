@@ -0,0 +1,139 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { IdempotencyKey } from '../src/models/IdempotencyKey.js';
+import { idempotency } from '../src/middleware/idempotency.js';
+
+// Idempotency keys kept in memory, enforcing the unique (key, scope, endpoint) index
+const stubKeys = () => {
+  const keys = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$lte) return doc[field] <= value.$lte;
+    return String(doc[field]) === String(value);
+  });
+
+  mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (keys.some(doc => doc.key === fields.key && doc.scope === fields.scope && doc.endpoint === fields.endpoint)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const doc = new IdempotencyKey(fields);
+    doc.updatedAt = new Date();
+    keys.push(doc);
+    return doc;
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => keys.find(doc => matches(doc, filter)) || null);
+  mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+    const doc = keys.find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    Object.assign(doc, update, { updatedAt: new Date() });
+    return doc;
+  });
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    const doc = keys.find(candidate => matches(candidate, filter));
+    if (doc) Object.assign(doc, update);
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const index = keys.findIndex(candidate => matches(candidate, filter));
+    if (index >= 0) keys.splice(index, 1);
+  });
+  return keys;
+};
+
+// Run requests against an app whose handler answers with handle(req, res)
+const withApp = async (handle, run) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/things', idempotency, handle);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/things`;
+  const post = (key, body = { name: 'a' }) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+  try {
+    await run(post);
+  } finally {
+    server.close();
+  }
+};
+
+// Responses are stored on the finish event, just after the client gets them
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS;
+});
+
+test('repeats replay the stored JSON response and reject a different body', async () => {
+  stubKeys();
+  let calls = 0;
+  await withApp((req, res) => res.status(201).json({ call: ++calls }), async (post) => {
+    const first = await post('key-1');
+    await flush();
+    const repeat = await post('key-1');
+
+    assert.equal(first.status, 201);
+    assert.equal(repeat.status, 201);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await repeat.json(), { call: 1 });
+    assert.equal((await post('key-1', { name: 'b' })).status, 409);
+    assert.equal(calls, 1);
+  });
+});
+
+test('responses sent with res.send or res.end are stored too', async () => {
+  stubKeys();
+  let calls = 0;
+  await withApp((req, res) => {
+    calls += 1;
+    if (req.body.name === 'csv') return res.status(201).type('text/csv').send('id\n1\n');
+    return res.status(204).end();
+  }, async (post) => {
+    await post('key-csv', { name: 'csv' });
+    await post('key-empty', { name: 'empty' });
+    await flush();
+
+    const csv = await post('key-csv', { name: 'csv' });
+    assert.equal(csv.status, 201);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.equal(await csv.text(), 'id\n1\n');
+    assert.equal((await post('key-empty', { name: 'empty' })).status, 204);
+    assert.equal(calls, 2);
+  });
+});
+
+test('a retry takes over a key whose request has been in progress for too long', async () => {
+  const keys = stubKeys();
+  process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = '60';
+  await withApp((req, res) => res.status(201).json({ ok: true }), async (post) => {
+    await IdempotencyKey.create({
+      key: 'key-stale',
+      scope: 'anonymous',
+      endpoint: 'POST /things',
+      // Same body as the retries below
+      request_hash: crypto.createHash('sha256').update('{"name":"a"}').digest('hex'),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    assert.equal((await post('key-stale')).status, 409);
+
+    keys[0].updatedAt = new Date(Date.now() - 2 * 60 * 1000);
+    const retry = await post('key-stale');
+    await flush();
+
+    assert.equal(retry.status, 201);
+    assert.equal(keys[0].state, 'completed');
+  });
+});
+
+test('server errors release the key so the client can retry', async () => {
+  const keys = stubKeys();
+  await withApp((req, res) => res.status(502).json({ message: 'Gateway down' }), async (post) => {
+    await post('key-error');
+    await flush();
+    assert.equal(keys.length, 0);
+  });
+});
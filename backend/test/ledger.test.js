@@ -0,0 +1,33 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { Refund } from '../src/models/Refund.js';
+import { StudentDue } from '../src/models/StudentDue.js';
+import { buildStudentLedger } from '../src/services/studentService.js';
+import { query } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+test('the ledger credits the order amount and lists gateway fees separately', async () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const dueId = new mongoose.Types.ObjectId();
+  mock.method(StudentDue, 'find', () => query([
+    { _id: dueId, description: 'Term 1', amount: 200, createdAt: new Date('2026-01-01') }
+  ]));
+  mock.method(Order, 'find', () => query([{ _id: orderId, due_id: dueId, adjustments: [] }]));
+  mock.method(OrderStatus, 'find', () => query([
+    { order_id: orderId, collect_id: 'collect_1', order_amount: 200, transaction_amount: 204.5, payment_time: new Date('2026-01-02') }
+  ]));
+  mock.method(Refund, 'find', () => query([]));
+
+  const { summary, entries } = await buildStudentLedger({ _id: new mongoose.Types.ObjectId() });
+  const payment = entries.find(entry => entry.type === 'payment');
+
+  assert.equal(payment.credit, 200);
+  assert.equal(payment.gateway_fee, 4.5);
+  assert.equal(summary.total_paid, 200);
+  assert.equal(summary.total_gateway_fees, 4.5);
+  assert.equal(summary.balance, 0);
+});
@@ -0,0 +1,64 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { User } from '../src/models/User.js';
+import { Session } from '../src/models/Session.js';
+import { LoginThrottle } from '../src/models/LoginThrottle.js';
+import { authenticate } from '../src/middleware/auth.js';
+import { query } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const stubUser = ({ role = 'school', token_version = 0, signedOut = false, locked = false } = {}) => {
+  mock.method(User, 'findById', () => query({ _id: userId, email: 'school@example.com', role, token_version }));
+  mock.method(Session, 'exists', async () => (signedOut ? { _id: 'session_1' } : null));
+  mock.method(LoginThrottle, 'exists', async () => (locked ? { _id: 'throttle_1' } : null));
+};
+
+// Run the middleware with an old-style { userId, role } token
+const authenticateLegacy = async (role = 'school') => {
+  const token = jwt.sign({ userId: userId.toString(), role }, process.env.JWT_SECRET);
+  const result = { status: 200 };
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    status(code) { result.status = code; return res; },
+    json(body) { result.body = body; return res; }
+  };
+  await authenticate(req, res, () => { result.user = req.user; });
+  return result;
+};
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.LEGACY_TOKEN_ACCEPT_UNTIL = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.LEGACY_TOKEN_ACCEPT_UNTIL;
+});
+
+test('legacy tokens of an unchanged user are accepted until the cut-off', async () => {
+  stubUser();
+  const { status, user } = await authenticateLegacy();
+  assert.equal(status, 200);
+  assert.equal(user.legacy, true);
+});
+
+test('legacy tokens are refused once the role changed or the account is locked or signed out', async () => {
+  stubUser({ role: 'trustee' });
+  assert.equal((await authenticateLegacy('school')).status, 401);
+
+  mock.restoreAll();
+  stubUser({ token_version: 1 });
+  assert.equal((await authenticateLegacy()).status, 401);
+
+  mock.restoreAll();
+  stubUser({ locked: true });
+  assert.equal((await authenticateLegacy()).status, 401);
+
+  mock.restoreAll();
+  stubUser({ signedOut: true });
+  assert.equal((await authenticateLegacy()).status, 401);
+});
@@ -0,0 +1,91 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoginThrottle } from '../src/models/LoginThrottle.js';
+import {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getFailureDelayMs,
+  getLockoutMs,
+  getLoginThrottleSettings
+} from '../src/services/loginThrottleService.js';
+
+afterEach(() => mock.restoreAll());
+
+const attempt = { email: 'user@example.com', ip: '203.0.113.7' };
+
+// findOneAndUpdate answers with the record as it was before the attempt was counted
+const stubPrevious = (records) => mock.method(LoginThrottle, 'findOneAndUpdate', async (filter, update, options) => {
+  assert.equal(options.new, false);
+  assert.ok(Array.isArray(update), 'attempts are counted with an atomic pipeline update');
+  return records[filter.key] || null;
+});
+
+test('failures wait longer each time, lockouts double up to a day', () => {
+  const settings = { ...getLoginThrottleSettings(), lockoutMinutes: 15 };
+  assert.equal(getFailureDelayMs(1), 0);
+  assert.equal(getFailureDelayMs(2), 1000);
+  assert.equal(getFailureDelayMs(4), 4000);
+  assert.equal(getFailureDelayMs(20), 30000);
+  assert.equal(getLockoutMs(0, settings), 15 * 60000);
+  assert.equal(getLockoutMs(1, settings), 30 * 60000);
+  assert.equal(getLockoutMs(10, settings), 24 * 60 * 60000);
+});
+
+test('every attempt is counted before the password is checked', async () => {
+  const counted = stubPrevious({});
+
+  const started = await beginLoginAttempt(attempt);
+
+  assert.equal(counted.mock.callCount(), 2);
+  assert.deepEqual(counted.mock.calls.map(call => call.arguments[0].key).sort(), ['account:user@example.com', 'ip:203.0.113.7']);
+  assert.equal(started.email, attempt.email);
+});
+
+test('attempts on a locked account or right after failures are refused with Retry-After', async () => {
+  stubPrevious({ 'account:user@example.com': { failures: 0, locked_until: new Date(Date.now() + 90 * 1000) } });
+  await assert.rejects(beginLoginAttempt(attempt), (error) => {
+    assert.equal(error.name, 'TooManyRequestsError');
+    assert.ok(error.retryAfter >= 89 && error.retryAfter <= 90);
+    return true;
+  });
+
+  mock.restoreAll();
+  // The attempt just before in a parallel burst set last_failure_at to now
+  stubPrevious({ 'ip:203.0.113.7': { failures: 3, last_failure_at: new Date() } });
+  await assert.rejects(beginLoginAttempt(attempt), { name: 'TooManyRequestsError' });
+});
+
+test('reaching the limit locks the account and counts the lockout', async () => {
+  const settings = getLoginThrottleSettings();
+  mock.method(LoginThrottle, 'findOne', async ({ key }) => (key.startsWith('account:')
+    ? { _id: 'account_1', failures: settings.maxAccountFailures, lock_count: 1 }
+    : { _id: 'ip_1', failures: 1, lock_count: 0 }));
+  const locks = mock.method(LoginThrottle, 'findOneAndUpdate', async (filter, update) => ({ _id: filter._id, ...update }));
+
+  await recordLoginFailure(attempt);
+
+  assert.equal(locks.mock.callCount(), 1);
+  const [filter, update] = locks.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'account_1', failures: settings.maxAccountFailures });
+  assert.deepEqual(update.$inc, { lock_count: 1 });
+  // Second lockout: twice as long as the first
+  assert.ok(Math.abs(update.locked_until - Date.now() - getLockoutMs(1, settings)) < 1000);
+});
+
+test('a successful sign-in clears failures but keeps the lockout count', async () => {
+  const deletes = mock.method(LoginThrottle, 'deleteOne', async () => ({ deletedCount: 1 }));
+  const updates = mock.method(LoginThrottle, 'updateOne', async () => ({}));
+  const startedAt = new Date();
+  const previousFailure = new Date(Date.now() - 60000);
+
+  await recordLoginSuccess({ ...attempt, startedAt, previous: { account: null, address: { failures: 2, last_failure_at: previousFailure } } });
+
+  assert.equal(deletes.mock.callCount(), 0);
+  const [account, address] = updates.mock.calls.map(call => call.arguments);
+  assert.equal(account[0].key, 'account:user@example.com');
+  assert.equal(account[1].failures, 0);
+  assert.equal('lock_count' in account[1], false);
+  assert.deepEqual(address[0], { key: 'ip:203.0.113.7', last_failure_at: startedAt, failures: { $gt: 0 } });
+  assert.deepEqual(address[1], { $inc: { failures: -1 }, last_failure_at: previousFailure });
+});
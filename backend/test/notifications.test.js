@@ -0,0 +1,107 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Notification } from '../src/models/Notification.js';
+import { queueNotification } from '../src/services/notificationService.js';
+import { registerTransport } from '../src/services/notifications/index.js';
+import fileTransport from '../src/services/notifications/fileTransport.js';
+
+const RESET_URL = 'https://app.example.com/reset-password?token=secret-token';
+
+const sent = [];
+let failSend = false;
+registerTransport({
+  name: 'capture',
+  channels: ['email', 'sms'],
+  async send(message) {
+    if (failSend) throw new Error('SMTP down');
+    sent.push(message);
+    return { providerMessageId: 'capture_1' };
+  }
+});
+
+// Notification documents kept in memory instead of MongoDB
+const stubOutbox = () => {
+  const docs = [];
+  mock.method(Notification, 'create', async (fields) => {
+    const doc = new Notification(fields);
+    doc.save = async () => doc;
+    docs.push(doc);
+    return doc;
+  });
+  mock.method(Notification, 'findOneAndUpdate', async (filter) =>
+    docs.find(doc => String(doc._id) === String(filter._id) && doc.status === 'pending') || null);
+  return docs;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+  sent.length = 0;
+  failSend = false;
+  delete process.env.NOTIFICATION_EMAIL_TRANSPORT;
+  delete process.env.NOTIFICATION_FILE_PATH;
+  delete process.env.NODE_ENV;
+});
+
+const queueReset = () => queueNotification({
+  channel: 'email',
+  to: 'user@example.com',
+  template: 'password_reset',
+  data: { email: 'user@example.com', reset_url: RESET_URL, expires_in: '1 hour' },
+  sensitive: true
+});
+
+test('sensitive messages are sent with their link but stored without it', async () => {
+  process.env.NOTIFICATION_EMAIL_TRANSPORT = 'capture';
+  const docs = stubOutbox();
+
+  const notification = await queueReset();
+
+  assert.equal(notification.status, 'sent');
+  assert.equal(sent.length, 1);
+  assert.ok(sent[0].text.includes(RESET_URL));
+  assert.equal(docs.length, 1);
+  assert.ok(!docs[0].text.includes('secret-token'));
+  assert.equal(docs[0].html, undefined);
+});
+
+test('sensitive messages that fail to send are not retried', async () => {
+  process.env.NOTIFICATION_EMAIL_TRANSPORT = 'capture';
+  failSend = true;
+  stubOutbox();
+
+  const notification = await queueReset();
+
+  assert.equal(notification.status, 'failed');
+  assert.equal(notification.next_attempt_at, undefined);
+});
+
+const writeToFile = async (messages) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notifications-'));
+  process.env.NOTIFICATION_FILE_PATH = path.join(dir, 'notifications.log');
+  try {
+    for (const message of messages) {
+      await fileTransport.send(message);
+    }
+    return await fs.readFile(process.env.NOTIFICATION_FILE_PATH, 'utf8');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const resetEmail = { channel: 'email', to: 'user@example.com', subject: 'Reset', text: RESET_URL, html: `<a href="${RESET_URL}">Reset</a>`, sensitive: true };
+
+test('the file transport keeps sign-in links outside production', async () => {
+  const log = await writeToFile([resetEmail]);
+  assert.ok(log.includes(RESET_URL));
+});
+
+test('in production the file transport writes sensitive messages without their body', async () => {
+  process.env.NODE_ENV = 'production';
+  const log = await writeToFile([resetEmail, { channel: 'email', to: 'user@example.com', subject: 'Receipt', text: 'Paid', sensitive: false }]);
+
+  assert.ok(!log.includes('secret-token'));
+  assert.ok(log.includes('"text":"Paid"'));
+});
@@ -0,0 +1,89 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { School } from '../src/models/School.js';
+import { createOrder, updateOrder, cancelOrder } from '../src/controllers/orderController.js';
+
+const schoolId = new mongoose.Types.ObjectId();
+const SESSION = { id: 'session_1' };
+
+// Runs transactions inline with a fake session and records what was saved in them
+const stubTransaction = () => {
+  const saved = [];
+  mock.method(mongoose.connection, 'transaction', async (work) => work(SESSION));
+  mock.method(Order.prototype, 'save', async function (options) {
+    saved.push(['Order', options?.session]);
+    return this;
+  });
+  mock.method(OrderStatus.prototype, 'save', async function (options) {
+    saved.push(['OrderStatus', options?.session]);
+    return this;
+  });
+  return saved;
+};
+
+const call = async (handler, req) => {
+  const result = {};
+  const res = {
+    status(code) { result.status = code; return res; },
+    json(body) { result.body = body; return res; }
+  };
+  await handler({ user: { userId: new mongoose.Types.ObjectId().toString() }, schoolScope: null, ...req }, res, (error) => {
+    result.error = error;
+  });
+  return result;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('an order and its payment record are created in one transaction', async () => {
+  const saved = stubTransaction();
+  mock.method(School, 'findById', async () => ({ _id: schoolId, active: true, currency: 'INR', gateway_name: 'Edviron' }));
+
+  const { status, error } = await call(createOrder, {
+    body: { school_id: schoolId.toString(), student_info: { name: 'Student' }, amount: '2000' }
+  });
+
+  assert.equal(error, undefined);
+  assert.equal(status, 201);
+  assert.deepEqual(saved, [['Order', SESSION], ['OrderStatus', SESSION]]);
+});
+
+test('an unchanged amount sent as a string does not count as a change on a paid order', async () => {
+  stubTransaction();
+  const order = Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    school_id: schoolId,
+    trustee_id: new mongoose.Types.ObjectId(),
+    student_info: { name: 'Student' },
+    gateway_name: 'Edviron',
+    amount: 2000,
+    currency: 'INR',
+    status: 'success'
+  });
+  mock.method(Order, 'findOne', async () => order);
+  mock.method(OrderStatus, 'findOne', async () => null);
+
+  const unchanged = await call(updateOrder, { params: { id: order._id.toString() }, body: { amount: '2000', term: 'Term 2' } });
+  assert.equal(unchanged.error, undefined);
+  assert.equal(unchanged.body.term, 'Term 2');
+
+  const changed = await call(updateOrder, { params: { id: order._id.toString() }, body: { amount: '2500' } });
+  assert.equal(changed.error.name, 'ConflictError');
+});
+
+test('an order whose payment link was issued cannot be cancelled', async () => {
+  const order = { _id: new mongoose.Types.ObjectId(), school_id: schoolId, status: 'pending' };
+  const orderStatus = { order_id: order._id, status: 'pending', payment_url: 'https://pay.example/collect_123' };
+  mock.method(Order, 'findOne', async () => order);
+  mock.method(OrderStatus, 'findOne', async () => orderStatus);
+  const transaction = mock.method(mongoose.connection, 'transaction', async (work) => work(SESSION));
+
+  const { error } = await call(cancelOrder, { params: { id: order._id.toString() } });
+
+  assert.equal(error.name, 'ConflictError');
+  assert.equal(orderStatus.status, 'pending');
+  assert.equal(transaction.mock.callCount(), 0);
+});
@@ -0,0 +1,73 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { School } from '../src/models/School.js';
+import { StatusHistory } from '../src/models/StatusHistory.js';
+import edvironGateway from '../src/services/gateways/edvironGateway.js';
+import { paymentCallback } from '../src/controllers/payment/paymentCallback.js';
+import { canTransition } from '../src/services/paymentStatus.js';
+import { query } from './helpers.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+const COLLECT_ID = 'collect_123';
+
+const stubPayment = () => {
+  const orderStatus = { _id: 'status_1', order_id: ORDER_ID, collect_id: COLLECT_ID, status: 'pending' };
+  const history = [];
+  mock.method(Order, 'findById', () => query({ _id: ORDER_ID, school_id: 'school_1', gateway_name: 'Edviron' }));
+  mock.method(School, 'findById', () => query({ name: 'Test School', pg_key: 'pg', pg_api_key: 'api' }));
+  mock.method(OrderStatus, 'findOne', () => query(orderStatus));
+  mock.method(StatusHistory, 'create', async (entry) => {
+    history.push(entry);
+    return entry;
+  });
+  return { orderStatus, history };
+};
+
+const callback = async (query) => {
+  let redirectedTo = null;
+  const res = {
+    redirect: (url) => { redirectedTo = url; },
+    status: () => res,
+    send: () => res
+  };
+  await paymentCallback({ query }, res, () => {});
+  return redirectedTo;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('payment statuses only move along the allowed transitions', () => {
+  assert.equal(canTransition('pending', 'success'), true);
+  assert.equal(canTransition('expired', 'success'), true);
+  assert.equal(canTransition('success', 'pending'), false);
+  assert.equal(canTransition('failed', 'success'), false);
+  assert.equal(canTransition('refunded', 'success'), false);
+});
+
+test('a callback claiming success does not complete a payment the gateway reports pending', async () => {
+  const { orderStatus, history } = stubPayment();
+  mock.method(edvironGateway, 'fetchStatus', async () => ({ status: 'PENDING', amount: 100 }));
+
+  const redirectedTo = await callback({ orderId: ORDER_ID, EdvironCollectRequestId: COLLECT_ID, status: 'SUCCESS' });
+
+  assert.equal(orderStatus.status, 'pending');
+  assert.equal(history.length, 0);
+  assert.match(redirectedTo, /status=PENDING/);
+});
+
+test('an unverifiable callback status is recorded as a hint, not applied', async () => {
+  const { orderStatus, history } = stubPayment();
+  mock.method(edvironGateway, 'fetchStatus', async () => {
+    throw new Error('timeout');
+  });
+
+  const redirectedTo = await callback({ orderId: ORDER_ID, EdvironCollectRequestId: COLLECT_ID, status: 'SUCCESS' });
+
+  assert.equal(orderStatus.status, 'pending');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].to_status, 'success');
+  assert.equal(history[0].applied, false);
+  assert.match(redirectedTo, /status=PENDING/);
+});
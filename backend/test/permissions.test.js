@@ -0,0 +1,78 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { User } from '../src/models/User.js';
+import { hasPermission, PERMISSIONS, ROLES } from '../src/config/permissions.js';
+import { canAccessSchool, scopeFilter } from '../src/services/accessService.js';
+import { requirePermission } from '../src/middleware/auth.js';
+import { requirePaymentAccess } from '../src/middleware/scope.js';
+import { NotFoundError } from '../src/errors/index.js';
+import { query } from './helpers.js';
+
+// Run a middleware and report the response status, or 'next' when it passed the request on
+const run = async (middleware, req) => {
+  let outcome = null;
+  const res = {
+    status(code) { outcome = code; return res; },
+    json() { return res; }
+  };
+  await middleware(req, res, () => { outcome = 'next'; });
+  return outcome;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('every permission is held by known roles only', () => {
+  for (const roles of Object.values(PERMISSIONS)) {
+    assert.ok(roles.every(role => ROLES.includes(role)));
+  }
+});
+
+test('admins hold every permission, trustees cannot manage fees or refunds', () => {
+  assert.ok(Object.keys(PERMISSIONS).every(permission => hasPermission('admin', permission)));
+  assert.equal(hasPermission('trustee', 'fees:manage'), false);
+  assert.equal(hasPermission('school', 'refunds:manage'), false);
+  assert.equal(hasPermission('trustee', 'unknown:permission'), false);
+});
+
+test('school scope limits queries and access checks', () => {
+  const scope = ['507f1f77bcf86cd799439011'];
+  assert.deepEqual(scopeFilter(null), {});
+  assert.deepEqual(scopeFilter(scope, '_id'), { _id: { $in: scope } });
+  assert.equal(canAccessSchool(null, 'anything'), true);
+  assert.equal(canAccessSchool(scope, '507f1f77bcf86cd799439011'), true);
+  assert.equal(canAccessSchool(scope, '507f1f77bcf86cd799439012'), false);
+  assert.equal(canAccessSchool(scope, undefined), false);
+});
+
+test('routes need a permission held by the role and load the user\'s schools', async () => {
+  const schoolId = new mongoose.Types.ObjectId();
+  mock.method(User, 'findById', () => query({ school_ids: [schoolId] }));
+
+  const trustee = { user: { userId: new mongoose.Types.ObjectId().toString(), role: 'trustee' } };
+  assert.equal(await run(requirePermission('fees:manage'), trustee), 403);
+
+  const school = { user: { userId: new mongoose.Types.ObjectId().toString(), role: 'school' } };
+  assert.equal(await run(requirePermission('payments:read'), school), 'next');
+  assert.deepEqual(school.schoolScope, [schoolId]);
+
+  const admin = { user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin' } };
+  assert.equal(await run(requirePermission('payments:read'), admin), 'next');
+  assert.equal(admin.schoolScope, null);
+
+  assert.throws(() => requirePermission('unknown:permission'));
+});
+
+test('payments of schools outside the scope are not found', async () => {
+  const schoolId = new mongoose.Types.ObjectId();
+  mock.method(OrderStatus, 'findOne', () => query({ order_id: new mongoose.Types.ObjectId() }));
+  mock.method(Order, 'findById', () => query({ school_id: schoolId }));
+
+  const own = { params: { collect_id: 'collect_123' }, schoolScope: [schoolId] };
+  assert.equal(await run(requirePaymentAccess, own), 'next');
+
+  const other = { params: { collect_id: 'collect_123' }, schoolScope: [new mongoose.Types.ObjectId()] };
+  await assert.rejects(run(requirePaymentAccess, other), NotFoundError);
+});
@@ -0,0 +1,58 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { ReceiptCounter } from '../src/models/ReceiptCounter.js';
+import { Refund } from '../src/models/Refund.js';
+import { School } from '../src/models/School.js';
+import { issueReceiptNumber, getReceipt } from '../src/services/receiptService.js';
+import { query } from './helpers.js';
+
+const order = { school_id: new mongoose.Types.ObjectId() };
+
+afterEach(() => mock.restoreAll());
+
+const stubTransaction = () => mock.method(mongoose.connection, 'transaction', async (work) => work(null));
+
+test('a payment without a number takes the next one from its school counter', async () => {
+  stubTransaction();
+  const orderStatus = { _id: new mongoose.Types.ObjectId() };
+  mock.method(OrderStatus, 'findById', () => query({ _id: orderStatus._id }));
+  mock.method(ReceiptCounter, 'findOneAndUpdate', async () => ({ seq: 7 }));
+  mock.method(OrderStatus, 'findOneAndUpdate', async (filter, update) => ({ ...update }));
+
+  assert.equal(await issueReceiptNumber(orderStatus, order), 'RCP-000007');
+  assert.equal(orderStatus.receipt_number, 'RCP-000007');
+});
+
+test('a payment numbered by a concurrent request does not use up another number', async () => {
+  stubTransaction();
+  const orderStatus = { _id: new mongoose.Types.ObjectId() };
+  mock.method(OrderStatus, 'findById', () => query({ _id: orderStatus._id, receipt_number: 'RCP-000003' }));
+  const counter = mock.method(ReceiptCounter, 'findOneAndUpdate', async () => ({ seq: 8 }));
+
+  assert.equal(await issueReceiptNumber(orderStatus, order), 'RCP-000003');
+  assert.equal(counter.mock.callCount(), 0);
+});
+
+test('the receipt shows the order amount as paid and the gateway fee on its own line', async () => {
+  const orderStatus = {
+    _id: new mongoose.Types.ObjectId(),
+    order_id: new mongoose.Types.ObjectId(),
+    collect_id: 'collect_123',
+    status: 'success',
+    order_amount: 200,
+    transaction_amount: 204.5,
+    receipt_number: 'RCP-000001'
+  };
+  mock.method(OrderStatus, 'findOne', () => query(orderStatus));
+  mock.method(Order, 'findById', () => query({ _id: orderStatus.order_id, ...order, amount: 200 }));
+  mock.method(School, 'findById', () => query({ name: 'Test School' }));
+  mock.method(Refund, 'find', () => query([]));
+
+  const receipt = await getReceipt('collect_123');
+
+  assert.equal(receipt.amount_paid, 200);
+  assert.equal(receipt.gateway_fee, 4.5);
+});
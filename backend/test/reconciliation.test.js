@@ -0,0 +1,93 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { School } from '../src/models/School.js';
+import { Refund } from '../src/models/Refund.js';
+import { StatusHistory } from '../src/models/StatusHistory.js';
+import { ReconciliationRun } from '../src/models/ReconciliationRun.js';
+import edvironGateway from '../src/services/gateways/edvironGateway.js';
+import { runReconciliation } from '../src/jobs/reconcilePendingPayments.js';
+import { query } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const pendingPayment = (status = 'pending') => {
+  const orderStatus = new OrderStatus({
+    collect_id: 'collect_123',
+    order_id: new mongoose.Types.ObjectId(),
+    order_amount: 100,
+    status
+  });
+  orderStatus.createdAt = new Date(Date.now() - HOUR_MS);
+  orderStatus.save = async () => orderStatus;
+  return orderStatus;
+};
+
+const stubRun = (payments) => {
+  const run = new ReconciliationRun({ trigger: 'manual' });
+  run.save = async () => run;
+  mock.method(ReconciliationRun, 'updateMany', async () => ({}));
+  mock.method(ReconciliationRun, 'create', async () => run);
+  mock.method(OrderStatus, 'find', () => query(payments));
+  mock.method(Refund, 'find', () => query([]));
+  return run;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a second run is turned away by the unique index on running runs', async () => {
+  const activeId = new mongoose.Types.ObjectId();
+  mock.method(ReconciliationRun, 'updateMany', async () => ({}));
+  mock.method(ReconciliationRun, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  mock.method(ReconciliationRun, 'findOne', () => query({ _id: activeId }));
+
+  await assert.rejects(runReconciliation({ trigger: 'manual' }), {
+    name: 'ConflictError',
+    message: `Reconciliation run ${activeId} is already running`
+  });
+});
+
+test('payments whose order cannot be found are retried with backoff', async () => {
+  const orderStatus = pendingPayment();
+  const run = stubRun([orderStatus]);
+  mock.method(Order, 'findById', () => query(null));
+  mock.method(OrderStatus, 'findOne', () => query(null));
+
+  await runReconciliation({ trigger: 'manual' });
+
+  assert.equal(run.stats.errors, 1);
+  assert.equal(orderStatus.reconcile_attempts, 1);
+  assert.ok(orderStatus.next_reconcile_at > new Date());
+});
+
+test('a gateway status the transition check turns down is not counted as updated', async () => {
+  const orderStatus = pendingPayment();
+  const run = stubRun([orderStatus]);
+  mock.method(Order, 'findById', () => query({ _id: orderStatus.order_id, school_id: 'school_1', gateway_name: 'Edviron' }));
+  mock.method(School, 'findById', () => query({ name: 'Test School', pg_key: 'pg', pg_api_key: 'api' }));
+  mock.method(StatusHistory, 'create', async (entry) => entry);
+  // Another update moves the payment on before this one is checked
+  mock.method(edvironGateway, 'fetchStatus', async () => {
+    orderStatus.status = 'failed';
+    return { status: 'SUCCESS', amount: 100 };
+  });
+
+  await runReconciliation({ trigger: 'manual' });
+
+  assert.equal(run.stats.updated, 0);
+  assert.equal(run.stats.rejected, 1);
+});
+
+test('order records without a payment link are not sent to the gateway', async () => {
+  stubRun([]);
+
+  await runReconciliation({ trigger: 'manual' });
+
+  const [filter] = OrderStatus.find.mock.calls[0].arguments;
+  assert.equal(filter.status, 'pending');
+  assert.deepEqual(filter.payment_url, { $exists: true, $ne: null });
+});
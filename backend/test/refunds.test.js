@@ -0,0 +1,122 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { Refund } from '../src/models/Refund.js';
+import { School } from '../src/models/School.js';
+import { WebhookSubscription } from '../src/models/WebhookSubscription.js';
+import edvironGateway from '../src/services/gateways/edvironGateway.js';
+import { issueRefund, refreshRefund, resolveRefund } from '../src/services/refundService.js';
+import { GatewayError } from '../src/errors/index.js';
+import { query } from './helpers.js';
+
+// A paid payment of 100 with its refunds and refund lock kept in memory
+const stubPayment = () => {
+  const orderStatus = {
+    _id: new mongoose.Types.ObjectId(),
+    order_id: new mongoose.Types.ObjectId(),
+    collect_id: 'collect_123',
+    status: 'success',
+    order_amount: 100
+  };
+  const refunds = [];
+
+  mock.method(OrderStatus, 'findOne', () => query(orderStatus));
+  mock.method(OrderStatus, 'findOneAndUpdate', async (filter, update) => {
+    const lock = orderStatus.refund_locked_until;
+    if (lock && lock > new Date()) return null;
+    orderStatus.refund_locked_until = update.refund_locked_until;
+    return orderStatus;
+  });
+  mock.method(OrderStatus, 'updateOne', async (filter) => {
+    if (orderStatus.refund_locked_until === filter.refund_locked_until) {
+      delete orderStatus.refund_locked_until;
+    }
+  });
+  mock.method(Order, 'findById', () => query({ _id: orderStatus.order_id, school_id: new mongoose.Types.ObjectId(), gateway_name: 'Edviron' }));
+  mock.method(School, 'findById', () => query({ name: 'Test School', pg_key: 'pg', pg_api_key: 'api' }));
+  mock.method(WebhookSubscription, 'find', async () => []);
+  mock.method(Refund, 'aggregate', async ([{ $match }]) => {
+    const amount = refunds
+      .filter(refund => $match.status.$in.includes(refund.status))
+      .reduce((total, refund) => total + refund.amount, 0);
+    return [{ amount }];
+  });
+  mock.method(Refund, 'create', async (fields) => {
+    // Let a concurrent request run between the check and the insert
+    await new Promise(resolve => setImmediate(resolve));
+    const refund = new Refund(fields);
+    refund.save = async () => refund;
+    refunds.push(refund);
+    return refund;
+  });
+  mock.method(edvironGateway, 'initiateRefund', async ({ refundId }) => ({ refundId: `rfnd_${refundId}`, status: 'pending', raw: {} }));
+
+  return { orderStatus, refunds };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a refund cannot exceed the refundable amount', async () => {
+  const { refunds } = stubPayment();
+
+  await issueRefund('collect_123', { amount: 60 });
+  await assert.rejects(issueRefund('collect_123', { amount: 60 }), { name: 'ValidationError' });
+
+  assert.equal(refunds.length, 1);
+});
+
+test('concurrent refunds of the same payment cannot both pass the refundable check', async () => {
+  const { refunds, orderStatus } = stubPayment();
+
+  const results = await Promise.allSettled([
+    issueRefund('collect_123', { amount: 60 }),
+    issueRefund('collect_123', { amount: 60 })
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.name, 'ConflictError');
+  assert.equal(refunds.length, 1);
+  assert.equal(orderStatus.refund_locked_until, undefined);
+});
+
+test('a refund the gateway never confirmed moves to review and keeps its amount reserved', async () => {
+  const { refunds } = stubPayment();
+  mock.method(edvironGateway, 'initiateRefund', async () => {
+    throw new GatewayError('Payment gateway timed out', { reason: 'timeout' });
+  });
+
+  const refund = await issueRefund('collect_123', { amount: 60 });
+  assert.equal(refund.status, 'pending');
+
+  refund.createdAt = new Date();
+  await refreshRefund(refund);
+  assert.equal(refund.status, 'pending');
+
+  refund.createdAt = new Date(Date.now() - 25 * 60 * 60 * 1000);
+  await refreshRefund(refund);
+  assert.equal(refund.status, 'review');
+
+  await assert.rejects(issueRefund('collect_123', { amount: 60 }), { name: 'ValidationError' });
+  assert.equal(refunds.length, 1);
+});
+
+test('a refund in review is resolved from the gateway dashboard', async () => {
+  const { orderStatus } = stubPayment();
+  mock.method(OrderStatus, 'findById', () => query(orderStatus));
+  mock.method(edvironGateway, 'fetchRefundStatus', async (refundId) => ({ refundId, status: 'pending', raw: {} }));
+
+  const missing = new Refund({ amount: 10, status: 'review' });
+  missing.save = async () => missing;
+  await assert.rejects(resolveRefund(missing, {}), { name: 'ValidationError' });
+  await resolveRefund(missing, { status: 'failed' });
+  assert.equal(missing.status, 'failed');
+  await assert.rejects(resolveRefund(missing, { status: 'failed' }), { name: 'ConflictError' });
+
+  const found = new Refund({ amount: 10, status: 'review', order_status_id: orderStatus._id });
+  found.save = async () => found;
+  await resolveRefund(found, { gatewayRefundId: 'rfnd_1' });
+  assert.equal(found.status, 'pending');
+  assert.equal(found.gateway_refund_id, 'rfnd_1');
+});
@@ -0,0 +1,79 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { School } from '../src/models/School.js';
+import { Notification } from '../src/models/Notification.js';
+import { getReminderDueAt, runReminders } from '../src/services/reminderService.js';
+import { query } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Links stay payable for a week, so a two-day-old link is still reminded
+process.env.GATEWAY_LINK_EXPIRY_MINUTES = String(7 * 24 * 60);
+
+const settings = { scheduleDays: [1, 3, 7], repeatDays: 7, maxCount: 5, expiryMinutes: 30 * 24 * 60 };
+
+// A pending payment link created two days ago whose first reminder is due
+const stubDuePayment = (order) => {
+  const orderStatus = {
+    _id: new mongoose.Types.ObjectId(),
+    order_id: new mongoose.Types.ObjectId(),
+    collect_id: 'collect_123',
+    status: 'pending',
+    payment_url: 'https://pay.example/collect_123',
+    order_amount: 100,
+    reminder_count: 0,
+    createdAt: new Date(Date.now() - 2 * DAY_MS)
+  };
+  // Due reminders are looked up first, then links about to expire
+  const find = mock.method(OrderStatus, 'find', () => query([]));
+  find.mock.mockImplementationOnce(() => query([orderStatus]));
+  mock.method(OrderStatus, 'findOne', () => query(orderStatus));
+  mock.method(Order, 'findById', () => query({ _id: orderStatus.order_id, school_id: new mongoose.Types.ObjectId(), ...order }));
+  mock.method(School, 'findById', () => query(null));
+  return orderStatus;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('reminders follow the schedule, then repeat until the maximum count', () => {
+  const createdAt = new Date('2025-01-01T00:00:00Z');
+  const days = [0, 1, 2, 3, 4, 5].map(count => {
+    const dueAt = getReminderDueAt(createdAt, count, settings);
+    return dueAt && (dueAt - createdAt) / DAY_MS;
+  });
+
+  assert.deepEqual(days, [1, 3, 7, 14, 21, null]);
+});
+
+test('no reminder is scheduled once the link has expired', () => {
+  const createdAt = new Date('2025-01-01T00:00:00Z');
+  assert.equal(getReminderDueAt(createdAt, 2, { ...settings, expiryMinutes: 5 * 24 * 60 }), null);
+});
+
+test('opted-out payments are looked at again later without sending a reminder', async () => {
+  stubDuePayment({ reminders_opt_out: true, student_info: { email: 'payer@example.com' } });
+  const updateOne = mock.method(OrderStatus, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const claim = mock.method(OrderStatus, 'findOneAndUpdate', async () => null);
+
+  const result = await runReminders();
+
+  assert.equal(result.reminders, 0);
+  assert.equal(claim.mock.callCount(), 0);
+  assert.ok(updateOne.mock.calls[0].arguments[1].next_reminder_at > new Date());
+});
+
+test('a reminder claimed by an overlapping run is not sent again', async () => {
+  stubDuePayment({ student_info: { email: 'payer@example.com' } });
+  const claim = mock.method(OrderStatus, 'findOneAndUpdate', async () => null);
+  const save = mock.method(Notification.prototype, 'save', async function () { return this; });
+
+  const result = await runReminders();
+
+  assert.equal(claim.mock.callCount(), 1);
+  assert.deepEqual(claim.mock.calls[0].arguments[0].reminder_count, 0);
+  assert.equal(result.reminders, 0);
+  assert.equal(save.mock.callCount(), 0);
+});
@@ -0,0 +1,45 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { School } from '../src/models/School.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import Order from '../src/models/Order.js';
+import { resolveSchool, resolveOrderContext, getGatewayCredentials } from '../src/services/schoolService.js';
+import { NotFoundError, ValidationError } from '../src/errors/index.js';
+import { query } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+test('schools are looked up by Edviron school id, and by _id when it is an ObjectId', async () => {
+  const school = { _id: new mongoose.Types.ObjectId(), edviron_school_id: 'EDV-1' };
+  const findOne = mock.method(School, 'findOne', () => query(school));
+
+  assert.equal(await resolveSchool('EDV-1'), school);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { $or: [{ edviron_school_id: 'EDV-1' }] });
+
+  await resolveSchool(school._id.toString());
+  assert.deepEqual(findOne.mock.calls[1].arguments[0].$or[1], { _id: school._id.toString() });
+});
+
+test('a missing or unknown school id is rejected', async () => {
+  mock.method(School, 'findOne', () => query(null));
+
+  await assert.rejects(resolveSchool(undefined), ValidationError);
+  await assert.rejects(resolveSchool('EDV-404'), NotFoundError);
+});
+
+test('an order and its school are found from the gateway collect id', async () => {
+  const order = { _id: new mongoose.Types.ObjectId(), school_id: new mongoose.Types.ObjectId() };
+  const school = { _id: order.school_id, pg_key: 'key', pg_api_key: 'api-key' };
+  mock.method(OrderStatus, 'findOne', () => query({ order_id: order._id }));
+  mock.method(Order, 'findById', () => query(order));
+  mock.method(School, 'findById', () => query(school));
+
+  assert.deepEqual(await resolveOrderContext({ collectId: 'collect-1' }), { order, school });
+});
+
+test('gateway credentials come from the school and must be configured', () => {
+  const school = { name: 'Test School', edviron_school_id: 'EDV-1', pg_key: 'key', pg_api_key: 'api-key' };
+  assert.deepEqual(getGatewayCredentials(school), { schoolId: 'EDV-1', pgKey: 'key', apiKey: 'api-key' });
+  assert.throws(() => getGatewayCredentials({ ...school, pg_api_key: undefined }), ValidationError);
+});
@@ -0,0 +1,102 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Session } from '../src/models/Session.js';
+import { User } from '../src/models/User.js';
+import { createSession, refreshSession } from '../src/services/sessionService.js';
+
+// Sessions kept in memory; token hashes are matched like the unique index would
+const stubSessions = () => {
+  const sessions = [];
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin', token_version: 0 };
+
+  mock.method(User, 'findById', async () => user);
+  mock.method(Session, 'create', async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), previous_token_hashes: [], ...fields };
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(candidate => candidate.token_hash === filter.token_hash && !candidate.revoked_at);
+    if (!session) return null;
+    const { $push, ...fields } = update;
+    const { $each, $slice } = $push.previous_token_hashes;
+    Object.assign(session, fields, { previous_token_hashes: [...session.previous_token_hashes, ...$each].slice($slice) });
+    return session;
+  });
+  mock.method(Session, 'findOne', async (filter) => sessions.find(candidate =>
+    candidate.previous_token_hashes.includes(filter.previous_token_hashes) && !candidate.revoked_at) || null);
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.find(candidate => String(candidate._id) === String(filter._id));
+    if (session) Object.assign(session, update);
+  });
+
+  return { sessions, user };
+};
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.REFRESH_REUSE_GRACE_SECONDS;
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const { user } = stubSessions();
+  const first = await createSession(user);
+
+  const second = await refreshSession(first.refresh_token);
+
+  assert.ok(second.token);
+  assert.ok(second.refresh_token);
+  assert.notEqual(second.refresh_token, first.refresh_token);
+});
+
+test('a concurrent refresh with the token just rotated out gets an access token only', async () => {
+  const { sessions, user } = stubSessions();
+  const first = await createSession(user);
+
+  await refreshSession(first.refresh_token);
+  const concurrent = await refreshSession(first.refresh_token);
+
+  assert.ok(concurrent.token);
+  assert.equal(concurrent.refresh_token, undefined);
+  assert.equal(sessions[0].revoked_at, undefined);
+});
+
+test('replaying an older rotated-out token revokes the session', async () => {
+  const { sessions, user } = stubSessions();
+  const first = await createSession(user);
+
+  const second = await refreshSession(first.refresh_token);
+  await refreshSession(second.refresh_token);
+
+  // No longer the latest rotated-out token
+  await assert.rejects(refreshSession(first.refresh_token), { name: 'UnauthorizedError' });
+  assert.equal(sessions[0].revoked_reason, 'token_reuse');
+});
+
+test('replaying the latest rotated-out token once the grace window is over revokes the session', async () => {
+  process.env.REFRESH_REUSE_GRACE_SECONDS = '0';
+  const { sessions, user } = stubSessions();
+  const first = await createSession(user);
+
+  await refreshSession(first.refresh_token);
+  sessions[0].rotated_at = new Date(Date.now() - 1000);
+
+  await assert.rejects(refreshSession(first.refresh_token), { name: 'UnauthorizedError' });
+  assert.equal(sessions[0].revoked_reason, 'token_reuse');
+});
+
+test('only the latest rotated-out token hashes are kept', async () => {
+  const { sessions, user } = stubSessions();
+  let tokens = await createSession(user);
+
+  for (let i = 0; i < 55; i++) {
+    tokens = await refreshSession(tokens.refresh_token);
+  }
+
+  assert.equal(sessions[0].previous_token_hashes.length, 50);
+});
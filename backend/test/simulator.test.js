@@ -0,0 +1,88 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { createEdvironSimulator } from '../src/simulator/edvironSimulator.js';
+
+const pgKey = 'test-pg-key';
+const simulator = createEdvironSimulator({ pgKey, apiKey: 'test-api-key', scenario: { webhook: false } });
+const server = http.createServer(simulator.app);
+let baseUrl;
+
+const api = (path, { method = 'GET', body, apiKey = 'test-api-key' } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+  body: body && JSON.stringify(body),
+  redirect: 'manual'
+});
+
+const createCollectRequest = async () => {
+  const payload = { school_id: 'school-1', amount: '250', callback_url: 'http://localhost:5173/payment/callback' };
+  const response = await api('/create-collect-request', {
+    method: 'POST',
+    body: { ...payload, sign: jwt.sign(payload, pgKey) }
+  });
+  return { response, data: await response.json() };
+};
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => simulator.reset());
+
+test('collect requests are created with a signed payload and start pending', async () => {
+  const { response, data } = await createCollectRequest();
+  assert.equal(response.status, 200);
+  assert.equal(jwt.verify(data.sign, pgKey).collect_request_id, data.collect_request_id);
+
+  const sign = jwt.sign({ school_id: 'school-1', collect_request_id: data.collect_request_id }, pgKey);
+  const status = await api(`/collect-request/${data.collect_request_id}?school_id=school-1&sign=${sign}`);
+  assert.equal(status.status, 200);
+  assert.equal((await status.json()).status, 'PENDING');
+});
+
+test('requests with a wrong sign or API key are rejected', async () => {
+  const payload = { school_id: 'school-1', amount: '250', callback_url: 'http://localhost/cb' };
+  const badSign = await api('/create-collect-request', {
+    method: 'POST',
+    body: { ...payload, sign: jwt.sign(payload, 'other-key') }
+  });
+  assert.equal(badSign.status, 400);
+
+  const badKey = await api('/create-collect-request', {
+    method: 'POST',
+    apiKey: 'wrong',
+    body: { ...payload, sign: jwt.sign(payload, pgKey) }
+  });
+  assert.equal(badKey.status, 401);
+});
+
+test('completing a payment redirects to the callback and updates the status', async () => {
+  const { data } = await createCollectRequest();
+  const response = await api(`/pay/${data.collect_request_id}/complete?status=failed`);
+
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.searchParams.get('EdvironCollectRequestId'), data.collect_request_id);
+  assert.equal(location.searchParams.get('status'), 'FAILED');
+  assert.equal(simulator.collectRequests.get(data.collect_request_id).status, 'FAILED');
+});
+
+test('scenario controls fail gateway API calls until reset', async () => {
+  const update = await fetch(`${baseUrl}/__simulator/scenario`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ serverError: 503, unknown: true })
+  });
+  assert.equal((await update.json()).unknown, undefined);
+
+  const { response } = await createCollectRequest();
+  assert.equal(response.status, 503);
+
+  simulator.reset();
+  assert.equal((await createCollectRequest()).response.status, 200);
+});
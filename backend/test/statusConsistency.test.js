@@ -0,0 +1,41 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { findStatusDrift, repairStatusDrift } from '../src/services/statusConsistencyService.js';
+
+afterEach(() => mock.restoreAll());
+
+const legacyOrder = () => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  school_id: new mongoose.Types.ObjectId(),
+  trustee_id: new mongoose.Types.ObjectId(),
+  student_info: { name: 'Student' },
+  gateway_name: 'Edviron',
+  amount: 100,
+  currency: 'INR',
+  status: 'completed'
+});
+
+test('orders with the legacy completed status still validate, as success', async () => {
+  const order = legacyOrder();
+  order.amount = 120;
+
+  await order.validate();
+
+  assert.equal(order.status, 'success');
+});
+
+test('the repair converts legacy statuses of orders without a single payment', async () => {
+  const orderId = new mongoose.Types.ObjectId();
+  mock.method(Order, 'aggregate', async () => [{ _id: orderId, status: 'completed', statuses: [] }]);
+  mock.method(OrderStatus, 'aggregate', async () => []);
+  const updates = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const drift = await findStatusDrift();
+  assert.deepEqual(drift.map(entry => [entry.type, entry.payment_status]), [['legacy_status', 'success']]);
+
+  assert.deepEqual(await repairStatusDrift(drift), { repaired: 1, skipped: 0 });
+  assert.deepEqual(updates.mock.calls[0].arguments.slice(0, 2), [{ _id: orderId, status: 'completed' }, { status: 'success' }]);
+});
@@ -0,0 +1,123 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import { OrderStatus } from '../src/models/OrderStatus.js';
+import { School } from '../src/models/School.js';
+import { WebhookLog } from '../src/models/WebhookLog.js';
+import { StatusHistory } from '../src/models/StatusHistory.js';
+import { processWebhook } from '../src/services/webhookProcessor.js';
+import { query } from './helpers.js';
+
+const PG_KEY = 'pg_key';
+const COLLECT_ID = 'collect_123';
+
+const delivery = () => {
+  const body = { status: 200, order_info: { order_id: COLLECT_ID, status: 'success', transaction_amount: 100 } };
+  body.sign = jwt.sign({ order_id: COLLECT_ID }, PG_KEY);
+  const rawBody = JSON.stringify(body);
+  return {
+    body,
+    rawBody,
+    headers: { 'x-edviron-signature': crypto.createHmac('sha256', PG_KEY).update(rawBody).digest('hex') }
+  };
+};
+
+const stubPayment = () => {
+  const orderStatus = new OrderStatus({ collect_id: COLLECT_ID, order_id: '507f1f77bcf86cd799439011', order_amount: 100 });
+  mock.method(OrderStatus, 'findOne', () => query(orderStatus));
+  mock.method(Order, 'findById', () => query({ _id: orderStatus.order_id, school_id: 'school_1', gateway_name: 'Edviron' }));
+  mock.method(School, 'findById', () => query({ name: 'Test School', pg_key: PG_KEY, pg_api_key: 'api' }));
+  return orderStatus;
+};
+
+// Every WebhookLog is saved once the delivery has an outcome
+const stubLogs = () => {
+  const saved = [];
+  mock.method(WebhookLog.prototype, 'save', async function () {
+    saved.push(this.status);
+    return this;
+  });
+  mock.method(WebhookLog, 'findOne', () => query(null));
+  return saved;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a payload without order_info is logged as invalid', async () => {
+  const saved = stubLogs();
+
+  const { httpStatus, log } = await processWebhook({ body: { status: 200 }, rawBody: '{"status":200}' });
+
+  assert.equal(httpStatus, 400);
+  assert.equal(log.status, 'invalid');
+  assert.deepEqual(saved, ['invalid']);
+});
+
+test('a webhook for an unknown order is logged as failed so it can be replayed', async () => {
+  const saved = stubLogs();
+  mock.method(OrderStatus, 'findOne', () => query(null));
+
+  const { httpStatus, log } = await processWebhook(delivery());
+
+  assert.equal(httpStatus, 404);
+  assert.equal(log.collect_id, COLLECT_ID);
+  assert.deepEqual(saved, ['failed']);
+});
+
+test('a body that does not match its signature is rejected without applying it', async () => {
+  const orderStatus = stubPayment();
+  const saved = stubLogs();
+  const webhook = delivery();
+  webhook.rawBody = webhook.rawBody.replace('100', '1');
+
+  const { httpStatus } = await processWebhook(webhook);
+
+  assert.equal(httpStatus, 403);
+  assert.deepEqual(saved, ['invalid']);
+  assert.equal(orderStatus.status, 'pending');
+});
+
+test('a signed webhook is applied to the payment and logged as processed', async () => {
+  const orderStatus = stubPayment();
+  const saved = stubLogs();
+  mock.method(OrderStatus.prototype, 'save', async function () { return this; });
+  mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const history = mock.method(StatusHistory, 'create', async (entry) => entry);
+  mock.method(mongoose.connection, 'transaction', async (work) => work(null));
+
+  const { httpStatus, log } = await processWebhook(delivery());
+
+  assert.equal(httpStatus, 200);
+  assert.equal(log.status, 'processed');
+  assert.equal(saved.at(-1), 'processed');
+  assert.equal(orderStatus.status, 'success');
+  assert.equal(orderStatus.transaction_amount, 100);
+  assert.equal(history.mock.callCount(), 1);
+});
+
+test('a delivery that loses the claim on its update is stored as a duplicate without applying it', async () => {
+  const orderStatus = stubPayment();
+  const saved = [];
+  mock.method(WebhookLog.prototype, 'save', async function () {
+    if (this.status === 'processed') {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    saved.push(this.status);
+    return this;
+  });
+  const originalId = new mongoose.Types.ObjectId();
+  mock.method(WebhookLog, 'findOne', () => query({ _id: originalId }));
+  const transaction = mock.method(mongoose.connection, 'transaction', async (work) => work(null));
+
+  const { httpStatus, log } = await processWebhook(delivery());
+
+  assert.equal(httpStatus, 200);
+  assert.equal(log.status, 'duplicate');
+  assert.equal(log.duplicate_of.toString(), originalId.toString());
+  assert.deepEqual(saved, ['duplicate']);
+  assert.equal(orderStatus.status, 'pending');
+  assert.equal(transaction.mock.callCount(), 0);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetryDelayMs, scheduleRetry } from '../src/utils/worker.js';
+
+const MINUTE_MS = 60 * 1000;
+
+test('retries back off exponentially, up to six hours', () => {
+  assert.equal(getRetryDelayMs(1), MINUTE_MS);
+  assert.equal(getRetryDelayMs(4), 8 * MINUTE_MS);
+  assert.equal(getRetryDelayMs(20), 6 * 60 * MINUTE_MS);
+});
+
+test('a failed attempt is rescheduled until the attempts run out or it is given up', () => {
+  const pending = { status: 'pending', attempts: 2 };
+  scheduleRetry(pending, { maxAttempts: 3 });
+  assert.equal(pending.status, 'pending');
+  assert.ok(pending.next_attempt_at > new Date(Date.now() + MINUTE_MS));
+
+  const exhausted = { status: 'pending', attempts: 3 };
+  scheduleRetry(exhausted, { maxAttempts: 3 });
+  assert.equal(exhausted.status, 'failed');
+  assert.equal(exhausted.next_attempt_at, undefined);
+
+  const givenUp = { status: 'pending', attempts: 1 };
+  scheduleRetry(givenUp, { maxAttempts: 3, giveUp: true });
+  assert.equal(givenUp.status, 'failed');
+});
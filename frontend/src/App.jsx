@@ -1,23 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
-import axios from './utils/axiosConfig.js';
+import axios, { clearTokens } from './utils/axiosConfig.js';
 import Login from './components/Login.jsx';
 import Register from './components/Register.jsx';
+import ForgotPassword from './components/ForgotPassword.jsx';
+import ResetPassword from './components/ResetPassword.jsx';
+import VerifyEmail from './components/VerifyEmail.jsx';
 import Dashboard from './components/Dashboard.jsx';
 import CreatePayment from './components/CreatePayment.jsx';
+import BulkPayments from './components/BulkPayments.jsx';
 import TransactionStatusCheck from './components/TransactionStatusCheck.jsx';
 import ExternalPaymentRedirect from './components/ExternalPaymentRedirect.jsx';
+import { downloadReceipt, hasReceipt } from './utils/receipts.js';
 
 // Global auth context
 const AuthContext = React.createContext({
   isAuthenticated: false,
-  handleLogout: () => {}
+  handleLogout: () => {},
+  handleLogoutAll: () => {}
 });
 
-// Logout Component
+// Logout Component; /logout?all=1 signs out every device
 const Logout = () => {
   const [isLoggingOut, setIsLoggingOut] = useState(true);
   const navigate = useNavigate();
+  const location = useLocation();
 
   useEffect(() => {
     // Prevent multiple logout attempts
@@ -25,17 +32,16 @@ const Logout = () => {
     
     const performLogout = async () => {
       try {
-        // Optional: Call backend logout endpoint if exists
-        await axios.post('/auth/logout', {}, {
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        });
+        if (new URLSearchParams(location.search).get('all')) {
+          await axios.post('/auth/logout-all');
+        }
+        // Revoke this session on the backend
+        await axios.post('/auth/logout', { refresh_token: localStorage.getItem('refreshToken') });
       } catch (error) {
         console.error('Logout error:', error);
       } finally {
-        // Clear authentication token and user data
-        localStorage.removeItem('token');
+        // Clear authentication tokens
+        clearTokens();
         
         // Set logout complete
         setIsLoggingOut(false);
@@ -46,7 +52,7 @@ const Logout = () => {
     };
 
     performLogout();
-  }, [navigate, isLoggingOut]);
+  }, [navigate, isLoggingOut, location.search]);
 
   return <div className="flex items-center justify-center min-h-screen bg-dark-bg">
     <div className="text-gray-300">{isLoggingOut ? 'Logging out...' : 'Redirecting to login...'}</div>
@@ -69,6 +75,8 @@ const PaymentCallback = () => {
     orderId: '',
     message: ''
   });
+  const [transaction, setTransaction] = useState(null);
+  const [receiptError, setReceiptError] = useState('');
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -151,6 +159,7 @@ const PaymentCallback = () => {
         });
         
         debugLog('Transaction details from API', response.data);
+        setTransaction(response.data);
         
         // If the API returns a different status, use that instead
         if (response.data && response.data.status) {
@@ -185,6 +194,17 @@ const PaymentCallback = () => {
 
   }, [navigate, location]);
 
+  // Download the receipt of a successful payment
+  const handleDownloadReceipt = async () => {
+    setReceiptError('');
+    try {
+      await downloadReceipt(transaction.collect_id);
+    } catch (error) {
+      debugLog('Error downloading receipt', error);
+      setReceiptError('Failed to download the receipt. Please try again.');
+    }
+  };
+
   // Function to go back to dashboard
   const goToDashboard = () => {
     navigate('/dashboard', { 
@@ -261,12 +281,42 @@ const PaymentCallback = () => {
                     </span>
                   </div>
                 )}
+                {transaction?.receipt_number && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Receipt No:</span>
+                    <span className="text-gray-300 font-mono">{transaction.receipt_number}</span>
+                  </div>
+                )}
+                {transaction?.bank_reference && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Bank Reference:</span>
+                    <span className="text-gray-300 font-mono">{transaction.bank_reference}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-400">Date:</span>
-                  <span className="text-gray-300">{new Date().toLocaleString()}</span>
+                  <span className="text-gray-300">
+                    {new Date(transaction?.payment_time || Date.now()).toLocaleString()}
+                  </span>
                 </div>
               </div>
             </div>
+
+            {/* Receipt Button */}
+            {transaction?.collect_id && hasReceipt(transaction.status) && (
+              <button
+                onClick={handleDownloadReceipt}
+                className="w-full px-4 py-3 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors duration-300 flex items-center justify-center"
+              >
+                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3M6 20h12a2 2 0 002-2V8l-6-6H6a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+                </svg>
+                Download Receipt
+              </button>
+            )}
+            {receiptError && (
+              <div className="mt-3 text-sm text-red-400">{receiptError}</div>
+            )}
             
             {/* Dashboard Button */}
             <button
@@ -300,6 +350,9 @@ const ProtectedRoute = ({ children }) => {
   return token ? children : <Navigate to="/login" replace />;
 };
 
+// Pages that do not need a signed-in user
+const PUBLIC_PATHS = ['/register', '/logout', '/forgot-password', '/reset-password', '/verify-email'];
+
 // Main App Component
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -317,6 +370,11 @@ function App() {
     navigate('/logout');
   };
 
+  // Sign out of every device
+  const handleLogoutAll = () => {
+    navigate('/logout?all=1');
+  };
+
   // Navigation logic
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -328,16 +386,16 @@ function App() {
         navigate('/dashboard');
       }
     } 
-    // If not authenticated, redirect to login except on register, logout or payment-callback pages
-    else if (location.pathname !== '/register' && 
-             location.pathname !== '/logout' && 
+    // If not authenticated, redirect to login except on public pages (register, logout,
+    // password reset, email confirmation and payment-callback)
+    else if (!PUBLIC_PATHS.includes(location.pathname) &&
              !location.pathname.startsWith('/payment-callback')) {
       navigate('/login');
     }
   }, [location.pathname, navigate]);
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, handleLogout }}>
+    <AuthContext.Provider value={{ isAuthenticated, handleLogout, handleLogoutAll }}>
       <div className="min-h-screen bg-dark-bg">
         {isAuthenticated && location.pathname !== '/logout' && 
          !location.pathname.startsWith('/payment-callback') && (
@@ -347,6 +405,9 @@ function App() {
         <Routes>
           <Route path="/login" element={<Login setIsAuthenticated={setIsAuthenticated} />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           
           {/* Protected Routes */}
           <Route 
@@ -365,6 +426,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/bulk-payments" 
+            element={
+              <ProtectedRoute>
+                <BulkPayments />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* Transaction Status Check Route */}
           <Route 
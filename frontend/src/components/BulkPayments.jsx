@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../utils/axiosConfig.js';
+import { useNavigate } from 'react-router-dom';
+import NeonGridBackground from './NeonGridBackground';
+
+// How often a batch that is still processing is refreshed
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * BulkPayments Component - Creates payment links for many students from a CSV upload
+ *
+ * - Upload a CSV for a school; every row is validated before anything is created
+ * - Shows the rows that failed validation or link creation
+ * - Follows the batch while its payment links are created
+ * - Downloads the generated payment URLs as CSV
+ */
+export default function BulkPayments() {
+  const navigate = useNavigate();
+  const [schools, setSchools] = useState([]);
+  const [schoolId, setSchoolId] = useState('');
+  const [file, setFile] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the schools payments can be collected for
+  useEffect(() => {
+    const fetchSchools = async () => {
+      try {
+        const response = await axios.get('schools', { params: { active: true } });
+        setSchools(response.data);
+        if (response.data.length > 0) {
+          setSchoolId(current => current || response.data[0]._id);
+        }
+      } catch (err) {
+        console.error('Failed to load schools:', err);
+        setError('Failed to load schools. Please refresh the page.');
+      }
+    };
+    fetchSchools();
+  }, []);
+
+  // Refresh the batch until all its links are created
+  useEffect(() => {
+    if (!batch || batch.status !== 'processing') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`payments/bulk/${batch._id}`);
+        setBatch(response.data);
+      } catch (err) {
+        console.error('Failed to refresh batch:', err);
+        setError('Failed to refresh the upload. Please reload the page.');
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [batch]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Choose a CSV file to upload');
+      return;
+    }
+
+    setIsUploading(true);
+    setError('');
+    setBatch(null);
+    try {
+      const csv = await file.text();
+      const response = await axios.post('payments/bulk', csv, {
+        params: { school_id: schoolId, file_name: file.name },
+        headers: { 'Content-Type': 'text/csv' },
+        timeout: 120000
+      });
+      setBatch(response.data);
+    } catch (err) {
+      console.error('Bulk upload failed:', err);
+      setError(err.response?.data?.details || err.response?.data?.message || 'Failed to upload the CSV file.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await axios.get(`payments/bulk/${batch._id}/links.csv`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payment-links-${batch._id}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download payment links:', err);
+      setError('Failed to download the payment links. Please try again.');
+    }
+  };
+
+  const problemRows = batch ? batch.rows.filter(row => row.status === 'invalid' || row.status === 'failed') : [];
+
+  return (
+    <div className="relative min-h-screen bg-dark-bg flex items-center justify-center px-4 py-12 overflow-hidden">
+      <NeonGridBackground />
+
+      <div className="relative z-10 max-w-3xl w-full bg-black-grid/60 backdrop-blur-lg rounded-2xl shadow-2xl border border-black-border p-8 space-y-6">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-200">Bulk Payment Links</h2>
+          <p className="mt-2 text-sm text-gray-500">
+            Upload a CSV with the columns student_id, name, email, phone and amount (or fee_structure_id and fee_heads)
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-500/20 border border-red-500/30 text-red-300 p-4 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleUpload} className="space-y-6">
+          <div>
+            <label htmlFor="schoolId" className="block text-sm font-medium text-gray-400">
+              School
+            </label>
+            <select
+              id="schoolId"
+              value={schoolId}
+              onChange={(e) => setSchoolId(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+            >
+              {schools.length === 0 && <option value="">No schools available</option>}
+              {schools.map(school => (
+                <option key={school._id} value={school._id}>{school.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="csvFile" className="block text-sm font-medium text-gray-400">
+              CSV File
+            </label>
+            <input
+              id="csvFile"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="mt-1 block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-gray-700 file:text-gray-200 hover:file:bg-gray-600"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isUploading || !schoolId}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-300"
+          >
+            {isUploading ? 'Validating...' : 'Upload and Create Links'}
+          </button>
+        </form>
+
+        {batch && (
+          <div className="bg-black-grid/30 border border-black-border rounded-lg p-4 space-y-4">
+            <div className="flex justify-between items-center">
+              <h3 className="text-gray-300 font-medium">
+                {batch.file_name || 'Upload'} <span className="text-sm text-gray-500 capitalize">({batch.status})</span>
+              </h3>
+              <button
+                onClick={handleDownload}
+                className="text-sm text-blue-400 hover:text-blue-300 underline transition-colors"
+              >
+                Download payment links
+              </button>
+            </div>
+
+            <div className="grid grid-cols-5 gap-2 text-center text-sm">
+              {['total', 'pending', 'created', 'invalid', 'failed'].map(key => (
+                <div key={key} className="bg-black-hover/40 rounded-lg p-2">
+                  <div className="text-gray-200 font-semibold">{batch.stats[key]}</div>
+                  <div className="text-gray-500 capitalize">{key}</div>
+                </div>
+              ))}
+            </div>
+
+            {problemRows.length > 0 && (
+              <div className="max-h-64 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400">
+                      <th className="py-1 pr-2">Row</th>
+                      <th className="py-1 pr-2">Student</th>
+                      <th className="py-1">Errors</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {problemRows.map(row => (
+                      <tr key={row.row_number} className="border-t border-black-border text-gray-300">
+                        <td className="py-1 pr-2">{row.row_number}</td>
+                        <td className="py-1 pr-2">{row.name || row.student_id}</td>
+                        <td className="py-1 text-red-300">{row.row_errors.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-center space-x-4 pt-4">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            Back to Dashboard
+          </button>
+          <button
+            onClick={() => navigate('/create-payment')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            Create a Single Payment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
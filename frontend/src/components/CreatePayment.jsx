@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import axios from '../utils/axiosConfig.js';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../App';
@@ -26,6 +26,8 @@ import NeonGridBackground from './NeonGridBackground';
 export default function CreatePayment() {
   // State for form data with all required payment fields
   const [formData, setFormData] = useState({
+    schoolId: '',
+    feeStructureId: '',
     amount: '',
     studentName: '',
     studentId: '',
@@ -39,6 +41,14 @@ export default function CreatePayment() {
   const [paymentCreated, setPaymentCreated] = useState(false);
   const [paymentDetails, setPaymentDetails] = useState(null);
   const [animationClass, setAnimationClass] = useState('');
+  const [schools, setSchools] = useState([]);
+  const [feeStructures, setFeeStructures] = useState([]);
+  const [selectedFeeHeads, setSelectedFeeHeads] = useState([]);
+  const [linkStatus, setLinkStatus] = useState('');
+
+  // Idempotency-Key for the payment being created; reused when the same form is
+  // submitted again (double-click, retry after timeout) so only one payment is created
+  const idempotencyKeyRef = useRef(null);
   
   // Hooks for navigation and authentication
   const navigate = useNavigate();
@@ -55,12 +65,83 @@ export default function CreatePayment() {
     return () => clearTimeout(timer);
   }, []);
 
+  // Load the schools payments can be collected for
+  useEffect(() => {
+    const fetchSchools = async () => {
+      try {
+        const response = await axios.get('schools', { params: { active: true } });
+        setSchools(response.data);
+        if (response.data.length > 0) {
+          setFormData(prevState => ({ ...prevState, schoolId: prevState.schoolId || response.data[0]._id }));
+        }
+      } catch (err) {
+        console.error('Failed to load schools:', err);
+        setError('Failed to load schools. Please refresh the page.');
+      }
+    };
+
+    fetchSchools();
+  }, []);
+
+  // Load the fee structures of the selected school
+  useEffect(() => {
+    if (!formData.schoolId) {
+      setFeeStructures([]);
+      return;
+    }
+
+    const fetchFeeStructures = async () => {
+      try {
+        const response = await axios.get(`schools/${formData.schoolId}/fee-structures`, { params: { active: true } });
+        setFeeStructures(response.data);
+      } catch (err) {
+        console.error('Failed to load fee structures:', err);
+        setFeeStructures([]);
+      }
+    };
+
+    fetchFeeStructures();
+    setFormData(prevState => ({ ...prevState, feeStructureId: '' }));
+    setSelectedFeeHeads([]);
+  }, [formData.schoolId]);
+
+  const selectedFeeStructure = feeStructures.find(structure => structure._id === formData.feeStructureId);
+
+  // Amount due for the selected fee heads; the server computes the same total
+  const feeTotal = selectedFeeStructure
+    ? selectedFeeStructure.items
+      .filter(item => selectedFeeHeads.includes(item.fee_head_id._id))
+      .reduce((total, item) => total + item.amount, 0)
+    : 0;
+
+  /**
+   * Handle fee structure selection; every fee head is selected by default
+   */
+  const handleFeeStructureChange = (e) => {
+    const { value } = e.target;
+    idempotencyKeyRef.current = null;
+    const structure = feeStructures.find(item => item._id === value);
+    setSelectedFeeHeads(structure ? structure.items.map(item => item.fee_head_id._id) : []);
+    setFormData(prevState => ({ ...prevState, feeStructureId: value }));
+  };
+
+  const toggleFeeHead = (feeHeadId) => {
+    idempotencyKeyRef.current = null;
+    setSelectedFeeHeads(prevState => (
+      prevState.includes(feeHeadId)
+        ? prevState.filter(id => id !== feeHeadId)
+        : [...prevState, feeHeadId]
+    ));
+  };
+
   /**
    * Handle form input changes
    * Updates the form state as the user types
    */
   const handleChange = (e) => {
     const { name, value } = e.target;
+    // Different payment details need a new Idempotency-Key
+    idempotencyKeyRef.current = null;
     setFormData(prevState => ({
       ...prevState,
       [name]: value
@@ -76,16 +157,31 @@ export default function CreatePayment() {
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setIsLoading(true);
     setError('');
 
+    if (selectedFeeStructure && selectedFeeHeads.length === 0) {
+      setError('Select at least one fee head to pay.');
+      return;
+    }
+    setIsLoading(true);
+
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current = window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
     try {
       // Prepare payload for backend
       const payload = {
-        amount: parseFloat(formData.amount),
+        school_id: formData.schoolId,
+        // Fee structure payments are priced by the server from the selected fee heads
+        ...(selectedFeeStructure
+          ? { fee_structure_id: selectedFeeStructure._id, fee_heads: selectedFeeHeads }
+          : { amount: parseFloat(formData.amount) }),
         student_info: {
           name: formData.studentName,
-          id: formData.studentId || `temp-${Date.now()}`,
+          id: formData.studentId || undefined,
           email: formData.email
         },
         phone_number: formData.phoneNumber // Add phone number for UPI payments
@@ -102,7 +198,8 @@ export default function CreatePayment() {
       const response = await axios.post('payments/create-payment', payload, {
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Idempotency-Key': idempotencyKeyRef.current
         }
       });
 
@@ -114,7 +211,8 @@ export default function CreatePayment() {
         setPaymentDetails({
           redirectUrl: response.data.redirect_url,
           orderId: response.data.order_id || response.data._id,
-          amount: formData.amount,
+          collectId: response.data.collect_request_id,
+          amount: response.data.amount ?? formData.amount,
           studentName: formData.studentName
         });
       } else {
@@ -122,25 +220,42 @@ export default function CreatePayment() {
       }
     } catch (err) {
       console.error('Payment creation error:', err);
-      setError(err.response?.data?.message || 'Failed to create payment. Please try again.');
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to create payment. Please try again.');
       setIsLoading(false);
     }
   };
 
+  // Email/SMS the payment link to the student's captured email and phone number
+  const sendPaymentLink = async () => {
+    setLinkStatus('Sending...');
+    try {
+      const response = await axios.post(`payments/${encodeURIComponent(paymentDetails.collectId)}/payment-link`, {});
+      const sentTo = response.data.notifications.map(notification => `${notification.to} (${notification.status})`);
+      setLinkStatus(`Payment link sent to ${sentTo.join(', ')}`);
+    } catch (err) {
+      console.error('Failed to send payment link:', err);
+      setLinkStatus(err.response?.data?.details || err.response?.data?.message || 'Failed to send the payment link.');
+    }
+  };
+
   /**
    * Reset the form to create a new payment
    * This allows users to create multiple payments without refreshing the page
    */
   const resetForm = () => {
+    idempotencyKeyRef.current = null;
     setPaymentCreated(false);
     setPaymentDetails(null);
-    setFormData({
+    setLinkStatus('');
+    setFormData(prevState => ({
+      schoolId: prevState.schoolId,
+      feeStructureId: prevState.feeStructureId,
       amount: '',
       studentName: '',
       studentId: '',
       email: '',
       phoneNumber: ''
-    });
+    }));
     setIsLoading(false);
   };
 
@@ -187,6 +302,17 @@ export default function CreatePayment() {
                 </svg>
                 Complete Payment
               </a>
+              {paymentDetails.collectId && (
+                <button
+                  onClick={sendPaymentLink}
+                  className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-300"
+                >
+                  Send link to student by email/SMS
+                </button>
+              )}
+              {linkStatus && (
+                <p className="text-sm text-gray-400 mt-2">{linkStatus}</p>
+              )}
             </div>
             
             <div className="flex gap-3 mt-6">
@@ -259,21 +385,85 @@ export default function CreatePayment() {
         
         <form onSubmit={handleSubmit} className="space-y-6">
           <div>
-            <label htmlFor="amount" className="block text-sm font-medium text-gray-400">
-              Amount (₹)
+            <label htmlFor="schoolId" className="block text-sm font-medium text-gray-400">
+              School
             </label>
-            <input
-              id="amount"
-              name="amount"
-              type="number"
+            <select
+              id="schoolId"
+              name="schoolId"
               required
-              value={formData.amount}
+              value={formData.schoolId}
               onChange={handleChange}
-              className="mt-1 block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm placeholder-gray-500 text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
-              placeholder="Enter payment amount"
-            />
+              className="mt-1 block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+            >
+              {schools.length === 0 && <option value="">No schools available</option>}
+              {schools.map(school => (
+                <option key={school._id} value={school._id}>{school.name}</option>
+              ))}
+            </select>
           </div>
 
+          <div>
+            <label htmlFor="feeStructureId" className="block text-sm font-medium text-gray-400">
+              Fee Structure
+            </label>
+            <select
+              id="feeStructureId"
+              name="feeStructureId"
+              value={formData.feeStructureId}
+              onChange={handleFeeStructureChange}
+              className="mt-1 block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+            >
+              <option value="">Custom amount</option>
+              {feeStructures.map(structure => (
+                <option key={structure._id} value={structure._id}>
+                  {structure.name} ({structure.academic_year}, {structure.term})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {selectedFeeStructure ? (
+            <div>
+              <span className="block text-sm font-medium text-gray-400">Fee Heads</span>
+              <div className="mt-1 space-y-2 border border-black-border bg-black-grid/50 rounded-md p-3">
+                {selectedFeeStructure.items.map(item => (
+                  <label key={item.fee_head_id._id} className="flex items-center justify-between text-gray-200">
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={selectedFeeHeads.includes(item.fee_head_id._id)}
+                        onChange={() => toggleFeeHead(item.fee_head_id._id)}
+                      />
+                      {item.fee_head_id.name}
+                    </span>
+                    <span>₹{item.amount}</span>
+                  </label>
+                ))}
+                <div className="flex justify-between border-t border-black-border pt-2 font-medium text-gray-200">
+                  <span>Total</span>
+                  <span>₹{feeTotal}</span>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="amount" className="block text-sm font-medium text-gray-400">
+                Amount (₹)
+              </label>
+              <input
+                id="amount"
+                name="amount"
+                type="number"
+                required
+                value={formData.amount}
+                onChange={handleChange}
+                className="mt-1 block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm placeholder-gray-500 text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+                placeholder="Enter payment amount"
+              />
+            </div>
+          )}
+
           <div>
             <label htmlFor="studentName" className="block text-sm font-medium text-gray-400">
               Student Name
@@ -374,6 +564,12 @@ export default function CreatePayment() {
           >
             Check Transaction Status
           </button>
+          <button
+            onClick={() => navigate('/bulk-payments')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            Bulk Upload
+          </button>
         </div>
       </div>
     </div>
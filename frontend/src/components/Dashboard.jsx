@@ -3,6 +3,7 @@ import axios from '../utils/axiosConfig.js';
 import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../App';
 import NeonGridBackground from './NeonGridBackground';
+import { downloadReceipt, hasReceipt } from '../utils/receipts.js';
 
 // Custom Dropdown Component
 const CustomDropdown = ({ options, value, onChange, placeholder }) => {
@@ -78,6 +79,7 @@ export default function Dashboard() {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [receiptError, setReceiptError] = useState('');
   const [filters, setFilters] = useState({
     status: [],
     school_ids: [],
@@ -99,7 +101,7 @@ export default function Dashboard() {
 
   const navigate = useNavigate();
   const location = useLocation();
-  const { handleLogout } = useContext(AuthContext);
+  const { handleLogout, handleLogoutAll } = useContext(AuthContext);
   const [searchParams, setSearchParams] = useSearchParams();
 
   // Status options
@@ -107,7 +109,9 @@ export default function Dashboard() {
     { value: 'Success', label: 'Success' },
     { value: 'Pending', label: 'Pending' },
     { value: 'Failed', label: 'Failed' },
-    { value: 'Cancelled', label: 'Cancelled' }
+    { value: 'Cancelled', label: 'Cancelled' },
+    { value: 'Partially_Refunded', label: 'Partially Refunded' },
+    { value: 'Refunded', label: 'Refunded' }
   ];
 
   // Load filters from URL params on initial load
@@ -297,6 +301,9 @@ export default function Dashboard() {
         return 'bg-red-600/20 text-red-400 border-red-500/30';
       case 'cancelled':
         return 'bg-orange-600/20 text-orange-400 border-orange-500/30';
+      case 'partially refunded':
+      case 'refunded':
+        return 'bg-blue-600/20 text-blue-400 border-blue-500/30';
       default:
         return 'bg-gray-600/20 text-gray-400';
     }
@@ -320,6 +327,17 @@ export default function Dashboard() {
     }));
   };
 
+  // Download the PDF receipt of a successful payment
+  const handleDownloadReceipt = async (collectId) => {
+    setReceiptError('');
+    try {
+      await downloadReceipt(collectId);
+    } catch (err) {
+      console.error('Error downloading receipt:', err);
+      setReceiptError('Failed to download the receipt. Please try again.');
+    }
+  };
+
   // Clear all filters
   const clearFilters = () => {
     setFilters({
@@ -400,6 +418,12 @@ export default function Dashboard() {
               >
                 Logout
               </button>
+              <button
+                onClick={handleLogoutAll}
+                className="text-red-400 hover:text-red-300 transition-colors text-sm"
+              >
+                Log out all devices
+              </button>
             </div>
           </div>
 
@@ -468,6 +492,11 @@ export default function Dashboard() {
             </div>
           ) : (
             <div>
+              {receiptError && (
+                <div className="mt-6 bg-red-900/20 border border-red-800/30 text-red-200 p-3 rounded-lg text-sm">
+                  {receiptError}
+                </div>
+              )}
               {/* Transactions Table */}
               <div className="overflow-x-auto mt-6 rounded-lg border border-black-border/50">
                 <table className="w-full border-collapse">
@@ -503,6 +532,9 @@ export default function Dashboard() {
                           </div>
                         </th>
                       ))}
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider border-b border-black-border">
+                        Receipt
+                      </th>
                     </tr>
                   </thead>
                   <tbody>
@@ -515,21 +547,39 @@ export default function Dashboard() {
                         <td className="px-4 py-3 text-gray-300">{transaction.school_id}</td>
                         <td className="px-4 py-3 text-gray-300">{transaction.gateway}</td>
                         <td className="px-4 py-3 text-gray-300">₹{transaction.order_amount}</td>
-                        <td className="px-4 py-3 text-gray-300">₹{transaction.transaction_amount}</td>
+                        <td className="px-4 py-3 text-gray-300">
+                          ₹{transaction.transaction_amount}
+                          {transaction.refunded_amount > 0 && (
+                            <div className="text-xs text-blue-400">₹{transaction.refunded_amount} refunded</div>
+                          )}
+                        </td>
                         <td className="px-3 py-4 whitespace-nowrap text-sm">
                           <span className={`px-3 py-1 rounded-full text-xs ${getStatusColor(transaction.status.toLowerCase())}`}>
                             {transaction.status}
                           </span>
+                          {transaction.reminder_count > 0 && (
+                            <div className="text-xs text-gray-500 mt-1">Reminded {transaction.reminder_count}×</div>
+                          )}
                         </td>
                         <td className="px-4 py-3 text-gray-300">{transaction.custom_order_id}</td>
                         <td className="px-4 py-3 text-gray-300">
                           {new Date(transaction.created_at).toLocaleDateString()}
                         </td>
+                        <td className="px-4 py-3 text-gray-300">
+                          {hasReceipt(transaction.status) && transaction.collect_id && (
+                            <button
+                              onClick={() => handleDownloadReceipt(transaction.collect_id)}
+                              className="text-sm text-blue-400 hover:text-blue-300 underline transition-colors"
+                            >
+                              Download
+                            </button>
+                          )}
+                        </td>
                       </tr>
                     )) : (
                       <tr>
                         <td 
-                          colSpan={8} 
+                          colSpan={9} 
                           className="text-center py-8 text-gray-500 bg-black-grid/30"
                         >
                           <div className="flex flex-col items-center">
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from '../utils/axiosConfig.js';
+import NeonGridBackground from './NeonGridBackground';
+
+/**
+ * ForgotPassword Component - Asks for a password reset link
+ *
+ * The backend answers the same way whether or not the account exists, so the
+ * screen always shows the same confirmation.
+ */
+export default function ForgotPassword() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+    try {
+      const response = await axios.post('/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.response?.data?.message || 'Failed to send the reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="relative min-h-screen bg-dark-bg flex items-center justify-center px-4 py-12 overflow-hidden">
+      <NeonGridBackground />
+
+      <div className="relative z-10 max-w-md w-full bg-gray-900/50 backdrop-blur-lg rounded-2xl shadow-2xl border border-black-border p-8 space-y-6">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-200">Forgot Password</h2>
+          <p className="mt-2 text-sm text-gray-500">
+            We will email you a link to choose a new password
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-black-hover border border-black-border text-gray-400 p-3 rounded-lg animate-shake">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-500/20 border border-green-500/30 text-green-300 p-4 rounded-lg">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-400">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 appearance-none block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm placeholder-gray-500 text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+                placeholder="you@example.com"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-black-border hover:bg-black-hover disabled:cursor-not-allowed transition-all duration-300 ease-in-out"
+            >
+              {isLoading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <button
+            onClick={() => navigate('/login')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            Back to Sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
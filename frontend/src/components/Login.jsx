@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from '../utils/axiosConfig.js';
+import axios, { saveTokens } from '../utils/axiosConfig.js';
 import NeonGridBackground from './NeonGridBackground';
 
 export default function Login({ setIsAuthenticated }) {
@@ -11,6 +11,7 @@ export default function Login({ setIsAuthenticated }) {
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
   const [animationClass, setAnimationClass] = useState('');
   const navigate = useNavigate();
 
@@ -40,8 +41,8 @@ export default function Login({ setIsAuthenticated }) {
     try {
       const response = await axios.post('/auth/login', form);
       
-      // Store the token
-      localStorage.setItem('token', response.data.token);
+      // Store the access and refresh tokens
+      saveTokens(response.data);
       
       // Update authentication state
       setIsAuthenticated(true);
@@ -51,6 +52,7 @@ export default function Login({ setIsAuthenticated }) {
     } catch (err) {
       console.error('Login error:', err);
       setError(err.response?.data?.message || 'Login failed. Please try again.');
+      setNeedsVerification(err.response?.data?.code === 'email_not_verified');
       setIsLoading(false);
     }
   };
@@ -74,6 +76,15 @@ export default function Login({ setIsAuthenticated }) {
         {error && (
           <div className="bg-black-hover border border-black-border text-gray-400 p-3 rounded-lg animate-shake">
             {error}
+            {needsVerification && (
+              <button
+                type="button"
+                onClick={() => navigate('/verify-email', { state: { email: form.email } })}
+                className="block mt-2 text-gray-200 hover:underline text-sm"
+              >
+                Resend confirmation email
+              </button>
+            )}
           </div>
         )}
         
@@ -121,6 +132,15 @@ export default function Login({ setIsAuthenticated }) {
                 {showPassword ? "Hide" : "Show"}
               </button>
             </div>
+            <div className="mt-2 text-right">
+              <button
+                type="button"
+                onClick={() => navigate('/forgot-password')}
+                className="text-sm text-gray-500 hover:text-gray-300 hover:underline transition-all duration-300"
+              >
+                Forgot your password?
+              </button>
+            </div>
           </div>
 
           <div>
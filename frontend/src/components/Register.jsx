@@ -3,6 +3,9 @@ import { useNavigate } from 'react-router-dom';
 import axios from '../utils/axiosConfig';
 import NeonGridBackground from './NeonGridBackground';
 
+// Must match PASSWORD_MIN_LENGTH in backend/src/services/accountService.js
+const PASSWORD_MIN_LENGTH = 8;
+
 export default function Register() {
   const [form, setForm] = useState({ 
     name: '', 
@@ -41,6 +44,11 @@ export default function Register() {
     setIsLoading(true);
 
     // Basic password validation
+    if (form.password.length < PASSWORD_MIN_LENGTH) {
+      setError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+      setIsLoading(false);
+      return;
+    }
     if (form.password !== form.confirmPassword) {
       setError('Passwords do not match');
       setIsLoading(false);
@@ -53,10 +61,10 @@ export default function Register() {
       
       await axios.post('/users/register', submitForm);
       
-      // Redirect to login after successful registration
-      navigate('/login');
+      // The account can be used once its email address is confirmed
+      navigate('/verify-email', { state: { email: form.email, registered: true } });
     } catch (err) {
-      setError(err.response?.data?.message || 'Registration failed');
+      setError(err.response?.data?.details || err.response?.data?.message || 'Registration failed');
       setIsLoading(false);
     }
   };
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from '../utils/axiosConfig.js';
+import NeonGridBackground from './NeonGridBackground';
+
+// Must match PASSWORD_MIN_LENGTH in backend/src/services/accountService.js
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * ResetPassword Component - Chooses a new password from an emailed reset link
+ *
+ * The link carries a single-use token as ?token=...; after the reset every
+ * session of the account is signed out and the user signs in again.
+ */
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prevState => ({ ...prevState, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (form.password.length < PASSWORD_MIN_LENGTH) {
+      setError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+      return;
+    }
+    if (form.password !== form.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await axios.post('/auth/reset-password', { token, password: form.password });
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.response?.data?.details || err.response?.data?.message || 'Failed to reset the password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass = 'mt-1 appearance-none block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm placeholder-gray-500 text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300';
+
+  return (
+    <div className="relative min-h-screen bg-dark-bg flex items-center justify-center px-4 py-12 overflow-hidden">
+      <NeonGridBackground />
+
+      <div className="relative z-10 max-w-md w-full bg-gray-900/50 backdrop-blur-lg rounded-2xl shadow-2xl border border-black-border p-8 space-y-6">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-200">Reset Password</h2>
+          <p className="mt-2 text-sm text-gray-500">Choose a new password for your account</p>
+        </div>
+
+        {error && (
+          <div className="bg-black-hover border border-black-border text-gray-400 p-3 rounded-lg animate-shake">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-500/20 border border-green-500/30 text-green-300 p-4 rounded-lg">
+            {message}
+          </div>
+        ) : token && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-400">
+                New password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={form.password}
+                onChange={handleChange}
+                className={inputClass}
+                placeholder={`At least ${PASSWORD_MIN_LENGTH} characters`}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-400">
+                Confirm new password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={form.confirmPassword}
+                onChange={handleChange}
+                className={inputClass}
+                placeholder="Confirm Password"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-black-border hover:bg-black-hover disabled:cursor-not-allowed transition-all duration-300 ease-in-out"
+            >
+              {isLoading ? 'Saving...' : 'Set new password'}
+            </button>
+          </form>
+        )}
+
+        <div className="flex justify-center space-x-4">
+          <button
+            onClick={() => navigate('/login')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            Sign in
+          </button>
+          {!message && (
+            <button
+              onClick={() => navigate('/forgot-password')}
+              className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+            >
+              Request a new link
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import axios from '../utils/axiosConfig.js';
+import NeonGridBackground from './NeonGridBackground';
+
+/**
+ * VerifyEmail Component - Confirms an email address
+ *
+ * - With ?token=... (the emailed link) it confirms the address straight away
+ * - After registration, or when login is refused for an unconfirmed address,
+ *   it explains what to do and lets the user ask for a new link
+ */
+export default function VerifyEmail() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState(location.state?.email || '');
+  const [status, setStatus] = useState(token ? 'verifying' : 'waiting');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const verifyStarted = useRef(false);
+
+  // Confirm the address from the emailed link, once
+  useEffect(() => {
+    if (!token || verifyStarted.current) return;
+    verifyStarted.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post('/auth/verify-email', { token });
+        setMessage(response.data.message);
+        setStatus('verified');
+      } catch (err) {
+        console.error('Email verification error:', err);
+        setError(err.response?.data?.details || err.response?.data?.message || 'Failed to confirm the email address.');
+        setStatus('waiting');
+      }
+    };
+    verify();
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSending(true);
+    try {
+      const response = await axios.post('/auth/resend-verification', { email });
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      setError(err.response?.data?.message || 'Failed to send a new link. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="relative min-h-screen bg-dark-bg flex items-center justify-center px-4 py-12 overflow-hidden">
+      <NeonGridBackground />
+
+      <div className="relative z-10 max-w-md w-full bg-gray-900/50 backdrop-blur-lg rounded-2xl shadow-2xl border border-black-border p-8 space-y-6">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-200">Confirm Your Email</h2>
+          {status === 'waiting' && (
+            <p className="mt-2 text-sm text-gray-500">
+              {location.state?.registered
+                ? `We sent a confirmation link to ${location.state.email}. Open it to activate your account.`
+                : 'Open the link in the confirmation email to activate your account.'}
+            </p>
+          )}
+        </div>
+
+        {status === 'verifying' && (
+          <div className="text-center text-gray-300">Confirming your email address...</div>
+        )}
+
+        {error && (
+          <div className="bg-black-hover border border-black-border text-gray-400 p-3 rounded-lg animate-shake">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-green-500/20 border border-green-500/30 text-green-300 p-4 rounded-lg">
+            {message}
+          </div>
+        )}
+
+        {status === 'waiting' && (
+          <form onSubmit={handleResend} className="space-y-4">
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-400">
+                Didn't get the email? Send a new link to
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 appearance-none block w-full px-3 py-2 border border-black-border bg-black-grid/50 rounded-md shadow-sm placeholder-gray-500 text-gray-200 focus:outline-none focus:ring-2 focus:ring-black-hover focus:border-black-hover transition-all duration-300"
+                placeholder="you@example.com"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSending}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-black-border hover:bg-black-hover disabled:cursor-not-allowed transition-all duration-300 ease-in-out"
+            >
+              {isSending ? 'Sending...' : 'Resend confirmation email'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <button
+            onClick={() => navigate('/login')}
+            className="text-gray-400 hover:text-gray-300 underline transition-colors text-sm"
+          >
+            {status === 'verified' ? 'Continue to Sign in' : 'Back to Sign in'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
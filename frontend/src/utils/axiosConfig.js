@@ -3,10 +3,21 @@ import axios from 'axios';
 // Use environment variable for API base URL; default to local proxy
 const API_URL = import.meta.env.VITE_BACKEND_API_URL || '/api';
 
+// Fields never written to the console: credentials and tokens
+const REDACTED_FIELDS = ['password', 'token', 'refresh_token', 'Authorization'];
+
+const redact = (value) => {
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    REDACTED_FIELDS.includes(field) ? '[redacted]' : redact(fieldValue)
+  ]));
+};
+
 // Create a debug logger function that logs to console with timestamp
 const debugLog = (message, data) => {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [AXIOS-DEBUG] ${message}`, data);
+  console.log(`[${timestamp}] [AXIOS-DEBUG] ${message}`, redact(data));
 };
 
 // Log environment and config details on startup
@@ -35,7 +46,7 @@ axiosInstance.interceptors.request.use(
     
     // Log request details
     debugLog(`Request: ${config.method.toUpperCase()} ${config.url}`, {
-      headers: config.headers,
+      headers: { ...config.headers },
       params: config.params,
       data: config.data
     });
@@ -59,7 +70,44 @@ axiosInstance.interceptors.request.use(
   }
 );
 
-// Add response interceptor for logging
+// Store the tokens returned by login, register and refresh; a refresh may answer
+// without a refresh token, when another tab has just rotated it
+export const saveTokens = ({ token, refresh_token }) => {
+  localStorage.setItem('token', token);
+  if (refresh_token) {
+    localStorage.setItem('refreshToken', refresh_token);
+  }
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Auth endpoints answer 401 for bad credentials; never try to refresh for them
+const isAuthRequest = (url = '') => /\/auth\/(login|refresh|logout)/.test(url);
+
+// One refresh at a time; requests failing meanwhile wait for the same new token
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axiosInstance.post('/auth/refresh', { refresh_token: refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        saveTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Add response interceptor for logging and refreshing expired access tokens
 axiosInstance.interceptors.response.use(
   (response) => {
     debugLog(`Response: ${response.status} ${response.config.method.toUpperCase()} ${response.config.url}`, {
@@ -68,7 +116,7 @@ axiosInstance.interceptors.response.use(
     });
     return response;
   },
-  (error) => {
+  async (error) => {
     debugLog('Response error:', {
       message: error.message,
       status: error.response?.status,
@@ -76,7 +124,29 @@ axiosInstance.interceptors.response.use(
       url: error.config?.url,
       method: error.config?.method
     });
-    return Promise.reject(error);
+
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config._retried || isAuthRequest(config.url)) {
+      return Promise.reject(error);
+    }
+
+    try {
+      // Another tab may already have refreshed the shared tokens
+      const storedToken = localStorage.getItem('token');
+      const token = storedToken && config.headers['Authorization'] !== `Bearer ${storedToken}`
+        ? storedToken
+        : await refreshAccessToken();
+      config._retried = true;
+      config.headers['Authorization'] = `Bearer ${token}`;
+      return axiosInstance(config);
+    } catch (refreshError) {
+      debugLog('Token refresh failed, signing out:', refreshError.message);
+      clearTokens();
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+      return Promise.reject(error);
+    }
   }
 );
 
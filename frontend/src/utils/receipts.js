@@ -0,0 +1,25 @@
+import axios from './axiosConfig.js';
+
+// Payment statuses that have a receipt
+export const RECEIPT_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+// Accepts both the API statuses (partially_refunded) and the dashboard labels (Partially Refunded)
+export const hasReceipt = (status) => RECEIPT_STATUSES.includes((status || '').toLowerCase().replace(/\s+/g, '_'));
+
+// Download the PDF receipt of a successful payment
+export const downloadReceipt = async (collectId) => {
+  const response = await axios.get(`/payments/${encodeURIComponent(collectId)}/receipt.pdf`, {
+    responseType: 'blob'
+  });
+
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : `receipt-${collectId}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};